@@ -1,5 +1,45 @@
 const MIN_ASSETS = 2;
-const MAX_ASSETS = 15;
+const MAX_ASSETS = 300;
+// Above these sizes the asset table is paged and correlations are edited one asset at a time.
+const PAGE_SIZE = 20;
+const FULL_GRID_MAX = 12;
+const CORR_REPAIR_HINT = "Use \"Repair to Nearest Valid\" or shrinkage below the matrix.";
+
+const OBJECTIVE_LABELS = {
+  max_sharpe: "Max Sharpe",
+  min_variance: "Min Variance",
+  target_return: "Min Vol for Target Return",
+  target_vol: "Max Return for Target Vol",
+  risk_parity: "Risk Parity",
+  max_diversification: "Max Diversification"
+};
+
+const {
+  KKT_TOLERANCE,
+  buildCov,
+  optimizePortfolio,
+  assetPoints
+} = window.FxOpti.optimizer;
+const { parseHistoryCsv, estimateInputs } = window.FxOpti.estimation;
+const {
+  checkCorrelation,
+  nearestCorrelation,
+  shrinkToConstantCorrelation,
+  ledoitWolfIntensity,
+  diffCorrelation
+} = window.FxOpti.correlation;
+const {
+  createScenarioFile,
+  parseScenarioFile,
+  encodeScenarioHash,
+  decodeScenarioHash
+} = window.FxOpti.scenario;
+const { parametricVaR } = window.FxOpti.risk;
+const { runBacktest } = window.FxOpti.backtest;
+const { validateOptions: validateResampling } = window.FxOpti.resampling;
+const { validateOptions: validateAllocation } = window.FxOpti.allocation;
+const { readScenario } = window.FxOpti.scenarioOptions;
+const { runJob } = window.FxOpti.optimizationJob;
 
 const state = {
   n: 3,
@@ -11,7 +51,18 @@ const state = {
     [0.3, 1, 0.4],
     [0.45, 0.4, 1]
   ],
-  lastResult: null
+  minPct: [0, 0, 0],
+  maxPct: [100, 100, 100],
+  groups: [],
+  blWeights: [10, 10, 10],
+  blViews: [],
+  rbHoldings: [40, 30, 30],
+  rbCostsBp: [10, 10, 10],
+  assetPage: 0,
+  corrFocus: 0,
+  storeRecord: null,
+  lastResult: null,
+  lastSensitivity: null
 };
 
 function defaultAssetName(index) {
@@ -28,180 +79,14 @@ function shortName(name) {
   return name.length <= 12 ? name : `${name.slice(0, 11)}.`;
 }
 
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    s += a[i] * b[i];
-  }
-  return s;
-}
-
-function matVec(m, v) {
-  const n = v.length;
-  const out = new Array(n).fill(0);
-  for (let i = 0; i < n; i += 1) {
-    let s = 0;
-    for (let j = 0; j < n; j += 1) {
-      s += m[i][j] * v[j];
-    }
-    out[i] = s;
-  }
-  return out;
-}
-
-function solveLinearSystem(A, b) {
-  const n = A.length;
-  const aug = A.map((row, i) => [...row, b[i]]);
-
-  for (let col = 0; col < n; col += 1) {
-    let pivot = col;
-    for (let r = col + 1; r < n; r += 1) {
-      if (Math.abs(aug[r][col]) > Math.abs(aug[pivot][col])) {
-        pivot = r;
-      }
-    }
-
-    if (Math.abs(aug[pivot][col]) < 1e-12) {
-      throw new Error("Covariance matrix is singular or nearly singular.");
-    }
-
-    if (pivot !== col) {
-      [aug[pivot], aug[col]] = [aug[col], aug[pivot]];
-    }
-
-    const pivotVal = aug[col][col];
-    for (let k = col; k <= n; k += 1) {
-      aug[col][k] /= pivotVal;
-    }
-
-    for (let r = 0; r < n; r += 1) {
-      if (r === col) {
-        continue;
-      }
-      const factor = aug[r][col];
-      for (let k = col; k <= n; k += 1) {
-        aug[r][k] -= factor * aug[col][k];
-      }
-    }
-  }
-
-  return aug.map((row) => row[n]);
-}
-
-function projectToSimplex(v) {
-  const u = [...v].sort((a, b) => b - a);
-  let cssv = 0;
-  let rho = -1;
-
-  for (let i = 0; i < u.length; i += 1) {
-    cssv += u[i];
-    const t = (cssv - 1) / (i + 1);
-    if (u[i] - t > 0) {
-      rho = i;
-    }
-  }
-
-  if (rho < 0) {
-    return new Array(v.length).fill(1 / v.length);
-  }
-
-  const theta = (u.slice(0, rho + 1).reduce((a, x) => a + x, 0) - 1) / (rho + 1);
-  return v.map((x) => Math.max(x - theta, 0));
-}
-
-function portfolioStats(w, mu, cov, rf) {
-  const ret = dot(w, mu);
-  const covW = matVec(cov, w);
-  const variance = Math.max(dot(w, covW), 0);
-  const vol = Math.sqrt(variance);
-  const sharpe = vol > 0 ? (ret - rf) / vol : -Infinity;
-  return { w, ret, vol, sharpe, covW };
-}
-
-function optimizeUnconstrained(mu, cov, rf) {
-  const n = mu.length;
-  const excess = mu.map((m) => m - rf);
-  const raw = solveLinearSystem(cov, excess);
-  const denom = raw.reduce((a, x) => a + x, 0);
-
-  if (Math.abs(denom) < 1e-12) {
-    throw new Error("Degenerate unconstrained solution (normalization denominator is zero).");
-  }
-
-  const w = raw.map((x) => x / denom);
-  return portfolioStats(w, mu, cov, rf);
-}
-
-function optimizeLongOnly(mu, cov, rf, maxIter) {
-  const n = mu.length;
-  let w = new Array(n).fill(1 / n);
-  let best = portfolioStats(w, mu, cov, rf);
-  let step = 0.2;
-
-  for (let iter = 0; iter < maxIter; iter += 1) {
-    const vol = Math.max(best.vol, 1e-10);
-    const vol3 = vol * vol * vol;
-    const gradient = new Array(n);
-
-    for (let i = 0; i < n; i += 1) {
-      gradient[i] = (mu[i] / vol) - (((best.ret - rf) * best.covW[i]) / vol3);
-    }
-
-    let improved = false;
-    let localStep = step;
-
-    for (let trial = 0; trial < 10; trial += 1) {
-      const candidate = projectToSimplex(w.map((wi, i) => wi + localStep * gradient[i]));
-      const candStats = portfolioStats(candidate, mu, cov, rf);
-
-      if (candStats.sharpe > best.sharpe + 1e-9) {
-        w = candidate;
-        best = candStats;
-        step = Math.min(localStep * 1.2, 1);
-        improved = true;
-        break;
-      }
-
-      localStep *= 0.5;
-    }
-
-    if (!improved) {
-      step *= 0.6;
-      if (step < 1e-5) {
-        break;
-      }
-    }
-  }
-
-  return best;
-}
-
 function pct(v) {
   return `${(v * 100).toFixed(2)}%`;
 }
 
-function buildCov(vol, corr) {
-  const n = vol.length;
-  const cov = Array.from({ length: n }, () => new Array(n).fill(0));
-
-  for (let i = 0; i < n; i += 1) {
-    for (let j = 0; j < n; j += 1) {
-      cov[i][j] = corr[i][j] * vol[i] * vol[j];
-    }
-  }
-
-  return cov;
-}
-
-function getRandomSimplexWeights(n) {
-  const x = new Array(n);
-  let sum = 0;
-  for (let i = 0; i < n; i += 1) {
-    const u = Math.max(Math.random(), 1e-12);
-    x[i] = -Math.log(u);
-    sum += x[i];
-  }
-  return x.map((v) => v / sum);
+// Asset and group names come from share links, imported files and the scenario store;
+// escape them before they go into markup.
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
 }
 
 function resizeState(newN) {
@@ -209,12 +94,22 @@ function resizeState(newN) {
   const names = new Array(newN);
   const muPct = new Array(newN);
   const volPct = new Array(newN);
+  const minPct = new Array(newN);
+  const maxPct = new Array(newN);
+  const blWeights = new Array(newN);
+  const rbHoldings = new Array(newN);
+  const rbCostsBp = new Array(newN);
   const corr = Array.from({ length: newN }, () => new Array(newN).fill(0));
 
   for (let i = 0; i < newN; i += 1) {
     names[i] = i < oldN ? state.names[i] : defaultAssetName(i);
     muPct[i] = i < oldN ? state.muPct[i] : 8 + (i % 5);
     volPct[i] = i < oldN ? state.volPct[i] : 15 + (i % 6) * 2;
+    minPct[i] = i < oldN ? state.minPct[i] : 0;
+    maxPct[i] = i < oldN ? state.maxPct[i] : 100;
+    blWeights[i] = i < oldN ? state.blWeights[i] : 10;
+    rbHoldings[i] = i < oldN ? state.rbHoldings[i] : 0;
+    rbCostsBp[i] = i < oldN ? state.rbCostsBp[i] : 10;
   }
 
   for (let i = 0; i < newN; i += 1) {
@@ -233,18 +128,47 @@ function resizeState(newN) {
   state.names = names;
   state.muPct = muPct;
   state.volPct = volPct;
+  state.minPct = minPct;
+  state.maxPct = maxPct;
   state.corr = corr;
+  state.blWeights = blWeights;
+  state.rbHoldings = rbHoldings;
+  state.rbCostsBp = rbCostsBp;
+  state.groups.forEach((g) => {
+    g.members = g.members.filter((i) => i < newN);
+  });
+  dropViewsBeyond(newN);
+}
+
+function dropViewsBeyond(n) {
+  state.blViews = state.blViews.filter((v) => v.asset < n && (v.type === "absolute" || v.versus < n));
+}
+
+function assetPageRange() {
+  const pages = Math.ceil(state.n / PAGE_SIZE);
+  state.assetPage = clamp(state.assetPage, 0, pages - 1);
+  const start = state.assetPage * PAGE_SIZE;
+  return { start, end: Math.min(start + PAGE_SIZE, state.n), pages };
+}
+
+function renderAssetPager() {
+  const { start, end, pages } = assetPageRange();
+  document.getElementById("assetPager").hidden = pages <= 1;
+  document.getElementById("assetPageLabel").textContent = `Assets ${start + 1}-${end} of ${state.n}`;
+  document.getElementById("assetPrevBtn").disabled = state.assetPage === 0;
+  document.getElementById("assetNextBtn").disabled = state.assetPage === pages - 1;
 }
 
 function renderNameList() {
   const wrap = document.getElementById("nameList");
+  const { start, end } = assetPageRange();
   wrap.innerHTML = "";
 
-  for (let i = 0; i < state.n; i += 1) {
+  for (let i = start; i < end; i += 1) {
     const label = document.createElement("label");
     label.innerHTML = `
       Asset ${i + 1}
-      <input class="name-input" data-i="${i}" type="text" maxlength="24" value="${state.names[i]}" />
+      <input class="name-input" data-i="${i}" type="text" maxlength="24" value="${escapeHtml(state.names[i])}" />
     `;
     wrap.appendChild(label);
   }
@@ -252,23 +176,78 @@ function renderNameList() {
 
 function renderAssetRows() {
   const tbody = document.getElementById("assetRows");
+  const { start, end } = assetPageRange();
   tbody.innerHTML = "";
+  renderAssetPager();
 
-  for (let i = 0; i < state.n; i += 1) {
+  for (let i = start; i < end; i += 1) {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td class="asset-name-in" data-i="${i}">${state.names[i]}</td>
+      <td class="asset-name-in" data-i="${i}">${escapeHtml(state.names[i])}</td>
       <td><input class="mu-input" data-i="${i}" type="number" step="0.1" value="${state.muPct[i]}" /></td>
       <td><input class="vol-input" data-i="${i}" type="number" step="0.1" min="0" value="${state.volPct[i]}" /></td>
+      <td><input class="min-input" data-i="${i}" type="number" step="1" min="0" max="100" value="${state.minPct[i]}" /></td>
+      <td><input class="max-input" data-i="${i}" type="number" step="1" min="0" max="100" value="${state.maxPct[i]}" /></td>
     `;
     tbody.appendChild(tr);
   }
 }
 
+function corrInput(i, j) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = "0.01";
+  input.min = "-1";
+  input.max = "1";
+  input.id = `c-${i}-${j}`;
+  input.className = "corr-input";
+  input.dataset.i = String(i);
+  input.dataset.j = String(j);
+  input.value = state.corr[i][j].toFixed(2);
+  input.ariaLabel = `Correlation ${state.names[i]} with ${state.names[j]}`;
+  if (i === j) {
+    input.disabled = true;
+  }
+  return input;
+}
+
+function renderCorrFocus() {
+  const rowMode = state.n > FULL_GRID_MAX;
+  state.corrFocus = clamp(state.corrFocus, 0, state.n - 1);
+  document.getElementById("corrFocusBar").hidden = !rowMode;
+  document.getElementById("corrFocus").innerHTML = rowMode ? assetOptions(state.corrFocus) : "";
+}
+
+// One row of the matrix: the focused asset's correlation with every other asset.
+function renderCorrRow(grid) {
+  const focus = state.corrFocus;
+  for (let j = 0; j < state.n; j += 1) {
+    if (j === focus) {
+      continue;
+    }
+    const cell = document.createElement("label");
+    cell.className = "corr-cell";
+    const label = document.createElement("span");
+    label.className = "corr-label row";
+    label.dataset.i = String(j);
+    label.textContent = shortName(state.names[j]);
+    cell.appendChild(label);
+    cell.appendChild(corrInput(focus, j));
+    grid.appendChild(cell);
+  }
+}
+
 function renderCorrGrid() {
   const grid = document.getElementById("corrGrid");
+  const rowMode = state.n > FULL_GRID_MAX;
   grid.style.setProperty("--asset-count", String(state.n));
+  grid.classList.toggle("corr-row-mode", rowMode);
   grid.innerHTML = "";
+  renderCorrFocus();
+  if (rowMode) {
+    renderCorrRow(grid);
+    return;
+  }
 
   const corner = document.createElement("span");
   corner.className = "corr-label corner";
@@ -291,21 +270,7 @@ function renderCorrGrid() {
     grid.appendChild(rowLabel);
 
     for (let j = 0; j < state.n; j += 1) {
-      const input = document.createElement("input");
-      input.type = "number";
-      input.step = "0.01";
-      input.min = "-1";
-      input.max = "1";
-      input.id = `c-${i}-${j}`;
-      input.className = "corr-input";
-      input.dataset.i = String(i);
-      input.dataset.j = String(j);
-      input.value = state.corr[i][j].toFixed(2);
-      input.ariaLabel = `Correlation ${state.names[i]} with ${state.names[j]}`;
-      if (i === j) {
-        input.disabled = true;
-      }
-      grid.appendChild(input);
+      grid.appendChild(corrInput(i, j));
     }
   }
 }
@@ -325,15 +290,17 @@ function columnOffDiagAverage(col) {
 
 function renderCorrBulk() {
   const bulk = document.getElementById("corrBulk");
-  bulk.style.setProperty("--asset-count", String(state.n));
+  const rowMode = state.n > FULL_GRID_MAX;
+  const columns = rowMode ? [state.corrFocus] : state.names.map((_, col) => col);
+  bulk.style.setProperty("--asset-count", String(columns.length));
   bulk.innerHTML = "";
 
   const label = document.createElement("span");
   label.className = "corr-bulk-label";
-  label.textContent = "Set Column";
+  label.textContent = rowMode ? "Set All" : "Set Column";
   bulk.appendChild(label);
 
-  for (let col = 0; col < state.n; col += 1) {
+  columns.forEach((col) => {
     const input = document.createElement("input");
     input.type = "number";
     input.step = "0.01";
@@ -345,220 +312,2382 @@ function renderCorrBulk() {
     input.title = `Set all correlations for ${state.names[col]}`;
     input.ariaLabel = `Set full column correlations for ${state.names[col]}`;
     bulk.appendChild(input);
-  }
+  });
 }
 
-function renderWeights(result) {
-  const wrap = document.getElementById("weights");
-  wrap.innerHTML = "";
-
-  for (let i = 0; i < state.n; i += 1) {
-    const wPct = result.w[i] * 100;
-    const hue = (i * 37) % 360;
-
-    const row = document.createElement("div");
-    row.className = "w-row";
-    row.innerHTML = `<span>${state.names[i]}</span><span>${pct(result.w[i])}</span>`;
+function formatEigenvalue(v) {
+  return Math.abs(v) >= 1e-3 || v === 0 ? v.toFixed(4) : v.toExponential(2);
+}
 
-    const bar = document.createElement("div");
-    bar.className = "bar";
+const correlationRunner = createJobRunner("correlation");
 
-    const fill = document.createElement("div");
-    fill.className = "fill";
-    fill.style.width = `${Math.max(wPct, 0).toFixed(2)}%`;
-    fill.style.background = `hsl(${hue}deg 58% 42%)`;
+function showCorrCheck(check) {
+  const el = document.getElementById("corrCheck");
+  const smallest = formatEigenvalue(check.minEigenvalue);
 
-    bar.appendChild(fill);
-    wrap.appendChild(row);
-    wrap.appendChild(bar);
+  if (check.isPositiveDefinite) {
+    el.textContent = `Positive definite (smallest eigenvalue ${smallest}).`;
+    el.className = "corr-check ok";
+  } else if (check.isPsd) {
+    el.textContent = `Singular (smallest eigenvalue ${smallest}). Unconstrained mode cannot invert it; repair or shrink to fix.`;
+    el.className = "corr-check warn";
+  } else {
+    el.textContent = `Not positive semidefinite (smallest eigenvalue ${smallest}). These correlations are inconsistent; repair or shrink to fix.`;
+    el.className = "corr-check bad";
   }
 }
 
-function syncNameLabels() {
-  document.querySelectorAll(".asset-name-in").forEach((el) => {
-    const i = Number(el.dataset.i);
-    el.textContent = state.names[i];
-  });
+// The eigenvalues take seconds at the asset limit, so matrices beyond the full grid are
+// checked in the worker.
+function renderCorrCheck() {
+  if (state.n <= FULL_GRID_MAX) {
+    correlationRunner.cancel();
+    showCorrCheck(checkCorrelation(state.corr));
+    return;
+  }
 
-  document.querySelectorAll(".corr-label.col").forEach((el) => {
-    const i = Number(el.dataset.i);
-    el.textContent = shortName(state.names[i]);
+  const el = document.getElementById("corrCheck");
+  el.textContent = "Checking eigenvalues...";
+  el.className = "corr-check";
+  correlationRunner.run({ corr: state.corr }).then((reply) => {
+    if (!reply) {
+      return;
+    }
+    if (reply.error) {
+      el.textContent = reply.error.message;
+      el.className = "corr-check bad";
+      return;
+    }
+    showCorrCheck(reply.output);
   });
+}
 
-  document.querySelectorAll(".corr-label.row").forEach((el) => {
-    const i = Number(el.dataset.i);
-    el.textContent = shortName(state.names[i]);
-  });
+function renderCorrDiff(title, changes) {
+  const wrap = document.getElementById("corrDiff");
+  wrap.innerHTML = "";
+  if (!title) {
+    return;
+  }
 
-  document.querySelectorAll(".corr-input").forEach((el) => {
-    const i = Number(el.dataset.i);
-    const j = Number(el.dataset.j);
-    el.ariaLabel = `Correlation ${state.names[i]} with ${state.names[j]}`;
-  });
+  const heading = document.createElement("p");
+  heading.className = "corr-diff-title";
+  heading.textContent = changes.length === 0
+    ? `${title}: no correlation changed by 0.005 or more.`
+    : `${title}: ${changes.length} correlation${changes.length === 1 ? "" : "s"} changed.`;
+  wrap.appendChild(heading);
 
-  renderCorrBulk();
+  if (changes.length === 0) {
+    return;
+  }
 
-  if (state.lastResult) {
-    renderWeights(state.lastResult);
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Pair</th><th>Before</th><th>After</th><th>Change</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  for (const c of changes.slice(0, 20)) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(state.names[c.i])} / ${escapeHtml(state.names[c.j])}</td>
+      <td>${c.before.toFixed(2)}</td>
+      <td>${c.after.toFixed(2)}</td>
+      <td>${c.delta >= 0 ? "+" : ""}${c.delta.toFixed(2)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+
+  if (changes.length > 20) {
+    const more = document.createElement("p");
+    more.className = "corr-diff-title";
+    more.textContent = `${changes.length - 20} smaller changes not shown.`;
+    wrap.appendChild(more);
   }
 }
 
-function readInputs() {
-  const n = state.n;
-  const mu = new Array(n);
-  const vol = new Array(n);
-  const corr = Array.from({ length: n }, () => new Array(n).fill(0));
+function applyCorrelation(corr, title) {
+  const before = state.corr.map((row) => row.slice());
+  state.corr = corr;
+  renderCorrBulk();
+  renderCorrGrid();
+  renderCorrCheck();
+  renderCorrDiff(title, diffCorrelation(before, corr));
+  runOptimization();
+}
 
-  for (let i = 0; i < n; i += 1) {
-    const muEl = document.querySelector(`.mu-input[data-i="${i}"]`);
-    const volEl = document.querySelector(`.vol-input[data-i="${i}"]`);
-    const muVal = Number(muEl.value);
-    const volVal = Number(volEl.value);
+function repairCorrelation() {
+  const { corr, iterations } = nearestCorrelation(state.corr);
+  applyCorrelation(corr, `Nearest valid matrix (${iterations} iterations)`);
+}
 
-    if (!Number.isFinite(muVal) || !Number.isFinite(volVal)) {
-      throw new Error(`Invalid expected return or volatility for ${state.names[i]}.`);
-    }
+function shrinkCorrelation() {
+  const errorEl = document.getElementById("error");
+  const intensity = Number(document.getElementById("shrinkIntensity").value);
+  try {
+    applyCorrelation(
+      shrinkToConstantCorrelation(state.corr, intensity),
+      `Shrunk ${(intensity * 100).toFixed(0)}% toward constant correlation`
+    );
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+}
 
-    if (volVal <= 0) {
-      throw new Error(`Volatility must be > 0 for ${state.names[i]}.`);
-    }
+function renderGroups() {
+  const wrap = document.getElementById("groupList");
+  wrap.innerHTML = "";
 
-    state.muPct[i] = muVal;
-    state.volPct[i] = volVal;
+  state.groups.forEach((g, k) => {
+    const row = document.createElement("div");
+    row.className = "group-row";
+    row.innerHTML = `
+      <div class="group-fields">
+        <label>Group<input class="group-name" data-k="${k}" type="text" maxlength="24" value="${escapeHtml(g.name)}" /></label>
+        <label>Min (%)<input class="group-min" data-k="${k}" type="number" step="1" min="0" max="100" value="${g.minPct}" /></label>
+        <label>Max (%)<input class="group-max" data-k="${k}" type="number" step="1" min="0" max="100" value="${g.maxPct}" /></label>
+        <button type="button" class="group-remove secondary-btn" data-k="${k}">Remove</button>
+      </div>
+    `;
 
-    mu[i] = muVal / 100;
-    vol[i] = volVal / 100;
-  }
+    const members = document.createElement("div");
+    members.className = "group-members";
+    for (let i = 0; i < state.n; i += 1) {
+      const label = document.createElement("label");
+      label.className = "group-member";
+      label.innerHTML = `<input type="checkbox" class="group-member-input" data-k="${k}" data-i="${i}" ${g.members.includes(i) ? "checked" : ""} />`;
+      label.appendChild(document.createTextNode(shortName(state.names[i])));
+      members.appendChild(label);
+    }
 
-  for (let i = 0; i < n; i += 1) {
-    for (let j = 0; j < n; j += 1) {
-      if (i === j) {
-        corr[i][j] = 1;
-        continue;
-      }
+    row.appendChild(members);
+    wrap.appendChild(row);
+  });
+}
 
-      if (j < i) {
-        corr[i][j] = corr[j][i];
-        continue;
-      }
+function describeBinding(b) {
+  const target = b.group !== undefined ? b.group : state.names[b.index];
+  const op = b.kind === "lower" || b.kind === "group_min" ? ">=" : "<=";
+  return `${target} ${op} ${pct(b.bound)}`;
+}
 
-      const el = document.getElementById(`c-${i}-${j}`);
-      const v = Number(el.value);
-      if (!Number.isFinite(v) || v < -1 || v > 1) {
-        throw new Error(`Correlation between ${state.names[i]} and ${state.names[j]} must be between -1 and 1.`);
-      }
+function renderBinding(result, mode) {
+  const el = document.getElementById("binding");
+  const customized = state.groups.length > 0
+    || state.minPct.some((v) => v !== 0)
+    || state.maxPct.some((v) => v !== 100);
 
-      corr[i][j] = v;
-      corr[j][i] = v;
-      state.corr[i][j] = v;
-      state.corr[j][i] = v;
-    }
+  if (mode !== "long_only") {
+    el.textContent = customized ? "Weight bounds and groups apply to long-only mode only." : "";
+  } else if (result.binding && result.binding.length > 0) {
+    el.textContent = `Binding: ${result.binding.map(describeBinding).join(", ")}`;
+  } else {
+    el.textContent = customized ? "No weight bounds or group limits are binding." : "";
   }
+}
 
-  const rf = Number(document.getElementById("rf").value) / 100;
-  if (!Number.isFinite(rf)) {
-    throw new Error("Invalid risk-free rate.");
+function renderConvergence(result) {
+  const el = document.getElementById("convergence");
+  const c = result.convergence;
+  el.classList.remove("error");
+  drawConvergence(c || null);
+  if (!c) {
+    el.textContent = "";
+    return;
   }
 
-  return { mu, cov: buildCov(vol, corr), rf };
+  const residual = c.kktResidual.toExponential(1);
+  if (c.method === "active_set") {
+    el.classList.toggle("error", !c.converged);
+    el.textContent = c.converged
+      ? `Solved exactly by the active-set method in ${c.iterations} ${c.iterations === 1 ? "step" : "steps"} (KKT residual ${residual}).`
+      : `Not converged: the active-set solve ended with KKT residual ${residual} (tolerance ${KKT_TOLERANCE}). Weights may be approximate.`;
+    return;
+  }
+  if (c.converged) {
+    el.textContent = `Solver converged in ${c.iterations} iterations (KKT residual ${residual}).`;
+    return;
+  }
+  el.classList.add("error");
+  el.textContent = c.stopReason === "max_iterations"
+    ? `Not converged: the ${c.iterations}-iteration limit was reached with KKT residual ${residual} (tolerance ${KKT_TOLERANCE}). Raise Iterations and optimize again.`
+    : `Not converged: the solver stalled after ${c.iterations} iterations with KKT residual ${residual} (tolerance ${KKT_TOLERANCE}). Weights may be approximate.`;
 }
 
-function drawFrontier(mu, cov, rf, optimum) {
-  const canvas = document.getElementById("frontier");
-  const ctx = canvas.getContext("2d");
-  const W = canvas.width;
-  const H = canvas.height;
+function assetOptions(selected) {
+  return state.names
+    .map((name, i) => `<option value="${i}" ${i === selected ? "selected" : ""}>${escapeHtml(shortName(name))}</option>`)
+    .join("");
+}
 
-  ctx.clearRect(0, 0, W, H);
-  ctx.fillStyle = "#fffef8";
-  ctx.fillRect(0, 0, W, H);
+function renderBlackLitterman() {
+  const weightWrap = document.getElementById("blWeightList");
+  weightWrap.innerHTML = "";
+  for (let i = 0; i < state.n; i += 1) {
+    const label = document.createElement("label");
+    label.textContent = shortName(state.names[i]);
+    const input = document.createElement("input");
+    input.className = "bl-weight";
+    input.type = "number";
+    input.min = "0";
+    input.step = "1";
+    input.value = String(state.blWeights[i]);
+    input.dataset.i = String(i);
+    label.appendChild(input);
+    weightWrap.appendChild(label);
+  }
 
-  const n = mu.length;
-  const sampleCount = n <= 5 ? 3500 : 2200;
-  const points = [];
+  const viewWrap = document.getElementById("blViewList");
+  viewWrap.innerHTML = "";
+  state.blViews.forEach((v, k) => {
+    const relative = v.type === "relative";
+    const row = document.createElement("div");
+    row.className = "group-row";
+    row.innerHTML = `
+      <div class="view-fields">
+        <label>View
+          <select class="view-type" data-k="${k}">
+            <option value="absolute" ${relative ? "" : "selected"}>Absolute</option>
+            <option value="relative" ${relative ? "selected" : ""}>Relative</option>
+          </select>
+        </label>
+        <label>Asset<select class="view-asset" data-k="${k}">${assetOptions(v.asset)}</select></label>
+        <label>Versus<select class="view-versus" data-k="${k}" ${relative ? "" : "disabled"}>${assetOptions(v.versus)}</select></label>
+        <label>${relative ? "Outperf. (%)" : "Return (%)"}<input class="view-value" data-k="${k}" type="number" step="0.1" value="${v.valuePct}" /></label>
+        <label>Confidence (%)<input class="view-confidence" data-k="${k}" type="number" min="1" max="100" step="5" value="${v.confidencePct}" /></label>
+        <button type="button" class="view-remove secondary-btn" data-k="${k}">Remove</button>
+      </div>
+    `;
+    viewWrap.appendChild(row);
+  });
+}
 
-  for (let i = 0; i < n; i += 1) {
-    const w = new Array(n).fill(0);
-    w[i] = 1;
-    points.push(portfolioStats(w, mu, cov, rf));
+function readBlackLitterman() {
+  const riskAversion = Number(document.getElementById("blRiskAversion").value);
+  const tau = Number(document.getElementById("blTau").value);
+  if (!(riskAversion > 0)) {
+    throw new Error("Risk aversion must be > 0.");
   }
-
-  for (let i = 0; i < sampleCount; i += 1) {
-    points.push(portfolioStats(getRandomSimplexWeights(n), mu, cov, rf));
+  if (!(tau > 0 && tau <= 1)) {
+    throw new Error("Tau must be between 0 and 1.");
+  }
+  if (state.blWeights.some((w) => !Number.isFinite(w) || w < 0) || state.blWeights.every((w) => w === 0)) {
+    throw new Error("Market weights must be non-negative with at least one above zero.");
   }
 
-  const vols = points.map((p) => p.vol);
-  const rets = points.map((p) => p.ret);
-  const minX = Math.min(...vols, optimum.vol);
-  const maxX = Math.max(...vols, optimum.vol);
-  const minY = Math.min(...rets, optimum.ret);
-  const maxY = Math.max(...rets, optimum.ret);
-
-  const pad = 34;
-  const xScale = (x) => pad + ((x - minX) / (maxX - minX || 1)) * (W - 2 * pad);
-  const yScale = (y) => H - pad - ((y - minY) / (maxY - minY || 1)) * (H - 2 * pad);
+  const views = state.blViews.map((v, k) => {
+    if (!Number.isFinite(v.valuePct)) {
+      throw new Error(`View ${k + 1} needs a numeric return.`);
+    }
+    if (!(v.confidencePct > 0 && v.confidencePct <= 100)) {
+      throw new Error(`View ${k + 1} confidence must be between 0 and 100%.`);
+    }
+    if (v.type === "relative" && v.asset === v.versus) {
+      throw new Error(`View ${k + 1} compares ${state.names[v.asset]} with itself.`);
+    }
+    return {
+      type: v.type,
+      asset: v.asset,
+      versus: v.versus,
+      value: v.valuePct / 100,
+      confidence: v.confidencePct / 100
+    };
+  });
 
-  ctx.strokeStyle = "#b7a88b";
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(pad, H - pad);
-  ctx.lineTo(W - pad, H - pad);
-  ctx.moveTo(pad, H - pad);
-  ctx.lineTo(pad, pad);
-  ctx.stroke();
+  return { weights: state.blWeights.slice(), riskAversion, tau, views };
+}
 
-  for (const p of points) {
-    ctx.fillStyle = "rgba(11, 110, 104, 0.28)";
-    ctx.beginPath();
-    ctx.arc(xScale(p.vol), yScale(p.ret), 1.9, 0, 2 * Math.PI);
-    ctx.fill();
+function renderBlCompare(bl) {
+  const wrap = document.getElementById("blCompare");
+  wrap.innerHTML = "";
+  if (!bl) {
+    return;
   }
 
+  const heading = document.createElement("p");
+  heading.className = "corr-diff-title";
+  const count = state.blViews.length;
+  heading.textContent = `Black-Litterman: ${count} view${count === 1 ? "" : "s"}, risk aversion ${bl.riskAversion}, tau ${bl.tau}. Returns are total (prior = rf + implied excess).`;
+  wrap.appendChild(heading);
+
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Asset</th><th>Market Weight</th><th>Prior Return</th><th>Posterior Return</th><th>Change</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  for (let i = 0; i < state.n; i += 1) {
+    const delta = bl.posterior[i] - bl.prior[i];
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(state.names[i])}</td>
+      <td>${pct(bl.weights[i])}</td>
+      <td>${pct(bl.prior[i])}</td>
+      <td>${pct(bl.posterior[i])}</td>
+      <td>${delta >= 0 ? "+" : ""}${pct(delta)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function renderRebalance() {
+  const notional = document.getElementById("rbUnits").value === "notional";
+  document.getElementById("rbHoldingsHint").textContent = notional
+    ? "Current positions (notional, in any one currency):"
+    : "Current weights (%):";
+
+  const lists = [
+    { id: "rbHoldingList", className: "rb-holding", values: state.rbHoldings, step: notional ? "1000" : "1" },
+    { id: "rbCostList", className: "rb-cost", values: state.rbCostsBp, step: "1" }
+  ];
+  lists.forEach(({ id, className, values, step }) => {
+    const wrap = document.getElementById(id);
+    wrap.innerHTML = "";
+    for (let i = 0; i < state.n; i += 1) {
+      const label = document.createElement("label");
+      label.textContent = shortName(state.names[i]);
+      const input = document.createElement("input");
+      input.className = className;
+      input.type = "number";
+      input.step = step;
+      input.value = String(values[i]);
+      input.dataset.i = String(i);
+      label.appendChild(input);
+      wrap.appendChild(label);
+    }
+  });
+}
+
+// Rebalance options in the core's shape; notional holdings become weights plus a portfolio value.
+// Equal weights in percent, rounded to 2 decimals, with the first absorbing the remainder.
+function equalHoldings(n) {
+  const share = round2(100 / n);
+  const holdings = new Array(n).fill(share);
+  holdings[0] = round2(100 - share * (n - 1));
+  return holdings;
+}
+
+function readRebalance() {
+  const notional = document.getElementById("rbUnits").value === "notional";
+  if (state.rbHoldings.some((h) => !Number.isFinite(h))) {
+    throw new Error("Every current holding must be a number.");
+  }
+  const total = state.rbHoldings.reduce((a, h) => a + h, 0);
+  if (notional && !(total > 0)) {
+    throw new Error("Current positions must add up to a positive portfolio value.");
+  }
+  if (!notional && Math.abs(total - 100) > 0.01) {
+    throw new Error(`Current weights sum to ${total.toFixed(2)}%; they must sum to 100%.`);
+  }
+  if (state.rbCostsBp.some((c) => !Number.isFinite(c) || c < 0)) {
+    throw new Error("Transaction costs must be non-negative numbers of basis points.");
+  }
+
+  const turnoverText = document.getElementById("rbTurnover").value.trim();
+  const maxTurnover = turnoverText === "" ? null : Number(turnoverText) / 100;
+  if (maxTurnover !== null && !(maxTurnover >= 0)) {
+    throw new Error("Turnover cap must be a percentage >= 0, or blank for none.");
+  }
+  const costHorizon = Number(document.getElementById("rbHorizon").value);
+  if (!(costHorizon > 0)) {
+    throw new Error("Cost horizon must be a number of years > 0.");
+  }
+
+  return {
+    current: state.rbHoldings.map((h) => h / total),
+    costs: state.rbCostsBp.map((c) => c / 10000),
+    maxTurnover,
+    costHorizon,
+    portfolioValue: notional ? total : null
+  };
+}
+
+function readResampling() {
+  const options = {
+    draws: Number(document.getElementById("resDraws").value),
+    sampleSize: Number(document.getElementById("resSampleSize").value),
+    periodsPerYear: Number(document.getElementById("resPeriods").value),
+    seed: Number(document.getElementById("resSeed").value)
+  };
+  const errors = validateResampling(options, state.n);
+  if (errors.length > 0) {
+    throw new Error(`Resampling: ${errors[0].message}`);
+  }
+  return options;
+}
+
+// Cash options in the core's shape; an empty borrowing rate borrows at the risk-free rate.
+function readAllocation(rf) {
+  const targetText = document.getElementById("caTargetVol").value.trim();
+  const borrowText = document.getElementById("caBorrowRate").value.trim();
+  const options = {
+    lendingRate: rf,
+    borrowingRate: borrowText === "" ? rf : Number(borrowText) / 100,
+    targetVol: targetText === "" ? null : Number(targetText) / 100,
+    maxLeverage: Number(document.getElementById("caMaxLeverage").value)
+  };
+  const errors = validateAllocation(options);
+  if (errors.length > 0) {
+    throw new Error(`Cash and leverage: ${errors[0].message}`);
+  }
+  return options;
+}
+
+function formatAmount(v) {
+  return v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function renderTrades(result) {
+  const wrap = document.getElementById("rbTrades");
+  wrap.innerHTML = "";
+  if (!result || !result.trades) {
+    return;
+  }
+
+  const heading = document.createElement("p");
+  heading.className = "corr-diff-title";
+  heading.textContent = `Rebalance: one-way turnover ${pct(result.turnover)}, cost ${pct(result.cost)} of portfolio value. `
+    + `Net-of-cost Sharpe ${result.netSharpe.toFixed(4)} (holdings: ${result.current.sharpe.toFixed(4)}).`;
+  wrap.appendChild(heading);
+
+  const notional = result.trades.some((t) => t.amount !== null);
+  const table = document.createElement("table");
+  table.innerHTML = `<thead><tr><th>Asset</th><th>Trade</th><th>Current</th><th>Target</th><th>Change</th><th>Cost</th>${notional ? "<th>Amount</th><th>Cost Amount</th>" : ""}</tr></thead>`;
+  const tbody = document.createElement("tbody");
+  result.trades.forEach((t) => {
+    const tr = document.createElement("tr");
+    const change = t.side === "hold" ? 0 : t.change;
+    tr.innerHTML = `
+      <td>${escapeHtml(state.names[t.index])}</td>
+      <td>${t.side === "buy" ? "Buy" : t.side === "sell" ? "Sell" : "Hold"}</td>
+      <td>${pct(t.from)}</td>
+      <td>${pct(t.to)}</td>
+      <td>${change > 0 ? "+" : ""}${pct(change)}</td>
+      <td>${pct(t.cost)}</td>
+      ${notional ? `<td>${formatAmount(t.side === "hold" ? 0 : t.amount)}</td><td>${formatAmount(t.costAmount)}</td>` : ""}
+    `;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function renderWeights(result) {
+  const wrap = document.getElementById("weights");
+  wrap.innerHTML = "";
+  // A portfolio picked on the frontier chart, shown next to the optimum.
+  const compare = frontierChart.inspected && frontierChart.inspected.w.length === state.n ? frontierChart.inspected : null;
+
+  for (let i = 0; i < state.n; i += 1) {
+    const wPct = result.w[i] * 100;
+    const hue = (i * 37) % 360;
+
+    const row = document.createElement("div");
+    row.className = "w-row";
+    const band = result.lower
+      ? ` (${Math.round(result.band[0] * 100)}-${Math.round(result.band[1] * 100)}th pct: ${pct(result.lower[i])} to ${pct(result.upper[i])})`
+      : "";
+    const compared = compare ? ` · ${compare.label} ${pct(compare.w[i])}` : "";
+    row.innerHTML = `<span>${escapeHtml(state.names[i])}</span><span>${pct(result.w[i])}${band}${escapeHtml(compared)}</span>`;
+
+    const bar = document.createElement("div");
+    bar.className = "bar";
+
+    const fill = document.createElement("div");
+    fill.className = "fill";
+    fill.style.width = `${Math.max(wPct, 0).toFixed(2)}%`;
+    fill.style.background = `hsl(${hue}deg 58% 42%)`;
+
+    bar.appendChild(fill);
+    if (result.lower) {
+      const lo = clamp(result.lower[i], 0, 1) * 100;
+      const hi = clamp(result.upper[i], 0, 1) * 100;
+      const range = document.createElement("div");
+      range.className = "band";
+      range.style.left = `${lo.toFixed(2)}%`;
+      range.style.width = `${Math.max(hi - lo, 0.5).toFixed(2)}%`;
+      bar.appendChild(range);
+    }
+    if (compare) {
+      const mark = document.createElement("div");
+      mark.className = "compare-mark";
+      mark.style.left = `${(clamp(compare.w[i], 0, 1) * 100).toFixed(2)}%`;
+      bar.appendChild(mark);
+    }
+    wrap.appendChild(row);
+    wrap.appendChild(bar);
+
+    if (result.risk) {
+      const risk = document.createElement("p");
+      risk.className = "w-risk";
+      risk.textContent = `Marginal ${pct(result.risk.marginal[i])} · Component ${pct(result.risk.component[i])} · ${pct(result.risk.percent[i])} of variance`;
+      wrap.appendChild(risk);
+    }
+  }
+
+  if (result.cash !== undefined) {
+    const row = document.createElement("div");
+    row.className = "w-row";
+    row.innerHTML = result.cash < 0
+      ? `<span>Borrowed at ${pct(result.borrowingRate)}</span><span>${pct(result.cash)}</span>`
+      : `<span>Cash at ${pct(result.lendingRate)}</span><span>${pct(result.cash)}</span>`;
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    const fill = document.createElement("div");
+    fill.className = "fill";
+    fill.style.width = `${(clamp(Math.abs(result.cash), 0, 1) * 100).toFixed(2)}%`;
+    fill.style.background = result.cash < 0 ? "#9f1239" : "#78716c";
+    bar.appendChild(fill);
+    wrap.appendChild(row);
+    wrap.appendChild(bar);
+  }
+}
+
+function parseList(text, label) {
+  const values = text.split(/[,;\s]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some((v) => !Number.isFinite(v))) {
+    throw new Error(`${label} must be a comma-separated list of numbers.`);
+  }
+  return values;
+}
+
+function renderVar(result) {
+  const wrap = document.getElementById("varTable");
+  wrap.innerHTML = "";
+  if (!result) {
+    return;
+  }
+
+  let rows;
+  try {
+    const confidences = parseList(document.getElementById("varConfidences").value, "Confidence levels").map((c) => c / 100);
+    const horizons = parseList(document.getElementById("varHorizons").value, "Horizons");
+    rows = parametricVaR(result.ret, result.vol, { confidences, horizons });
+  } catch (err) {
+    const msg = document.createElement("p");
+    msg.className = "corr-diff-title error";
+    msg.textContent = err.message;
+    wrap.appendChild(msg);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Horizon</th><th>Confidence</th><th>Expected P&amp;L</th><th>VaR</th><th>CVaR</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  rows.forEach((r) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${r.horizon} day${r.horizon === 1 ? "" : "s"}</td>
+      <td>${(r.confidence * 100).toFixed(1)}%</td>
+      <td>${pct(r.mean)}</td>
+      <td>${pct(r.var)}</td>
+      <td>${pct(r.cvar)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function readSimulationOptions() {
+  const confidences = parseList(document.getElementById("varConfidences").value, "Confidence levels").map((c) => c / 100);
+  return {
+    horizon: Number(document.getElementById("mcHorizon").value),
+    paths: Number(document.getElementById("mcPaths").value),
+    distribution: document.getElementById("mcDistribution").value,
+    dof: Number(document.getElementById("mcDof").value),
+    seed: Number(document.getElementById("mcSeed").value),
+    lossThreshold: Number(document.getElementById("mcLoss").value) / 100,
+    confidences
+  };
+}
+
+function renderSimulationTable(sim, result) {
+  const wrap = document.getElementById("mcTable");
+  wrap.innerHTML = "";
+  if (!sim) {
+    return;
+  }
+
+  const parametric = parametricVaR(result.ret, result.vol, {
+    confidences: sim.tail.map((t) => t.confidence),
+    horizons: [sim.horizon]
+  });
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Confidence</th><th>Simulated VaR</th><th>Simulated CVaR</th><th>Parametric VaR</th><th>Parametric CVaR</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  sim.tail.forEach((t, k) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${(t.confidence * 100).toFixed(1)}%</td>
+      <td>${pct(t.var)}</td>
+      <td>${pct(t.cvar)}</td>
+      <td>${pct(parametric[k].var)}</td>
+      <td>${pct(parametric[k].cvar)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function drawFanChart(sim) {
+  const canvas = document.getElementById("fanChart");
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width;
+  const H = canvas.height;
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#fffef8";
+  ctx.fillRect(0, 0, W, H);
+  if (!sim) {
+    return;
+  }
+
+  // Day 0 starts every percentile at a zero return.
+  const fan = [{ day: 0, values: sim.percentiles.map(() => 0) }, ...sim.fan];
+  const all = fan.flatMap((f) => f.values);
+  const minY = Math.min(...all);
+  const maxY = Math.max(...all);
+  const padY = (maxY - minY) * 0.06 || 0.01;
+
+  const pad = 34;
+  const xScale = (x) => pad + (x / sim.horizon) * (W - 2 * pad);
+  const yScale = (y) => H - pad - ((y - minY + padY) / (maxY - minY + 2 * padY)) * (H - 2 * pad);
+
+  ctx.strokeStyle = "#b7a88b";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(W - pad, H - pad);
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(pad, pad);
+  ctx.stroke();
+
+  ctx.setLineDash([3, 4]);
+  ctx.beginPath();
+  ctx.moveTo(pad, yScale(0));
+  ctx.lineTo(W - pad, yScale(0));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Bands between matching outer and inner percentiles, widest first.
+  const last = sim.percentiles.length - 1;
+  for (let k = 0; k < last - k; k += 1) {
+    ctx.fillStyle = `rgba(11, 110, 104, ${0.14 + 0.16 * k})`;
+    ctx.beginPath();
+    fan.forEach((f, i) => {
+      if (i === 0) {
+        ctx.moveTo(xScale(f.day), yScale(f.values[k]));
+      } else {
+        ctx.lineTo(xScale(f.day), yScale(f.values[k]));
+      }
+    });
+    for (let i = fan.length - 1; i >= 0; i -= 1) {
+      ctx.lineTo(xScale(fan[i].day), yScale(fan[i].values[last - k]));
+    }
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  const median = sim.percentiles.indexOf(0.5);
+  ctx.strokeStyle = "#0b6e68";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  fan.forEach((f, i) => {
+    if (i === 0) {
+      ctx.moveTo(xScale(f.day), yScale(f.values[median]));
+    } else {
+      ctx.lineTo(xScale(f.day), yScale(f.values[median]));
+    }
+  });
+  ctx.stroke();
+
+  ctx.fillStyle = "#333";
+  ctx.font = "11px Space Grotesk";
+  const end = fan[fan.length - 1];
+  sim.percentiles.forEach((p, k) => {
+    ctx.fillText(`P${Math.round(p * 100)} ${pct(end.values[k])}`, W - pad - 92, yScale(end.values[k]) + 4);
+  });
+  ctx.fillText(pct(maxY), 4, yScale(maxY) + 4);
+  ctx.fillText(pct(minY), 4, yScale(minY) + 4);
+
+  ctx.font = "12px Space Grotesk";
+  ctx.fillText(`Trading days (0 to ${sim.horizon})`, W / 2 - 60, H - 12);
+}
+
+function drawConvergence(convergence) {
+  const canvas = document.getElementById("convergenceChart");
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width;
+  const H = canvas.height;
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#fffef8";
+  ctx.fillRect(0, 0, W, H);
+  if (!convergence || convergence.trace.length === 0) {
+    return;
+  }
+
+  const trace = convergence.trace;
+  const minY = Math.min(...trace);
+  const maxY = Math.max(...trace);
+  const padY = (maxY - minY) * 0.06 || 0.01;
+  const pad = 34;
+  const xScale = (k) => pad + (trace.length > 1 ? k / (trace.length - 1) : 0.5) * (W - 2 * pad);
+  const yScale = (y) => H - pad - ((y - minY + padY) / (maxY - minY + 2 * padY)) * (H - 2 * pad);
+
+  ctx.strokeStyle = "#b7a88b";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(W - pad, H - pad);
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(pad, pad);
+  ctx.stroke();
+
+  ctx.strokeStyle = convergence.converged ? "#0b6e68" : "#b11e1e";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  trace.forEach((y, k) => {
+    if (k === 0) {
+      ctx.moveTo(xScale(k), yScale(y));
+    } else {
+      ctx.lineTo(xScale(k), yScale(y));
+    }
+  });
+  ctx.stroke();
+
+  ctx.fillStyle = "#333";
+  ctx.font = "11px Space Grotesk";
+  ctx.fillText(maxY.toFixed(4), 4, yScale(maxY) - 6);
+  ctx.fillText(minY.toFixed(4), 4, yScale(minY) + 14);
+  ctx.font = "12px Space Grotesk";
+  ctx.fillText(`Iterations (1 to ${trace.length}, ${convergence.stopReason === "step_size" ? "step size below limit" : "iteration limit"})`, W / 2 - 110, H - 10);
+}
+
+// Cash enters the simulation as a riskless asset earning its lending or borrowing rate.
+function withCashAsset(result) {
+  if (result.cash === undefined) {
+    return result;
+  }
+  const rate = result.cash < 0 ? result.borrowingRate : result.lendingRate;
+  return {
+    w: [...result.w, result.cash],
+    mu: [...result.mu, rate],
+    cov: [...result.cov.map((row) => [...row, 0]), new Array(result.cov.length + 1).fill(0)]
+  };
+}
+
+const simulationRunner = createJobRunner("simulate");
+
+function simulationFailed(message) {
+  const summaryEl = document.getElementById("mcSummary");
+  summaryEl.textContent = message;
+  summaryEl.classList.add("error");
+  renderSimulationTable(null);
+  drawFanChart(null);
+}
+
+function runSimulation() {
+  const summaryEl = document.getElementById("mcSummary");
+  const result = state.lastResult;
+  summaryEl.classList.remove("error");
+  if (!result) {
+    simulationRunner.cancel();
+    return;
+  }
+
+  let job;
+  try {
+    const { w, mu, cov } = withCashAsset(result);
+    job = { w, mu, cov, options: readSimulationOptions() };
+  } catch (err) {
+    simulationRunner.cancel();
+    simulationFailed(err.message);
+    return;
+  }
+
+  summaryEl.textContent = "Simulating...";
+  simulationRunner.run(job).then((reply) => {
+    if (!reply) {
+      return;
+    }
+    if (reply.error) {
+      simulationFailed(reply.error.message);
+      return;
+    }
+    const sim = reply.output;
+    const label = sim.distribution === "student_t" ? "Student-t" : "normal";
+    summaryEl.textContent = `${sim.paths} ${label} paths over ${sim.horizon} days: mean ${pct(sim.mean)}, `
+      + `volatility ${pct(sim.vol)}, P(loss > ${pct(sim.lossThreshold)}) = ${pct(sim.probLoss)}.`;
+    renderSimulationTable(sim, result);
+    drawFanChart(sim);
+  });
+}
+
+function syncNameLabels() {
+  document.querySelectorAll(".asset-name-in").forEach((el) => {
+    const i = Number(el.dataset.i);
+    el.textContent = state.names[i];
+  });
+
+  document.querySelectorAll(".corr-label.col").forEach((el) => {
+    const i = Number(el.dataset.i);
+    el.textContent = shortName(state.names[i]);
+  });
+
+  document.querySelectorAll(".corr-label.row").forEach((el) => {
+    const i = Number(el.dataset.i);
+    el.textContent = shortName(state.names[i]);
+  });
+
+  document.querySelectorAll(".corr-input").forEach((el) => {
+    const i = Number(el.dataset.i);
+    const j = Number(el.dataset.j);
+    el.ariaLabel = `Correlation ${state.names[i]} with ${state.names[j]}`;
+  });
+
+  renderCorrFocus();
+  renderCorrBulk();
+  renderGroups();
+  renderBlackLitterman();
+  renderRebalance();
+
+  if (state.lastResult) {
+    renderWeights(state.lastResult);
+  }
+}
+
+function readInputs() {
+  const n = state.n;
+  const mu = new Array(n);
+  const vol = new Array(n);
+  const corr = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i += 1) {
+    const muVal = state.muPct[i];
+    const volVal = state.volPct[i];
+
+    if (!Number.isFinite(muVal) || !Number.isFinite(volVal)) {
+      throw new Error(`Invalid expected return or volatility for ${state.names[i]}.`);
+    }
+
+    if (volVal <= 0) {
+      throw new Error(`Volatility must be > 0 for ${state.names[i]}.`);
+    }
+
+    mu[i] = muVal / 100;
+    vol[i] = volVal / 100;
+  }
+
+  for (let i = 0; i < n; i += 1) {
+    for (let j = 0; j < n; j += 1) {
+      if (i === j) {
+        corr[i][j] = 1;
+        continue;
+      }
+
+      if (j < i) {
+        corr[i][j] = corr[j][i];
+        continue;
+      }
+
+      const v = state.corr[i][j];
+      if (!Number.isFinite(v) || v < -1 || v > 1) {
+        throw new Error(`Correlation between ${state.names[i]} and ${state.names[j]} must be between -1 and 1.`);
+      }
+
+      corr[i][j] = v;
+      corr[j][i] = v;
+    }
+  }
+
+  const rf = Number(document.getElementById("rf").value) / 100;
+  if (!Number.isFinite(rf)) {
+    throw new Error("Invalid risk-free rate.");
+  }
+
+  return { mu, vol, corr, cov: buildCov(vol, corr), rf, limits: readLimits() };
+}
+
+function readLimits() {
+  for (let i = 0; i < state.n; i += 1) {
+    const lo = state.minPct[i];
+    const hi = state.maxPct[i];
+    if (!Number.isFinite(lo) || !Number.isFinite(hi) || lo < 0 || hi > 100 || lo > hi) {
+      throw new Error(`Weight bounds for ${state.names[i]} must satisfy 0 <= min <= max <= 100.`);
+    }
+  }
+
+  const groups = state.groups.map((g) => {
+    if (g.members.length === 0) {
+      throw new Error(`Group "${g.name}" has no member assets.`);
+    }
+    if (!Number.isFinite(g.minPct) || !Number.isFinite(g.maxPct) || g.minPct < 0 || g.maxPct > 100 || g.minPct > g.maxPct) {
+      throw new Error(`Group "${g.name}" bounds must satisfy 0 <= min <= max <= 100.`);
+    }
+    return { name: g.name, members: g.members.slice(), min: g.minPct / 100, max: g.maxPct / 100 };
+  });
+
+  return {
+    lower: state.minPct.map((v) => v / 100),
+    upper: state.maxPct.map((v) => v / 100),
+    groups
+  };
+}
+
+// Frontier chart state: what was last drawn, the visible data window (`home` is the
+// full extent, `view` follows zoom and pan), the hoverable points in pixels, the hovered
+// point, a drag in progress and the point whose weights are compared with the optimum.
+const frontierChart = {
+  data: null,
+  home: null,
+  view: null,
+  targets: [],
+  hover: null,
+  drag: null,
+  inspected: null
+};
+const FRONTIER_PAD = { left: 56, right: 18, top: 16, bottom: 40 };
+const FRONTIER_HIT_RADIUS = 8;
+
+// Round tick values between lo and hi, about `count` of them, spaced 1, 2 or 5 x 10^k.
+function niceTicks(lo, hi, count) {
+  const raw = (hi - lo) / Math.max(count, 1);
+  if (!(raw > 0)) {
+    return { ticks: [lo], step: 0 };
+  }
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) {
+    ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  }
+  return { ticks, step };
+}
+
+function tickLabel(v, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step * 100) + 1e-9));
+  return `${(v * 100).toFixed(decimals)}%`;
+}
+
+// Drawing commands for the canvas, in canvas pixels.
+function canvasPainter(ctx) {
+  return {
+    rect(x, y, w, h, fill) {
+      ctx.fillStyle = fill;
+      ctx.fillRect(x, y, w, h);
+    },
+    line(points, { color, width = 1, dash = [] }) {
+      if (points.length < 2) {
+        return;
+      }
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      points.forEach(([x, y], k) => {
+        if (k === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    },
+    circle(x, y, r, { fill, stroke }) {
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, 2 * Math.PI);
+      if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fill();
+      }
+      if (stroke) {
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    },
+    text(str, x, y, { color = "#333", size = 11, align = "left", rotate = false }) {
+      ctx.save();
+      ctx.fillStyle = color;
+      ctx.font = `${size}px Space Grotesk`;
+      ctx.textAlign = align;
+      ctx.translate(x, y);
+      if (rotate) {
+        ctx.rotate(-Math.PI / 2);
+      }
+      ctx.fillText(str, 0, 0);
+      ctx.restore();
+    },
+    clip(x, y, w, h) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      ctx.clip();
+    },
+    unclip() {
+      ctx.restore();
+    }
+  };
+}
+
+// The same commands collected as SVG elements; `markup(W, H)` returns the document.
+function svgPainter() {
+  const parts = [];
+  let clips = 0;
+  const num = (v) => Number(v.toFixed(2));
+  return {
+    rect(x, y, w, h, fill) {
+      parts.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${fill}"/>`);
+    },
+    line(points, { color, width = 1, dash = [] }) {
+      if (points.length < 2) {
+        return;
+      }
+      const d = points.map(([x, y], k) => `${k === 0 ? "M" : "L"}${num(x)} ${num(y)}`).join(" ");
+      const dashAttr = dash.length > 0 ? ` stroke-dasharray="${dash.join(" ")}"` : "";
+      parts.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${width}"${dashAttr}/>`);
+    },
+    circle(x, y, r, { fill, stroke }) {
+      const strokeAttr = stroke ? ` stroke="${stroke}" stroke-width="2"` : "";
+      parts.push(`<circle cx="${num(x)}" cy="${num(y)}" r="${r}" fill="${fill || "none"}"${strokeAttr}/>`);
+    },
+    text(str, x, y, { color = "#333", size = 11, align = "left", rotate = false }) {
+      const anchor = { left: "start", center: "middle", right: "end" }[align];
+      const transform = rotate ? ` transform="rotate(-90 ${num(x)} ${num(y)})"` : "";
+      parts.push(`<text x="${num(x)}" y="${num(y)}" fill="${color}" font-size="${size}" text-anchor="${anchor}"${transform}>${escapeHtml(str)}</text>`);
+    },
+    clip(x, y, w, h) {
+      clips += 1;
+      parts.push(`<clipPath id="clip${clips}"><rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"/></clipPath><g clip-path="url(#clip${clips})">`);
+    },
+    unclip() {
+      parts.push("</g>");
+    },
+    markup(W, H) {
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="Space Grotesk, sans-serif">${parts.join("")}</svg>`;
+    }
+  };
+}
+
+// Full extent of the chart data: the frontier, the assets and the marked portfolios.
+function frontierExtent(data) {
+  const points = [...data.curve, ...data.assets, data.gmv, ...data.marked];
+  const rets = [...points.map((p) => p.ret), data.rf];
+  const minY = Math.min(...rets);
+  const maxY = Math.max(...rets);
+  const padY = (maxY - minY) * 0.06 || 0.01;
+  return { minX: 0, maxX: Math.max(...points.map((p) => p.vol)) * 1.05, minY: minY - padY, maxY: maxY + padY };
+}
+
+function frontierScales(W, H) {
+  const { view } = frontierChart;
+  const plotW = W - FRONTIER_PAD.left - FRONTIER_PAD.right;
+  const plotH = H - FRONTIER_PAD.top - FRONTIER_PAD.bottom;
+  return {
+    plotW,
+    plotH,
+    xScale: (x) => FRONTIER_PAD.left + ((x - view.minX) / (view.maxX - view.minX)) * plotW,
+    yScale: (y) => FRONTIER_PAD.top + plotH - ((y - view.minY) / (view.maxY - view.minY)) * plotH,
+    xValue: (px) => view.minX + ((px - FRONTIER_PAD.left) / plotW) * (view.maxX - view.minX),
+    yValue: (py) => view.minY + ((FRONTIER_PAD.top + plotH - py) / plotH) * (view.maxY - view.minY)
+  };
+}
+
+// Draws the chart with `painter` on a W x H surface and returns the hoverable points
+// with their pixel positions.
+function paintFrontier(painter, W, H) {
+  const data = frontierChart.data;
+  const { view, home } = frontierChart;
+  const { plotW, plotH, xScale, yScale } = frontierScales(W, H);
+  const { left, top } = FRONTIER_PAD;
+  const targets = [];
+
+  painter.rect(0, 0, W, H, "#fffef8");
+
+  const xTicks = niceTicks(view.minX, view.maxX, 6);
+  const yTicks = niceTicks(view.minY, view.maxY, 5);
+  xTicks.ticks.forEach((v) => {
+    painter.line([[xScale(v), top], [xScale(v), top + plotH]], { color: "#efe6d4" });
+    painter.text(tickLabel(v, xTicks.step), xScale(v), top + plotH + 15, { align: "center" });
+  });
+  yTicks.ticks.forEach((v) => {
+    painter.line([[left, yScale(v)], [left + plotW, yScale(v)]], { color: "#efe6d4" });
+    painter.text(tickLabel(v, yTicks.step), left - 6, yScale(v) + 4, { align: "right" });
+  });
+  painter.line([[left, top], [left, top + plotH], [left + plotW, top + plotH]], { color: "#b7a88b" });
+
+  painter.clip(left, top, plotW, plotH);
+  const farX = Math.max(view.maxX, home.maxX) * 2;
+  const cml = { color: "rgba(224, 122, 47, 0.75)", width: 1.5, dash: [6, 4] };
+  const { tangency, borrowing, rf } = data;
+  if (borrowing) {
+    // Lending line up to its tangency portfolio, borrowing line beyond the other one.
+    const { borrow, borrowingRate } = borrowing;
+    painter.line([[xScale(0), yScale(rf)], [xScale(tangency.vol), yScale(tangency.ret)]], cml);
+    painter.line([[xScale(borrow.vol), yScale(borrow.ret)], [xScale(farX), yScale(borrowingRate + borrow.sharpe * farX)]], cml);
+  } else if (tangency && Number.isFinite(tangency.sharpe)) {
+    painter.line([[xScale(0), yScale(rf)], [xScale(farX), yScale(rf + tangency.sharpe * farX)]], cml);
+  }
+
+  const { curve, gmv } = data;
+  const segment = (points) => points.map((p) => [xScale(p.vol), yScale(p.ret)]);
+  painter.line(segment([...curve.filter((p) => p.ret <= gmv.ret), gmv]), { color: "#0b6e68", width: 2, dash: [3, 4] });
+  painter.line(segment([gmv, ...curve.filter((p) => p.ret >= gmv.ret)]), { color: "#0b6e68", width: 2 });
+  curve.forEach((p) => targets.push({ ...p, label: "Frontier", x: xScale(p.vol), y: yScale(p.ret) }));
+
+  const mark = (p, label, color, r, dx, dy) => {
+    painter.circle(xScale(p.vol), yScale(p.ret), r, { fill: color });
+    painter.text(label, xScale(p.vol) + dx, yScale(p.ret) + dy, {});
+    targets.push({ ...p, label, x: xScale(p.vol), y: yScale(p.ret) });
+  };
+  data.assets.forEach((p, i) => mark(p, shortName(state.names[i]), `hsl(${(i * 37) % 360}deg 58% 42%)`, 3.5, 6, 4));
+  mark(gmv, "Min Variance", "#455a64", 4.5, 7, 14);
+  if (tangency) {
+    mark(tangency, "Tangency", "#e07a2f", 5, 8, -6);
+  }
+  if (borrowing) {
+    mark(borrowing.borrow, "Borrowing Tangency", "#b45309", 4.5, 8, 14);
+  }
+  if (data.objective !== "max_sharpe" || data.optimumLabel) {
+    mark(data.optimum, data.optimumLabel || OBJECTIVE_LABELS[data.objective], "#7b2d8e", 5, 8, -6);
+  }
+  if (frontierChart.inspected) {
+    const p = frontierChart.inspected;
+    painter.circle(xScale(p.vol), yScale(p.ret), 7, { stroke: "#1e1f1c" });
+  }
+  painter.unclip();
+
+  painter.text("Volatility", left + plotW / 2, H - 8, { size: 12, align: "center" });
+  painter.text("Expected Return", 14, top + plotH / 2, { size: 12, align: "center", rotate: true });
+  return targets;
+}
+
+function redrawFrontier() {
+  const canvas = document.getElementById("frontier");
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!frontierChart.data) {
+    frontierChart.targets = [];
+    return;
+  }
+  const painter = canvasPainter(ctx);
+  frontierChart.targets = paintFrontier(painter, canvas.width, canvas.height);
+  if (frontierChart.hover) {
+    painter.circle(frontierChart.hover.x, frontierChart.hover.y, 6, { stroke: "#0b6e68" });
+  }
+}
+
+function drawFrontier(mu, cov, rf, { frontier, optimum, tangency, objective, optimumLabel, borrowing }) {
+  const marked = [optimum, ...(tangency ? [tangency] : []), ...(borrowing ? [borrowing.borrow] : [])];
+  frontierChart.data = {
+    rf,
+    assets: assetPoints(mu, cov, rf),
+    marked,
+    gmv: frontier.gmv,
+    curve: frontier.curve,
+    optimum,
+    tangency,
+    objective,
+    optimumLabel,
+    borrowing
+  };
+  frontierChart.home = frontierExtent(frontierChart.data);
+  frontierChart.view = { ...frontierChart.home };
+  frontierChart.hover = null;
+  hideFrontierTip();
+  redrawFrontier();
+}
+
+// Canvas pixel coordinates of a mouse event; the canvas is scaled to the card width.
+function canvasPoint(evt) {
+  const canvas = document.getElementById("frontier");
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((evt.clientX - rect.left) / (rect.width || canvas.width)) * canvas.width,
+    y: ((evt.clientY - rect.top) / (rect.height || canvas.height)) * canvas.height
+  };
+}
+
+// Closest point within the hit radius; marked portfolios win over the frontier samples
+// they sit on.
+function nearestTarget(pt) {
+  let best = null;
+  let bestDist = FRONTIER_HIT_RADIUS;
+  frontierChart.targets.forEach((t) => {
+    const dist = Math.hypot(t.x - pt.x, t.y - pt.y);
+    const rank = t.label === "Frontier" ? dist : dist - FRONTIER_HIT_RADIUS / 2;
+    if (dist <= FRONTIER_HIT_RADIUS && rank <= bestDist) {
+      best = t;
+      bestDist = rank;
+    }
+  });
+  return best;
+}
+
+// Largest weights first, at most eight, with the count of the others.
+function describeWeights(w) {
+  const order = w.map((x, i) => i).filter((i) => Math.abs(w[i]) > 5e-5).sort((a, b) => Math.abs(w[b]) - Math.abs(w[a]));
+  const lines = order.slice(0, 8).map((i) => `${shortName(state.names[i])} ${pct(w[i])}`);
+  if (order.length > 8) {
+    lines.push(`+${order.length - 8} more`);
+  }
+  return lines;
+}
+
+function hideFrontierTip() {
+  document.getElementById("frontierTip").hidden = true;
+}
+
+function showFrontierTip(target) {
+  const tip = document.getElementById("frontierTip");
+  const canvas = document.getElementById("frontier");
+  const width = canvas.getBoundingClientRect().width || canvas.width;
+  const scale = width / canvas.width;
+  const sharpe = Number.isFinite(target.sharpe) ? target.sharpe.toFixed(3) : "n/a";
+  tip.innerHTML = `<strong>${escapeHtml(target.label)}</strong>`
+    + `<span>Return ${pct(target.ret)} · Vol ${pct(target.vol)} · Sharpe ${sharpe}</span>`
+    + describeWeights(target.w).map((line) => `<span>${escapeHtml(line)}</span>`).join("");
+  // Past the middle of the chart the tooltip opens to the left of the point.
+  const x = Math.round(target.x * scale);
+  tip.style.left = x > width / 2 ? "auto" : `${x + 12}px`;
+  tip.style.right = x > width / 2 ? `${Math.round(width - x) + 12}px` : "auto";
+  tip.style.top = `${Math.round(target.y * scale) + 12}px`;
+  tip.hidden = false;
+}
+
+function renderInspectNote() {
+  const p = frontierChart.inspected;
+  document.getElementById("inspectNote").hidden = !p;
+  if (p) {
+    const sharpe = Number.isFinite(p.sharpe) ? p.sharpe.toFixed(3) : "n/a";
+    document.getElementById("inspectText").textContent = `Comparing with ${p.label} (return ${pct(p.ret)}, volatility ${pct(p.vol)}, Sharpe ${sharpe}): its weights are the dark markers.`;
+  }
+}
+
+function inspectPoint(target) {
+  frontierChart.inspected = target;
+  renderInspectNote();
+  if (state.lastResult) {
+    renderWeights(state.lastResult);
+  }
+  redrawFrontier();
+}
+
+function setFrontierView(view) {
+  frontierChart.view = view;
+  frontierChart.hover = null;
+  hideFrontierTip();
+  redrawFrontier();
+}
+
+function downloadUrl(url, filename) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function exportFrontier(format) {
+  if (!frontierChart.data) {
+    return;
+  }
+  const canvas = document.getElementById("frontier");
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "png") {
+    frontierChart.hover = null;
+    hideFrontierTip();
+    redrawFrontier();
+    downloadUrl(canvas.toDataURL("image/png"), `efficient-frontier-${stamp}.png`);
+    return;
+  }
+  const painter = svgPainter();
+  paintFrontier(painter, canvas.width, canvas.height);
+  const url = URL.createObjectURL(new Blob([painter.markup(canvas.width, canvas.height)], { type: "image/svg+xml" }));
+  downloadUrl(url, `efficient-frontier-${stamp}.svg`);
+  URL.revokeObjectURL(url);
+}
+
+function setSensitivityStatus(message, isError) {
+  const statusEl = document.getElementById("sensStatus");
+  statusEl.textContent = message;
+  statusEl.className = isError ? "import-status error" : "import-status";
+}
+
+function sensitivityLabel(row, names) {
+  if (row.kind === "corr") {
+    return `Corr ${shortName(names[row.i])} / ${shortName(names[row.j])}`;
+  }
+  return `${row.kind === "mu" ? "Return" : "Vol"} ${shortName(names[row.i])}`;
+}
+
+// The metric select lists the Sharpe ratio and each asset's weight, keeping the current choice.
+function renderSensitivityMetrics(names) {
+  const select = document.getElementById("sensMetric");
+  const current = select.value;
+  select.innerHTML = '<option value="sharpe">Sharpe Ratio</option>'
+    + names.map((name, i) => `<option value="${i}">Weight of ${escapeHtml(shortName(name))}</option>`).join("");
+  select.value = current === "sharpe" || Number(current) < names.length ? current : "sharpe";
+}
+
+function drawTornado(sens) {
+  const canvas = document.getElementById("tornadoChart");
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width;
+  const H = canvas.height;
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#fffef8";
+  ctx.fillRect(0, 0, W, H);
+  if (!sens) {
+    return;
+  }
+
+  const metric = document.getElementById("sensMetric").value;
+  const top = clamp(Math.round(Number(document.getElementById("sensTop").value)) || 10, 1, 30);
+  const value = (point) => (metric === "sharpe" ? point.sharpe : point.w[Number(metric)]);
+  const format = (d) => {
+    const sign = d > 0 ? "+" : "";
+    return metric === "sharpe" ? `${sign}${d.toFixed(3)}` : `${sign}${(d * 100).toFixed(2)}pp`;
+  };
+  const base = value(sens.base);
+
+  const bars = sens.rows
+    .filter((row) => row.down || row.up)
+    .map((row) => {
+      const down = row.down ? value(row.down) - base : 0;
+      const up = row.up ? value(row.up) - base : 0;
+      return { label: sensitivityLabel(row, sens.names), down, up, swing: Math.max(Math.abs(down), Math.abs(up)) };
+    })
+    .sort((a, b) => b.swing - a.swing)
+    .slice(0, top);
+
+  const labelWidth = 170;
+  const pad = 34;
+  const maxAbs = Math.max(...bars.map((b) => b.swing), 1e-9);
+  const mid = labelWidth + (W - labelWidth - pad) / 2;
+  const half = (W - labelWidth - pad) / 2 - 10;
+  const xScale = (d) => mid + (d / maxAbs) * half;
+  const rowH = Math.min(26, (H - 2 * pad) / Math.max(bars.length, 1));
+
+  ctx.strokeStyle = "#b7a88b";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(mid, pad - 6);
+  ctx.lineTo(mid, pad + rowH * bars.length + 6);
+  ctx.stroke();
+
+  ctx.font = "11px Space Grotesk";
+  bars.forEach((b, k) => {
+    const y = pad + k * rowH;
+    const barH = rowH * 0.36;
+    [
+      { d: b.down, color: "#e07a2f", offset: 0 },
+      { d: b.up, color: "#0b6e68", offset: barH }
+    ].forEach(({ d, color, offset }) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.min(mid, xScale(d)), y + rowH * 0.12 + offset, Math.abs(xScale(d) - mid), barH);
+    });
+    ctx.fillStyle = "#333";
+    ctx.fillText(b.label, 8, y + rowH * 0.6);
+  });
+
   ctx.fillStyle = "#e07a2f";
+  ctx.fillRect(labelWidth, H - 22, 10, 3);
+  ctx.fillText("Bump down", labelWidth + 16, H - 17);
+  ctx.fillStyle = "#0b6e68";
+  ctx.fillRect(labelWidth + 96, H - 22, 10, 3);
+  ctx.fillText("Bump up", labelWidth + 112, H - 17);
+  ctx.fillStyle = "#333";
+  ctx.fillText(format(-maxAbs), mid - half, pad - 12);
+  ctx.fillText(format(maxAbs), mid + half - 40, pad - 12);
+  const baseText = metric === "sharpe" ? base.toFixed(3) : pct(base);
+  ctx.fillText(`Change from base ${baseText}`, mid - 50, pad - 12);
+}
+
+// Each asset adds a return, a volatility and a row of correlations to bump, and every
+// bump is a full re-solve, so the sweep grows with the square of the asset count.
+const SENSITIVITY_MAX_ASSETS = 60;
+const sensitivityRunner = createJobRunner("sensitivity", (progress) => renderProgress("sensProgress", progress));
+
+function sensitivityFailed(message) {
+  state.lastSensitivity = null;
+  drawTornado(null);
+  setSensitivityStatus(message || "Sensitivity analysis failed.", true);
+}
+
+function cancelSensitivity() {
+  sensitivityRunner.cancel();
+  renderProgress("sensProgress", null);
+}
+
+function runSensitivity() {
+  cancelSensitivity();
+  if (state.n > SENSITIVITY_MAX_ASSETS) {
+    sensitivityFailed(`Sensitivity analysis is limited to ${SENSITIVITY_MAX_ASSETS} assets; this scenario has ${state.n}.`);
+    return;
+  }
+
+  let job;
+  try {
+    const { mu, vol, corr, rf, limits } = readInputs();
+    const options = {
+      mode: document.getElementById("mode").value,
+      objective: document.getElementById("objective").value,
+      iterations: Number(document.getElementById("iters").value),
+      target: Number(document.getElementById("target").value) / 100,
+      limits
+    };
+    const bumps = {
+      mu: Number(document.getElementById("sensMuBump").value) / 100,
+      vol: Number(document.getElementById("sensVolBump").value) / 100,
+      corr: Number(document.getElementById("sensCorrBump").value)
+    };
+    job = { mu, vol, corr, rf, options, bumps };
+  } catch (err) {
+    sensitivityFailed(err.message);
+    return;
+  }
+
+  const names = state.names.slice();
+  setSensitivityStatus("", false);
+  renderProgress("sensProgress", { stage: "Re-solving inputs", done: 0, total: 0 });
+  sensitivityRunner.run(job).then((reply) => {
+    if (!reply) {
+      return;
+    }
+    renderProgress("sensProgress", null);
+    if (reply.error) {
+      const hint = (reply.error.fields || []).some((f) => f.field === "corr") ? ` ${CORR_REPAIR_HINT}` : "";
+      sensitivityFailed(`${reply.error.message || "Sensitivity analysis failed."}${hint}`);
+      return;
+    }
+
+    const sens = { ...reply.output, names };
+    state.lastSensitivity = sens;
+    renderSensitivityMetrics(sens.names);
+    drawTornado(sens);
+    const skipped = sens.rows.reduce((acc, row) => acc + (row.down ? 0 : 1) + (row.up ? 0 : 1), 0);
+    const notes = [`Re-solved ${sens.rows.length} inputs in both directions.`];
+    if (skipped > 0) {
+      notes.push(`${skipped} bumps were skipped (at a bound, an invalid correlation matrix or an infeasible objective).`);
+    }
+    setSensitivityStatus(notes.join(" "), false);
+  });
+}
+
+function describeAllocation(result) {
+  let text;
+  if (result.segment === "frontier") {
+    text = "Fully invested frontier portfolio: the target lies between the lending and borrowing tangency portfolios.";
+  } else if (result.cash < 0) {
+    text = `${pct(result.exposure)} in the tangency portfolio at the borrowing rate, ${pct(-result.cash)} borrowed at ${pct(result.borrowingRate)}.`;
+  } else {
+    text = `${pct(result.exposure)} in the tangency portfolio, ${pct(result.cash)} in cash at ${pct(result.lendingRate)}.`;
+  }
+  return [text, ...result.warnings].join(" ");
+}
+
+function describeObjective(result, objective, target) {
+  if (result.segment) {
+    return describeAllocation(result);
+  }
+  if (result.trades) {
+    return "Net of transaction costs, starting from current holdings.";
+  }
+  if (result.band) {
+    const failed = result.failed > 0 ? ` (${result.failed} failed)` : "";
+    return `Average of ${result.draws} resampled optimizations${failed}; outlined bands span the ${Math.round(result.band[0] * 100)}th-${Math.round(result.band[1] * 100)}th percentile weights.`;
+  }
+  switch (objective) {
+    case "target_return":
+      return `Minimum volatility at a ${pct(target)} target return.`;
+    case "target_vol":
+      return result.vol < target - 1e-6
+        ? `Target volatility ${pct(target)} is above the frontier's reach; showing its highest-return point.`
+        : `Highest return at a ${pct(target)} target volatility.`;
+    case "risk_parity":
+      return `Each asset contributes ${pct(1 / result.w.length)} of portfolio variance.`;
+    case "max_diversification":
+      return `Diversification ratio ${result.diversificationRatio.toFixed(3)}.`;
+    case "min_variance":
+      return "Global minimum-variance portfolio.";
+    default:
+      return "";
+  }
+}
+
+// Jobs run in worker.js when the browser allows it (not from file:// pages in every
+// browser), otherwise on the page. Each kind of job has its own runner and worker, so a
+// simulation does not cancel an optimization. Starting a job cancels the runner's job in
+// progress, terminating a busy worker, and replies from older jobs are ignored.
+const RECALC_DELAY_MS = 400;
+let workersAvailable = typeof Worker === "function";
+let recalcTimer = null;
+
+// `run(job)` returns a promise of { output } or { error: { message, fields } }, or of
+// null when the job is cancelled or superseded. `onProgress`, when given, receives the
+// job's { stage, done, total } reports.
+function createJobRunner(task, onProgress) {
+  const runner = {
+    worker: null,
+    busy: false,
+    runId: 0,
+    job: null,
+    settle: null
+  };
+
+  function settle(reply) {
+    const resolve = runner.settle;
+    runner.settle = null;
+    if (resolve) {
+      resolve(reply);
+    }
+  }
+
+  function runOnPage(job) {
+    try {
+      settle({ output: runJob(task, job, onProgress) });
+    } catch (err) {
+      settle({ error: { message: err.message, fields: err.fields || [] } });
+    }
+  }
+
+  function startWorker() {
+    if (runner.worker || !workersAvailable) {
+      return runner.worker;
+    }
+    try {
+      runner.worker = new Worker("worker.js");
+    } catch (err) {
+      workersAvailable = false;
+      return null;
+    }
+
+    runner.worker.onmessage = (evt) => {
+      const msg = evt.data;
+      if (msg.id !== runner.runId) {
+        return;
+      }
+      if (msg.type === "progress") {
+        if (onProgress) {
+          onProgress(msg);
+        }
+        return;
+      }
+      runner.busy = false;
+      settle(msg.type === "done" ? { output: msg.output } : { error: { message: msg.message, fields: msg.fields } });
+    };
+    // The worker script could not load; run this job and later ones on the page.
+    runner.worker.onerror = (evt) => {
+      evt.preventDefault();
+      runner.worker.terminate();
+      runner.worker = null;
+      workersAvailable = false;
+      runner.busy = false;
+      runOnPage(runner.job);
+    };
+    return runner.worker;
+  }
+
+  function cancel() {
+    if (runner.busy) {
+      runner.worker.terminate();
+      runner.worker = null;
+      runner.busy = false;
+    }
+    settle(null);
+  }
+
+  function run(job) {
+    cancel();
+    runner.runId += 1;
+    runner.job = job;
+    const done = new Promise((resolve) => {
+      runner.settle = resolve;
+    });
+    const worker = startWorker();
+    if (worker) {
+      runner.busy = true;
+      worker.postMessage({ id: runner.runId, task, job });
+    } else {
+      runOnPage(job);
+    }
+    return done;
+  }
+
+  return { run, cancel };
+}
+
+function readOptimizationJob() {
+  const { mu, vol, corr, rf, limits } = readInputs();
+  const objective = document.getElementById("objective").value;
+  const rebalancing = document.getElementById("rbEnabled").checked;
+  const resampling = document.getElementById("resEnabled").checked;
+  const allocating = document.getElementById("caEnabled").checked;
+  const modifiers = [
+    [rebalancing, "Rebalancing"],
+    [resampling, "Resampling"],
+    [allocating, "Cash allocation"]
+  ].filter(([on]) => on).map(([, label]) => label);
+  if (modifiers.length > 0 && objective !== "max_sharpe") {
+    throw new Error(`${modifiers[0]} maximizes Sharpe; choose the Max Sharpe objective.`);
+  }
+  if (modifiers.length > 1) {
+    throw new Error(`${modifiers[0]} and ${modifiers[1].toLowerCase()} cannot be combined; turn one of them off.`);
+  }
+
+  return {
+    mu,
+    vol,
+    corr,
+    rf,
+    limits,
+    mode: document.getElementById("mode").value,
+    objective,
+    iterations: Number(document.getElementById("iters").value),
+    target: Number(document.getElementById("target").value) / 100,
+    blackLitterman: document.getElementById("blEnabled").checked ? readBlackLitterman() : null,
+    rebalance: rebalancing ? readRebalance() : null,
+    resampling: resampling ? readResampling() : null,
+    allocation: allocating ? readAllocation(rf) : null
+  };
+}
+
+// Shows a job's { stage, done, total } report in the #<id> progress block (#<id>Bar,
+// #<id>Label), or hides the block when `progress` is null.
+function renderProgress(id, progress) {
+  const bar = document.getElementById(`${id}Bar`);
+  document.getElementById(id).hidden = !progress;
+  if (!progress) {
+    return;
+  }
+  if (progress.total > 0) {
+    bar.max = progress.total;
+    bar.value = progress.done;
+  } else {
+    bar.removeAttribute("value");
+  }
+  document.getElementById(`${id}Label`).textContent = progress.total > 0
+    ? `${progress.stage} (${progress.done} of ${progress.total})`
+    : `${progress.stage}...`;
+}
+
+function showProgress(progress) {
+  renderProgress("progress", progress);
+}
+
+const optimizationRunner = createJobRunner("optimize", showProgress);
+
+function scheduleOptimization() {
+  clearTimeout(recalcTimer);
+  recalcTimer = setTimeout(runOptimization, RECALC_DELAY_MS);
+}
+
+function cancelOptimization() {
+  clearTimeout(recalcTimer);
+  optimizationRunner.cancel();
+  showProgress(null);
+}
+
+function optimizationFailed(message, fields) {
+  const hint = (fields || []).some((f) => f.field === "corr") ? ` ${CORR_REPAIR_HINT}` : "";
+  document.getElementById("error").textContent = `${message || "Optimization failed."}${hint}`;
+}
+
+// Starts an optimization of the current inputs, cancelling any run still in progress.
+// Returns a promise of the new state.lastResult, or null when the run fails, is
+// cancelled or is superseded.
+function runOptimization() {
+  cancelOptimization();
+  document.getElementById("error").textContent = "";
+
+  let job;
+  try {
+    job = readOptimizationJob();
+  } catch (err) {
+    optimizationFailed(err.message);
+    return Promise.resolve(null);
+  }
+
+  showProgress({ stage: "Optimizing", done: 0, total: 0 });
+  return optimizationRunner.run(job).then((reply) => {
+    // A cancelled or superseded run leaves the progress bar to whatever replaced it.
+    if (!reply) {
+      return null;
+    }
+    showProgress(null);
+    if (reply.error) {
+      optimizationFailed(reply.error.message, reply.error.fields);
+      return null;
+    }
+    renderOptimization(job, reply.output);
+    return state.lastResult;
+  });
+}
+
+function renderOptimization(job, output) {
+  const { mode, objective, target, rf } = job;
+  const { mu, cov, bl, result, tangency, risk, frontier } = output;
+  const rebalancing = Boolean(job.rebalance);
+  const resampling = Boolean(job.resampling);
+  const allocating = Boolean(job.allocation);
+
+  try {
+    state.lastResult = { ...result, mode, objective, mu, cov, risk };
+    frontierChart.inspected = null;
+    renderInspectNote();
+    document.getElementById("outReturn").textContent = pct(result.ret);
+    document.getElementById("outVol").textContent = pct(result.vol);
+    document.getElementById("outSharpe").textContent = result.sharpe.toFixed(4);
+    const detail = describeObjective(result, objective, target);
+    document.getElementById("outObjective").textContent = detail
+      ? `${OBJECTIVE_LABELS[objective]}: ${detail}`
+      : OBJECTIVE_LABELS[objective];
+
+    renderWeights(state.lastResult);
+    renderVar(state.lastResult);
+    renderBinding(result, mode);
+    renderConvergence(result);
+    renderBlCompare(bl);
+    renderTrades(result);
+    const optimumLabel = rebalancing ? "Rebalanced" : resampling ? "Resampled" : allocating ? "With Cash" : null;
+    drawFrontier(mu, cov, rf, {
+      frontier,
+      optimum: result,
+      tangency,
+      objective,
+      optimumLabel,
+      borrowing: allocating && result.borrowingRate > result.lendingRate ? result : null
+    });
+    runSimulation();
+  } catch (err) {
+    optimizationFailed(err.message);
+  }
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function applyEstimates(est) {
+  const n = est.names.length;
+  if (n < MIN_ASSETS || n > MAX_ASSETS) {
+    throw new Error(`CSV has ${n} asset columns; between ${MIN_ASSETS} and ${MAX_ASSETS} are supported.`);
+  }
+
+  state.n = n;
+  state.names = est.names.map((name, i) => name.slice(0, 24) || defaultAssetName(i));
+  state.muPct = est.mu.map((m) => round2(m * 100));
+  state.volPct = est.vol.map((v) => round2(v * 100));
+  state.corr = est.corr.map((row) => row.slice());
+  state.minPct = new Array(n).fill(0);
+  state.maxPct = new Array(n).fill(100);
+  state.blWeights = new Array(n).fill(10);
+  state.rbHoldings = equalHoldings(n);
+  state.rbCostsBp = new Array(n).fill(10);
+  state.groups.forEach((g) => {
+    g.members = g.members.filter((i) => i < n);
+  });
+  dropViewsBeyond(n);
+  state.lastResult = null;
+
+  document.getElementById("assetCount").value = String(n);
+  renderDynamicSections();
+  runOptimization();
+}
+
+function readImportOptions() {
+  return {
+    kind: document.getElementById("csvKind").value,
+    estimator: document.getElementById("csvEstimator").value,
+    halfLife: Number(document.getElementById("csvHalfLife").value),
+    lookback: Number(document.getElementById("csvLookback").value),
+    annualization: Number(document.getElementById("csvAnnualization").value)
+  };
+}
+
+function setImportStatus(message, isError) {
+  const statusEl = document.getElementById("csvStatus");
+  statusEl.textContent = message;
+  statusEl.className = isError ? "import-status error" : "import-status";
+}
+
+function importHistory() {
+  const file = document.getElementById("csvFile").files[0];
+  if (!file) {
+    setImportStatus("Choose a CSV file first.", true);
+    return;
+  }
+
+  file.text()
+    .then((text) => {
+      const est = estimateInputs(parseHistoryCsv(text), readImportOptions());
+      applyEstimates(est);
+
+      const minObs = Math.min(...est.observations);
+      const maxObs = Math.max(...est.observations);
+      const obs = minObs === maxObs ? `${minObs}` : `${minObs}-${maxObs}`;
+      const summary = `Estimated from ${file.name}: ${est.start} to ${est.end}, ${obs} observations per asset.`;
+      const notes = [summary, ...est.warnings];
+      try {
+        const intensity = ledoitWolfIntensity(est.returns);
+        document.getElementById("shrinkIntensity").value = intensity.toFixed(2);
+        notes.push(`Ledoit-Wolf shrinkage intensity: ${intensity.toFixed(2)}.`);
+      } catch (err) {
+        notes.push(err.message);
+      }
+      setImportStatus(notes.join(" "), false);
+    })
+    .catch((err) => {
+      setImportStatus(err.message || "Could not import CSV.", true);
+    });
+}
+
+function setBacktestStatus(message, isError) {
+  const statusEl = document.getElementById("btStatus");
+  statusEl.textContent = message;
+  statusEl.className = isError ? "import-status error" : "import-status";
+}
+
+function renderBacktestTable(bt) {
+  const wrap = document.getElementById("btTable");
+  wrap.innerHTML = "";
+  if (!bt) {
+    return;
+  }
+
+  const rows = [
+    ["Total Return", (s) => pct(s.totalReturn)],
+    ["Annual Return", (s) => pct(s.annualReturn)],
+    ["Realized Volatility", (s) => pct(s.vol)],
+    ["Sharpe Ratio", (s) => (Number.isFinite(s.sharpe) ? s.sharpe.toFixed(3) : "-")],
+    ["Max Drawdown", (s) => pct(s.maxDrawdown)],
+    ["Turnover (one-way, per year)", (s) => pct(s.turnover)]
+  ];
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th></th><th>Optimized</th><th>Equal Weight</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  rows.forEach(([label, format]) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>${label}</td><td>${format(bt.strategy.stats)}</td><td>${format(bt.benchmark.stats)}</td>`;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function drawEquityChart(bt) {
+  const canvas = document.getElementById("equityChart");
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width;
+  const H = canvas.height;
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#fffef8";
+  ctx.fillRect(0, 0, W, H);
+  if (!bt) {
+    return;
+  }
+
+  const series = [
+    { label: "Optimized", values: bt.strategy.equity, color: "#0b6e68" },
+    { label: "Equal Weight", values: bt.benchmark.equity, color: "#e07a2f" }
+  ];
+  const all = series.flatMap((s) => s.values);
+  const minY = Math.min(...all);
+  const maxY = Math.max(...all);
+  const padY = (maxY - minY) * 0.06 || 0.01;
+  const last = bt.dates.length - 1;
+
+  const pad = 34;
+  const xScale = (x) => pad + (x / (last || 1)) * (W - 2 * pad);
+  const yScale = (y) => H - pad - ((y - minY + padY) / (maxY - minY + 2 * padY)) * (H - 2 * pad);
+
+  ctx.strokeStyle = "#b7a88b";
+  ctx.lineWidth = 1;
   ctx.beginPath();
-  ctx.arc(xScale(optimum.vol), yScale(optimum.ret), 5, 0, 2 * Math.PI);
-  ctx.fill();
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(W - pad, H - pad);
+  ctx.moveTo(pad, H - pad);
+  ctx.lineTo(pad, pad);
+  ctx.stroke();
 
+  ctx.lineWidth = 1.5;
+  series.forEach((s) => {
+    ctx.strokeStyle = s.color;
+    ctx.beginPath();
+    s.values.forEach((v, i) => {
+      if (i === 0) {
+        ctx.moveTo(xScale(i), yScale(v));
+      } else {
+        ctx.lineTo(xScale(i), yScale(v));
+      }
+    });
+    ctx.stroke();
+  });
+
+  ctx.font = "11px Space Grotesk";
+  series.forEach((s, k) => {
+    ctx.fillStyle = s.color;
+    ctx.fillRect(pad + 10, pad + k * 16, 10, 3);
+    ctx.fillText(s.label, pad + 26, pad + k * 16 + 5);
+  });
   ctx.fillStyle = "#333";
-  ctx.font = "12px Space Grotesk";
-  ctx.fillText("Volatility", W - 80, H - 12);
-  ctx.save();
-  ctx.translate(12, 60);
-  ctx.rotate(-Math.PI / 2);
-  ctx.fillText("Expected Return", 0, 0);
-  ctx.restore();
+  ctx.fillText(maxY.toFixed(2), 4, yScale(maxY) + 4);
+  ctx.fillText(minY.toFixed(2), 4, yScale(minY) + 4);
+  ctx.fillText(bt.dates[0], pad, H - 14);
+  ctx.fillText(bt.dates[last], W - pad - 70, H - 14);
 }
 
-function runOptimization() {
-  const errorEl = document.getElementById("error");
-  errorEl.textContent = "";
+function backtestHistory() {
+  const file = document.getElementById("csvFile").files[0];
+  if (!file) {
+    setBacktestStatus("Choose a CSV file under Import History first.", true);
+    return;
+  }
+
+  const importOptions = readImportOptions();
+  const rf = Number(document.getElementById("rf").value) / 100;
+  const options = {
+    kind: importOptions.kind,
+    estimator: importOptions.estimator,
+    halfLife: importOptions.halfLife,
+    annualization: importOptions.annualization,
+    window: Number(document.getElementById("btWindow").value),
+    rebalance: document.getElementById("btRebalance").value,
+    mode: document.getElementById("mode").value,
+    iterations: Number(document.getElementById("iters").value),
+    rf: Number.isFinite(rf) ? rf : 0
+  };
+
+  file.text()
+    .then((text) => {
+      const bt = runBacktest(parseHistoryCsv(text), options);
+      renderBacktestTable(bt);
+      drawEquityChart(bt);
+      const summary = `${file.name}: ${bt.dates[0]} to ${bt.dates[bt.dates.length - 1]}, ${bt.rebalances.length} rebalances.`;
+      const notes = [summary, ...bt.warnings.slice(0, 5)];
+      if (bt.warnings.length > 5) {
+        notes.push(`(${bt.warnings.length - 5} more warnings.)`);
+      }
+      setBacktestStatus(notes.join(" "), false);
+    })
+    .catch((err) => {
+      renderBacktestTable(null);
+      drawEquityChart(null);
+      setBacktestStatus(err.message || "Backtest failed.", true);
+    });
+}
+
+function fromPct(v) {
+  return Number((v / 100).toPrecision(12));
+}
+
+function toPct(v) {
+  return Number((v * 100).toPrecision(12));
+}
+
+// Current inputs in the /api/optimize request shape (decimals), without validating them.
+function scenarioInputs() {
+  const inputs = {
+    names: state.names.slice(),
+    mu: state.muPct.map(fromPct),
+    vol: state.volPct.map(fromPct),
+    corr: state.corr.map((row) => row.slice()),
+    rf: fromPct(Number(document.getElementById("rf").value)),
+    mode: document.getElementById("mode").value,
+    objective: document.getElementById("objective").value,
+    target: fromPct(Number(document.getElementById("target").value)),
+    iterations: Number(document.getElementById("iters").value),
+    lower: state.minPct.map(fromPct),
+    upper: state.maxPct.map(fromPct),
+    groups: state.groups.map((g) => ({ name: g.name, members: g.members.slice(), min: fromPct(g.minPct), max: fromPct(g.maxPct) }))
+  };
+
+  if (document.getElementById("blEnabled").checked) {
+    inputs.blackLitterman = {
+      weights: state.blWeights.slice(),
+      riskAversion: Number(document.getElementById("blRiskAversion").value),
+      tau: Number(document.getElementById("blTau").value),
+      views: state.blViews.map((v) => ({
+        type: v.type,
+        asset: v.asset,
+        ...(v.type === "relative" ? { versus: v.versus } : {}),
+        value: fromPct(v.valuePct),
+        confidence: fromPct(v.confidencePct)
+      }))
+    };
+  }
+  if (document.getElementById("rbEnabled").checked) {
+    const turnoverText = document.getElementById("rbTurnover").value.trim();
+    const notional = document.getElementById("rbUnits").value === "notional";
+    const total = state.rbHoldings.reduce((a, h) => a + h, 0);
+    inputs.rebalance = {
+      current: state.rbHoldings.map((h) => h / total),
+      costs: state.rbCostsBp.map((c) => c / 10000),
+      maxTurnover: turnoverText === "" ? null : fromPct(Number(turnoverText)),
+      costHorizon: Number(document.getElementById("rbHorizon").value),
+      ...(notional ? { portfolioValue: total } : {})
+    };
+  }
+  if (document.getElementById("resEnabled").checked) {
+    inputs.resampling = {
+      draws: Number(document.getElementById("resDraws").value),
+      sampleSize: Number(document.getElementById("resSampleSize").value),
+      periodsPerYear: Number(document.getElementById("resPeriods").value),
+      seed: Number(document.getElementById("resSeed").value)
+    };
+  }
+  if (document.getElementById("caEnabled").checked) {
+    const targetText = document.getElementById("caTargetVol").value.trim();
+    const borrowText = document.getElementById("caBorrowRate").value.trim();
+    inputs.allocation = {
+      targetVol: targetText === "" ? null : fromPct(Number(targetText)),
+      maxLeverage: Number(document.getElementById("caMaxLeverage").value),
+      ...(borrowText === "" ? {} : { borrowingRate: fromPct(Number(borrowText)) })
+    };
+  }
+  return inputs;
+}
+
+function describeFieldErrors(err) {
+  if (!err.fields || err.fields.length === 0) {
+    return err.message;
+  }
+  const shown = err.fields.slice(0, 3).map((f) => `${f.field}: ${f.message}`).join(" ");
+  return err.fields.length > 3 ? `${shown} (${err.fields.length - 3} more)` : shown;
+}
 
+// Validates `inputs` like the API would, then replaces the whole page state with them.
+function applyScenarioInputs(inputs) {
+  let parsed;
   try {
-    const { mu, cov, rf } = readInputs();
-    const mode = document.getElementById("mode").value;
-    const iters = Number(document.getElementById("iters").value);
+    parsed = readScenario(inputs);
+  } catch (err) {
+    throw new Error(`Scenario inputs are invalid. ${describeFieldErrors(err)}`);
+  }
 
-    const result = mode === "long_only"
-      ? optimizeLongOnly(mu, cov, rf, iters)
-      : optimizeUnconstrained(mu, cov, rf);
+  const n = parsed.mu.length;
+  if (n < MIN_ASSETS || n > MAX_ASSETS) {
+    throw new Error(`Scenario has ${n} assets; between ${MIN_ASSETS} and ${MAX_ASSETS} are supported.`);
+  }
 
-    state.lastResult = result;
-    document.getElementById("outReturn").textContent = pct(result.ret);
-    document.getElementById("outVol").textContent = pct(result.vol);
-    document.getElementById("outSharpe").textContent = result.sharpe.toFixed(4);
+  const limits = parsed.limits || {};
+  state.n = n;
+  state.names = parsed.names.map((name, i) => name.slice(0, 24) || defaultAssetName(i));
+  state.muPct = parsed.mu.map(toPct);
+  state.volPct = parsed.vol.map(toPct);
+  state.corr = parsed.corr.map((row) => row.slice());
+  state.minPct = limits.lower ? limits.lower.map(toPct) : new Array(n).fill(0);
+  state.maxPct = limits.upper ? limits.upper.map(toPct) : new Array(n).fill(100);
+  state.groups = (limits.groups || []).map((g, k) => ({
+    name: g.name || `Group ${k + 1}`,
+    members: g.members.slice(),
+    minPct: toPct(g.min === undefined ? 0 : g.min),
+    maxPct: toPct(g.max === undefined ? 1 : g.max)
+  }));
+
+  const bl = inputs.blackLitterman;
+  document.getElementById("blEnabled").checked = bl !== undefined;
+  state.blWeights = bl ? bl.weights.slice() : new Array(n).fill(10);
+  state.blViews = bl && bl.views
+    ? bl.views.map((v) => ({
+      type: v.type,
+      asset: v.asset,
+      versus: v.type === "relative" ? v.versus : (v.asset === 0 ? 1 : 0),
+      valuePct: toPct(v.value),
+      confidencePct: toPct(v.confidence)
+    }))
+    : [];
+  if (bl) {
+    document.getElementById("blRiskAversion").value = String(bl.riskAversion === undefined ? 2.5 : bl.riskAversion);
+    document.getElementById("blTau").value = String(bl.tau === undefined ? 0.05 : bl.tau);
+  }
+
+  const rb = inputs.rebalance;
+  const value = rb && typeof rb.portfolioValue === "number" ? rb.portfolioValue : null;
+  document.getElementById("rbEnabled").checked = rb !== undefined;
+  document.getElementById("rbUnits").value = value === null ? "weights" : "notional";
+  state.rbHoldings = rb ? rb.current.map((w) => (value === null ? toPct(w) : Number((w * value).toPrecision(12)))) : equalHoldings(n);
+  state.rbCostsBp = rb ? rb.costs.map((c) => Number((c * 10000).toPrecision(12))) : new Array(n).fill(10);
+  if (rb) {
+    document.getElementById("rbTurnover").value = rb.maxTurnover === undefined || rb.maxTurnover === null ? "" : String(toPct(rb.maxTurnover));
+    document.getElementById("rbHorizon").value = String(rb.costHorizon === undefined ? 1 : rb.costHorizon);
+  }
+
+  const res = inputs.resampling;
+  document.getElementById("resEnabled").checked = res !== undefined;
+  if (res) {
+    document.getElementById("resDraws").value = String(res.draws === undefined ? 200 : res.draws);
+    document.getElementById("resSampleSize").value = String(res.sampleSize === undefined ? 60 : res.sampleSize);
+    document.getElementById("resPeriods").value = String(res.periodsPerYear === undefined ? 12 : res.periodsPerYear);
+    document.getElementById("resSeed").value = String(res.seed === undefined ? 42 : res.seed);
+  }
+
+  const ca = inputs.allocation;
+  document.getElementById("caEnabled").checked = ca !== undefined;
+  if (ca) {
+    document.getElementById("caTargetVol").value = ca.targetVol === undefined || ca.targetVol === null ? "" : String(toPct(ca.targetVol));
+    document.getElementById("caMaxLeverage").value = String(ca.maxLeverage === undefined ? 1 : ca.maxLeverage);
+    document.getElementById("caBorrowRate").value = ca.borrowingRate === undefined ? "" : String(toPct(ca.borrowingRate));
+  }
+
+  document.getElementById("rf").value = String(toPct(parsed.rf));
+  document.getElementById("mode").value = parsed.mode;
+  document.getElementById("objective").value = parsed.objective;
+  if (parsed.target !== null) {
+    document.getElementById("target").value = String(toPct(parsed.target));
+  }
+  itersInput.value = String(parsed.iterations);
+  document.getElementById("itersValue").textContent = itersInput.value;
+  document.getElementById("assetCount").value = String(n);
+  syncTargetInput();
+
+  state.lastResult = null;
+  renderDynamicSections();
+  return runOptimization();
+}
+
+function setScenarioStatus(message, isError) {
+  const statusEl = document.getElementById("scenarioStatus");
+  statusEl.textContent = message;
+  statusEl.className = isError ? "import-status error" : "import-status";
+}
+
+function exportScenario() {
+  const last = state.lastResult;
+  const result = last && last.w.length === state.n
+    ? { mode: last.mode, objective: last.objective, weights: last.w, ret: last.ret, vol: last.vol, sharpe: Number.isFinite(last.sharpe) ? last.sharpe : null }
+    : null;
+  const file = createScenarioFile("markowitz", scenarioInputs(), result);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const filename = `markowitz-scenario-${file.savedAt.slice(0, 10)}.json`;
+  downloadUrl(url, filename);
+  URL.revokeObjectURL(url);
+  setScenarioStatus(`Exported ${filename}.`, false);
+}
+
+function compareWithSaved(saved) {
+  const current = state.lastResult;
+  if (!saved || !Array.isArray(saved.weights) || !current || saved.weights.length !== current.w.length) {
+    return "";
+  }
+  const gap = Math.max(...saved.weights.map((w, i) => Math.abs(w - current.w[i])));
+  return gap < 1e-4
+    ? " Weights match the saved result."
+    : ` Weights differ from the saved result by up to ${(gap * 100).toFixed(2)} percentage points.`;
+}
+
+function importScenario() {
+  const file = document.getElementById("scenarioFile").files[0];
+  if (!file) {
+    setScenarioStatus("Choose a scenario JSON file first.", true);
+    return;
+  }
 
-    renderWeights(result);
-    drawFrontier(mu, cov, rf, result);
+  file.text()
+    .then((text) => {
+      const loaded = parseScenarioFile(text, "markowitz");
+      return applyScenarioInputs(loaded.inputs).then(() => {
+        const saved = loaded.savedAt ? ` (saved ${loaded.savedAt.slice(0, 16).replace("T", " ")})` : "";
+        setScenarioStatus(`Loaded ${file.name}${saved}.${compareWithSaved(loaded.result)}`, false);
+      });
+    })
+    .catch((err) => {
+      setScenarioStatus(err.message || "Could not import scenario.", true);
+    });
+}
+
+// Longer links are cut off by chat apps, mail clients and some servers; large scenarios
+// go through the scenario store or a JSON file instead.
+const MAX_SHARE_LINK_LENGTH = 32000;
+
+function shareScenarioLink() {
+  let hash;
+  try {
+    hash = encodeScenarioHash("markowitz", scenarioInputs());
+  } catch (err) {
+    setScenarioStatus(`Could not create a share link: ${err.message}`, true);
+    return;
+  }
+  if (hash.length > MAX_SHARE_LINK_LENGTH) {
+    setScenarioStatus(
+      `This scenario needs a ${Math.ceil(hash.length / 1000)} KB link, too long to share reliably. Save it to the scenario store or export it as JSON instead.`,
+      true
+    );
+    return;
+  }
+  history.replaceState(null, "", `#${hash}`);
+  const url = window.location.href;
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url)
+      .then(() => setScenarioStatus("Share link copied to the clipboard.", false))
+      .catch(() => setScenarioStatus("Share link is in the address bar.", false));
+  } else {
+    setScenarioStatus("Share link is in the address bar.", false);
+  }
+}
+
+function loadScenarioFromHash() {
+  try {
+    const inputs = decodeScenarioHash(window.location.hash, "markowitz");
+    if (!inputs) {
+      return false;
+    }
+    applyScenarioInputs(inputs);
+    setScenarioStatus("Loaded scenario from the shared link.", false);
+    return true;
   } catch (err) {
-    errorEl.textContent = err.message || "Optimization failed.";
+    setScenarioStatus(err.message, true);
+    return false;
+  }
+}
+
+const STORE_URL = "/api/scenarios";
+
+function storeRequest(method, url, body) {
+  const init = { method, headers: { "Content-Type": "application/json" } };
+  if (body !== undefined) {
+    init.body = JSON.stringify(body);
+  }
+  return fetch(url, init)
+    .catch(() => {
+      throw new Error("Saved scenarios need the Node server: run npm start and open /markowitz/.");
+    })
+    .then((res) => res.json().then((data) => {
+      if (!res.ok) {
+        throw new Error(describeFieldErrors({ message: data.error, fields: data.fields }));
+      }
+      return data;
+    }));
+}
+
+function refreshStoreList(selectedId) {
+  return storeRequest("GET", STORE_URL).then((list) => {
+    const select = document.getElementById("storeSelect");
+    select.innerHTML = '<option value="">New scenario</option>';
+    list.filter((entry) => entry.kind === "markowitz").forEach((entry) => {
+      const opt = document.createElement("option");
+      opt.value = entry.id;
+      opt.textContent = `${entry.name} (v${entry.versionCount})`;
+      select.appendChild(opt);
+    });
+    select.value = selectedId || "";
+  });
+}
+
+function renderStoreHistory(record) {
+  const wrap = document.getElementById("storeHistory");
+  wrap.innerHTML = "";
+  state.storeRecord = record;
+  if (!record) {
+    return;
+  }
+
+  const heading = document.createElement("p");
+  heading.className = "corr-diff-title";
+  heading.textContent = `${record.name}: ${record.versions.length} version${record.versions.length === 1 ? "" : "s"}, newest first.`;
+  wrap.appendChild(heading);
+
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Version</th><th>Saved</th><th>Changed</th><th>Note</th><th>Return</th><th>Vol</th><th>Weights</th><th></th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  record.versions.slice().reverse().forEach((v) => {
+    const r = v.result || {};
+    const names = r.names || [];
+    const weights = (r.weights || []).map((w, i) => `${shortName(names[i] || `#${i + 1}`)} ${pct(w)}`).join(", ");
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>v${v.version}</td>
+      <td>${v.savedAt.slice(0, 16).replace("T", " ")}</td>
+      <td></td>
+      <td></td>
+      <td>${Number.isFinite(r.ret) ? pct(r.ret) : "-"}</td>
+      <td>${Number.isFinite(r.vol) ? pct(r.vol) : "-"}</td>
+      <td></td>
+      <td><button class="secondary-btn store-version-load" data-version="${v.version}">Load</button></td>
+    `;
+    // Stored keys, names and notes are set as text, never parsed as markup.
+    tr.children[2].textContent = v.version === 1 ? "-" : v.changed.join(", ") || "none";
+    tr.children[3].textContent = v.note;
+    tr.children[6].textContent = weights;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+}
+
+function loadStoreScenario() {
+  const id = document.getElementById("storeSelect").value;
+  if (!id) {
+    setScenarioStatus("Pick a saved scenario to load.", true);
+    return;
+  }
+
+  storeRequest("GET", `${STORE_URL}/${id}`)
+    .then((record) => {
+      const latest = record.versions[record.versions.length - 1];
+      applyScenarioInputs(latest.inputs);
+      document.getElementById("storeName").value = record.name;
+      renderStoreHistory(record);
+      setScenarioStatus(`Loaded "${record.name}" v${latest.version}.`, false);
+    })
+    .catch((err) => setScenarioStatus(err.message, true));
+}
+
+function saveStoreScenario() {
+  const id = document.getElementById("storeSelect").value;
+  const name = document.getElementById("storeName").value.trim();
+  const noteEl = document.getElementById("storeNote");
+  const body = { name, inputs: scenarioInputs(), note: noteEl.value.trim() };
+  const request = id
+    ? storeRequest("PUT", `${STORE_URL}/${id}`, body)
+    : storeRequest("POST", STORE_URL, { ...body, kind: "markowitz" });
+
+  request
+    .then((record) => {
+      noteEl.value = "";
+      renderStoreHistory(record);
+      setScenarioStatus(`Saved "${record.name}" v${record.versions[record.versions.length - 1].version}.`, false);
+      return refreshStoreList(record.id);
+    })
+    .catch((err) => setScenarioStatus(err.message, true));
+}
+
+function deleteStoreScenario() {
+  const select = document.getElementById("storeSelect");
+  if (!select.value) {
+    setScenarioStatus("Pick a saved scenario to delete.", true);
+    return;
+  }
+  const label = select.options[select.selectedIndex].textContent;
+  if (!window.confirm(`Delete ${label} and its whole history?`)) {
+    return;
   }
+
+  storeRequest("DELETE", `${STORE_URL}/${select.value}`)
+    .then(() => {
+      renderStoreHistory(null);
+      setScenarioStatus(`Deleted ${label}.`, false);
+      return refreshStoreList("");
+    })
+    .catch((err) => setScenarioStatus(err.message, true));
 }
 
 function renderDynamicSections() {
   renderNameList();
   renderAssetRows();
-  renderCorrBulk();
   renderCorrGrid();
+  renderCorrBulk();
+  renderCorrCheck();
+  renderCorrDiff(null, []);
+  renderGroups();
+  renderBlackLitterman();
+  renderRebalance();
   if (state.lastResult && state.lastResult.w.length === state.n) {
     renderWeights(state.lastResult);
   } else {
@@ -567,26 +2696,34 @@ function renderDynamicSections() {
 }
 
 function setupAssetCount() {
-  const select = document.getElementById("assetCount");
-  for (let n = MIN_ASSETS; n <= MAX_ASSETS; n += 1) {
-    const opt = document.createElement("option");
-    opt.value = String(n);
-    opt.textContent = String(n);
-    if (n === state.n) {
-      opt.selected = true;
+  const input = document.getElementById("assetCount");
+  input.min = String(MIN_ASSETS);
+  input.max = String(MAX_ASSETS);
+  input.value = String(state.n);
+
+  input.addEventListener("change", () => {
+    const newN = clamp(Math.round(Number(input.value)) || state.n, MIN_ASSETS, MAX_ASSETS);
+    input.value = String(newN);
+    if (newN === state.n) {
+      return;
     }
-    select.appendChild(opt);
-  }
-
-  select.addEventListener("change", () => {
-    const newN = clamp(Number(select.value), MIN_ASSETS, MAX_ASSETS);
     resizeState(newN);
     state.lastResult = null;
     renderDynamicSections();
-    runOptimization();
+    scheduleOptimization();
   });
 }
 
+document.getElementById("assetPager").addEventListener("click", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLButtonElement)) {
+    return;
+  }
+  state.assetPage += target.id === "assetNextBtn" ? 1 : -1;
+  renderNameList();
+  renderAssetRows();
+});
+
 document.getElementById("nameList").addEventListener("input", (evt) => {
   const target = evt.target;
   if (!(target instanceof HTMLInputElement) || !target.classList.contains("name-input")) {
@@ -613,8 +2750,141 @@ document.getElementById("assetRows").addEventListener("input", (evt) => {
   if (target.classList.contains("vol-input")) {
     state.volPct[i] = Number(target.value);
   }
+  if (target.classList.contains("min-input")) {
+    state.minPct[i] = Number(target.value);
+  }
+  if (target.classList.contains("max-input")) {
+    state.maxPct[i] = Number(target.value);
+  }
+});
+
+document.getElementById("groupList").addEventListener("input", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLInputElement) || target.dataset.k === undefined) {
+    return;
+  }
+
+  const group = state.groups[Number(target.dataset.k)];
+  if (target.classList.contains("group-name")) {
+    group.name = target.value.trim() || "Group";
+  }
+  if (target.classList.contains("group-min")) {
+    group.minPct = Number(target.value);
+  }
+  if (target.classList.contains("group-max")) {
+    group.maxPct = Number(target.value);
+  }
+  if (target.classList.contains("group-member-input")) {
+    const i = Number(target.dataset.i);
+    group.members = target.checked
+      ? [...group.members.filter((m) => m !== i), i].sort((a, b) => a - b)
+      : group.members.filter((m) => m !== i);
+  }
+});
+
+document.getElementById("groupList").addEventListener("click", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLButtonElement) || !target.classList.contains("group-remove")) {
+    return;
+  }
+  state.groups.splice(Number(target.dataset.k), 1);
+  renderGroups();
+});
+
+document.getElementById("addGroupBtn").addEventListener("click", () => {
+  state.groups.push({ name: `Group ${state.groups.length + 1}`, members: [], minPct: 0, maxPct: 100 });
+  renderGroups();
+});
+
+document.getElementById("blWeightList").addEventListener("input", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLInputElement) || !target.classList.contains("bl-weight")) {
+    return;
+  }
+  state.blWeights[Number(target.dataset.i)] = Number(target.value);
+});
+
+["rbHoldingList", "rbCostList"].forEach((id) => {
+  document.getElementById(id).addEventListener("input", (evt) => {
+    const target = evt.target;
+    if (!(target instanceof HTMLInputElement) || target.dataset.i === undefined) {
+      return;
+    }
+    const values = target.classList.contains("rb-holding") ? state.rbHoldings : state.rbCostsBp;
+    values[Number(target.dataset.i)] = Number(target.value);
+  });
+});
+
+// Switching units converts the holdings: weights become positions of a 1,000,000 portfolio.
+document.getElementById("rbUnits").addEventListener("change", (evt) => {
+  const total = state.rbHoldings.reduce((a, h) => a + h, 0);
+  if (total > 0) {
+    const toWeights = evt.target.value === "weights";
+    state.rbHoldings = state.rbHoldings.map((h) => round2((h * (toWeights ? 100 : 1000000)) / total));
+    if (toWeights) {
+      state.rbHoldings[0] = round2(100 - state.rbHoldings.slice(1).reduce((a, h) => a + h, 0));
+    }
+  }
+  renderRebalance();
+});
+
+document.getElementById("blViewList").addEventListener("change", (evt) => {
+  const target = evt.target;
+  if (target.dataset.k === undefined) {
+    return;
+  }
+
+  const view = state.blViews[Number(target.dataset.k)];
+  if (target.classList.contains("view-type")) {
+    view.type = target.value;
+    renderBlackLitterman();
+  }
+  if (target.classList.contains("view-asset")) {
+    view.asset = Number(target.value);
+  }
+  if (target.classList.contains("view-versus")) {
+    view.versus = Number(target.value);
+  }
+  if (target.classList.contains("view-value")) {
+    view.valuePct = Number(target.value);
+  }
+  if (target.classList.contains("view-confidence")) {
+    view.confidencePct = Number(target.value);
+  }
+});
+
+document.getElementById("blViewList").addEventListener("click", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLButtonElement) || !target.classList.contains("view-remove")) {
+    return;
+  }
+  state.blViews.splice(Number(target.dataset.k), 1);
+  renderBlackLitterman();
+});
+
+document.getElementById("addViewBtn").addEventListener("click", () => {
+  state.blViews.push({ type: "absolute", asset: 0, versus: state.n > 1 ? 1 : 0, valuePct: 8, confidencePct: 50 });
+  renderBlackLitterman();
+});
+
+document.getElementById("corrFocus").addEventListener("change", (evt) => {
+  state.corrFocus = Number(evt.target.value);
+  renderCorrGrid();
+  renderCorrBulk();
 });
 
+// The eigenvalue check grows with the cube of the asset count, so large matrices are
+// checked once editing pauses rather than on every keystroke.
+let corrCheckTimer = null;
+function scheduleCorrCheck() {
+  clearTimeout(corrCheckTimer);
+  if (state.n <= FULL_GRID_MAX) {
+    renderCorrCheck();
+  } else {
+    corrCheckTimer = setTimeout(renderCorrCheck, 400);
+  }
+}
+
 document.getElementById("corrGrid").addEventListener("input", (evt) => {
   const target = evt.target;
   if (!(target instanceof HTMLInputElement) || !target.classList.contains("corr-input")) {
@@ -638,6 +2908,7 @@ document.getElementById("corrGrid").addEventListener("input", (evt) => {
   }
 
   renderCorrBulk();
+  scheduleCorrCheck();
 });
 
 document.getElementById("corrBulk").addEventListener("change", (evt) => {
@@ -667,6 +2938,9 @@ document.getElementById("corrBulk").addEventListener("change", (evt) => {
       b.value = value.toFixed(2);
     }
   }
+
+  scheduleCorrCheck();
+  scheduleOptimization();
 });
 
 const itersInput = document.getElementById("iters");
@@ -675,8 +2949,174 @@ itersInput.addEventListener("input", () => {
   document.getElementById("itersValue").textContent = itersInput.value;
 });
 
+document.getElementById("csvEstimator").addEventListener("change", (evt) => {
+  document.getElementById("csvHalfLife").disabled = evt.target.value !== "ewma";
+});
+
+document.getElementById("csvImportBtn").addEventListener("click", importHistory);
+document.getElementById("btRunBtn").addEventListener("click", backtestHistory);
+document.getElementById("sensRunBtn").addEventListener("click", runSensitivity);
+document.getElementById("sensCancelBtn").addEventListener("click", () => {
+  cancelSensitivity();
+  setSensitivityStatus("Sensitivity analysis cancelled.", false);
+});
+["sensMetric", "sensTop"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => drawTornado(state.lastSensitivity));
+});
+document.getElementById("corrRepairBtn").addEventListener("click", repairCorrelation);
+document.getElementById("corrShrinkBtn").addEventListener("click", shrinkCorrelation);
+
+function syncTargetInput() {
+  const objective = document.getElementById("objective").value;
+  const targetInput = document.getElementById("target");
+  const isTarget = objective === "target_return" || objective === "target_vol";
+  targetInput.disabled = !isTarget;
+  document.getElementById("targetLabel").textContent = objective === "target_vol"
+    ? "Target Volatility (%)"
+    : "Target Return (%)";
+}
+
+document.getElementById("objective").addEventListener("change", syncTargetInput);
+syncTargetInput();
+
+// Edits to the model inputs re-run the optimization once typing pauses. Views update the
+// state on change rather than on input.
+const RECALC_SOURCES = [
+  "#assetRows", "#corrGrid", "#groupList", "#blEnabled", "#blRiskAversion", "#blTau", "#blWeightList",
+  "#rbEnabled", "#rbUnits", "#rbTurnover", "#rbHorizon", "#rbHoldingList", "#rbCostList",
+  "#resEnabled", "#resDraws", "#resSampleSize", "#resPeriods", "#resSeed",
+  "#caEnabled", "#caTargetVol", "#caMaxLeverage", "#caBorrowRate", ".controls"
+].join(", ");
+["input", "change"].forEach((type) => {
+  document.querySelector(".input-card").addEventListener(type, (evt) => {
+    const sources = type === "input" ? RECALC_SOURCES : "#blViewList";
+    if (evt.target instanceof Element && evt.target.closest(sources)) {
+      scheduleOptimization();
+    }
+  });
+});
+
 document.getElementById("optimizeBtn").addEventListener("click", runOptimization);
+document.getElementById("cancelBtn").addEventListener("click", () => {
+  cancelOptimization();
+  document.getElementById("error").textContent = "Optimization cancelled; the results are from the previous run.";
+});
+// Frontier chart: hover shows a tooltip, a click without dragging picks the point for
+// comparison, the wheel zooms about the cursor and dragging pans.
+const frontierCanvas = document.getElementById("frontier");
+frontierCanvas.addEventListener("mousedown", (evt) => {
+  if (frontierChart.data) {
+    frontierChart.drag = { start: canvasPoint(evt), view: { ...frontierChart.view }, moved: false };
+  }
+});
+frontierCanvas.addEventListener("mousemove", (evt) => {
+  if (!frontierChart.data) {
+    return;
+  }
+  const pt = canvasPoint(evt);
+  const drag = frontierChart.drag;
+  if (drag && (drag.moved || Math.hypot(pt.x - drag.start.x, pt.y - drag.start.y) > 3)) {
+    drag.moved = true;
+    const { plotW, plotH } = frontierScales(frontierCanvas.width, frontierCanvas.height);
+    const dx = ((pt.x - drag.start.x) / plotW) * (drag.view.maxX - drag.view.minX);
+    const dy = ((pt.y - drag.start.y) / plotH) * (drag.view.maxY - drag.view.minY);
+    setFrontierView({ minX: drag.view.minX - dx, maxX: drag.view.maxX - dx, minY: drag.view.minY + dy, maxY: drag.view.maxY + dy });
+    return;
+  }
+  const target = nearestTarget(pt);
+  if (target !== frontierChart.hover) {
+    frontierChart.hover = target;
+    redrawFrontier();
+  }
+  if (target) {
+    showFrontierTip(target);
+  } else {
+    hideFrontierTip();
+  }
+});
+frontierCanvas.addEventListener("mouseup", (evt) => {
+  const drag = frontierChart.drag;
+  frontierChart.drag = null;
+  if (drag && !drag.moved) {
+    const target = nearestTarget(canvasPoint(evt));
+    if (target) {
+      inspectPoint(target);
+    }
+  }
+});
+frontierCanvas.addEventListener("mouseleave", () => {
+  frontierChart.drag = null;
+  frontierChart.hover = null;
+  hideFrontierTip();
+  redrawFrontier();
+});
+frontierCanvas.addEventListener("wheel", (evt) => {
+  if (!frontierChart.data) {
+    return;
+  }
+  evt.preventDefault();
+  const pt = canvasPoint(evt);
+  const { xValue, yValue } = frontierScales(frontierCanvas.width, frontierCanvas.height);
+  const x = xValue(pt.x);
+  const y = yValue(pt.y);
+  const factor = evt.deltaY < 0 ? 1 / 1.15 : 1.15;
+  const { view } = frontierChart;
+  setFrontierView({
+    minX: x - (x - view.minX) * factor,
+    maxX: x + (view.maxX - x) * factor,
+    minY: y - (y - view.minY) * factor,
+    maxY: y + (view.maxY - y) * factor
+  });
+}, { passive: false });
+const resetFrontierView = () => {
+  if (frontierChart.home) {
+    setFrontierView({ ...frontierChart.home });
+  }
+};
+frontierCanvas.addEventListener("dblclick", resetFrontierView);
+document.getElementById("frontierResetBtn").addEventListener("click", resetFrontierView);
+document.getElementById("frontierPngBtn").addEventListener("click", () => exportFrontier("png"));
+document.getElementById("frontierSvgBtn").addEventListener("click", () => exportFrontier("svg"));
+document.getElementById("inspectClearBtn").addEventListener("click", () => inspectPoint(null));
+["varConfidences", "varHorizons"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", () => renderVar(state.lastResult));
+});
+document.getElementById("varConfidences").addEventListener("change", runSimulation);
+document.getElementById("mcRunBtn").addEventListener("click", runSimulation);
+document.getElementById("mcDistribution").addEventListener("change", (evt) => {
+  document.getElementById("mcDof").disabled = evt.target.value !== "student_t";
+});
+document.getElementById("scenarioExportBtn").addEventListener("click", exportScenario);
+document.getElementById("scenarioImportBtn").addEventListener("click", importScenario);
+document.getElementById("scenarioLinkBtn").addEventListener("click", shareScenarioLink);
+window.addEventListener("hashchange", loadScenarioFromHash);
+document.getElementById("storeLoadBtn").addEventListener("click", loadStoreScenario);
+document.getElementById("storeSaveBtn").addEventListener("click", saveStoreScenario);
+document.getElementById("storeDeleteBtn").addEventListener("click", deleteStoreScenario);
+document.getElementById("storeSelect").addEventListener("change", (evt) => {
+  const opt = evt.target.options[evt.target.selectedIndex];
+  document.getElementById("storeName").value = evt.target.value ? opt.textContent.replace(/ \(v\d+\)$/, "") : "";
+  renderStoreHistory(null);
+});
+document.getElementById("storeHistory").addEventListener("click", (evt) => {
+  const target = evt.target;
+  if (!(target instanceof HTMLButtonElement) || !target.classList.contains("store-version-load") || !state.storeRecord) {
+    return;
+  }
+  const version = state.storeRecord.versions.find((v) => v.version === Number(target.dataset.version));
+  try {
+    applyScenarioInputs(version.inputs);
+    setScenarioStatus(`Loaded "${state.storeRecord.name}" v${version.version}.`, false);
+  } catch (err) {
+    setScenarioStatus(err.message, true);
+  }
+});
 
 setupAssetCount();
-renderDynamicSections();
-runOptimization();
+if (!loadScenarioFromHash()) {
+  renderDynamicSections();
+  runOptimization();
+}
+refreshStoreList("").catch(() => {
+  document.getElementById("storeSelect").disabled = true;
+});
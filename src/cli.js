@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for batch runs without the browser or the server:
+ *
+ *   fx-opti optimize <file|dir> [options]   Markowitz optimization (as /api/optimize)
+ *   fx-opti fx-minvar <file|dir> [options]  FX basket (as /api/fx/min-variance)
+ *
+ * A scenario is a JSON file holding either a saved scenario envelope or a bare request
+ * body, or a CSV history (a date column, then one price or return column per asset, or
+ * per pair for fx-minvar) from which the inputs are estimated. A directory runs every
+ * .json and .csv file in it, in name order. Exits 1 when any scenario is invalid and
+ * 2 on a usage error.
+ */
+const fs = require('fs');
+const path = require('path');
+const { InputError } = require('./core/optimizer');
+const { parseScenarioFile } = require('./core/scenario');
+const { parseHistoryCsv, estimateInputs } = require('./core/estimation');
+const { readScenario, solveScenario, solveBasket } = require('./solve');
+
+const FORMATS = ['table', 'json', 'csv'];
+const SCENARIO_EXTENSIONS = ['.json', '.csv'];
+
+const USAGE = `Usage:
+  fx-opti optimize <file|dir> [options]
+  fx-opti fx-minvar <file|dir> [options]
+
+Options:
+  --format table|json|csv   Output format (default table)
+  --mode long_only|unconstrained
+                            Overrides the scenario's mode (fx-minvar: long-only or not)
+  --rf <rate>               Risk-free rate (optimize only)
+  --objective <name>        Objective (optimize only)
+  --target <value>          Target for target_return or target_vol (optimize only)
+  --base <ccy>              Base currency (fx-minvar only)
+
+CSV histories:
+  --kind prices|returns     What the columns hold (default prices)
+  --estimator sample|ewma   Estimator (default sample)
+  --half-life <periods>     EWMA half-life (default 60)
+  --lookback <periods>      Most recent periods to use, 0 for all (default 0)
+  --annualization <n>       Periods per year (default 252)`;
+
+const COMMANDS = {
+  optimize: { kind: 'markowitz', overrides: ['mode', 'rf', 'objective', 'target'] },
+  'fx-minvar': { kind: 'fx', overrides: ['mode', 'base'] },
+};
+
+const OPTIONS = {
+  format: 'string',
+  mode: 'string',
+  rf: 'number',
+  objective: 'string',
+  target: 'number',
+  base: 'string',
+  kind: 'string',
+  estimator: 'string',
+  'half-life': 'number',
+  lookback: 'number',
+  annualization: 'number',
+};
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!COMMANDS[command]) {
+    throw new Error(command ? `Unknown command "${command}".` : 'Missing command.');
+  }
+
+  const options = {};
+  const targets = [];
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      targets.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (!OPTIONS[name]) {
+      throw new Error(`Unknown option --${name}.`);
+    }
+    const raw = inline === undefined ? rest[(i += 1)] : inline;
+    if (raw === undefined) {
+      throw new Error(`--${name} needs a value.`);
+    }
+    const value = OPTIONS[name] === 'number' ? Number(raw) : raw;
+    if (OPTIONS[name] === 'number' && (raw.trim() === '' || !Number.isFinite(value))) {
+      throw new Error(`--${name} must be a number.`);
+    }
+    options[name] = value;
+  }
+
+  if (targets.length !== 1) {
+    throw new Error('Give one scenario file or directory.');
+  }
+  const format = options.format === undefined ? 'table' : options.format;
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}.`);
+  }
+  ['rf', 'objective', 'target', 'base'].forEach((name) => {
+    if (options[name] !== undefined && !COMMANDS[command].overrides.includes(name)) {
+      throw new Error(`--${name} does not apply to ${command}.`);
+    }
+  });
+  if (command === 'fx-minvar' && options.mode !== undefined && !['long_only', 'unconstrained'].includes(options.mode)) {
+    throw new Error('--mode must be long_only or unconstrained for fx-minvar.');
+  }
+
+  return { command, target: targets[0], format, options };
+}
+
+// The scenario files to run: `target` itself, or the .json and .csv files in it.
+function listScenarios(target) {
+  let stats;
+  try {
+    stats = fs.statSync(target);
+  } catch (err) {
+    throw new Error(`${target} does not exist.`);
+  }
+  if (!stats.isDirectory()) {
+    return [target];
+  }
+  const files = fs.readdirSync(target)
+    .filter((name) => SCENARIO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map((name) => path.join(target, name));
+  if (files.length === 0) {
+    throw new Error(`${target} has no .json or .csv scenario files.`);
+  }
+  return files;
+}
+
+// Inputs estimated from a CSV history: assets for optimize, pairs for fx-minvar.
+function inputsFromCsv(text, kind, options) {
+  const history = parseHistoryCsv(text);
+  const estimate = estimateInputs(history, {
+    ...(options.kind === undefined ? {} : { kind: options.kind }),
+    ...(options.estimator === undefined ? {} : { estimator: options.estimator }),
+    ...(options['half-life'] === undefined ? {} : { halfLife: options['half-life'] }),
+    ...(options.lookback === undefined ? {} : { lookback: options.lookback }),
+    ...(options.annualization === undefined ? {} : { annualization: options.annualization }),
+  });
+  const inputs = kind === 'fx'
+    ? { pairs: estimate.names, vols: estimate.vol, corr: estimate.corr }
+    : { names: estimate.names, mu: estimate.mu, vol: estimate.vol, corr: estimate.corr };
+  return { inputs, warnings: estimate.warnings };
+}
+
+// Envelopes are checked for their kind; anything else is taken as a bare request body.
+function inputsFromJson(text, kind) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new Error('Scenario file is not valid JSON.');
+  }
+  if (parsed && parsed.format !== undefined) {
+    return { inputs: parseScenarioFile(parsed, kind).inputs, warnings: [] };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Scenario file must hold a JSON object.');
+  }
+  return { inputs: parsed, warnings: [] };
+}
+
+function applyOverrides(inputs, command, options) {
+  const next = { ...inputs };
+  if (options.mode !== undefined) {
+    if (command === 'fx-minvar') {
+      next.longOnly = options.mode === 'long_only';
+    } else {
+      next.mode = options.mode;
+    }
+  }
+  ['rf', 'objective', 'target', 'base'].forEach((name) => {
+    if (options[name] !== undefined) {
+      next[name] = options[name];
+    }
+  });
+  return next;
+}
+
+function convergenceWarnings(convergence) {
+  if (!convergence || convergence.converged) {
+    return [];
+  }
+  const residual = convergence.kktResidual.toExponential(1);
+  if (convergence.method === 'active_set') {
+    return [`Active-set solve ended with KKT residual ${residual}; weights may be approximate.`];
+  }
+  return convergence.stopReason === 'max_iterations'
+    ? [`Not converged after ${convergence.iterations} iterations (KKT residual ${residual}); raise iterations.`]
+    : [`Solver stalled after ${convergence.iterations} iterations (KKT residual ${residual}); weights may be approximate.`];
+}
+
+// One scenario as a flat report: `rows` of per-asset values and portfolio `stats`.
+function runOptimize(inputs) {
+  const scenario = readScenario(inputs);
+  const result = solveScenario(scenario);
+  const rows = scenario.names.map((name, i) => ({ name, weight: result.w[i] }));
+  if (result.cash !== undefined) {
+    rows.push({ name: 'Cash', weight: result.cash });
+  }
+  return {
+    rows,
+    stats: {
+      ret: result.ret,
+      vol: result.vol,
+      sharpe: Number.isFinite(result.sharpe) ? result.sharpe : null,
+    },
+    warnings: [...(result.warnings || []), ...convergenceWarnings(result.convergence)],
+  };
+}
+
+function runBasket(inputs) {
+  const result = solveBasket(inputs);
+  const weights = result.allocation ? result.allocation.weights : result.weights;
+  const rows = result.currencies.map((name, i) => ({
+    name,
+    weight: weights[i],
+    vol: result.currencyVols[i],
+    ...(result.maxSharpe ? { expected: result.expected[i], maxSharpe: result.maxSharpe.weights[i] } : {}),
+  }));
+  rows.push({ name: result.base, weight: result.allocation ? result.allocation.cash : 0, vol: 0 });
+  return {
+    rows,
+    stats: {
+      vol: result.allocation ? result.allocation.vol : result.pVol,
+      ...(result.maxSharpe ? { carry: result.minVariance.ret, maxSharpeCarry: result.maxSharpe.ret, maxSharpeVol: result.maxSharpe.vol } : {}),
+    },
+    warnings: [...result.warnings, ...(result.allocation ? result.allocation.warnings : [])],
+  };
+}
+
+function runScenario(file, command, options) {
+  const kind = COMMANDS[command].kind;
+  const text = fs.readFileSync(file, 'utf8');
+  const loaded = path.extname(file).toLowerCase() === '.csv'
+    ? inputsFromCsv(text, kind, options)
+    : inputsFromJson(text, kind);
+  const inputs = applyOverrides(loaded.inputs, command, options);
+  const report = command === 'optimize' ? runOptimize(inputs) : runBasket(inputs);
+  return { scenario: file, ...report, warnings: [...loaded.warnings, ...report.warnings] };
+}
+
+function describeError(err) {
+  const fields = err instanceof InputError && err.fields ? err.fields : [];
+  return fields.length > 0
+    ? fields.map((f) => `${f.field}: ${f.message}`).join('\n  ')
+    : err.message;
+}
+
+function formatNumber(value, key) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return key === 'sharpe' ? value.toFixed(4) : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatTable(reports) {
+  return reports.map((report) => {
+    const columns = Object.keys(report.rows[0]).filter((key) => key !== 'name');
+    const lines = [
+      ['', ...columns],
+      ...report.rows.map((row) => [row.name, ...columns.map((key) => formatNumber(row[key], key))]),
+    ];
+    const widths = lines[0].map((_, j) => Math.max(...lines.map((line) => line[j].length)));
+    const body = lines.map((line) => line.map((cell, j) => (j === 0 ? cell.padEnd(widths[j]) : cell.padStart(widths[j]))).join('  '));
+    const stats = Object.keys(report.stats).map((key) => `${key} ${formatNumber(report.stats[key], key)}`);
+    return [
+      `== ${report.scenario}`,
+      ...body,
+      stats.join('  '),
+      ...report.warnings.map((w) => `warning: ${w}`),
+    ].join('\n');
+  }).join('\n\n');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per scenario and asset, with the portfolio statistics repeated on each row.
+function formatCsv(reports) {
+  const rowKeys = [...new Set(reports.flatMap((r) => r.rows.flatMap((row) => Object.keys(row))))].filter((key) => key !== 'name');
+  const statKeys = [...new Set(reports.flatMap((r) => Object.keys(r.stats)))];
+  const lines = [['scenario', 'asset', ...rowKeys, ...statKeys.map((key) => `portfolio_${key}`)]];
+  reports.forEach((report) => {
+    report.rows.forEach((row) => {
+      lines.push([report.scenario, row.name, ...rowKeys.map((key) => row[key]), ...statKeys.map((key) => report.stats[key])]);
+    });
+  });
+  return lines.map((line) => line.map(csvCell).join(',')).join('\n');
+}
+
+function main(argv) {
+  let args;
+  let files;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  try {
+    files = listScenarios(args.target);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    return 2;
+  }
+
+  const reports = [];
+  let failed = 0;
+  files.forEach((file) => {
+    try {
+      reports.push(runScenario(file, args.command, args.options));
+    } catch (err) {
+      failed += 1;
+      process.stderr.write(`${file}: invalid scenario.\n  ${describeError(err)}\n`);
+    }
+  });
+
+  if (reports.length > 0) {
+    const output = {
+      table: formatTable,
+      json: (r) => JSON.stringify(r, null, 2),
+      csv: formatCsv,
+    }[args.format](reports);
+    process.stdout.write(`${output}\n`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    process.stdout.write(`${USAGE}\n`);
+  } else {
+    process.exitCode = main(process.argv.slice(2));
+  }
+}
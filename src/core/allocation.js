@@ -0,0 +1,218 @@
+/**
+ * Capital allocation between a risky portfolio and cash: lending at one rate, borrowing
+ * at another, sized to a target volatility or a leverage cap. With equal rates this is
+ * the capital market line through the tangency portfolio; with a higher borrowing rate
+ * the line kinks, and target volatilities between the two tangency portfolios land on
+ * the fully invested frontier.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.allocation`. Rates, returns and volatilities
+ * are annualized decimals; `exposure` is the sum of risky weights and `cash` is
+ * 1 - exposure, negative when borrowing.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.allocation = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const {
+    InputError,
+    validateLimits,
+    optimizePortfolio,
+    maxReturnForVolatility,
+  } = optimizer;
+
+  const DEFAULTS = {
+    mode: 'long_only',
+    targetVol: null,
+    maxLeverage: 1,
+    iterations: 1600,
+  };
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  /**
+   * Field errors for allocation options: `{ lendingRate, borrowingRate, targetVol?,
+   * maxLeverage? }`. Borrowing may not be cheaper than lending.
+   */
+  function validateOptions(options) {
+    const errors = [];
+    const opts = { ...DEFAULTS, ...options };
+
+    if (!isNumber(opts.lendingRate)) {
+      errors.push({ field: 'lendingRate', message: 'lendingRate must be a finite number.' });
+    }
+    if (!isNumber(opts.borrowingRate)) {
+      errors.push({ field: 'borrowingRate', message: 'borrowingRate must be a finite number.' });
+    } else if (isNumber(opts.lendingRate) && opts.borrowingRate < opts.lendingRate) {
+      errors.push({ field: 'borrowingRate', message: 'borrowingRate must be at least the lending rate.' });
+    }
+    if (opts.targetVol !== null && (!isNumber(opts.targetVol) || opts.targetVol <= 0)) {
+      errors.push({ field: 'targetVol', message: 'targetVol must be a number > 0, or null to use the leverage cap.' });
+    }
+    if (!isNumber(opts.maxLeverage) || opts.maxLeverage <= 0) {
+      errors.push({ field: 'maxLeverage', message: 'maxLeverage must be a number > 0.' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Exposure to a risky portfolio with volatility `riskyVol` that reaches `targetVol`,
+   * limited to `maxLeverage`; the cap itself when there is no target.
+   * @returns {{ exposure: number, capped: boolean }}
+   */
+  function exposureFor(riskyVol, targetVol, maxLeverage) {
+    if (targetVol === null || targetVol === undefined || !(riskyVol > 0)) {
+      return { exposure: maxLeverage, capped: false };
+    }
+    const exposure = targetVol / riskyVol;
+    return exposure > maxLeverage
+      ? { exposure: maxLeverage, capped: true }
+      : { exposure, capped: false };
+  }
+
+  /**
+   * `exposure` times the risky portfolio `{ w, ret, vol }`, with the rest lent at
+   * `lendingRate` or, above an exposure of 1, borrowed at `borrowingRate`.
+   * @returns {{ w: number[], cash: number, exposure: number, ret: number, vol: number,
+   *   sharpe: number }} `sharpe` is measured against the lending rate.
+   */
+  function mixWithCash(risky, exposure, lendingRate, borrowingRate) {
+    const cash = 1 - exposure;
+    const ret = exposure * risky.ret + cash * (cash >= 0 ? lendingRate : borrowingRate);
+    const vol = exposure * risky.vol;
+    return {
+      w: risky.w.map((x) => x * exposure),
+      cash,
+      exposure,
+      ret,
+      vol,
+      sharpe: vol > 0 ? (ret - lendingRate) / vol : NaN,
+    };
+  }
+
+  function capWarning(vol, targetVol, maxLeverage) {
+    return `Volatility tops out at ${(vol * 100).toFixed(2)}% under the ${maxLeverage.toFixed(2)}x leverage cap, below the ${(targetVol * 100).toFixed(2)}% target.`;
+  }
+
+  function throwIfInvalid(errors) {
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+  }
+
+  /**
+   * Sizes one risky portfolio `{ w, ret, vol }` against cash, for a risky mix that does
+   * not depend on the rates (such as a minimum-variance basket). Options are as for
+   * capitalAllocation without `mode`, `limits` and `iterations`.
+   * @returns {object} as for mixWithCash, plus `segment` ('lend' | 'borrow'), `capped`,
+   *   `lendingRate`, `borrowingRate` and `warnings`.
+   */
+  function allocateRisky(risky, options) {
+    const opts = { ...DEFAULTS, ...options };
+    throwIfInvalid(validateOptions(opts));
+
+    const { lendingRate, borrowingRate, targetVol, maxLeverage } = opts;
+    const { exposure, capped } = exposureFor(risky.vol, targetVol, maxLeverage);
+    return {
+      ...mixWithCash(risky, exposure, lendingRate, borrowingRate),
+      segment: exposure > 1 ? 'borrow' : 'lend',
+      capped,
+      lendingRate,
+      borrowingRate,
+      warnings: capped ? [capWarning(exposure * risky.vol, targetVol, maxLeverage)] : [],
+    };
+  }
+
+  /**
+   * Best mix of risky assets and cash at `targetVol`, or at an exposure of
+   * `maxLeverage` when there is no target. Below the lending tangency portfolio's
+   * volatility the rest is lent; above the borrowing tangency portfolio's it is
+   * borrowed; in between (only when borrowing costs more) the portfolio is the fully
+   * invested frontier point at that volatility. The exposure never exceeds
+   * `maxLeverage`. `options.mode`, `limits` and `iterations` are as for optimizePortfolio.
+   *
+   * @returns {object} `{ w, cash, exposure, ret, vol, sharpe }` as for mixWithCash, plus
+   *   `objective`, `segment` ('lend' | 'frontier' | 'borrow'), `capped`, `lendingRate`,
+   *   `borrowingRate`, `lend` and `borrow` (the tangency portfolios at each rate) and
+   *   `warnings`.
+   */
+  function capitalAllocation(mu, cov, options) {
+    const opts = { ...DEFAULTS, ...options };
+    const longOnly = opts.mode === 'long_only';
+    const limits = longOnly ? opts.limits || undefined : undefined;
+    throwIfInvalid([...validateOptions(opts), ...(limits ? validateLimits(limits, mu.length) : [])]);
+
+    const { lendingRate, borrowingRate, targetVol, maxLeverage } = opts;
+    const tangency = (rate) => optimizePortfolio(mu, cov, rate, {
+      objective: 'max_sharpe',
+      mode: opts.mode,
+      iterations: opts.iterations,
+      limits,
+    });
+    const lend = tangency(lendingRate);
+    const borrow = borrowingRate === lendingRate ? lend : tangency(borrowingRate);
+    const warnings = [];
+    if (!(lend.ret > lendingRate)) {
+      warnings.push('The tangency portfolio does not beat the lending rate; holding cash dominates it.');
+    }
+
+    const onLine = (risky, exposure) => ({
+      ...mixWithCash(risky, exposure, lendingRate, borrowingRate),
+      segment: exposure > 1 ? 'borrow' : 'lend',
+    });
+    const onFrontier = () => ({
+      ...mixWithCash(maxReturnForVolatility(mu, cov, lendingRate, targetVol, { longOnly, limits }), 1, lendingRate, borrowingRate),
+      segment: 'frontier',
+    });
+
+    let result;
+    if (targetVol === null) {
+      result = onLine(maxLeverage > 1 ? borrow : lend, maxLeverage);
+    } else if (targetVol <= lend.vol || maxLeverage < 1) {
+      result = onLine(lend, exposureFor(lend.vol, targetVol, maxLeverage).exposure);
+    } else if (targetVol < borrow.vol || maxLeverage === 1) {
+      result = onFrontier();
+    } else {
+      const sized = exposureFor(borrow.vol, targetVol, maxLeverage);
+      result = onLine(borrow, sized.exposure);
+      // Past the cap, a fully invested portfolio with more risk can still return more.
+      if (sized.capped) {
+        const point = onFrontier();
+        if (point.ret > result.ret) {
+          result = point;
+        }
+      }
+    }
+
+    const capped = targetVol !== null && result.vol < targetVol * (1 - 1e-9);
+    if (capped) {
+      warnings.push(capWarning(result.vol, targetVol, maxLeverage));
+    }
+
+    return {
+      ...result,
+      objective: 'max_sharpe',
+      capped,
+      lendingRate,
+      borrowingRate,
+      lend: { w: lend.w, ret: lend.ret, vol: lend.vol, sharpe: lend.sharpe },
+      borrow: { w: borrow.w, ret: borrow.ret, vol: borrow.vol, sharpe: (borrow.ret - borrowingRate) / borrow.vol },
+      warnings,
+    };
+  }
+
+  return {
+    validateOptions,
+    exposureFor,
+    mixWithCash,
+    allocateRisky,
+    capitalAllocation,
+  };
+}));
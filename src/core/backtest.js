@@ -0,0 +1,225 @@
+/**
+ * Walk-forward backtest of the max-Sharpe portfolio over a price or return history:
+ * inputs are re-estimated on a rolling window at each rebalance date, and the weights
+ * found are held (drifting with prices) until the next one. An equal-weight portfolio
+ * rebalanced on the same dates is the benchmark.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer and
+ * estimation cores in the browser, where it is exposed as `FxOpti.backtest`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'), require('./estimation'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.backtest = factory(root.FxOpti.optimizer, root.FxOpti.estimation);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer, estimation) => {
+  const { MODES, buildCov, optimizeLongOnly, optimizeUnconstrained } = optimizer;
+  const { DATA_KINDS, ESTIMATORS, pricesToReturns, estimateInputs } = estimation;
+
+  const REBALANCE_FREQUENCIES = ['monthly', 'quarterly'];
+  const DEFAULTS = {
+    kind: 'prices',
+    mode: 'long_only',
+    rebalance: 'monthly',
+    window: 252,
+    estimator: 'sample',
+    halfLife: 60,
+    annualization: 252,
+    rf: 0,
+    iterations: 1600,
+  };
+
+  // Calendar bucket of a date: months are 0-11, quarters 0-3, both offset by year.
+  function periodKey(time, rebalance) {
+    const d = new Date(time);
+    const month = d.getUTCFullYear() * 12 + d.getUTCMonth();
+    return rebalance === 'quarterly' ? Math.floor(month / 3) : month;
+  }
+
+  /**
+   * Indices of `dates` (one per return period) that start a new month or quarter,
+   * from `window` on so every rebalance has a full estimation window behind it.
+   */
+  function rebalanceIndices(dates, window, rebalance) {
+    const times = dates.map((d) => Date.parse(d));
+    if (times.some((t) => !Number.isFinite(t))) {
+      throw new Error('Calendar rebalancing needs dates the browser can read, such as 2024-01-31.');
+    }
+    const indices = [];
+    for (let t = window; t < dates.length; t += 1) {
+      if (t === window || periodKey(times[t], rebalance) !== periodKey(times[t - 1], rebalance)) {
+        indices.push(t);
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * Realized statistics of a series of period returns, annualized with `annualization`
+   * periods per year. `turnover` is the one-way turnover per year.
+   */
+  function summarize(returns, equity, traded, annualization, rf) {
+    const count = returns.length;
+    const mean = returns.reduce((a, r) => a + r, 0) / count;
+    const variance = count > 1 ? returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (count - 1) : 0;
+    const vol = Math.sqrt(variance * annualization);
+    const years = count / annualization;
+    const final = equity[equity.length - 1];
+
+    let peak = equity[0];
+    let maxDrawdown = 0;
+    equity.forEach((v) => {
+      peak = Math.max(peak, v);
+      maxDrawdown = Math.max(maxDrawdown, 1 - v / peak);
+    });
+
+    return {
+      totalReturn: final - 1,
+      annualReturn: final > 0 ? final ** (1 / years) - 1 : -1,
+      vol,
+      sharpe: vol > 0 ? (mean * annualization - rf) / vol : NaN,
+      maxDrawdown,
+      turnover: traded / years,
+    };
+  }
+
+  /**
+   * Runs the backtest on a history from estimation.parseHistoryCsv.
+   *
+   * Options: `kind` and `estimator`/`halfLife` as for estimateInputs, `mode`
+   * ('long_only' | 'unconstrained'), `rebalance` ('monthly' | 'quarterly'), `window`
+   * (return periods per estimate), `annualization` (periods per year), `rf` (annual)
+   * and `iterations` (long-only solver). A missing return counts as 0 for that period.
+   *
+   * @returns {{ dates: string[], strategy: { equity: number[], stats: object },
+   *   benchmark: { equity: number[], stats: object }, rebalances: { date: string,
+   *   weights: number[] }[], warnings: string[] }} `dates[0]` is the date the first
+   *   weights were set; both equity curves start at 1 there.
+   */
+  function runBacktest(history, options) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!DATA_KINDS.includes(opts.kind)) {
+      throw new Error(`Data kind must be one of: ${DATA_KINDS.join(', ')}.`);
+    }
+    if (!ESTIMATORS.includes(opts.estimator)) {
+      throw new Error(`Estimator must be one of: ${ESTIMATORS.join(', ')}.`);
+    }
+    if (!MODES.includes(opts.mode)) {
+      throw new Error(`Mode must be one of: ${MODES.join(', ')}.`);
+    }
+    if (!REBALANCE_FREQUENCIES.includes(opts.rebalance)) {
+      throw new Error(`Rebalance frequency must be one of: ${REBALANCE_FREQUENCIES.join(', ')}.`);
+    }
+    if (!Number.isInteger(opts.window) || opts.window < 3) {
+      throw new Error('Estimation window must be a whole number of at least 3 periods.');
+    }
+    if (!(opts.annualization > 0)) {
+      throw new Error('Annualization factor must be > 0.');
+    }
+
+    // Holdings earn a gap's whole move when prices resume; the estimates use it per period.
+    const returns = opts.kind === 'prices' ? pricesToReturns(history.rows, { gaps: 'total' }) : history.rows;
+    const samples = opts.kind === 'prices' ? pricesToReturns(history.rows) : returns;
+    const dates = opts.kind === 'prices' ? history.dates.slice(1) : history.dates;
+    if (returns.length <= opts.window) {
+      throw new Error(`History has ${returns.length} return periods; the ${opts.window}-period window leaves none to test.`);
+    }
+
+    const n = history.names.length;
+    const starts = rebalanceIndices(dates, opts.window, opts.rebalance);
+    const equal = new Array(n).fill(1 / n);
+    const warnings = [];
+    const rebalances = [];
+    let missing = 0;
+
+    const strategy = { label: 'optimized', w: null, value: 1, equity: [1], returns: [], traded: 0, wipedOut: false };
+    const benchmark = { label: 'equal-weight', w: null, value: 1, equity: [1], returns: [], traded: 0, wipedOut: false };
+    const setWeights = (book, target) => {
+      if (book.w) {
+        book.traded += target.reduce((a, x, i) => a + Math.abs(x - book.w[i]), 0) / 2;
+      }
+      book.w = target.slice();
+    };
+    const step = (book, r, date) => {
+      const ret = book.w.reduce((a, x, i) => a + x * r[i], 0);
+      book.value *= 1 + ret;
+      if (book.value <= 0 && !book.wipedOut) {
+        book.wipedOut = true;
+        warnings.push(`${date}: the ${book.label} portfolio lost all of its value; later figures are not meaningful.`);
+      }
+      book.equity.push(book.value);
+      book.returns.push(ret);
+      // Weights drift with relative performance until the next rebalance.
+      if (1 + ret !== 0) {
+        book.w = book.w.map((x, i) => (x * (1 + r[i])) / (1 + ret));
+      }
+    };
+
+    let next = 0;
+    for (let t = opts.window; t < returns.length; t += 1) {
+      if (next < starts.length && starts[next] === t) {
+        next += 1;
+        const windowHistory = {
+          names: history.names,
+          dates: dates.slice(t - opts.window, t),
+          rows: samples.slice(t - opts.window, t),
+        };
+        let target;
+        try {
+          const est = estimateInputs(windowHistory, {
+            kind: 'returns',
+            estimator: opts.estimator,
+            halfLife: opts.halfLife,
+            annualization: opts.annualization,
+          });
+          const cov = buildCov(est.vol, est.corr);
+          target = opts.mode === 'long_only'
+            ? optimizeLongOnly(est.mu, cov, opts.rf, opts.iterations).w
+            : optimizeUnconstrained(est.mu, cov, opts.rf).w;
+        } catch (err) {
+          target = strategy.w || equal;
+          warnings.push(`${dates[t - 1]}: ${err.message} Kept the previous weights.`);
+        }
+        setWeights(strategy, target);
+        setWeights(benchmark, equal);
+        rebalances.push({ date: dates[t - 1], weights: target.slice() });
+      }
+
+      const r = returns[t].map((x) => {
+        if (x === null) {
+          missing += 1;
+          return 0;
+        }
+        return x;
+      });
+      step(strategy, r, dates[t]);
+      step(benchmark, r, dates[t]);
+    }
+
+    if (missing > 0) {
+      warnings.push(`${missing} missing returns in the test period were treated as 0.`);
+    }
+
+    return {
+      dates: dates.slice(opts.window - 1),
+      strategy: {
+        equity: strategy.equity,
+        stats: summarize(strategy.returns, strategy.equity, strategy.traded, opts.annualization, opts.rf),
+      },
+      benchmark: {
+        equity: benchmark.equity,
+        stats: summarize(benchmark.returns, benchmark.equity, benchmark.traded, opts.annualization, opts.rf),
+      },
+      rebalances,
+      warnings,
+    };
+  }
+
+  return {
+    REBALANCE_FREQUENCIES,
+    rebalanceIndices,
+    runBacktest,
+  };
+}));
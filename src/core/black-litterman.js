@@ -0,0 +1,214 @@
+/**
+ * Black-Litterman expected returns: equilibrium returns implied by market weights,
+ * blended with absolute or relative views held at a stated confidence.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.blackLitterman`. Returns and volatilities are
+ * annualized decimals; views state total returns, like `mu` in a scenario.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.blackLitterman = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const { InputError, dot, matVec, solveLinearSystem } = optimizer;
+
+  const VIEW_TYPES = ['absolute', 'relative'];
+  const DEFAULT_RISK_AVERSION = 2.5;
+  const DEFAULT_TAU = 0.05;
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  /** Equilibrium excess returns pi = delta * cov * w for normalized market weights w. */
+  function impliedReturns(cov, weights, riskAversion) {
+    return matVec(cov, weights).map((x) => riskAversion * x);
+  }
+
+  /** Row of the pick matrix P for one view. */
+  function viewRow(view, n) {
+    const row = new Array(n).fill(0);
+    row[view.asset] = 1;
+    if (view.type === 'relative') {
+      row[view.versus] = -1;
+    }
+    return row;
+  }
+
+  /** Field errors for Black-Litterman options over `n` assets. */
+  function validateOptions(options, n) {
+    const errors = [];
+    const opts = options && typeof options === 'object' ? options : {};
+
+    if (!Array.isArray(opts.weights) || opts.weights.length !== n) {
+      errors.push({ field: 'weights', message: `weights must be an array of ${n} market weights or capitalizations.` });
+    } else {
+      opts.weights.forEach((w, i) => {
+        if (!isNumber(w) || w < 0) {
+          errors.push({ field: `weights[${i}]`, message: 'Market weight must be a non-negative number.' });
+        }
+      });
+      if (errors.length === 0 && opts.weights.every((w) => w === 0)) {
+        errors.push({ field: 'weights', message: 'At least one market weight must be positive.' });
+      }
+    }
+
+    if (opts.riskAversion !== undefined && (!isNumber(opts.riskAversion) || opts.riskAversion <= 0)) {
+      errors.push({ field: 'riskAversion', message: 'riskAversion must be a number > 0.' });
+    }
+    if (opts.tau !== undefined && (!isNumber(opts.tau) || opts.tau <= 0 || opts.tau > 1)) {
+      errors.push({ field: 'tau', message: 'tau must be a number in (0, 1].' });
+    }
+
+    const views = opts.views === undefined ? [] : opts.views;
+    if (!Array.isArray(views)) {
+      errors.push({ field: 'views', message: 'views must be an array.' });
+      return errors;
+    }
+
+    const isAsset = (i) => Number.isInteger(i) && i >= 0 && i < n;
+    views.forEach((view, k) => {
+      const field = (name) => `views[${k}].${name}`;
+      if (!view || typeof view !== 'object') {
+        errors.push({ field: `views[${k}]`, message: 'View must be an object.' });
+        return;
+      }
+      if (!VIEW_TYPES.includes(view.type)) {
+        errors.push({ field: field('type'), message: `type must be one of: ${VIEW_TYPES.join(', ')}.` });
+      }
+      if (!isAsset(view.asset)) {
+        errors.push({ field: field('asset'), message: `asset must be an index between 0 and ${n - 1}.` });
+      }
+      if (view.type === 'relative') {
+        if (!isAsset(view.versus)) {
+          errors.push({ field: field('versus'), message: `versus must be an index between 0 and ${n - 1}.` });
+        } else if (view.versus === view.asset) {
+          errors.push({ field: field('versus'), message: 'A relative view needs two different assets.' });
+        }
+      }
+      if (!isNumber(view.value)) {
+        errors.push({ field: field('value'), message: 'value must be a finite number.' });
+      }
+      if (!isNumber(view.confidence) || view.confidence <= 0 || view.confidence > 1) {
+        errors.push({ field: field('confidence'), message: 'confidence must be in (0, 1].' });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Posterior expected returns and covariance.
+   *
+   * The prior is rf + pi. Absolute views state an asset's total return; relative views
+   * state by how much `asset` beats `versus`. A view's uncertainty is scaled from the
+   * prior uncertainty of the same portfolio: omega = (1 / confidence - 1) * p tau cov p',
+   * so a confidence of 1 is held exactly and 0.5 weighs the view like the prior.
+   *
+   * Options: `{ weights, riskAversion = 2.5, tau = 0.05, views = [] }`; `weights` may be
+   * market caps and are normalized to sum to 1.
+   *
+   * @returns {{ weights: number[], impliedExcess: number[], prior: number[],
+   *   posterior: number[], posteriorCov: number[][], riskAversion: number, tau: number }}
+   */
+  function blackLitterman(cov, rf, options) {
+    const n = cov.length;
+    const errors = validateOptions(options, n);
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const riskAversion = options.riskAversion === undefined ? DEFAULT_RISK_AVERSION : options.riskAversion;
+    const tau = options.tau === undefined ? DEFAULT_TAU : options.tau;
+    const views = options.views || [];
+    const total = options.weights.reduce((acc, w) => acc + w, 0);
+    const weights = options.weights.map((w) => w / total);
+    const pi = impliedReturns(cov, weights, riskAversion);
+    const prior = pi.map((x) => rf + x);
+
+    if (views.length === 0) {
+      return {
+        weights,
+        impliedExcess: pi,
+        prior,
+        posterior: prior.slice(),
+        posteriorCov: cov.map((row) => row.map((v) => v * (1 + tau))),
+        riskAversion,
+        tau,
+      };
+    }
+
+    const P = views.map((v) => viewRow(v, n));
+    const q = views.map((v) => (v.type === 'absolute' ? v.value - rf : v.value));
+    const tauCov = cov.map((row) => row.map((v) => tau * v));
+    const tauCovPt = P.map((p) => matVec(tauCov, p)); // k columns of tau * cov * P'
+    const viewCov = P.map((p) => P.map((_, b) => dot(p, tauCovPt[b])));
+    views.forEach((v, k) => {
+      viewCov[k][k] /= v.confidence; // p tau cov p' + omega
+    });
+
+    // Columns of (P tau cov P' + omega)^-1.
+    let inverse;
+    try {
+      inverse = views.map((_, a) => solveLinearSystem(viewCov, views.map((__, b) => (a === b ? 1 : 0))));
+    } catch (err) {
+      throw new InputError('Views are redundant or contradictory at full confidence.', [
+        { field: 'views', message: 'Lower the confidence of views that repeat or combine other views.' },
+      ]);
+    }
+
+    const surprise = q.map((qk, k) => qk - dot(P[k], pi));
+    const weightsOnViews = views.map((_, a) => views.reduce((acc, __, b) => acc + inverse[b][a] * surprise[b], 0));
+    const posteriorExcess = pi.map((x, i) => x + tauCovPt.reduce((acc, col, k) => acc + col[i] * weightsOnViews[k], 0));
+
+    const posteriorCov = cov.map((row, i) => row.map((v, j) => {
+      let shrink = 0;
+      for (let a = 0; a < views.length; a += 1) {
+        for (let b = 0; b < views.length; b += 1) {
+          shrink += tauCovPt[a][i] * inverse[b][a] * tauCovPt[b][j];
+        }
+      }
+      return v + tauCov[i][j] - shrink;
+    }));
+
+    return {
+      weights,
+      impliedExcess: pi,
+      prior,
+      posterior: posteriorExcess.map((x) => rf + x),
+      posteriorCov: posteriorCov.map((row, i) => row.map((v, j) => (v + posteriorCov[j][i]) / 2)),
+      riskAversion,
+      tau,
+    };
+  }
+
+  /**
+   * Replaces a parsed scenario's `mu` and `cov` with the Black-Litterman posterior and
+   * records the full result under `blackLitterman`. Field errors point into
+   * `blackLitterman.*` of the request.
+   */
+  function applyToScenario(scenario, options) {
+    let result;
+    try {
+      result = blackLitterman(scenario.cov, scenario.rf, options);
+    } catch (err) {
+      if (err instanceof InputError && err.fields) {
+        err.fields = err.fields.map((f) => ({ ...f, field: `blackLitterman.${f.field}` }));
+      }
+      throw err;
+    }
+    return { ...scenario, mu: result.posterior, cov: result.posteriorCov, blackLitterman: result };
+  }
+
+  return {
+    VIEW_TYPES,
+    impliedReturns,
+    validateOptions,
+    blackLitterman,
+    applyToScenario,
+  };
+}));
@@ -0,0 +1,210 @@
+/**
+ * Correlation matrix diagnostics and repair: positive-semidefinite checks, the nearest
+ * valid correlation matrix (Higham 2002) and shrinkage toward constant correlation
+ * (Ledoit & Wolf 2004).
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.correlation`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.correlation = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const { symmetricEigen, PSD_TOLERANCE } = optimizer;
+
+  function reconstruct(values, vectors) {
+    const n = values.length;
+    const out = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let k = 0; k < n; k += 1) {
+      const vec = vectors[k];
+      for (let i = 0; i < n; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+          out[i][j] += values[k] * vec[i] * vec[j];
+        }
+      }
+    }
+    return out;
+  }
+
+  function projectPsd(A, floor) {
+    const { values, vectors } = symmetricEigen(A);
+    return reconstruct(values.map((v) => Math.max(v, floor)), vectors);
+  }
+
+  function symmetrize(A) {
+    return A.map((row, i) => row.map((x, j) => (i === j ? 1 : (x + A[j][i]) / 2)));
+  }
+
+  /**
+   * Eigenvalue check of a correlation matrix.
+   * @returns {{ eigenvalues: number[], minEigenvalue: number, isPsd: boolean, isPositiveDefinite: boolean }}
+   */
+  function checkCorrelation(corr) {
+    const { values } = symmetricEigen(corr);
+    return {
+      eigenvalues: values,
+      minEigenvalue: values[0],
+      isPsd: values[0] >= -PSD_TOLERANCE,
+      isPositiveDefinite: values[0] > PSD_TOLERANCE,
+    };
+  }
+
+  /**
+   * Nearest correlation matrix in the Frobenius norm by Higham's alternating projections
+   * with Dykstra's correction. The result is symmetric with a unit diagonal and every
+   * eigenvalue at least `minEigenvalue`, so the covariance built from it can be inverted.
+   * @returns {{ corr: number[][], iterations: number }}
+   */
+  function nearestCorrelation(corr, options) {
+    const { maxIter, tol, minEigenvalue } = {
+      maxIter: 200,
+      tol: 1e-9,
+      minEigenvalue: 1e-8,
+      ...options,
+    };
+    const n = corr.length;
+    let y = symmetrize(corr);
+    let dS = Array.from({ length: n }, () => new Array(n).fill(0));
+    let iterations = 0;
+
+    for (; iterations < maxIter; iterations += 1) {
+      const r = y.map((row, i) => row.map((x, j) => x - dS[i][j]));
+      const x = projectPsd(r, 0);
+      dS = x.map((row, i) => row.map((v, j) => v - r[i][j]));
+      const next = x.map((row, i) => row.map((v, j) => (i === j ? 1 : v)));
+
+      let diff = 0;
+      let norm = 0;
+      for (let i = 0; i < n; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+          diff += (next[i][j] - y[i][j]) ** 2;
+          norm += next[i][j] ** 2;
+        }
+      }
+      y = next;
+      if (Math.sqrt(diff / norm) < tol) {
+        iterations += 1;
+        break;
+      }
+    }
+
+    // Lift tiny or negative eigenvalues left by the unit-diagonal projection, then rescale.
+    const lifted = projectPsd(y, minEigenvalue);
+    const d = lifted.map((row, i) => Math.sqrt(row[i]));
+    const repaired = lifted.map((row, i) => row.map((v, j) => (i === j ? 1 : Math.max(-1, Math.min(1, v / (d[i] * d[j]))))));
+
+    return { corr: symmetrize(repaired), iterations };
+  }
+
+  function averageOffDiagonal(corr) {
+    const n = corr.length;
+    let sum = 0;
+    for (let i = 0; i < n; i += 1) {
+      for (let j = i + 1; j < n; j += 1) {
+        sum += corr[i][j];
+      }
+    }
+    return n > 1 ? (2 * sum) / (n * (n - 1)) : 0;
+  }
+
+  /** (1 - intensity) * corr + intensity * F, where F has every off-diagonal equal to corr's average. */
+  function shrinkToConstantCorrelation(corr, intensity) {
+    if (!(intensity >= 0 && intensity <= 1)) {
+      throw new Error('Shrinkage intensity must be between 0 and 1.');
+    }
+    const rBar = averageOffDiagonal(corr);
+    return corr.map((row, i) => row.map((x, j) => (i === j ? 1 : (1 - intensity) * x + intensity * rBar)));
+  }
+
+  /**
+   * Ledoit-Wolf optimal intensity for shrinking the sample covariance toward the
+   * constant-correlation target, from rows of per-period returns. Rows with a missing
+   * value are dropped. Because the target keeps the sample variances, the same
+   * intensity applies to the correlation matrix.
+   */
+  function ledoitWolfIntensity(returns) {
+    const rows = returns.filter((row) => row.every((x) => x !== null && Number.isFinite(x)));
+    const T = rows.length;
+    if (T < 3) {
+      throw new Error('Ledoit-Wolf shrinkage needs at least 3 complete return periods.');
+    }
+
+    const n = rows[0].length;
+    const mean = new Array(n).fill(0);
+    rows.forEach((row) => row.forEach((x, i) => { mean[i] += x / T; }));
+    const X = rows.map((row) => row.map((x, i) => x - mean[i]));
+
+    const S = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (const row of X) {
+      for (let i = 0; i < n; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+          S[i][j] += (row[i] * row[j]) / T;
+        }
+      }
+    }
+
+    const sd = S.map((row, i) => Math.sqrt(row[i]));
+    if (sd.some((x) => !(x > 0))) {
+      throw new Error('Ledoit-Wolf shrinkage needs every asset to have non-zero variance.');
+    }
+    const rBar = averageOffDiagonal(S.map((row, i) => row.map((x, j) => x / (sd[i] * sd[j]))));
+
+    let pi = 0;
+    let rho = 0;
+    let gamma = 0;
+    for (let i = 0; i < n; i += 1) {
+      for (let j = 0; j < n; j += 1) {
+        let piIJ = 0;
+        let thetaII = 0;
+        let thetaJJ = 0;
+        for (const row of X) {
+          const cross = row[i] * row[j] - S[i][j];
+          piIJ += cross * cross;
+          thetaII += (row[i] * row[i] - S[i][i]) * cross;
+          thetaJJ += (row[j] * row[j] - S[j][j]) * cross;
+        }
+        piIJ /= T;
+        pi += piIJ;
+
+        if (i === j) {
+          rho += piIJ;
+        } else {
+          rho += (rBar / 2) * ((sd[j] / sd[i]) * (thetaII / T) + (sd[i] / sd[j]) * (thetaJJ / T));
+          gamma += (rBar * sd[i] * sd[j] - S[i][j]) ** 2;
+        }
+      }
+    }
+
+    if (gamma <= 0) {
+      return 0;
+    }
+    return Math.max(0, Math.min(1, (pi - rho) / gamma / T));
+  }
+
+  /** Off-diagonal cells (i < j) that differ by at least `threshold`, largest change first. */
+  function diffCorrelation(before, after, threshold) {
+    const minChange = threshold === undefined ? 0.005 : threshold;
+    const changes = [];
+    for (let i = 0; i < before.length; i += 1) {
+      for (let j = i + 1; j < before.length; j += 1) {
+        const delta = after[i][j] - before[i][j];
+        if (Math.abs(delta) >= minChange) {
+          changes.push({ i, j, before: before[i][j], after: after[i][j], delta });
+        }
+      }
+    }
+    return changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+
+  return {
+    checkCorrelation,
+    nearestCorrelation,
+    shrinkToConstantCorrelation,
+    ledoitWolfIntensity,
+    diffCorrelation,
+  };
+}));
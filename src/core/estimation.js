@@ -0,0 +1,368 @@
+/**
+ * Estimates optimizer inputs (expected returns, volatilities, correlations) from a
+ * history of dated prices or returns, one column per asset.
+ *
+ * Loaded with require() in Node, or with a <script> tag in the browser, where it is
+ * exposed as `FxOpti.estimation`. Outputs are annualized decimals like the optimizer core.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.estimation = api;
+  }
+}(typeof self !== 'undefined' ? self : this, () => {
+  const ESTIMATORS = ['sample', 'ewma'];
+  const DATA_KINDS = ['prices', 'returns'];
+  const GAP_MODES = ['per_period', 'total'];
+  const MISSING_VALUES = new Set(['', 'na', 'n/a', 'nan', 'null', '#n/a', '-']);
+
+  function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i += 1) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  function detectDelimiter(headerLine) {
+    const candidates = [',', ';', '\t'];
+    let best = ',';
+    let bestCount = 0;
+    for (const d of candidates) {
+      const count = headerLine.split(d).length - 1;
+      if (count > bestCount) {
+        best = d;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  function parseCell(raw, lineNo, name) {
+    if (MISSING_VALUES.has(raw.toLowerCase())) {
+      return null;
+    }
+    const text = raw.endsWith('%') ? raw.slice(0, -1) : raw;
+    const value = Number(text);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Line ${lineNo}: "${raw}" is not a number (column ${name}).`);
+    }
+    return raw.endsWith('%') ? value / 100 : value;
+  }
+
+  /**
+   * Parses a CSV whose first column holds dates and whose other columns hold one
+   * series per asset. Rows are sorted by date; blank or NA cells become null.
+   * @returns {{ names: string[], dates: string[], rows: (number|null)[][] }}
+   */
+  function parseHistoryCsv(text) {
+    const lines = String(text)
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map((line, i) => ({ line, lineNo: i + 1 }))
+      .filter(({ line }) => line.trim() !== '');
+
+    if (lines.length < 3) {
+      throw new Error('CSV must have a header row and at least two data rows.');
+    }
+
+    const delimiter = detectDelimiter(lines[0].line);
+    const header = splitCsvLine(lines[0].line, delimiter);
+    const names = header.slice(1).map((name, i) => name || `Asset ${i + 1}`);
+    if (names.length < 1) {
+      throw new Error('CSV must have a date column followed by at least one asset column.');
+    }
+
+    const seen = new Set();
+    const records = lines.slice(1).map(({ line, lineNo }) => {
+      const cells = splitCsvLine(line, delimiter);
+      const date = cells[0];
+      if (!date) {
+        throw new Error(`Line ${lineNo}: missing date.`);
+      }
+      if (seen.has(date)) {
+        throw new Error(`Line ${lineNo}: duplicate date ${date}.`);
+      }
+      seen.add(date);
+
+      const values = names.map((name, j) => parseCell(cells[j + 1] || '', lineNo, name));
+      return { date, time: Date.parse(date), values };
+    });
+
+    if (records.every((r) => Number.isFinite(r.time))) {
+      records.sort((a, b) => a.time - b.time);
+    }
+
+    return {
+      names,
+      dates: records.map((r) => r.date),
+      rows: records.map((r) => r.values),
+    };
+  }
+
+  /**
+   * Simple period returns from consecutive prices; null inside a gap and before an
+   * asset's first price. The return on the row where prices resume is measured from the
+   * last available price. With `options.gaps` 'per_period' (the default) it is scaled to
+   * the average per-period return over the gap, (1 + r)^(1 / k) - 1 for a move over k
+   * periods, so that as one observation it is on the same scale as the others; with
+   * 'total' the whole move is kept, as a holding would have earned it.
+   */
+  function pricesToReturns(rows, options) {
+    const { gaps } = { gaps: 'per_period', ...options };
+    if (!GAP_MODES.includes(gaps)) {
+      throw new Error(`Gap handling must be one of: ${GAP_MODES.join(', ')}.`);
+    }
+    const out = [];
+    const last = rows.length > 0 ? rows[0].slice() : [];
+    const since = last.map(() => 0);
+    for (let t = 1; t < rows.length; t += 1) {
+      out.push(rows[t].map((p, j) => {
+        const prev = last[j];
+        since[j] += 1;
+        if (p === null) {
+          return null;
+        }
+        const periods = since[j];
+        last[j] = p;
+        since[j] = 0;
+        if (prev === null) {
+          return null;
+        }
+        if (prev <= 0) {
+          throw new Error('Prices must be positive to compute returns.');
+        }
+        return gaps === 'total' || periods === 1 ? p / prev - 1 : Math.pow(p / prev, 1 / periods) - 1;
+      }));
+    }
+    return out;
+  }
+
+  // Per asset, the returns from period `from` on that pricesToReturns measures across a gap.
+  function gapReturnCounts(rows, from) {
+    const n = rows.length > 0 ? rows[0].length : 0;
+    return Array.from({ length: n }, (_, j) => {
+      let seen = rows.length > 0 && rows[0][j] !== null;
+      let count = 0;
+      for (let t = 1; t < rows.length; t += 1) {
+        if (rows[t][j] !== null) {
+          if (seen && rows[t - 1][j] === null && t - 1 >= from) {
+            count += 1;
+          }
+          seen = true;
+        }
+      }
+      return count;
+    });
+  }
+
+  /** Observation weights, oldest first; EWMA halves every `halfLife` periods. */
+  function observationWeights(count, estimator, halfLife) {
+    if (estimator === 'sample') {
+      return new Array(count).fill(1);
+    }
+    const decay = Math.pow(0.5, 1 / halfLife);
+    return Array.from({ length: count }, (_, t) => Math.pow(decay, count - 1 - t));
+  }
+
+  function weightedMoments(xs, ys, weights) {
+    let sw = 0;
+    let sw2 = 0;
+    let mx = 0;
+    let my = 0;
+    let count = 0;
+
+    for (let t = 0; t < weights.length; t += 1) {
+      if (xs[t] === null || ys[t] === null) {
+        continue;
+      }
+      sw += weights[t];
+      sw2 += weights[t] * weights[t];
+      mx += weights[t] * xs[t];
+      my += weights[t] * ys[t];
+      count += 1;
+    }
+
+    if (count < 2) {
+      return { count, cov: NaN, varX: NaN, varY: NaN };
+    }
+
+    mx /= sw;
+    my /= sw;
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let t = 0; t < weights.length; t += 1) {
+      if (xs[t] === null || ys[t] === null) {
+        continue;
+      }
+      const dx = xs[t] - mx;
+      const dy = ys[t] - my;
+      cov += weights[t] * dx * dy;
+      varX += weights[t] * dx * dx;
+      varY += weights[t] * dy * dy;
+    }
+
+    // Reliability-weighted unbiased correction; reduces to 1 / (n - 1) for equal weights.
+    const norm = sw - sw2 / sw;
+    return { count, cov: cov / norm, varX: varX / norm, varY: varY / norm };
+  }
+
+  /**
+   * Annualized expected returns, volatilities and correlations from a parsed history.
+   *
+   * Options: `kind` ('prices' | 'returns'), `estimator` ('sample' | 'ewma'),
+   * `halfLife` (periods, EWMA only), `lookback` (most recent return periods to use,
+   * 0 for all) and `annualization` (periods per year, e.g. 252 daily, 12 monthly).
+   *
+   * Missing cells are skipped per asset, and each correlation uses the periods where
+   * both assets have data. With prices, a gap's move is booked on the period where the
+   * asset's prices resume as a per-period return (see pricesToReturns), with a warning.
+   * Pairs with fewer than 3 overlapping periods get a correlation of 0 and a warning.
+   *
+   * @returns {{ names: string[], mu: number[], vol: number[], corr: number[][],
+   *   observations: number[], start: string, end: string, warnings: string[],
+   *   returns: (number|null)[][] }} `returns` holds the per-period returns in the window.
+   */
+  function estimateInputs(history, options) {
+    const opts = {
+      kind: 'prices',
+      estimator: 'sample',
+      halfLife: 60,
+      lookback: 0,
+      annualization: 252,
+      ...options,
+    };
+
+    if (!DATA_KINDS.includes(opts.kind)) {
+      throw new Error(`Data kind must be one of: ${DATA_KINDS.join(', ')}.`);
+    }
+    if (!ESTIMATORS.includes(opts.estimator)) {
+      throw new Error(`Estimator must be one of: ${ESTIMATORS.join(', ')}.`);
+    }
+    if (opts.estimator === 'ewma' && !(opts.halfLife > 0)) {
+      throw new Error('EWMA half-life must be > 0.');
+    }
+    if (!Number.isInteger(opts.lookback) || opts.lookback < 0) {
+      throw new Error('Lookback must be a whole number of periods (0 for all).');
+    }
+    if (!(opts.annualization > 0)) {
+      throw new Error('Annualization factor must be > 0.');
+    }
+
+    const allReturns = opts.kind === 'prices' ? pricesToReturns(history.rows) : history.rows;
+    const allDates = opts.kind === 'prices' ? history.dates.slice(1) : history.dates;
+    const from = opts.lookback > 0 ? Math.max(allReturns.length - opts.lookback, 0) : 0;
+    const returns = allReturns.slice(from);
+    const dates = allDates.slice(from);
+    const weights = observationWeights(returns.length, opts.estimator, opts.halfLife);
+
+    const n = history.names.length;
+    const columns = Array.from({ length: n }, (_, j) => returns.map((row) => row[j]));
+    const warnings = [];
+    const mu = new Array(n);
+    const vol = new Array(n);
+    const observations = new Array(n);
+
+    for (let i = 0; i < n; i += 1) {
+      const m = weightedMoments(columns[i], columns[i], weights);
+      if (m.count < 3) {
+        throw new Error(`${history.names[i]} has fewer than 3 return observations in the window.`);
+      }
+      if (!(m.varX > 0)) {
+        throw new Error(`${history.names[i]} has zero volatility in the window.`);
+      }
+
+      let sw = 0;
+      let mean = 0;
+      for (let t = 0; t < weights.length; t += 1) {
+        if (columns[i][t] !== null) {
+          sw += weights[t];
+          mean += weights[t] * columns[i][t];
+        }
+      }
+
+      mu[i] = (mean / sw) * opts.annualization;
+      vol[i] = Math.sqrt(m.varX * opts.annualization);
+      observations[i] = m.count;
+    }
+
+    const corr = Array.from({ length: n }, (_, i) => {
+      const row = new Array(n).fill(0);
+      row[i] = 1;
+      return row;
+    });
+
+    for (let i = 0; i < n; i += 1) {
+      for (let j = i + 1; j < n; j += 1) {
+        const m = weightedMoments(columns[i], columns[j], weights);
+        let c = 0;
+        if (m.count < 3 || !(m.varX > 0) || !(m.varY > 0)) {
+          warnings.push(`${history.names[i]} and ${history.names[j]} overlap on ${m.count} periods; correlation set to 0.`);
+        } else {
+          c = Math.max(-1, Math.min(1, m.cov / Math.sqrt(m.varX * m.varY)));
+        }
+        corr[i][j] = c;
+        corr[j][i] = c;
+      }
+    }
+
+    if (opts.kind === 'prices') {
+      const spans = gapReturnCounts(history.rows, from)
+        .map((count, i) => (count > 0 ? `${history.names[i]} (${count})` : null))
+        .filter(Boolean);
+      if (spans.length > 0) {
+        warnings.push(`Returns across missing prices were scaled to per-period returns for ${spans.join(', ')}.`);
+      }
+    }
+
+    if (n > 2 && observations.some((count) => count < returns.length)) {
+      warnings.push('Histories do not fully overlap; correlations use pairwise overlapping periods and may not be positive definite.');
+    }
+
+    return {
+      names: history.names.slice(),
+      mu,
+      vol,
+      corr,
+      observations,
+      start: dates[0],
+      end: dates[dates.length - 1],
+      warnings,
+      returns,
+    };
+  }
+
+  return {
+    ESTIMATORS,
+    DATA_KINDS,
+    parseHistoryCsv,
+    pricesToReturns,
+    estimateInputs,
+  };
+}));
@@ -0,0 +1,525 @@
+/**
+ * Currency-basket tools for the FX page: turns volatilities and correlations of quoted
+ * currency pairs into the covariance of currency returns in a chosen base currency,
+ * solves the minimum-variance basket over the non-base currencies (and, given deposit
+ * rates, the max-Sharpe basket on carry), re-solves it across a range of one pair
+ * correlation or volatility ratio, and sizes forward hedges of foreign-currency assets.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.fx`. Volatilities are annualized decimals.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.fx = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const {
+    InputError,
+    buildCov,
+    isPositiveSemidefinite,
+    solveLinearSystem,
+    portfolioStats,
+    optimizeUnconstrained,
+    optimizeLongOnly,
+    minVariancePortfolio,
+  } = optimizer;
+
+  const PAIR_PATTERN = /^([A-Z]{3})\s*\/\s*([A-Z]{3})$/;
+
+  /** Splits a market quote such as 'GBP/USD' into `{ base: 'GBP', quote: 'USD' }`. */
+  function parsePair(text) {
+    const match = PAIR_PATTERN.exec(String(text).trim().toUpperCase());
+    if (!match) {
+      throw new Error(`"${text}" is not a currency pair like EUR/USD.`);
+    }
+    if (match[1] === match[2]) {
+      throw new Error(`"${text}" quotes a currency against itself.`);
+    }
+    return { base: match[1], quote: match[2] };
+  }
+
+  function transpose(m) {
+    return m[0].map((_, j) => m.map((row) => row[j]));
+  }
+
+  function matMul(a, b) {
+    return a.map((row) => b[0].map((_, j) => row.reduce((acc, x, k) => acc + x * b[k][j], 0)));
+  }
+
+  function invert(m) {
+    const n = m.length;
+    const columns = Array.from({ length: n }, (_, j) => solveLinearSystem(m, m.map((_, i) => (i === j ? 1 : 0))));
+    return transpose(columns);
+  }
+
+  /**
+   * Covariance of currency returns measured in `baseCurrency`, from pair vols and the
+   * correlation matrix between pair returns.
+   *
+   * A pair X/Y moves by r(X) - r(Y), where r(C) is the return of holding currency C in
+   * base terms and r(base) = 0. Stacking the pairs gives pair returns = E * currency
+   * returns for an exposure matrix E of +1/-1 entries, which covers inverted quotes
+   * (USD/CHF when the base is USD) and crosses (AUD/JPY). The currency covariance
+   * solves E * C * E' = pair covariance, exactly when there is one pair per currency and
+   * by least squares when extra crosses are given.
+   *
+   * @returns {{ currencies: string[], cov: number[][], vols: number[], exposures: number[][],
+   *   warnings: string[] }} `currencies` excludes the base currency.
+   */
+  function currencyCovariance(pairs, vols, corr, baseCurrency) {
+    const base = String(baseCurrency).trim().toUpperCase();
+    const parsed = pairs.map((p) => parsePair(p));
+    const warnings = [];
+
+    const seen = new Set();
+    parsed.forEach((p, i) => {
+      const key = [p.base, p.quote].sort().join('/');
+      if (seen.has(key)) {
+        throw new InputError(`${pairs[i]} duplicates another pair or its inverse.`, [
+          { field: `pairs[${i}]`, message: 'Duplicate pair.' },
+        ]);
+      }
+      seen.add(key);
+    });
+
+    const all = [];
+    parsed.forEach((p) => {
+      [p.base, p.quote].forEach((c) => {
+        if (!all.includes(c)) {
+          all.push(c);
+        }
+      });
+    });
+    if (!all.includes(base)) {
+      throw new InputError(`Base currency ${base} does not appear in any pair.`, [
+        { field: 'base', message: `${base} does not appear in any pair.` },
+      ]);
+    }
+
+    const reached = new Set([base]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      parsed.forEach((p) => {
+        if (reached.has(p.base) !== reached.has(p.quote)) {
+          reached.add(p.base);
+          reached.add(p.quote);
+          grew = true;
+        }
+      });
+    }
+    const orphans = all.filter((c) => !reached.has(c));
+    if (orphans.length > 0) {
+      throw new InputError(`${orphans.join(', ')} cannot be linked to ${base} through the pairs given.`, [
+        { field: 'pairs', message: `Add a pair linking ${orphans.join(', ')} to ${base}.` },
+      ]);
+    }
+
+    const currencies = all.filter((c) => c !== base);
+    const exposures = parsed.map((p) => currencies.map((c) => {
+      if (c === p.base) {
+        return 1;
+      }
+      return c === p.quote ? -1 : 0;
+    }));
+
+    const pairCov = buildCov(vols, corr);
+    let cov;
+    if (pairs.length === currencies.length) {
+      const inv = invert(exposures);
+      cov = matMul(matMul(inv, pairCov), transpose(inv));
+    } else {
+      const et = transpose(exposures);
+      const pinv = matMul(invert(matMul(et, exposures)), et);
+      cov = matMul(matMul(pinv, pairCov), transpose(pinv));
+      warnings.push(`${pairs.length} pairs describe ${currencies.length} currencies; the extra cross rates are reconciled by least squares.`);
+    }
+
+    cov = cov.map((row, i) => row.map((v, j) => (i === j ? Math.max(v, 0) : (v + cov[j][i]) / 2)));
+    return {
+      currencies,
+      cov,
+      vols: cov.map((row, i) => Math.sqrt(row[i])),
+      exposures,
+      warnings,
+    };
+  }
+
+  /** Field errors for a minVarianceBasket input; empty when it is valid. */
+  function validateBasketInput(input) {
+    const errors = [];
+    const { pairs, vols, corr } = input;
+
+    if (!Array.isArray(pairs) || pairs.length < 2) {
+      errors.push({ field: 'pairs', message: 'pairs must list at least 2 currency pairs.' });
+      return errors;
+    }
+    pairs.forEach((p, i) => {
+      try {
+        parsePair(p);
+      } catch (err) {
+        errors.push({ field: `pairs[${i}]`, message: err.message });
+      }
+    });
+
+    if (input.base !== undefined && !/^[A-Za-z]{3}$/.test(String(input.base).trim())) {
+      errors.push({ field: 'base', message: 'Base currency must be a 3-letter code such as USD.' });
+    }
+
+    const n = pairs.length;
+    if (!Array.isArray(vols) || vols.length !== n) {
+      errors.push({ field: 'vols', message: `vols must be an array of ${n} volatilities.` });
+    } else {
+      vols.forEach((v, i) => {
+        if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+          errors.push({ field: `vols[${i}]`, message: 'Volatility must be a non-negative number.' });
+        }
+      });
+      if (vols.every((v) => v === 0)) {
+        errors.push({ field: 'vols', message: 'Every volatility is zero. Weights are not unique.' });
+      }
+    }
+
+    if (!Array.isArray(corr) || corr.length !== n || corr.some((row) => !Array.isArray(row) || row.length !== n)) {
+      errors.push({ field: 'corr', message: `corr must be a ${n}x${n} matrix.` });
+    } else {
+      for (let i = 0; i < n; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+          const v = corr[i][j];
+          if (i === j ? v !== 1 : (typeof v !== 'number' || !(v >= -1 && v <= 1))) {
+            errors.push({ field: `corr[${i}][${j}]`, message: i === j ? 'Diagonal correlations must equal 1.' : 'Correlation must be between -1 and 1.' });
+          } else if (j > i && Math.abs(v - corr[j][i]) > 1e-9) {
+            errors.push({ field: `corr[${i}][${j}]`, message: 'Correlation matrix must be symmetric.' });
+          }
+        }
+      }
+      if (errors.length === 0 && !isPositiveSemidefinite(corr)) {
+        errors.push({ field: 'corr', message: 'Correlation matrix is not positive semidefinite.' });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Minimum-variance basket over the non-base currencies, fully invested (weights sum
+   * to 1, base currency weight 0). Input: `{ pairs, vols, corr, base?, longOnly? }` with
+   * `base` defaulting to USD and `longOnly` to true.
+   *
+   * @returns {{ base: string, currencies: string[], weights: number[], pVol: number,
+   *   currencyVols: number[], cov: number[][], warnings: string[] }}
+   */
+  function minVarianceBasket(input) {
+    const errors = validateBasketInput(input);
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const base = input.base === undefined ? 'USD' : String(input.base).trim().toUpperCase();
+    const longOnly = input.longOnly === undefined ? true : Boolean(input.longOnly);
+    const fx = currencyCovariance(input.pairs, input.vols, input.corr, base);
+    const zeros = new Array(fx.currencies.length).fill(0);
+    const basket = minVariancePortfolio(zeros, fx.cov, 0, { longOnly });
+
+    return {
+      base,
+      currencies: fx.currencies,
+      weights: basket.w,
+      pVol: basket.vol,
+      currencyVols: fx.vols,
+      cov: fx.cov,
+      warnings: fx.warnings,
+    };
+  }
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  function isRateTable(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Reads a rate table case-insensitively.
+  function lookup(table, ccy) {
+    const key = Object.keys(table || {}).find((k) => k.trim().toUpperCase() === ccy);
+    return key === undefined ? undefined : table[key];
+  }
+
+  /**
+   * Field errors for the `rates` and `views` of a carryBasket input, given the base
+   * currency and the `currencies` found in the pairs; empty when they are valid.
+   */
+  function validateCarryInput(input, base, currencies) {
+    const errors = [];
+    const { rates, views } = input;
+
+    if (!isRateTable(rates)) {
+      errors.push({ field: 'rates', message: 'rates must map each currency code to its deposit rate.' });
+    } else {
+      [base, ...currencies].forEach((ccy) => {
+        const rate = lookup(rates, ccy);
+        if (rate === undefined) {
+          errors.push({ field: `rates.${ccy}`, message: `A deposit rate for ${ccy} is required.` });
+        } else if (!isNumber(rate) || rate <= -1) {
+          errors.push({ field: `rates.${ccy}`, message: `The ${ccy} deposit rate must be a rate above -100%.` });
+        }
+      });
+    }
+
+    if (views !== undefined) {
+      if (!isRateTable(views)) {
+        errors.push({ field: 'views', message: 'views must map currency codes to expected spot returns.' });
+      } else {
+        Object.keys(views).forEach((key) => {
+          const ccy = key.trim().toUpperCase();
+          if (!currencies.includes(ccy)) {
+            errors.push({ field: `views.${key}`, message: `${ccy} is not a currency in the basket.` });
+          } else if (!isNumber(views[key])) {
+            errors.push({ field: `views.${key}`, message: `The ${ccy} view must be a finite number.` });
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Minimum-variance and max-Sharpe baskets with expected returns from carry. Input: the
+   * minVarianceBasket fields plus `rates` (deposit rate per currency code, base included)
+   * and optional `views` (expected spot return per currency against the base).
+   *
+   * Holding currency C instead of the base earns rates[C] - rates[base] plus the spot
+   * move, so each currency's expected excess return is its carry plus its view. Sharpe
+   * ratios are that excess return over volatility. The max-Sharpe basket is fully
+   * invested in the non-base currencies, long-only unless `longOnly` is false.
+   *
+   * @returns {object} the minVarianceBasket result plus `carry` and `expected` (per
+   *   currency), and `minVariance` and `maxSharpe` as `{ weights, ret, vol, sharpe }`.
+   */
+  function carryBasket(input) {
+    const basket = minVarianceBasket(input);
+    const { base, currencies } = basket;
+    const errors = validateCarryInput(input, base, currencies);
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const baseRate = lookup(input.rates, base);
+    const carry = currencies.map((ccy) => lookup(input.rates, ccy) - baseRate);
+    const expected = currencies.map((ccy, i) => {
+      const view = lookup(input.views, ccy);
+      return carry[i] + (view === undefined ? 0 : view);
+    });
+
+    const longOnly = input.longOnly === undefined ? true : Boolean(input.longOnly);
+    const best = longOnly
+      ? optimizeLongOnly(expected, basket.cov, 0, 1600)
+      : optimizeUnconstrained(expected, basket.cov, 0);
+    const minVar = portfolioStats(basket.weights, expected, basket.cov, 0);
+    const summary = (stats) => ({ weights: stats.w, ret: stats.ret, vol: stats.vol, sharpe: stats.sharpe });
+
+    const warnings = basket.warnings.slice();
+    if (!(best.ret > 0)) {
+      warnings.push(`No ${longOnly ? 'long-only ' : ''}basket earns more than ${base} deposits; the max-Sharpe basket has a non-positive expected return.`);
+    }
+
+    return {
+      ...basket,
+      carry,
+      expected,
+      minVariance: summary(minVar),
+      maxSharpe: summary(best),
+      warnings,
+    };
+  }
+
+  /**
+   * Field errors for the exposure part of a hedgeExposure input (the pairs are checked
+   * by validateBasketInput); empty when it is valid.
+   */
+  function validateHedgeInput(input) {
+    const errors = [];
+
+    if (!/^[A-Za-z]{3}$/.test(String(input.currency === undefined ? '' : input.currency).trim())) {
+      errors.push({ field: 'currency', message: 'currency must be a 3-letter code such as EUR.' });
+    }
+    if (!isNumber(input.assetVol) || input.assetVol < 0) {
+      errors.push({ field: 'assetVol', message: 'assetVol must be a non-negative number.' });
+    }
+    if (!isNumber(input.assetCorr) || input.assetCorr < -1 || input.assetCorr > 1) {
+      errors.push({ field: 'assetCorr', message: 'assetCorr must be between -1 and 1.' });
+    }
+    if (input.assetReturn !== undefined && !isNumber(input.assetReturn)) {
+      errors.push({ field: 'assetReturn', message: 'assetReturn must be a finite number.' });
+    }
+    ['baseRate', 'foreignRate'].forEach((field) => {
+      if (!isNumber(input[field]) || input[field] <= -1) {
+        errors.push({ field, message: `${field} must be a rate above -100%.` });
+      }
+    });
+    if (input.tenor !== undefined && (!isNumber(input.tenor) || input.tenor <= 0)) {
+      errors.push({ field: 'tenor', message: 'tenor must be a number of years > 0.' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Minimum-variance forward hedge of an asset held in a foreign currency, seen from the
+   * base currency. The currency's volatility against the base comes from the pairs, as
+   * for minVarianceBasket.
+   *
+   * Input: the minVarianceBasket fields plus `currency` (the asset's currency),
+   * `assetVol` and `assetReturn` (default 0; the asset's local-currency return),
+   * `assetCorr` (between the asset's local return and the currency's return in base
+   * terms), `baseRate` and `foreignRate` (annual deposit rates) and `tenor` (years
+   * per forward, default 0.25).
+   *
+   * Selling h of the position forward gives a base return of asset + (1 - h) * spot
+   * + h * carry, where carry is the forward premium from covered interest parity,
+   * rolled every tenor and annualized. Spot is taken to have no drift, so the expected
+   * return moves only with the carry. The minimum-variance ratio is
+   * h = 1 + assetCorr * assetVol / currencyVol and may fall outside [0, 1].
+   *
+   * @returns {{ base: string, currency: string, currencyVol: number, carry: number,
+   *   forwardPremium: number, hedgeRatio: number, positions: { label: string,
+   *   ratio: number, ret: number, vol: number }[], warnings: string[] }}
+   *   `forwardPremium` is over one tenor; `positions` are unhedged, minimum-variance
+   *   and fully hedged.
+   */
+  function hedgeExposure(input) {
+    const errors = [...validateBasketInput(input), ...validateHedgeInput(input)];
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const base = input.base === undefined ? 'USD' : String(input.base).trim().toUpperCase();
+    const currency = String(input.currency).trim().toUpperCase();
+    const fx = currencyCovariance(input.pairs, input.vols, input.corr, base);
+    const k = fx.currencies.indexOf(currency);
+    if (k < 0) {
+      const message = currency === base
+        ? `${currency} is the base currency; there is nothing to hedge.`
+        : `${currency} does not appear in any pair.`;
+      throw new InputError(message, [{ field: 'currency', message }]);
+    }
+
+    const sa = input.assetVol;
+    const sc = fx.vols[k];
+    const rho = input.assetCorr;
+    const tenor = input.tenor === undefined ? 0.25 : input.tenor;
+    const assetReturn = input.assetReturn === undefined ? 0 : input.assetReturn;
+    const forwardPremium = (1 + input.baseRate * tenor) / (1 + input.foreignRate * tenor) - 1;
+    const carry = forwardPremium / tenor;
+    const warnings = fx.warnings.slice();
+
+    let hedgeRatio = 1;
+    if (sc > 0) {
+      hedgeRatio = 1 + (rho * sa) / sc;
+    } else {
+      warnings.push(`${currency} has zero volatility against ${base}; any hedge ratio gives the same risk.`);
+    }
+    if (hedgeRatio < 0 || hedgeRatio > 1) {
+      warnings.push(`The minimum-variance ratio ${(hedgeRatio * 100).toFixed(1)}% ${hedgeRatio < 0 ? 'buys' : 'over-hedges'} the currency.`);
+    }
+
+    const position = (label, ratio) => {
+      const open = 1 - ratio;
+      return {
+        label,
+        ratio,
+        ret: assetReturn + ratio * carry,
+        vol: Math.sqrt(Math.max(sa * sa + open * open * sc * sc + 2 * open * rho * sa * sc, 0)),
+      };
+    };
+
+    return {
+      base,
+      currency,
+      currencyVol: sc,
+      carry,
+      forwardPremium,
+      hedgeRatio,
+      positions: [
+        position('unhedged', 0),
+        position('min_variance', hedgeRatio),
+        position('fully_hedged', 1),
+      ],
+      warnings,
+    };
+  }
+
+  // Re-solves the basket once per value, with `set` applying each value to a copy of the input.
+  function sweep(input, values, set) {
+    return values.map((x) => {
+      const next = { ...input, vols: input.vols.slice(), corr: input.corr.map((row) => row.slice()) };
+      set(next, x);
+      try {
+        const basket = minVarianceBasket(next);
+        return { x, weights: basket.weights, pVol: basket.pVol };
+      } catch (err) {
+        if (!(err instanceof InputError)) {
+          throw err;
+        }
+        return { x, weights: null, pVol: null, note: err.message };
+      }
+    });
+  }
+
+  function checkPairIndices(input, i, j) {
+    const n = Array.isArray(input.pairs) ? input.pairs.length : 0;
+    if (!Number.isInteger(i) || !Number.isInteger(j) || i === j || i < 0 || j < 0 || i >= n || j >= n) {
+      throw new InputError('Choose two different pairs to sweep.', [
+        { field: 'pairs', message: 'Choose two different pairs to sweep.' },
+      ]);
+    }
+  }
+
+  /**
+   * Basket weights and volatility as the correlation between pairs `i` and `j` takes
+   * each of `values` (default -1 to 1 in steps of 0.05), other inputs unchanged.
+   * Points where the correlation matrix stops being valid have null `weights` and
+   * `pVol` and a `note`.
+   *
+   * @returns {{ x: number, weights: number[]|null, pVol: number|null, note?: string }[]}
+   */
+  function sweepCorrelation(input, i, j, values) {
+    checkPairIndices(input, i, j);
+    const xs = values || Array.from({ length: 41 }, (_, k) => Math.round((k * 0.05 - 1) * 100) / 100);
+    return sweep(input, xs, (next, x) => {
+      next.corr[i][j] = x;
+      next.corr[j][i] = x;
+    });
+  }
+
+  /**
+   * Basket weights and volatility as the volatility of pair `j` is set to each of
+   * `ratios` times that of pair `i` (default 0.25 to 4, evenly spaced in log terms).
+   * Points are as for sweepCorrelation.
+   */
+  function sweepVolRatio(input, i, j, ratios) {
+    checkPairIndices(input, i, j);
+    const xs = ratios || Array.from({ length: 41 }, (_, k) => 4 ** ((k - 20) / 20));
+    return sweep(input, xs, (next, x) => {
+      next.vols[j] = x * input.vols[i];
+    });
+  }
+
+  return {
+    parsePair,
+    currencyCovariance,
+    validateBasketInput,
+    minVarianceBasket,
+    validateCarryInput,
+    carryBasket,
+    validateHedgeInput,
+    hedgeExposure,
+    sweepCorrelation,
+    sweepVolRatio,
+  };
+}));
@@ -0,0 +1,211 @@
+/**
+ * The Markowitz page's heavy computations as plain data in, plain data out, so they can
+ * run in a Web Worker (worker.js) as well as on the page. An optimization run covers
+ * Black-Litterman returns when enabled, the optimization under any rebalance, resampling
+ * or cash modifier, the max-Sharpe tangency portfolio and the sampled efficient frontier
+ * for the chart. The Monte Carlo simulation of the result, the input sensitivity sweep and
+ * the eigenvalue check of the correlation matrix are separate tasks.
+ *
+ * Loaded with require() in Node, or with importScripts() or a <script> tag after the
+ * optimizer, correlation, Black-Litterman, risk, rebalance, simulation, resampling,
+ * sensitivity and allocation cores, where it is exposed as `FxOpti.optimizationJob`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./optimizer'),
+      require('./correlation'),
+      require('./black-litterman'),
+      require('./risk'),
+      require('./rebalance'),
+      require('./simulation'),
+      require('./resampling'),
+      require('./sensitivity'),
+      require('./allocation'),
+    );
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.optimizationJob = factory(
+      root.FxOpti.optimizer,
+      root.FxOpti.correlation,
+      root.FxOpti.blackLitterman,
+      root.FxOpti.risk,
+      root.FxOpti.rebalance,
+      root.FxOpti.simulation,
+      root.FxOpti.resampling,
+      root.FxOpti.sensitivity,
+      root.FxOpti.allocation,
+    );
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer, correlation, bl, risk, rebalance, simulation, resampling, sensitivity, allocation) => {
+  const { InputError, buildCov, isPositiveSemidefinite, optimizePortfolio, efficientFrontier } = optimizer;
+  const { checkCorrelation } = correlation;
+  const { blackLitterman } = bl;
+  const { riskContributions } = risk;
+  const { rebalancePortfolio } = rebalance;
+  const { simulatePortfolio } = simulation;
+  const { resampledPortfolio } = resampling;
+  const { sensitivityAnalysis } = sensitivity;
+  const { capitalAllocation } = allocation;
+
+  const FRONTIER_POINTS = 80;
+
+  /**
+   * Field errors for a correlation matrix that is not positive semidefinite. Valid
+   * matrices pass a Cholesky test; the eigenvalues are only computed for the message.
+   */
+  function validateCorrelation(corr) {
+    if (isPositiveSemidefinite(corr)) {
+      return [];
+    }
+    const check = checkCorrelation(corr);
+    if (check.isPsd) {
+      return [];
+    }
+    const smallest = Math.abs(check.minEigenvalue) >= 1e-3
+      ? check.minEigenvalue.toFixed(4)
+      : check.minEigenvalue.toExponential(2);
+    return [{ field: 'corr', message: `Correlation matrix is not positive semidefinite (smallest eigenvalue ${smallest}).` }];
+  }
+
+  function throwIfInvalidCorrelation(corr) {
+    const errors = validateCorrelation(corr);
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+  }
+
+  /**
+   * Runs `job`: `{ mu, vol, corr, rf, mode, objective, iterations, target, limits,
+   * blackLitterman, rebalance, resampling, allocation }`, where the last four are the
+   * options for that step or null when it is off. At most one of rebalance, resampling
+   * and allocation may be set.
+   *
+   * `onProgress({ stage, done, total })`, when given, is called as the work advances;
+   * `total` is 0 while a stage cannot be counted.
+   *
+   * @returns {{ mu: number[], cov: number[][], bl: object|null, result: object,
+   *   tangency: object|null, risk: object, frontier: { gmv: object, curve: object[] } }}
+   *   `mu` and `cov` are those optimized (the posterior under Black-Litterman); `result`
+   *   is as returned by the optimizer or modifier used.
+   */
+  function runOptimizationJob(job, onProgress) {
+    const report = (stage, done, total) => {
+      if (onProgress) {
+        onProgress({ stage, done, total });
+      }
+    };
+    throwIfInvalidCorrelation(job.corr);
+
+    const { rf, mode, limits } = job;
+    let mu = job.mu;
+    let cov = buildCov(job.vol, job.corr);
+    let posterior = null;
+    if (job.blackLitterman) {
+      posterior = blackLitterman(cov, rf, job.blackLitterman);
+      mu = posterior.posterior;
+      cov = posterior.posteriorCov;
+    }
+
+    const options = { mode, objective: job.objective, iterations: job.iterations, limits, target: job.target };
+    let result;
+    report('Optimizing', 0, 0);
+    if (job.rebalance) {
+      result = rebalancePortfolio(mu, cov, rf, { ...job.rebalance, mode, limits });
+    } else if (job.resampling) {
+      result = resampledPortfolio(mu, cov, rf, {
+        ...job.resampling,
+        mode,
+        limits,
+        iterations: job.iterations,
+        onProgress: (done, total) => report('Resampling', done, total),
+      });
+    } else if (job.allocation) {
+      result = capitalAllocation(mu, cov, { ...job.allocation, mode, limits, iterations: job.iterations });
+    } else {
+      result = optimizePortfolio(mu, cov, rf, options);
+    }
+
+    let tangency = job.allocation ? result.lend : result;
+    if (job.objective !== 'max_sharpe' || job.rebalance || job.resampling) {
+      try {
+        tangency = optimizePortfolio(mu, cov, rf, { ...options, objective: 'max_sharpe' });
+      } catch (err) {
+        if (!(err instanceof InputError)) {
+          throw err;
+        }
+        tangency = null;
+      }
+    }
+
+    // The curve spans the asset returns and every marked portfolio, with some margin.
+    const borrowing = job.allocation && result.borrowingRate > result.lendingRate ? result.borrow : null;
+    const marked = [result, ...(tangency ? [tangency] : []), ...(borrowing ? [borrowing] : [])];
+    const lowRet = Math.min(...mu, ...marked.map((p) => p.ret));
+    const highRet = Math.max(...mu, ...marked.map((p) => p.ret));
+    const retSpan = highRet - lowRet || 0.01;
+    report('Sampling frontier', 0, FRONTIER_POINTS);
+    const frontier = efficientFrontier(mu, cov, rf, {
+      mode,
+      limits,
+      points: FRONTIER_POINTS,
+      minReturn: lowRet - 0.15 * retSpan,
+      maxReturn: highRet + 0.15 * retSpan,
+      onProgress: (done, total) => report('Sampling frontier', done, total),
+    });
+
+    return { mu, cov, bl: posterior, result, tangency, risk: riskContributions(result.w, cov), frontier };
+  }
+
+  /** Runs `job`: `{ w, mu, cov, options }`, the arguments of simulatePortfolio. */
+  function runSimulationJob(job) {
+    return simulatePortfolio(job.w, job.mu, job.cov, job.options);
+  }
+
+  /**
+   * Runs `job`: `{ mu, vol, corr, rf, options, bumps }`, the arguments of
+   * sensitivityAnalysis, after checking the correlation matrix. Reports one
+   * 'Re-solving inputs' step per input.
+   */
+  function runSensitivityJob(job, onProgress) {
+    throwIfInvalidCorrelation(job.corr);
+    const options = {
+      ...job.options,
+      onProgress: onProgress ? (done, total) => onProgress({ stage: 'Re-solving inputs', done, total }) : undefined,
+    };
+    return sensitivityAnalysis(job.mu, job.vol, job.corr, job.rf, options, job.bumps);
+  }
+
+  /** Runs `job`: `{ corr }`; returns checkCorrelation's result for the matrix. */
+  function runCorrelationJob(job) {
+    return checkCorrelation(job.corr);
+  }
+
+  const TASKS = {
+    optimize: runOptimizationJob,
+    simulate: runSimulationJob,
+    sensitivity: runSensitivityJob,
+    correlation: runCorrelationJob,
+  };
+
+  /**
+   * Runs `job` as the named task ('optimize', 'simulate', 'sensitivity' or
+   * 'correlation'); returns its output.
+   */
+  function runJob(task, job, onProgress) {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown job task: ${task}.`);
+    }
+    return TASKS[task](job, onProgress);
+  }
+
+  return {
+    FRONTIER_POINTS,
+    validateCorrelation,
+    runOptimizationJob,
+    runSimulationJob,
+    runSensitivityJob,
+    runCorrelationJob,
+    runJob,
+  };
+}));
@@ -0,0 +1,1306 @@
+/**
+ * Portfolio optimizer core shared by the Markowitz UI, the FX UI and the Node server.
+ *
+ * No DOM or Node dependencies. Loaded with require() in Node, or with a plain
+ * <script> tag in the browser, where it is exposed as `FxOpti.optimizer`.
+ *
+ * Conventions: returns, volatilities and rates are annualized decimals (0.08 = 8%),
+ * `cov` is an n x n covariance matrix and weights sum to 1. Invalid inputs throw
+ * `InputError`, whose `fields` lists `{ field, message }` pairs.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.optimizer = api;
+  }
+}(typeof self !== 'undefined' ? self : this, () => {
+  const MODES = ['long_only', 'unconstrained'];
+  const OBJECTIVES = ['max_sharpe', 'min_variance', 'target_return', 'target_vol', 'risk_parity', 'max_diversification'];
+  const DEFAULT_ITERATIONS = 1600;
+  const MAX_ITERATIONS = 20000;
+  const STOP_STEP = 1e-5;
+  const KKT_TOLERANCE = 1e-4;
+  const PSD_TOLERANCE = 1e-10;
+
+  class InputError extends Error {
+    constructor(message, fields) {
+      super(message);
+      this.name = 'InputError';
+      this.fields = fields || [];
+    }
+  }
+
+  function fieldError(field, message) {
+    return new InputError(message, [{ field, message }]);
+  }
+
+  function dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i += 1) {
+      s += a[i] * b[i];
+    }
+    return s;
+  }
+
+  function matVec(m, v) {
+    const n = v.length;
+    const out = new Array(n).fill(0);
+    for (let i = 0; i < n; i += 1) {
+      let s = 0;
+      for (let j = 0; j < n; j += 1) {
+        s += m[i][j] * v[j];
+      }
+      out[i] = s;
+    }
+    return out;
+  }
+
+  function solveLinearSystem(A, b) {
+    const n = A.length;
+    const aug = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col += 1) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r += 1) {
+        if (Math.abs(aug[r][col]) > Math.abs(aug[pivot][col])) {
+          pivot = r;
+        }
+      }
+
+      if (Math.abs(aug[pivot][col]) < 1e-12) {
+        throw fieldError('corr', 'Covariance matrix is singular or nearly singular.');
+      }
+
+      if (pivot !== col) {
+        [aug[pivot], aug[col]] = [aug[col], aug[pivot]];
+      }
+
+      const pivotVal = aug[col][col];
+      for (let k = col; k <= n; k += 1) {
+        aug[col][k] /= pivotVal;
+      }
+
+      for (let r = 0; r < n; r += 1) {
+        if (r === col) {
+          continue;
+        }
+        const factor = aug[r][col];
+        for (let k = col; k <= n; k += 1) {
+          aug[r][k] -= factor * aug[col][k];
+        }
+      }
+    }
+
+    return aug.map((row) => row[n]);
+  }
+
+  function projectToSimplex(v) {
+    const u = [...v].sort((a, b) => b - a);
+    let cssv = 0;
+    let rho = -1;
+
+    for (let i = 0; i < u.length; i += 1) {
+      cssv += u[i];
+      const t = (cssv - 1) / (i + 1);
+      if (u[i] - t > 0) {
+        rho = i;
+      }
+    }
+
+    if (rho < 0) {
+      return new Array(v.length).fill(1 / v.length);
+    }
+
+    const theta = (u.slice(0, rho + 1).reduce((a, x) => a + x, 0) - 1) / (rho + 1);
+    return v.map((x) => Math.max(x - theta, 0));
+  }
+
+  /** Covariance matrix from volatilities and a correlation matrix: cov[i][j] = corr[i][j] * vol[i] * vol[j]. */
+  function buildCov(vol, corr) {
+    const n = vol.length;
+    const cov = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i += 1) {
+      for (let j = 0; j < n; j += 1) {
+        cov[i][j] = corr[i][j] * vol[i] * vol[j];
+      }
+    }
+
+    return cov;
+  }
+
+  /**
+   * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+   * @returns {{ values: number[], vectors: number[][] }} eigenvalues in ascending order;
+   *   `vectors[k]` is the unit eigenvector for `values[k]`.
+   */
+  function symmetricEigen(A) {
+    const n = A.length;
+    const a = A.map((row) => row.slice());
+    const v = Array.from({ length: n }, (_, i) => {
+      const row = new Array(n).fill(0);
+      row[i] = 1;
+      return row;
+    });
+
+    let total = 0;
+    for (let i = 0; i < n; i += 1) {
+      for (let j = 0; j < n; j += 1) {
+        total += a[i][j] * a[i][j];
+      }
+    }
+
+    for (let sweep = 0; sweep < 100; sweep += 1) {
+      let off = 0;
+      for (let p = 0; p < n; p += 1) {
+        for (let q = p + 1; q < n; q += 1) {
+          off += a[p][q] * a[p][q];
+        }
+      }
+      if (off <= 1e-30 * total) {
+        break;
+      }
+
+      for (let p = 0; p < n; p += 1) {
+        for (let q = p + 1; q < n; q += 1) {
+          if (a[p][q] === 0) {
+            continue;
+          }
+
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const sn = t * c;
+
+          for (let k = 0; k < n; k += 1) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - sn * akq;
+            a[k][q] = sn * akp + c * akq;
+          }
+          for (let k = 0; k < n; k += 1) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - sn * aqk;
+            a[q][k] = sn * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k += 1) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - sn * vkq;
+            v[k][q] = sn * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i).sort((x, y) => a[x][x] - a[y][y]);
+    return {
+      values: order.map((k) => a[k][k]),
+      vectors: order.map((k) => v.map((row) => row[k])),
+    };
+  }
+
+  function minEigenvalue(A) {
+    return symmetricEigen(A).values[0];
+  }
+
+  /** Lower-triangular L with A = L * L^T. Throws when A is not positive definite. */
+  function cholesky(A) {
+    const n = A.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i += 1) {
+      for (let j = 0; j <= i; j += 1) {
+        let s = A[i][j];
+        for (let k = 0; k < j; k += 1) {
+          s -= L[i][k] * L[j][k];
+        }
+        if (i === j) {
+          if (!(s > 0)) {
+            throw fieldError('corr', 'Covariance matrix is not positive definite.');
+          }
+          L[i][i] = Math.sqrt(s);
+        } else {
+          L[i][j] = s / L[j][j];
+        }
+      }
+    }
+
+    return L;
+  }
+
+  /**
+   * Whether symmetric A has no eigenvalue below -`tolerance` (default PSD_TOLERANCE):
+   * a Cholesky factorization of A + tolerance * I succeeds. About n^3 / 6 steps, far
+   * fewer than the eigenvalues need.
+   */
+  function isPositiveSemidefinite(A, tolerance) {
+    const tol = tolerance === undefined ? PSD_TOLERANCE : tolerance;
+    const n = A.length;
+    const L = Array.from({ length: n }, () => new Float64Array(n));
+
+    for (let i = 0; i < n; i += 1) {
+      const Li = L[i];
+      for (let j = 0; j <= i; j += 1) {
+        const Lj = L[j];
+        let s = A[i][j] + (i === j ? tol : 0);
+        for (let k = 0; k < j; k += 1) {
+          s -= Li[k] * Lj[k];
+        }
+        if (i === j) {
+          if (!(s > 0)) {
+            return false;
+          }
+          Li[i] = Math.sqrt(s);
+        } else {
+          Li[j] = s / Lj[j];
+        }
+      }
+    }
+    return true;
+  }
+
+  /** Inverse of a symmetric positive definite matrix through its Cholesky factor. */
+  function invertSpd(A) {
+    const n = A.length;
+    const L = cholesky(A);
+    const Linv = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j += 1) {
+      Linv[j][j] = 1 / L[j][j];
+      for (let i = j + 1; i < n; i += 1) {
+        let s = 0;
+        for (let k = j; k < i; k += 1) {
+          s -= L[i][k] * Linv[k][j];
+        }
+        Linv[i][j] = s / L[i][i];
+      }
+    }
+
+    const inv = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i += 1) {
+      for (let j = 0; j <= i; j += 1) {
+        let s = 0;
+        for (let k = i; k < n; k += 1) {
+          s += Linv[k][i] * Linv[k][j];
+        }
+        inv[i][j] = s;
+        inv[j][i] = s;
+      }
+    }
+
+    return inv;
+  }
+
+  // Plane rotation (c, s) that maps (a, b) to (hypot(a, b), 0).
+  function givens(a, b) {
+    const h = Math.hypot(a, b);
+    return h === 0 ? { c: 1, s: 0, h } : { c: a / h, s: b / h, h };
+  }
+
+  // Applies the rotation (c, s) to the vectors u and v in place.
+  function rotatePair(u, v, c, s) {
+    for (let i = 0; i < u.length; i += 1) {
+      const a = u[i];
+      const b = v[i];
+      u[i] = c * a + s * b;
+      v[i] = c * b - s * a;
+    }
+  }
+
+  /**
+   * Solves min 1/2 x'Qx + c'x subject to linear constraints with the Goldfarb-Idnani dual
+   * active-set method. Q must be positive definite; no feasible starting point is needed.
+   * The factorization J = L^-T Q1, R of the active constraints is updated with plane
+   * rotations as constraints enter and leave, so each step costs O(n^2).
+   *
+   * Each constraint is `{ a, b, type }` meaning a'x = b ('eq'), a'x >= b ('ge') or
+   * a'x <= b ('le'). Throws InputError on the 'constraints' field when the constraints
+   * cannot all be met. Running out of iterations (`maxIter`, default 50 per variable and
+   * constraint) is a solver failure, not an input problem: it throws an Error with code
+   * 'QP_NOT_CONVERGED'.
+   *
+   * @returns {{ x: number[], multipliers: number[], active: number[], iterations: number }}
+   *   `multipliers[k]` is the Lagrange multiplier of constraint k (>= 0 for inequalities,
+   *   0 when inactive); `active` lists the binding constraint indices.
+   */
+  function solveQuadraticProgram(Q, c, constraints, maxIter) {
+    const n = Q.length;
+    const cons = constraints.map((k) => {
+      const a = k.type === 'le' ? k.a.map((x) => -x) : k.a;
+      // Bounds touch a single weight, so sums run over the nonzero entries only.
+      const nz = [];
+      a.forEach((v, i) => {
+        if (v !== 0) {
+          nz.push(i);
+        }
+      });
+      return { a, b: k.type === 'le' ? -k.b : k.b, eq: k.type === 'eq', nz };
+    });
+    const m = cons.length;
+    const iterationLimit = maxIter === undefined ? 50 * (n + m) + 100 : maxIter;
+
+    // J starts as L^-T for Q = LL' and is kept by columns (J[k] is column k, row k of
+    // L^-1); its first q columns span the active constraints.
+    const L = cholesky(Q);
+    const J = Array.from({ length: n }, () => new Float64Array(n));
+    for (let i = 0; i < n; i += 1) {
+      const row = J[i];
+      for (let k = 0; k < i; k += 1) {
+        const f = L[i][k];
+        const prev = J[k];
+        for (let j = 0; j <= k; j += 1) {
+          row[j] -= f * prev[j];
+        }
+      }
+      for (let j = 0; j < i; j += 1) {
+        row[j] /= L[i][i];
+      }
+      row[i] = 1 / L[i][i];
+    }
+    const R = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    let x = new Array(n).fill(0);
+    J.forEach((col) => {
+      const w = dot(col, c);
+      for (let i = 0; i < n; i += 1) {
+        x[i] -= col[i] * w;
+      }
+    });
+
+    const active = [];
+    const isActive = new Array(m).fill(false);
+    const u = [];
+    const signs = [];
+    let iterations = 0;
+
+    const slack = (k) => cons[k].nz.reduce((acc, i) => acc + cons[k].a[i] * x[i], 0) - cons[k].b;
+    const tolerance = (k) => 1e-10 * (1 + Math.abs(cons[k].b));
+
+    const dropConstraint = (l) => {
+      const q = active.length;
+      for (let j = l; j < q - 1; j += 1) {
+        for (let i = 0; i <= j + 1; i += 1) {
+          R[i][j] = R[i][j + 1];
+        }
+      }
+      for (let i = 0; i < q; i += 1) {
+        R[i][q - 1] = 0;
+      }
+      for (let j = l; j < q - 1; j += 1) {
+        const { c: cs, s: sn, h } = givens(R[j][j], R[j + 1][j]);
+        R[j][j] = h;
+        R[j + 1][j] = 0;
+        for (let k = j + 1; k < q - 1; k += 1) {
+          const a = R[j][k];
+          const b = R[j + 1][k];
+          R[j][k] = cs * a + sn * b;
+          R[j + 1][k] = cs * b - sn * a;
+        }
+        rotatePair(J[j], J[j + 1], cs, sn);
+      }
+      isActive[active[l]] = false;
+      active.splice(l, 1);
+      u.splice(l, 1);
+      signs.splice(l, 1);
+    };
+
+    while (true) {
+      let p = -1;
+      let worst = 0;
+      let pickedEq = false;
+      for (let k = 0; k < m; k += 1) {
+        if (isActive[k]) {
+          continue;
+        }
+        const s = slack(k);
+        if (cons[k].eq) {
+          if (Math.abs(s) > tolerance(k) && (!pickedEq || Math.abs(s) > worst)) {
+            p = k;
+            worst = Math.abs(s);
+            pickedEq = true;
+          }
+        } else if (!pickedEq && s < -tolerance(k) && -s > worst) {
+          p = k;
+          worst = -s;
+        }
+      }
+
+      if (p < 0) {
+        break;
+      }
+
+      const sign = cons[p].eq && slack(p) > 0 ? -1 : 1;
+      const np = cons[p].a.map((v) => sign * v);
+      const bp = sign * cons[p].b;
+      let uPlus = 0;
+
+      while (true) {
+        iterations += 1;
+        if (iterations > iterationLimit) {
+          throw Object.assign(new Error('Quadratic program solver did not converge.'), { code: 'QP_NOT_CONVERGED' });
+        }
+
+        const q = active.length;
+        const d = new Array(n).fill(0);
+        for (let k = 0; k < n; k += 1) {
+          d[k] = cons[p].nz.reduce((acc, i) => acc + J[k][i] * np[i], 0);
+        }
+
+        // Step in the primal space (z) and in the active multipliers (r).
+        const z = new Array(n).fill(0);
+        for (let k = q; k < n; k += 1) {
+          if (d[k] !== 0) {
+            for (let i = 0; i < n; i += 1) {
+              z[i] += J[k][i] * d[k];
+            }
+          }
+        }
+        const r = new Array(q).fill(0);
+        for (let i = q - 1; i >= 0; i -= 1) {
+          let s = d[i];
+          for (let k = i + 1; k < q; k += 1) {
+            s -= R[i][k] * r[k];
+          }
+          r[i] = s / R[i][i];
+        }
+
+        let t1 = Infinity;
+        let drop = -1;
+        for (let j = 0; j < q; j += 1) {
+          if (!cons[active[j]].eq && r[j] > 1e-12) {
+            const ratio = u[j] / r[j];
+            if (ratio < t1) {
+              t1 = ratio;
+              drop = j;
+            }
+          }
+        }
+
+        const zn = dot(z, np);
+        const t2 = zn > 1e-12 * Math.max(dot(d, d), 1e-300) ? -(dot(np, x) - bp) / zn : Infinity;
+        const t = Math.min(t1, t2);
+
+        if (t === Infinity) {
+          throw new InputError('Constraints are infeasible.', [
+            { field: 'constraints', message: 'Constraints are infeasible.' },
+          ]);
+        }
+
+        if (t2 < Infinity) {
+          x = x.map((v, i) => v + t * z[i]);
+        }
+        for (let j = 0; j < q; j += 1) {
+          u[j] -= t * r[j];
+        }
+        uPlus += t;
+
+        if (t2 <= t1) {
+          for (let k = n - 1; k > q; k -= 1) {
+            if (d[k] !== 0) {
+              const { c: cs, s: sn, h } = givens(d[k - 1], d[k]);
+              d[k - 1] = h;
+              d[k] = 0;
+              rotatePair(J[k - 1], J[k], cs, sn);
+            }
+          }
+          if (d[q] < 0) {
+            d[q] = -d[q];
+            J[q] = J[q].map((v) => -v);
+          }
+          for (let i = 0; i <= q; i += 1) {
+            R[i][q] = d[i];
+          }
+          active.push(p);
+          isActive[p] = true;
+          u.push(uPlus);
+          signs.push(sign);
+          break;
+        }
+
+        dropConstraint(drop);
+      }
+    }
+
+    const multipliers = new Array(m).fill(0);
+    active.forEach((k, j) => {
+      const orig = constraints[k].type === 'le' ? -1 : 1;
+      multipliers[k] = cons[k].eq ? signs[j] * u[j] * orig : u[j];
+    });
+
+    return { x, multipliers, active: active.slice().sort((a, b) => a - b), iterations };
+  }
+
+  /**
+   * Return, volatility and Sharpe ratio of weights `w`.
+   * @returns {{ w: number[], ret: number, vol: number, sharpe: number, covW: number[] }}
+   *   `covW` is cov * w; `sharpe` is -Infinity when the volatility is zero.
+   */
+  function portfolioStats(w, mu, cov, rf) {
+    const ret = dot(w, mu);
+    const covW = matVec(cov, w);
+    const variance = Math.max(dot(w, covW), 0);
+    const vol = Math.sqrt(variance);
+    const sharpe = vol > 0 ? (ret - rf) / vol : -Infinity;
+    return { w, ret, vol, sharpe, covW };
+  }
+
+  /**
+   * Analytic max-Sharpe (tangency) portfolio with shorting allowed: w ~ cov^-1 (mu - rf).
+   * Throws InputError when cov is singular or the weights cannot be normalized.
+   */
+  function optimizeUnconstrained(mu, cov, rf) {
+    const excess = mu.map((m) => m - rf);
+    const raw = solveLinearSystem(cov, excess);
+    const denom = raw.reduce((a, x) => a + x, 0);
+
+    if (Math.abs(denom) < 1e-12) {
+      throw fieldError('mu', 'Degenerate unconstrained solution (normalization denominator is zero).');
+    }
+
+    const w = raw.map((x) => x / denom);
+    return portfolioStats(w, mu, cov, rf);
+  }
+
+  function normalizeLimits(n, limits) {
+    const opts = limits || {};
+    return {
+      lower: opts.lower || new Array(n).fill(0),
+      upper: opts.upper || new Array(n).fill(1),
+      groups: opts.groups || [],
+    };
+  }
+
+  /** True when limits restrict some weight: a lower bound above 0, an upper below 1 or a group. */
+  function restrictsWeights(limits, n) {
+    const { lower, upper, groups } = normalizeLimits(n, limits);
+    return lower.some((x) => x > 0) || upper.some((x) => x < 1) || groups.length > 0;
+  }
+
+  /**
+   * Checks long-only weight limits `{ lower?, upper?, groups? }` for n assets. `lower` and
+   * `upper` are per-asset weight bounds (defaults 0 and 1); each group is
+   * `{ name, members, min?, max? }` bounding the summed weight of the asset indices in
+   * `members`. Returns a list of `{ field, message }` problems, empty when usable.
+   */
+  function validateLimits(limits, n) {
+    const errors = [];
+    const { lower, upper, groups } = normalizeLimits(n, limits);
+
+    ['lower', 'upper'].forEach((key) => {
+      const values = key === 'lower' ? lower : upper;
+      if (!Array.isArray(values) || values.length !== n) {
+        errors.push({ field: key, message: `${key} must be an array of ${n} weights.` });
+      }
+    });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    for (let i = 0; i < n; i += 1) {
+      if (!isNumber(lower[i]) || lower[i] < 0 || lower[i] > 1) {
+        errors.push({ field: `lower[${i}]`, message: 'Minimum weight must be between 0 and 1.' });
+      } else if (!isNumber(upper[i]) || upper[i] < 0 || upper[i] > 1) {
+        errors.push({ field: `upper[${i}]`, message: 'Maximum weight must be between 0 and 1.' });
+      } else if (lower[i] > upper[i]) {
+        errors.push({ field: `lower[${i}]`, message: 'Minimum weight exceeds maximum weight.' });
+      }
+    }
+
+    if (!Array.isArray(groups)) {
+      errors.push({ field: 'groups', message: 'groups must be an array.' });
+      return errors;
+    }
+
+    groups.forEach((g, k) => {
+      const min = g.min === undefined ? 0 : g.min;
+      const max = g.max === undefined ? 1 : g.max;
+      if (typeof g.name !== 'string' || g.name.trim() === '') {
+        errors.push({ field: `groups[${k}].name`, message: 'Group name is required.' });
+      }
+      if (!Array.isArray(g.members) || g.members.length === 0
+        || g.members.some((i) => !Number.isInteger(i) || i < 0 || i >= n)) {
+        errors.push({ field: `groups[${k}].members`, message: `Group members must be asset indices between 0 and ${n - 1}.` });
+      }
+      if (!isNumber(min) || !isNumber(max) || min < 0 || max > 1 || min > max) {
+        errors.push({ field: `groups[${k}]`, message: 'Group min and max must satisfy 0 <= min <= max <= 1.' });
+      }
+    });
+
+    if (errors.length === 0) {
+      const lowSum = lower.reduce((a, x) => a + x, 0);
+      const highSum = upper.reduce((a, x) => a + x, 0);
+      if (lowSum > 1 + 1e-12) {
+        errors.push({ field: 'lower', message: `Minimum weights add up to ${(lowSum * 100).toFixed(2)}%, above 100%.` });
+      }
+      if (highSum < 1 - 1e-12) {
+        errors.push({ field: 'upper', message: `Maximum weights add up to ${(highSum * 100).toFixed(2)}%, below 100%.` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Linear constraints for solveQuadraticProgram: full investment, per-asset bounds and
+   * group bounds. Each carries `kind` ('budget', 'lower', 'upper', 'group_min',
+   * 'group_max') plus the asset `index` or `group` name it came from.
+   */
+  function weightConstraints(n, limits) {
+    const { lower, upper, groups } = normalizeLimits(n, limits);
+    const unit = (i) => {
+      const a = new Array(n).fill(0);
+      a[i] = 1;
+      return a;
+    };
+    const constraints = [{ a: new Array(n).fill(1), b: 1, type: 'eq', kind: 'budget' }];
+
+    for (let i = 0; i < n; i += 1) {
+      constraints.push({ a: unit(i), b: lower[i], type: 'ge', kind: 'lower', index: i });
+      if (upper[i] < 1) {
+        constraints.push({ a: unit(i), b: upper[i], type: 'le', kind: 'upper', index: i });
+      }
+    }
+
+    groups.forEach((g) => {
+      const a = new Array(n).fill(0);
+      g.members.forEach((i) => { a[i] = 1; });
+      if (g.min !== undefined && g.min > 0) {
+        constraints.push({ a, b: g.min, type: 'ge', kind: 'group_min', group: g.name });
+      }
+      if (g.max !== undefined && g.max < 1) {
+        constraints.push({ a, b: g.max, type: 'le', kind: 'group_max', group: g.name });
+      }
+    });
+
+    return constraints;
+  }
+
+  /** Euclidean projection onto { sum w = 1, lower <= w <= upper } by bisection on the shift. */
+  function projectToBounds(v, lower, upper) {
+    const total = (theta) => v.reduce((acc, x, i) => acc + Math.min(upper[i], Math.max(lower[i], x - theta)), 0);
+    let lo = Math.min(...v.map((x, i) => x - upper[i]));
+    let hi = Math.max(...v.map((x, i) => x - lower[i]));
+
+    for (let k = 0; k < 100 && hi - lo > 1e-15; k += 1) {
+      const mid = (lo + hi) / 2;
+      if (total(mid) > 1) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    const theta = (lo + hi) / 2;
+    return v.map((x, i) => Math.min(upper[i], Math.max(lower[i], x - theta)));
+  }
+
+  /** Projection onto the long-only feasible set described by `limits`. */
+  function makeProjector(n, limits) {
+    const { lower, upper, groups } = normalizeLimits(n, limits);
+    if (groups.length === 0) {
+      const plain = lower.every((x) => x === 0) && upper.every((x) => x === 1);
+      return plain ? projectToSimplex : (v) => projectToBounds(v, lower, upper);
+    }
+
+    const identity = Array.from({ length: n }, (_, i) => {
+      const row = new Array(n).fill(0);
+      row[i] = 1;
+      return row;
+    });
+    const constraints = weightConstraints(n, limits);
+    return (v) => {
+      let solution;
+      try {
+        solution = solveQuadraticProgram(identity, v.map((x) => -x), constraints);
+      } catch (err) {
+        if (err instanceof InputError && err.fields.some((f) => f.field === 'constraints')) {
+          throw fieldError('groups', 'Weight bounds and group limits cannot all be met.');
+        }
+        throw err;
+      }
+      return solution.x.map((xi, i) => Math.min(upper[i], Math.max(lower[i], xi)));
+    };
+  }
+
+  /**
+   * Constraints from `limits` that hold with equality at weights `w`, other than the
+   * budget and zero lower bounds: `{ kind, index?, group?, bound }`.
+   */
+  function bindingConstraints(w, limits) {
+    const tol = 1e-6;
+    return weightConstraints(w.length, limits)
+      .filter((k) => k.kind !== 'budget' && !(k.kind === 'lower' && k.b === 0))
+      .filter((k) => Math.abs(dot(k.a, w) - k.b) <= tol)
+      .map((k) => ({ kind: k.kind, index: k.index, group: k.group, bound: k.b }));
+  }
+
+  // Gradient of the Sharpe ratio with respect to the weights at `stats`.
+  function sharpeGradient(stats, mu, rf) {
+    const vol = Math.max(stats.vol, 1e-10);
+    const vol3 = vol * vol * vol;
+    return mu.map((m, i) => (m / vol) - (((stats.ret - rf) * stats.covW[i]) / vol3));
+  }
+
+  // Largest change in any weight from a unit step along the Sharpe gradient followed by
+  // projection back onto the constraints; zero exactly at a first-order optimum.
+  function kktResidualAt(stats, mu, rf, project) {
+    const gradient = sharpeGradient(stats, mu, rf);
+    const moved = project(stats.w.map((wi, i) => wi + gradient[i]));
+    return Math.max(...moved.map((x, i) => Math.abs(x - stats.w[i])));
+  }
+
+  /**
+   * Exact long-only tangency portfolio. Maximizing the Sharpe ratio over the constrained
+   * weights is the convex program min y'cov y subject to (mu - rf)'y = 1 and each weight
+   * constraint scaled by sum y (a'w >= b becomes (a - b)'y >= 0), with w = y / sum y.
+   * Throws InputError when no feasible portfolio earns more than `rf`.
+   */
+  function tangencyQuadraticProgram(mu, cov, rf, limits) {
+    const n = mu.length;
+    const constraints = [{ a: mu.map((m) => m - rf), b: 1, type: 'eq' }];
+    weightConstraints(n, limits)
+      .filter((k) => k.kind !== 'budget')
+      .forEach((k) => constraints.push({ a: k.a.map((v) => v - k.b), b: 0, type: k.type }));
+
+    const { x, iterations } = solveQuadraticProgram(ridge(cov), new Array(n).fill(0), constraints);
+    const total = x.reduce((acc, v) => acc + v, 0);
+    if (!(total > 0)) {
+      throw fieldError('mu', 'No feasible portfolio earns more than the risk-free rate.');
+    }
+    return { w: x.map((v) => Math.max(v / total, 0)), iterations };
+  }
+
+  // Projected gradient ascent with backtracking from equal weights; see optimizeLongOnly.
+  function gradientLongOnly(mu, cov, rf, maxIter, project) {
+    const n = mu.length;
+    let w = project(new Array(n).fill(1 / n));
+    let best = portfolioStats(w, mu, cov, rf);
+    let step = 0.2;
+    let stopReason = 'max_iterations';
+    const trace = [];
+
+    for (let iter = 0; iter < maxIter; iter += 1) {
+      const gradient = sharpeGradient(best, mu, rf);
+      let improved = false;
+      let localStep = step;
+
+      for (let trial = 0; trial < 10; trial += 1) {
+        const candidate = project(w.map((wi, i) => wi + localStep * gradient[i]));
+        const candStats = portfolioStats(candidate, mu, cov, rf);
+
+        if (candStats.sharpe > best.sharpe + 1e-9) {
+          w = candidate;
+          best = candStats;
+          step = Math.min(localStep * 1.2, 1);
+          improved = true;
+          break;
+        }
+
+        localStep *= 0.5;
+      }
+
+      trace.push(best.sharpe);
+      if (!improved) {
+        step *= 0.6;
+        if (step < STOP_STEP) {
+          stopReason = 'step_size';
+          break;
+        }
+      }
+    }
+
+    const kktResidual = kktResidualAt(best, mu, rf, project);
+    return {
+      ...best,
+      convergence: {
+        method: 'projected_gradient',
+        iterations: trace.length,
+        stopReason,
+        finalStep: step,
+        kktResidual,
+        converged: kktResidual <= KKT_TOLERANCE,
+        trace,
+      },
+    };
+  }
+
+  /**
+   * Long-only max-Sharpe portfolio (w >= 0, sum w = 1). Optional `limits` (see
+   * validateLimits) add per-asset and group bounds; the result then also lists them
+   * under `binding`.
+   *
+   * When some feasible portfolio beats `rf`, the tangency portfolio is solved exactly as a
+   * quadratic program (tangencyQuadraticProgram) and `maxIter` is unused. Otherwise the
+   * Sharpe ratio is maximized by projected gradient ascent for at most `maxIter`
+   * iterations, since the best portfolio then loses the least per unit of risk and is
+   * not a convex problem. The gradient ascent also takes over if the exact solve does not
+   * converge.
+   *
+   * Returns portfolioStats plus `convergence`: `method` ('active_set' or
+   * 'projected_gradient'), `iterations` used, `stopReason` ('optimal' for the exact
+   * solve; 'step_size' when no gradient step of at least STOP_STEP improves, otherwise
+   * 'max_iterations'), `finalStep` (null for the exact solve), `kktResidual`, `converged`
+   * and `trace` (the best Sharpe ratio after each gradient iteration, empty for the exact
+   * solve). The KKT residual is the largest change in any weight from one unit step
+   * along the gradient followed by projection back onto the constraints; it is zero
+   * exactly at a first-order optimum, where the gradient only pushes against active
+   * constraints.
+   */
+  function optimizeLongOnly(mu, cov, rf, maxIter, limits) {
+    const n = mu.length;
+    if (limits) {
+      const errors = validateLimits(limits, n);
+      if (errors.length > 0) {
+        throw new InputError(errors[0].message, errors);
+      }
+    }
+
+    const project = makeProjector(n, limits);
+    let result;
+    try {
+      const exact = tangencyQuadraticProgram(mu, cov, rf, limits);
+      const best = portfolioStats(project(exact.w), mu, cov, rf);
+      const kktResidual = kktResidualAt(best, mu, rf, project);
+      result = {
+        ...best,
+        convergence: {
+          method: 'active_set',
+          iterations: exact.iterations,
+          stopReason: 'optimal',
+          finalStep: null,
+          kktResidual,
+          converged: kktResidual <= KKT_TOLERANCE,
+          trace: [],
+        },
+      };
+    } catch (err) {
+      if (!(err instanceof InputError) && err.code !== 'QP_NOT_CONVERGED') {
+        throw err;
+      }
+      result = gradientLongOnly(mu, cov, rf, maxIter, project);
+    }
+
+    return limits ? { ...result, binding: bindingConstraints(result.w, limits) } : result;
+  }
+
+  function ridge(cov) {
+    const n = cov.length;
+    const avg = cov.reduce((acc, row, i) => acc + row[i], 0) / n;
+    return cov.map((row, i) => row.map((v, j) => (i === j ? v + 1e-12 * avg : v)));
+  }
+
+  /**
+   * Minimum-variance portfolio, optionally at a target return. Shorting is allowed unless
+   * `longOnly` is set, in which case `limits` (see validateLimits) also apply.
+   * Returns portfolioStats.
+   */
+  function minVariancePortfolio(mu, cov, rf, options) {
+    const { longOnly, targetReturn, limits } = { longOnly: false, targetReturn: null, ...options };
+    const n = mu.length;
+    const constraints = longOnly
+      ? weightConstraints(n, limits)
+      : [{ a: new Array(n).fill(1), b: 1, type: 'eq' }];
+
+    if (targetReturn !== null) {
+      constraints.push({ a: mu, b: targetReturn, type: 'eq' });
+    }
+
+    const { x } = solveQuadraticProgram(ridge(cov), new Array(n).fill(0), constraints);
+    const w = longOnly ? x.map((v) => Math.max(v, 0)) : x;
+    return portfolioStats(w, mu, cov, rf);
+  }
+
+  /**
+   * Minimum-variance frontier for `options.mode` ('long_only' or 'unconstrained').
+   *
+   * Unconstrained: the analytic hyperbola between `minReturn` and `maxReturn` (defaults
+   * to the asset return range), widened to include the global minimum. Long-only:
+   * minimum variance at evenly spaced target returns between the lowest and highest
+   * asset return, under `options.limits`; unreachable targets are skipped, and
+   * `options.onProgress(done, total)`, when given, is called after each one.
+   *
+   * @returns {{ gmv: object, curve: object[] }} global minimum-variance portfolio and
+   *   frontier points ordered by return, all as portfolioStats.
+   */
+  function efficientFrontier(mu, cov, rf, options) {
+    const opts = { mode: 'long_only', points: 60, ...options };
+    const spread = (lo, hi) => Array.from({ length: opts.points }, (_, k) => lo + ((hi - lo) * k) / (opts.points - 1));
+
+    if (opts.mode === 'long_only') {
+      const base = { longOnly: true, limits: opts.limits };
+      const gmv = minVariancePortfolio(mu, cov, rf, base);
+      const curve = [];
+      spread(Math.min(...mu), Math.max(...mu)).forEach((target, k) => {
+        try {
+          curve.push(minVariancePortfolio(mu, cov, rf, { ...base, targetReturn: target }));
+        } catch (err) {
+          if (!(err instanceof InputError)) {
+            throw err;
+          }
+        }
+        if (opts.onProgress) {
+          opts.onProgress(k + 1, opts.points);
+        }
+      });
+      return { gmv, curve };
+    }
+
+    const { invOnes, invMu, A, B, C, D } = frontierCoefficients(mu, cov);
+    const gmv = portfolioStats(invOnes.map((v) => v / A), mu, cov, rf);
+
+    if (D <= 1e-14 * Math.max(A * C, 1e-300)) {
+      return { gmv, curve: [gmv] };
+    }
+
+    const lo = Math.min(opts.minReturn === undefined ? Math.min(...mu) : opts.minReturn, gmv.ret);
+    const hi = Math.max(opts.maxReturn === undefined ? Math.max(...mu) : opts.maxReturn, gmv.ret);
+    const curve = spread(lo, hi).map((target) => {
+      const g = (C - B * target) / D;
+      const h = (A * target - B) / D;
+      return portfolioStats(invOnes.map((v, i) => g * v + h * invMu[i]), mu, cov, rf);
+    });
+    return { gmv, curve };
+  }
+
+  function frontierCoefficients(mu, cov) {
+    const ones = new Array(mu.length).fill(1);
+    const invOnes = solveLinearSystem(cov, ones);
+    const invMu = solveLinearSystem(cov, mu);
+    const A = dot(ones, invOnes);
+    const B = dot(ones, invMu);
+    const C = dot(mu, invMu);
+    return { invOnes, invMu, A, B, C, D: A * C - B * B };
+  }
+
+  function targetError(message) {
+    return fieldError('target', message);
+  }
+
+  /**
+   * Highest-return portfolio whose volatility does not exceed `targetVol`: the efficient
+   * frontier point at that volatility, or the top of the frontier when it is never reached.
+   */
+  function maxReturnForVolatility(mu, cov, rf, targetVol, options) {
+    const { longOnly, limits } = { longOnly: false, ...options };
+
+    if (!longOnly) {
+      const { invOnes, invMu, A, B, C, D } = frontierCoefficients(mu, cov);
+      const minVol = Math.sqrt(1 / A);
+      if (targetVol < minVol - 1e-12) {
+        throw targetError(`Target volatility ${(targetVol * 100).toFixed(2)}% is below the minimum achievable ${(minVol * 100).toFixed(2)}%.`);
+      }
+      if (D <= 1e-14 * Math.max(A * C, 1e-300)) {
+        return portfolioStats(invOnes.map((v) => v / A), mu, cov, rf);
+      }
+      const m = (B + Math.sqrt(Math.max(B * B - A * (C - D * targetVol * targetVol), 0))) / A;
+      const g = (C - B * m) / D;
+      const h = (A * m - B) / D;
+      return portfolioStats(invOnes.map((v, i) => g * v + h * invMu[i]), mu, cov, rf);
+    }
+
+    const gmv = minVariancePortfolio(mu, cov, rf, { longOnly, limits });
+    if (targetVol < gmv.vol - 1e-12) {
+      throw targetError(`Target volatility ${(targetVol * 100).toFixed(2)}% is below the minimum achievable ${(gmv.vol * 100).toFixed(2)}%.`);
+    }
+
+    let best = gmv;
+    let lo = gmv.ret;
+    let hi = Math.max(...mu);
+    for (let k = 0; k < 60 && hi - lo > 1e-12; k += 1) {
+      const mid = (lo + hi) / 2;
+      let candidate = null;
+      try {
+        candidate = minVariancePortfolio(mu, cov, rf, { longOnly, limits, targetReturn: mid });
+      } catch (err) {
+        if (!(err instanceof InputError)) {
+          throw err;
+        }
+      }
+      if (candidate && candidate.vol <= targetVol) {
+        best = candidate;
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Equal risk contribution (risk parity) portfolio: every asset contributes the same
+   * share of portfolio variance. Solved by cyclical coordinate descent; the solution is
+   * always long-only, so it is also the answer when shorting is allowed.
+   */
+  function riskParityPortfolio(mu, cov, rf) {
+    const n = mu.length;
+    const budget = 1 / n;
+    const y = cov.map((row, i) => 1 / Math.sqrt(row[i]));
+
+    for (let iter = 0; iter < 1000; iter += 1) {
+      let change = 0;
+      for (let i = 0; i < n; i += 1) {
+        let s = 0;
+        for (let j = 0; j < n; j += 1) {
+          if (j !== i) {
+            s += cov[i][j] * y[j];
+          }
+        }
+        const next = (-s + Math.sqrt(s * s + 4 * cov[i][i] * budget)) / (2 * cov[i][i]);
+        change = Math.max(change, Math.abs(next - y[i]) / y[i]);
+        y[i] = next;
+      }
+      if (change < 1e-12) {
+        break;
+      }
+    }
+
+    const total = y.reduce((a, x) => a + x, 0);
+    return portfolioStats(y.map((x) => x / total), mu, cov, rf);
+  }
+
+  /**
+   * Maximum diversification ratio portfolio, where the ratio is w'vol / sqrt(w'cov w).
+   * This is max-Sharpe with asset volatilities in place of returns and a zero rate, so it
+   * reuses those solvers. The result carries `diversificationRatio`, and `convergence`
+   * when long-only.
+   */
+  function maxDiversificationPortfolio(mu, cov, rf, options) {
+    const { longOnly, iterations, limits } = { longOnly: true, iterations: DEFAULT_ITERATIONS, ...options };
+    const vol = cov.map((row, i) => Math.sqrt(row[i]));
+    const solved = longOnly
+      ? optimizeLongOnly(vol, cov, 0, iterations, limits)
+      : optimizeUnconstrained(vol, cov, 0);
+    const stats = portfolioStats(solved.w, mu, cov, rf);
+    return {
+      ...stats,
+      binding: solved.binding,
+      diversificationRatio: stats.vol > 0 ? dot(solved.w, vol) / stats.vol : NaN,
+      ...(solved.convergence ? { convergence: solved.convergence } : {}),
+    };
+  }
+
+  /**
+   * Optimizes for `options.objective` (one of OBJECTIVES, default 'max_sharpe') under
+   * `options.mode`. Target objectives read `options.target` (annualized decimal);
+   * long-only objectives honour `options.limits`, except risk parity, which has no bounded
+   * form here and rejects limits that restrict any weight.
+   * Returns portfolioStats plus `objective` (and `binding` when limits apply, and
+   * `convergence` from the long-only max-Sharpe and max-diversification solves).
+   */
+  function optimizePortfolio(mu, cov, rf, options) {
+    const opts = { objective: 'max_sharpe', mode: 'long_only', iterations: DEFAULT_ITERATIONS, ...options };
+    const longOnly = opts.mode === 'long_only';
+    const limits = longOnly ? opts.limits || undefined : undefined;
+    const withBinding = (stats) => (limits ? { ...stats, binding: bindingConstraints(stats.w, limits) } : stats);
+    let result;
+
+    if ((opts.objective === 'target_return' || opts.objective === 'target_vol') && !isNumber(opts.target)) {
+      throw targetError('Target must be a finite number.');
+    }
+
+    switch (opts.objective) {
+      case 'max_sharpe':
+        result = longOnly
+          ? optimizeLongOnly(mu, cov, rf, opts.iterations, limits)
+          : optimizeUnconstrained(mu, cov, rf);
+        break;
+      case 'min_variance':
+        result = withBinding(minVariancePortfolio(mu, cov, rf, { longOnly, limits }));
+        break;
+      case 'target_return':
+        try {
+          result = withBinding(minVariancePortfolio(mu, cov, rf, { longOnly, limits, targetReturn: opts.target }));
+        } catch (err) {
+          if (err instanceof InputError && err.fields.some((f) => f.field === 'constraints')) {
+            throw targetError(`Target return ${(opts.target * 100).toFixed(2)}% cannot be reached with these constraints.`);
+          }
+          throw err;
+        }
+        break;
+      case 'target_vol':
+        if (opts.target <= 0) {
+          throw targetError('Target volatility must be > 0.');
+        }
+        result = withBinding(maxReturnForVolatility(mu, cov, rf, opts.target, { longOnly, limits }));
+        break;
+      case 'risk_parity':
+        if (limits && restrictsWeights(limits, mu.length)) {
+          throw fieldError('limits', 'Weight bounds and groups are not supported with the risk_parity objective.');
+        }
+        result = riskParityPortfolio(mu, cov, rf);
+        break;
+      case 'max_diversification':
+        result = maxDiversificationPortfolio(mu, cov, rf, { longOnly, iterations: opts.iterations, limits });
+        break;
+      default:
+        throw fieldError('objective', `objective must be one of: ${OBJECTIVES.join(', ')}.`);
+    }
+
+    return { ...result, objective: opts.objective };
+  }
+
+  /** Single-asset portfolios, one per asset, as portfolioStats. */
+  function assetPoints(mu, cov, rf) {
+    return mu.map((_, i) => {
+      const w = new Array(mu.length).fill(0);
+      w[i] = 1;
+      return portfolioStats(w, mu, cov, rf);
+    });
+  }
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  /**
+   * Validates a plain-object scenario `{ names?, mu, vol, corr, rf?, mode?, objective?,
+   * target?, iterations?, lower?, upper?, groups? }` and returns it with defaults filled in, `cov` built and the
+   * long-only weight limits gathered under `limits` (null when none are given). Collects
+   * every problem into one InputError.
+   */
+  function parseScenario(input) {
+    const errors = [];
+    const body = input && typeof input === 'object' ? input : {};
+
+    const mu = body.mu;
+    const vol = body.vol;
+    const corr = body.corr;
+
+    if (!Array.isArray(mu) || mu.length < 2) {
+      errors.push({ field: 'mu', message: 'mu must be an array of at least 2 expected returns.' });
+    } else {
+      mu.forEach((m, i) => {
+        if (!isNumber(m)) {
+          errors.push({ field: `mu[${i}]`, message: 'Expected return must be a finite number.' });
+        }
+      });
+    }
+
+    const n = Array.isArray(mu) ? mu.length : 0;
+
+    if (!Array.isArray(vol) || vol.length !== n) {
+      errors.push({ field: 'vol', message: `vol must be an array of ${n} volatilities.` });
+    } else {
+      vol.forEach((v, i) => {
+        if (!isNumber(v) || v <= 0) {
+          errors.push({ field: `vol[${i}]`, message: 'Volatility must be a finite number > 0.' });
+        }
+      });
+    }
+
+    if (!Array.isArray(corr) || corr.length !== n || corr.some((row) => !Array.isArray(row) || row.length !== n)) {
+      errors.push({ field: 'corr', message: `corr must be a ${n}x${n} matrix.` });
+    } else {
+      for (let i = 0; i < n; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+          const v = corr[i][j];
+          if (i === j) {
+            if (v !== 1) {
+              errors.push({ field: `corr[${i}][${j}]`, message: 'Diagonal correlations must equal 1.' });
+            }
+          } else if (!isNumber(v) || v < -1 || v > 1) {
+            errors.push({ field: `corr[${i}][${j}]`, message: 'Correlation must be between -1 and 1.' });
+          } else if (j > i && Math.abs(v - corr[j][i]) > 1e-9) {
+            errors.push({ field: `corr[${i}][${j}]`, message: `Correlation matrix must be symmetric (corr[${j}][${i}] = ${corr[j][i]}).` });
+          }
+        }
+      }
+
+      // A Cholesky test decides; eigenvalues are left to the correlation checks and repair.
+      if (!errors.some((e) => e.field.startsWith('corr')) && !isPositiveSemidefinite(corr)) {
+        errors.push({ field: 'corr', message: 'Correlation matrix is not positive semidefinite.' });
+      }
+    }
+
+    let names = body.names;
+    if (names === undefined) {
+      names = Array.from({ length: n }, (_, i) => `Asset ${i + 1}`);
+    } else if (!Array.isArray(names) || names.length !== n || names.some((x) => typeof x !== 'string')) {
+      errors.push({ field: 'names', message: `names must be an array of ${n} strings.` });
+    }
+
+    const rf = body.rf === undefined ? 0 : body.rf;
+    if (!isNumber(rf)) {
+      errors.push({ field: 'rf', message: 'rf must be a finite number.' });
+    }
+
+    const mode = body.mode === undefined ? 'long_only' : body.mode;
+    if (!MODES.includes(mode)) {
+      errors.push({ field: 'mode', message: `mode must be one of: ${MODES.join(', ')}.` });
+    }
+
+    const objective = body.objective === undefined ? 'max_sharpe' : body.objective;
+    if (!OBJECTIVES.includes(objective)) {
+      errors.push({ field: 'objective', message: `objective must be one of: ${OBJECTIVES.join(', ')}.` });
+    }
+
+    const target = body.target === undefined ? null : body.target;
+    if ((objective === 'target_return' || objective === 'target_vol') && !isNumber(target)) {
+      errors.push({ field: 'target', message: `target is required for the ${objective} objective and must be a finite number.` });
+    }
+
+    const iterations = body.iterations === undefined ? DEFAULT_ITERATIONS : body.iterations;
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+      errors.push({ field: 'iterations', message: `iterations must be an integer between 1 and ${MAX_ITERATIONS}.` });
+    }
+
+    let limits = null;
+    if (body.lower !== undefined || body.upper !== undefined || body.groups !== undefined) {
+      limits = { lower: body.lower, upper: body.upper, groups: body.groups };
+      if (n >= 2) {
+        errors.push(...validateLimits(limits, n));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new InputError('Invalid optimization input.', errors);
+    }
+
+    return { names, mu, vol, corr, rf, mode, objective, target, iterations, limits, cov: buildCov(vol, corr) };
+  }
+
+  /** Runs the objective and mode selected by a parsed scenario. */
+  function optimize(scenario) {
+    const { mu, cov, rf } = scenario;
+    return optimizePortfolio(mu, cov, rf, scenario);
+  }
+
+  return {
+    MODES,
+    OBJECTIVES,
+    InputError,
+    KKT_TOLERANCE,
+    dot,
+    matVec,
+    solveLinearSystem,
+    projectToSimplex,
+    PSD_TOLERANCE,
+    buildCov,
+    symmetricEigen,
+    minEigenvalue,
+    isPositiveSemidefinite,
+    cholesky,
+    invertSpd,
+    solveQuadraticProgram,
+    validateLimits,
+    weightConstraints,
+    bindingConstraints,
+    portfolioStats,
+    optimizeUnconstrained,
+    optimizeLongOnly,
+    minVariancePortfolio,
+    efficientFrontier,
+    maxReturnForVolatility,
+    riskParityPortfolio,
+    maxDiversificationPortfolio,
+    optimizePortfolio,
+    assetPoints,
+    parseScenario,
+    optimize,
+  };
+}));
@@ -0,0 +1,309 @@
+/**
+ * Rebalancing from current holdings: the max-Sharpe portfolio net of proportional
+ * transaction costs, optionally under a turnover cap, and the trades that get there.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.rebalance`. Weights, costs and returns are
+ * decimals; a cost of 0.001 is 10 basis points of the amount traded.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.rebalance = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const {
+    InputError,
+    dot,
+    solveQuadraticProgram,
+    validateLimits,
+    weightConstraints,
+    bindingConstraints,
+    portfolioStats,
+  } = optimizer;
+
+  const BUDGET_TOLERANCE = 1e-6;
+  const TRADE_TOLERANCE = 1e-6;
+  const GRID_POINTS = 25;
+  const REFINE_STEPS = 30;
+  const MAX_SIDE_ROUNDS = 100;
+  // Each candidate is a QP in n weights; past this many assets the lambda search is slow.
+  const MAX_ASSETS = 150;
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  /**
+   * Field errors for rebalance options over `n` assets: `{ current, costs,
+   * maxTurnover?, costHorizon?, portfolioValue? }`. `current` holds weights summing to 1.
+   * Scenarios above MAX_ASSETS assets are refused on `current`.
+   */
+  function validateOptions(options, n) {
+    const errors = [];
+    const opts = options && typeof options === 'object' ? options : {};
+
+    if (n > MAX_ASSETS) {
+      errors.push({ field: 'current', message: `Rebalancing is limited to ${MAX_ASSETS} assets; this scenario has ${n}.` });
+      return errors;
+    }
+
+    if (!Array.isArray(opts.current) || opts.current.length !== n) {
+      errors.push({ field: 'current', message: `current must be an array of ${n} weights.` });
+    } else {
+      opts.current.forEach((w, i) => {
+        if (!isNumber(w)) {
+          errors.push({ field: `current[${i}]`, message: 'Current weight must be a finite number.' });
+        }
+      });
+      const total = opts.current.reduce((a, w) => a + w, 0);
+      if (errors.length === 0 && Math.abs(total - 1) > BUDGET_TOLERANCE) {
+        errors.push({ field: 'current', message: `Current weights must sum to 100% (they sum to ${(total * 100).toFixed(4)}%).` });
+      }
+    }
+
+    if (!Array.isArray(opts.costs) || opts.costs.length !== n) {
+      errors.push({ field: 'costs', message: `costs must be an array of ${n} proportional costs.` });
+    } else {
+      opts.costs.forEach((c, i) => {
+        if (!isNumber(c) || c < 0 || c >= 1) {
+          errors.push({ field: `costs[${i}]`, message: 'Transaction cost must be a number in [0, 1).' });
+        }
+      });
+    }
+
+    if (opts.maxTurnover !== undefined && opts.maxTurnover !== null && (!isNumber(opts.maxTurnover) || opts.maxTurnover < 0)) {
+      errors.push({ field: 'maxTurnover', message: 'maxTurnover must be a number >= 0, or null for no cap.' });
+    }
+    if (opts.costHorizon !== undefined && (!isNumber(opts.costHorizon) || opts.costHorizon <= 0)) {
+      errors.push({ field: 'costHorizon', message: 'costHorizon must be a number of years > 0.' });
+    }
+    if (opts.portfolioValue !== undefined && opts.portfolioValue !== null && (!isNumber(opts.portfolioValue) || opts.portfolioValue <= 0)) {
+      errors.push({ field: 'portfolioValue', message: 'portfolioValue must be a number > 0.' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Buy and sell orders from `current` to `target` weights. Orders smaller than 0.0001%
+   * are 'hold'. Notional amounts are null unless `portfolioValue` is given.
+   * @returns {{ index: number, side: string, from: number, to: number, change: number,
+   *   cost: number, amount: number|null, costAmount: number|null }[]}
+   */
+  function tradeList(current, target, costs, portfolioValue) {
+    const value = isNumber(portfolioValue) ? portfolioValue : null;
+    return target.map((to, index) => {
+      const from = current[index];
+      const change = to - from;
+      let side = 'hold';
+      if (change > TRADE_TOLERANCE) {
+        side = 'buy';
+      } else if (change < -TRADE_TOLERANCE) {
+        side = 'sell';
+      }
+      const cost = Math.abs(change) * costs[index];
+      return {
+        index,
+        side,
+        from,
+        to,
+        change,
+        cost,
+        amount: value === null ? null : change * value,
+        costAmount: value === null ? null : cost * value,
+      };
+    });
+  }
+
+  function netStats(w, current, mu, cov, rf, drag) {
+    const stats = portfolioStats(w, mu, cov, rf);
+    const cost = w.reduce((a, x, i) => a + drag[i] * Math.abs(x - current[i]), 0);
+    const netRet = stats.ret - cost;
+    return { ...stats, netRet, netSharpe: stats.vol > 0 ? (netRet - rf) / stats.vol : -Infinity };
+  }
+
+  /**
+   * Max net-of-cost Sharpe portfolio reached from `options.current`.
+   *
+   * Costs are paid once but judged against annual returns, spread over `costHorizon`
+   * years (default 1): net return = mu'w - sum(costs * |w - current|) / costHorizon.
+   * Each candidate solves the mean-variance utility mu'w - lambda/2 w'cov w - net cost
+   * as a quadratic program in the weights, with each asset's trade direction fixed and
+   * revised until it is optimal; directions carry over from one lambda to the next. The
+   * risk aversion lambda with the best net Sharpe is kept. Staying put is also a candidate when `current` meets
+   * the constraints. `options.mode` and `options.limits` are as for optimizePortfolio,
+   * and `maxTurnover` caps one-way turnover, sum |w - current| / 2.
+   *
+   * @returns {object} portfolioStats of the target plus `objective`, `netRet`,
+   *   `netSharpe`, `turnover`, `cost`, `current` (portfolioStats of the holdings),
+   *   `trades` (see tradeList) and `binding` when limits apply.
+   */
+  function rebalancePortfolio(mu, cov, rf, options) {
+    const opts = { mode: 'long_only', costHorizon: 1, maxTurnover: null, portfolioValue: null, ...options };
+    const n = mu.length;
+    const errors = validateOptions(opts, n);
+    const longOnly = opts.mode === 'long_only';
+    const limits = longOnly ? opts.limits || undefined : undefined;
+    if (limits) {
+      errors.push(...validateLimits(limits, n));
+    }
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const current = opts.current;
+    const drag = opts.costs.map((c) => c / opts.costHorizon);
+    const weightCons = longOnly
+      ? weightConstraints(n, limits)
+      : [{ a: new Array(n).fill(1), b: 1, type: 'eq' }];
+    const infeasible = () => new InputError('Weight limits cannot be met within the turnover cap.', [
+      { field: 'maxTurnover', message: 'Weight limits cannot be met within the turnover cap.' },
+    ]);
+
+    // Minimizes 1/2 w'Qw + linear'w + sum(fees * |w - current|) under the weight
+    // constraints and, unless `cap` is null, sum |w - current| <= 2 cap. Each asset trades
+    // only in its `side` (1 buys, -1 sells), which makes the costs linear; a side whose
+    // bound w = current holds a multiplier above twice its fee (plus the turnover price)
+    // would gain by trading the other way, so it is flipped and the QP solved again.
+    const solveSides = (Q, linear, fees, start, cap) => {
+      const side = start.slice();
+      for (let round = 0; round < MAX_SIDE_ROUNDS; round += 1) {
+        const constraints = weightCons.concat(current.map((x, i) => {
+          const a = new Array(n).fill(0);
+          a[i] = 1;
+          return { a, b: x, type: side[i] > 0 ? 'ge' : 'le' };
+        }));
+        if (cap !== null) {
+          constraints.push({ a: side.slice(), b: 2 * cap + dot(side, current), type: 'le' });
+        }
+        let solved;
+        try {
+          solved = solveQuadraticProgram(Q, linear.map((v, i) => v + side[i] * fees[i]), constraints);
+        } catch (err) {
+          if (err instanceof InputError && err.fields.some((f) => f.field === 'constraints')) {
+            throw infeasible();
+          }
+          throw err;
+        }
+        const price = cap === null ? 0 : solved.multipliers[constraints.length - 1];
+        let flipped = false;
+        for (let i = 0; i < n; i += 1) {
+          if (solved.multipliers[weightCons.length + i] > 2 * (fees[i] + price) + 1e-10) {
+            side[i] = -side[i];
+            flipped = true;
+          }
+        }
+        if (!flipped) {
+          return { w: solved.x, side };
+        }
+      }
+      throw new Error('Rebalancing did not settle on trade directions.');
+    };
+
+    // Starting sides come from the weights nearest the holdings. Under a turnover cap they
+    // are then taken from a least-turnover portfolio (the small quadratic term only picks
+    // one among ties), so that the capped solves below start from feasible sides.
+    const identity = (scale) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? scale : 0)));
+    const sidesOf = (w) => w.map((x, i) => (x >= current[i] ? 1 : -1));
+    let nearest;
+    try {
+      nearest = solveQuadraticProgram(identity(1), current.map((x) => -x), weightCons).x;
+    } catch (err) {
+      if (err instanceof InputError && err.fields.some((f) => f.field === 'constraints')) {
+        throw infeasible();
+      }
+      throw err;
+    }
+    let side = sidesOf(nearest);
+    if (opts.maxTurnover !== null) {
+      ({ side } = solveSides(identity(1e-3), current.map((x) => -1e-3 * x), new Array(n).fill(1), side, null));
+    }
+
+    const avgVar = cov.reduce((acc, row, i) => acc + row[i], 0) / n;
+    const linear = mu.map((m) => -m);
+    const solve = (lambda) => {
+      // The small ridge keeps the problem strictly convex when cov is singular.
+      const eps = 1e-7 * lambda * avgVar;
+      const Q = cov.map((row, i) => row.map((v, j) => lambda * v + (i === j ? eps : 0)));
+      const solved = solveSides(Q, linear, drag, side, opts.maxTurnover);
+      ({ side } = solved);
+      const w = solved.w.map((v) => (longOnly ? Math.max(v, 0) : v));
+      return netStats(w, current, mu, cov, rf, drag);
+    };
+
+    // Coarse scan over log10(lambda), then golden-section search around the best point.
+    const lo = -2;
+    const hi = 4;
+    const at = (k) => lo + ((hi - lo) * k) / (GRID_POINTS - 1);
+    const cache = new Map();
+    const evaluate = (logLambda) => {
+      if (!cache.has(logLambda)) {
+        cache.set(logLambda, solve(10 ** logLambda));
+      }
+      return cache.get(logLambda);
+    };
+
+    let bestK = 0;
+    for (let k = 0; k < GRID_POINTS; k += 1) {
+      if (evaluate(at(k)).netSharpe > evaluate(at(bestK)).netSharpe) {
+        bestK = k;
+      }
+    }
+    let a = at(Math.max(bestK - 1, 0));
+    let b = at(Math.min(bestK + 1, GRID_POINTS - 1));
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let step = 0; step < REFINE_STEPS; step += 1) {
+      const x1 = b - ratio * (b - a);
+      const x2 = a + ratio * (b - a);
+      if (evaluate(x1).netSharpe >= evaluate(x2).netSharpe) {
+        b = x2;
+      } else {
+        a = x1;
+      }
+    }
+
+    let best = evaluate(at(bestK));
+    cache.forEach((candidate) => {
+      if (candidate.netSharpe > best.netSharpe) {
+        best = candidate;
+      }
+    });
+
+    const holdings = netStats(current, current, mu, cov, rf, drag);
+    const holdingsFeasible = weightCons.every((k) => {
+      const v = dot(k.a, current);
+      const tol = 1e-9;
+      if (k.type === 'eq') {
+        return Math.abs(v - k.b) <= BUDGET_TOLERANCE;
+      }
+      return k.type === 'ge' ? v >= k.b - tol : v <= k.b + tol;
+    });
+    if (holdingsFeasible && holdings.netSharpe >= best.netSharpe) {
+      best = holdings;
+    }
+
+    const trades = tradeList(current, best.w, opts.costs, opts.portfolioValue);
+    const { netRet, netSharpe, ...stats } = best;
+    return {
+      ...stats,
+      objective: 'max_sharpe',
+      netRet,
+      netSharpe,
+      turnover: trades.reduce((acc, t) => acc + Math.abs(t.change), 0) / 2,
+      cost: trades.reduce((acc, t) => acc + t.cost, 0),
+      current: portfolioStats(current, mu, cov, rf),
+      trades,
+      ...(limits ? { binding: bindingConstraints(best.w, limits) } : {}),
+    };
+  }
+
+  return {
+    MAX_ASSETS,
+    validateOptions,
+    tradeList,
+    rebalancePortfolio,
+  };
+}));
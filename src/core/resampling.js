@@ -0,0 +1,157 @@
+/**
+ * Resampled efficiency (Michaud): the max-Sharpe portfolio averaged over many sets of
+ * inputs re-estimated from simulated histories, with per-asset weight percentiles that
+ * show how much each allocation depends on estimation error.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer and
+ * simulation cores in the browser, where it is exposed as `FxOpti.resampling`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'), require('./simulation'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.resampling = factory(root.FxOpti.optimizer, root.FxOpti.simulation);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer, simulation) => {
+  const {
+    InputError,
+    cholesky,
+    validateLimits,
+    bindingConstraints,
+    portfolioStats,
+    optimizeLongOnly,
+    optimizeUnconstrained,
+  } = optimizer;
+  const { createRng, createNormal } = simulation;
+
+  const BAND = [0.05, 0.95];
+  const MAX_DRAWS = 2000;
+  const DEFAULTS = {
+    mode: 'long_only',
+    draws: 200,
+    sampleSize: 60,
+    periodsPerYear: 12,
+    seed: 42,
+    iterations: 1600,
+  };
+
+  /** Field errors for resampling options over `n` assets; empty when they are valid. */
+  function validateOptions(options, n) {
+    const errors = [];
+    const opts = { ...DEFAULTS, ...options };
+
+    if (!Number.isInteger(opts.draws) || opts.draws < 10 || opts.draws > MAX_DRAWS) {
+      errors.push({ field: 'draws', message: `draws must be a whole number from 10 to ${MAX_DRAWS}.` });
+    }
+    if (!Number.isInteger(opts.sampleSize) || opts.sampleSize < n + 2) {
+      errors.push({ field: 'sampleSize', message: `sampleSize must be a whole number of at least ${n + 2} periods (assets + 2).` });
+    }
+    if (!(opts.periodsPerYear > 0) || !Number.isFinite(opts.periodsPerYear)) {
+      errors.push({ field: 'periodsPerYear', message: 'periodsPerYear must be a number > 0.' });
+    }
+    if (!Number.isInteger(opts.seed)) {
+      errors.push({ field: 'seed', message: 'seed must be a whole number.' });
+    }
+
+    return errors;
+  }
+
+  function percentile(sorted, p) {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /**
+   * Resampled max-Sharpe portfolio. Each draw simulates `sampleSize` periods of normal
+   * returns with the given annual `mu` and `cov` (scaled by `periodsPerYear`),
+   * re-estimates mean and covariance from them, and optimizes under `mode` (and
+   * `limits` when long-only). The draws' weights are averaged. `options.onProgress(done,
+   * total)`, when given, is called after each draw.
+   *
+   * @returns {object} portfolioStats of the averaged weights under the original inputs,
+   *   plus `objective`, `band` (the percentiles used), `lower` and `upper` (per-asset
+   *   weight percentiles), `draws` (optimizations that succeeded), `failed` and
+   *   `binding` when limits apply.
+   */
+  function resampledPortfolio(mu, cov, rf, options) {
+    const opts = { ...DEFAULTS, ...options };
+    const n = mu.length;
+    const longOnly = opts.mode === 'long_only';
+    const limits = longOnly ? opts.limits || undefined : undefined;
+    const errors = validateOptions(opts, n);
+    if (limits) {
+      errors.push(...validateLimits(limits, n));
+    }
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const T = opts.sampleSize;
+    const P = opts.periodsPerYear;
+    const L = cholesky(cov);
+    const normal = createNormal(createRng(opts.seed));
+    const weights = [];
+    let failed = 0;
+
+    for (let d = 0; d < opts.draws; d += 1) {
+      const sample = Array.from({ length: T }, () => {
+        const z = Array.from({ length: n }, () => normal());
+        return mu.map((m, i) => m / P + L[i].reduce((acc, x, k) => acc + x * z[k], 0) / Math.sqrt(P));
+      });
+      const mean = mu.map((_, i) => sample.reduce((acc, r) => acc + r[i], 0) / T);
+      const estCov = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (
+        (sample.reduce((acc, r) => acc + (r[i] - mean[i]) * (r[j] - mean[j]), 0) / (T - 1)) * P
+      )));
+      const estMu = mean.map((m) => m * P);
+
+      try {
+        const w = longOnly
+          ? optimizeLongOnly(estMu, estCov, rf, opts.iterations, limits).w
+          : optimizeUnconstrained(estMu, estCov, rf).w;
+        weights.push(w);
+      } catch (err) {
+        if (!(err instanceof InputError)) {
+          throw err;
+        }
+        failed += 1;
+      }
+      if (opts.onProgress) {
+        opts.onProgress(d + 1, opts.draws);
+      }
+    }
+
+    if (weights.length === 0) {
+      throw new InputError('Every resampled optimization failed.', [
+        { field: 'draws', message: 'Every resampled optimization failed; try a larger sample size.' },
+      ]);
+    }
+
+    const average = mu.map((_, i) => weights.reduce((acc, w) => acc + w[i], 0) / weights.length);
+    const lower = [];
+    const upper = [];
+    for (let i = 0; i < n; i += 1) {
+      const sorted = weights.map((w) => w[i]).sort((a, b) => a - b);
+      lower.push(percentile(sorted, BAND[0]));
+      upper.push(percentile(sorted, BAND[1]));
+    }
+
+    return {
+      ...portfolioStats(average, mu, cov, rf),
+      objective: 'max_sharpe',
+      band: BAND.slice(),
+      lower,
+      upper,
+      draws: weights.length,
+      failed,
+      ...(limits ? { binding: bindingConstraints(average, limits) } : {}),
+    };
+  }
+
+  return {
+    validateOptions,
+    resampledPortfolio,
+  };
+}));
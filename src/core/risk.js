@@ -0,0 +1,124 @@
+/**
+ * Portfolio risk measures: how each position contributes to volatility, and parametric
+ * (normal) value at risk and expected shortfall over a holding horizon.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.risk`. Returns and volatilities are annualized
+ * decimals; VaR and CVaR are positive fractions of portfolio value.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.risk = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const { dot, matVec } = optimizer;
+
+  const DEFAULT_CONFIDENCES = [0.95, 0.99];
+  const DEFAULT_HORIZONS = [1, 10];
+  const TRADING_DAYS = 252;
+
+  /**
+   * Euler decomposition of portfolio volatility. `marginal[i]` is d(vol)/d(w_i) =
+   * (cov w)_i / vol, `component[i]` = w_i * marginal[i] sums to vol, and `percent[i]` =
+   * component[i] / vol is the asset's share of portfolio variance (sums to 1).
+   * @returns {{ vol: number, marginal: number[], component: number[], percent: number[] }}
+   */
+  function riskContributions(w, cov) {
+    const covW = matVec(cov, w);
+    const variance = Math.max(dot(w, covW), 0);
+    const vol = Math.sqrt(variance);
+    if (vol === 0) {
+      const zeros = w.map(() => 0);
+      return { vol, marginal: zeros, component: zeros.slice(), percent: zeros.slice() };
+    }
+    const marginal = covW.map((x) => x / vol);
+    const component = w.map((x, i) => x * marginal[i]);
+    return {
+      vol,
+      marginal,
+      component,
+      percent: component.map((c) => c / vol),
+    };
+  }
+
+  function normalPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  /** Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9). */
+  function normalQuantile(p) {
+    if (!(p > 0 && p < 1)) {
+      throw new Error('Probability must be strictly between 0 and 1.');
+    }
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+        / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+      return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q)
+      / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Parametric VaR and CVaR (expected shortfall) of a normally distributed portfolio
+   * return, for every combination of `confidences` (e.g. 0.99) and `horizons` (trading
+   * days). The annual mean and volatility scale by h / periodsPerYear and its square root.
+   * @returns {{ confidence: number, horizon: number, mean: number, vol: number,
+   *   var: number, cvar: number }[]}
+   */
+  function parametricVaR(ret, vol, options) {
+    const { confidences, horizons, periodsPerYear } = {
+      confidences: DEFAULT_CONFIDENCES,
+      horizons: DEFAULT_HORIZONS,
+      periodsPerYear: TRADING_DAYS,
+      ...options,
+    };
+    if (confidences.some((c) => !(c > 0 && c < 1))) {
+      throw new Error('Confidence levels must be between 0 and 1 (e.g. 0.99).');
+    }
+    if (horizons.some((h) => !(h > 0))) {
+      throw new Error('Horizons must be positive numbers of periods.');
+    }
+
+    const rows = [];
+    horizons.forEach((horizon) => {
+      const t = horizon / periodsPerYear;
+      const mean = ret * t;
+      const sd = vol * Math.sqrt(t);
+      confidences.forEach((confidence) => {
+        const z = normalQuantile(confidence);
+        rows.push({
+          confidence,
+          horizon,
+          mean,
+          vol: sd,
+          var: z * sd - mean,
+          cvar: (sd * normalPdf(z)) / (1 - confidence) - mean,
+        });
+      });
+    });
+    return rows;
+  }
+
+  return {
+    DEFAULT_CONFIDENCES,
+    DEFAULT_HORIZONS,
+    riskContributions,
+    normalQuantile,
+    parametricVaR,
+  };
+}));
@@ -0,0 +1,99 @@
+/**
+ * Reading a Markowitz scenario body (the /api/optimize request shape, also the inputs of
+ * a scenario file) with its optional blocks: `blackLitterman`, and at most one of
+ * `rebalance`, `resampling` and `allocation`, which all maximize Sharpe. The API and the
+ * command-line tool read requests with it, and the page reads loaded scenarios, so both
+ * accept and reject the same inputs.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer,
+ * Black-Litterman, rebalance, resampling and allocation cores in the browser, where it is
+ * exposed as `FxOpti.scenarioOptions`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./optimizer'),
+      require('./black-litterman'),
+      require('./rebalance'),
+      require('./resampling'),
+      require('./allocation'),
+    );
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.scenarioOptions = factory(
+      root.FxOpti.optimizer,
+      root.FxOpti.blackLitterman,
+      root.FxOpti.rebalance,
+      root.FxOpti.resampling,
+      root.FxOpti.allocation,
+    );
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer, bl, rebalance, resampling, allocation) => {
+  const { InputError, parseScenario } = optimizer;
+
+  const BLOCKS = ['rebalance', 'resampling', 'allocation'];
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function prefixed(errors, block) {
+    return errors.map((e) => ({ ...e, field: `${block}.${e.field}` }));
+  }
+
+  /**
+   * Parses `body` with optimizer.parseScenario and checks its blocks. With a
+   * `blackLitterman` block `mu` is optional (the posterior replaces it; applying it is
+   * left to the caller). The allocation lends at `rf` and borrows at
+   * `allocation.borrowingRate` (default `rf`). Throws one InputError listing every
+   * problem, block fields prefixed with the block name.
+   *
+   * @returns {object} the parsed scenario plus `rebalance`, `resampling` and
+   *   `allocation` (the allocation options with both rates filled in), each undefined
+   *   when absent.
+   */
+  function readScenario(body) {
+    const input = isPlainObject(body) ? body : {};
+    const withBl = input.blackLitterman !== undefined;
+    const assets = Array.isArray(input.vol) ? input.vol.length : 0;
+    const scenario = parseScenario(withBl ? { mu: new Array(assets).fill(0), ...input } : input);
+
+    const n = scenario.mu.length;
+    const fields = [];
+    if (withBl) {
+      fields.push(...prefixed(bl.validateOptions(input.blackLitterman, n), 'blackLitterman'));
+    }
+    if (input.rebalance !== undefined) {
+      fields.push(...prefixed(rebalance.validateOptions(input.rebalance, n), 'rebalance'));
+    }
+    if (input.resampling !== undefined) {
+      fields.push(...prefixed(resampling.validateOptions(input.resampling, n), 'resampling'));
+    }
+    let allocationOptions;
+    if (input.allocation !== undefined) {
+      if (isPlainObject(input.allocation)) {
+        allocationOptions = { borrowingRate: scenario.rf, ...input.allocation, lendingRate: scenario.rf };
+        fields.push(...prefixed(allocation.validateOptions(allocationOptions), 'allocation'));
+      } else {
+        fields.push({ field: 'allocation', message: 'allocation must be an object.' });
+      }
+    }
+
+    const blocks = BLOCKS.filter((key) => input[key] !== undefined);
+    if (blocks.length > 1) {
+      fields.push({ field: blocks[1], message: `${blocks[1]} cannot be combined with ${blocks[0]}.` });
+    }
+    if (blocks.length > 0 && scenario.objective !== 'max_sharpe') {
+      fields.push({ field: 'objective', message: 'Rebalancing, resampling and capital allocation maximize Sharpe; objective must be max_sharpe.' });
+    }
+    if (fields.length > 0) {
+      throw new InputError('Invalid input.', fields);
+    }
+
+    return { ...scenario, rebalance: input.rebalance, resampling: input.resampling, allocation: allocationOptions };
+  }
+
+  return {
+    readScenario,
+  };
+}));
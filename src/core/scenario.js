@@ -0,0 +1,215 @@
+/**
+ * Scenario files and share links. A scenario file is a versioned JSON envelope around
+ * the inputs of one page (the same shape the matching API route accepts) and,
+ * optionally, the result that was on screen when it was saved. Share links carry the
+ * inputs only, packed into the URL hash.
+ *
+ * Loaded with require() in Node, or with a <script> tag in the browser, where it is
+ * exposed as `FxOpti.scenario`. Checking the inputs themselves is left to the caller
+ * (optimizer.parseScenario for 'markowitz', fx.validateBasketInput for 'fx').
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.scenario = api;
+  }
+}(typeof self !== 'undefined' ? self : this, () => {
+  const SCENARIO_FORMAT = 'fx-opti-scenario';
+  const SCENARIO_VERSION = 1;
+  const SCENARIO_KINDS = ['markowitz', 'fx'];
+  const HASH_KEY = 's';
+  const SIGNIFICANT_DIGITS = 10;
+  // Bytes per String.fromCharCode call when base64-encoding in the browser; spreading a
+  // whole large scenario as arguments overflows the call stack.
+  const BASE64_CHUNK = 32768;
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  /** Envelope for `inputs` of a 'markowitz' or 'fx' page; `result` may be null. */
+  function createScenarioFile(kind, inputs, result) {
+    if (!SCENARIO_KINDS.includes(kind)) {
+      throw new Error(`Scenario kind must be one of: ${SCENARIO_KINDS.join(', ')}.`);
+    }
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      kind,
+      savedAt: new Date().toISOString(),
+      inputs,
+      result: result === undefined ? null : result,
+    };
+  }
+
+  /**
+   * Checks the envelope of a scenario file given as text or a parsed object.
+   * @returns {{ kind: string, version: number, savedAt: string|null, inputs: object,
+   *   result: object|null }}
+   */
+  function parseScenarioFile(source, expectedKind) {
+    let file = source;
+    if (typeof source === 'string') {
+      try {
+        file = JSON.parse(source.replace(/^\uFEFF/, ''));
+      } catch (err) {
+        throw new Error('Scenario file is not valid JSON.');
+      }
+    }
+
+    if (!isPlainObject(file) || file.format !== SCENARIO_FORMAT) {
+      throw new Error('This is not an FX Opti scenario file.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      throw new Error('Scenario file has no valid version number.');
+    }
+    if (file.version > SCENARIO_VERSION) {
+      throw new Error(`Scenario file version ${file.version} is newer than this app supports (${SCENARIO_VERSION}).`);
+    }
+    if (!SCENARIO_KINDS.includes(file.kind)) {
+      throw new Error(`Unknown scenario kind "${file.kind}".`);
+    }
+    if (expectedKind && file.kind !== expectedKind) {
+      throw new Error(`This is a ${file.kind} scenario; this page opens ${expectedKind} scenarios.`);
+    }
+    if (!isPlainObject(file.inputs)) {
+      throw new Error('Scenario file has no inputs.');
+    }
+    if (file.result !== undefined && file.result !== null && !isPlainObject(file.result)) {
+      throw new Error('Scenario result must be an object or null.');
+    }
+
+    return {
+      kind: file.kind,
+      version: file.version,
+      savedAt: typeof file.savedAt === 'string' ? file.savedAt : null,
+      inputs: file.inputs,
+      result: file.result || null,
+    };
+  }
+
+  function roundNumbers(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? Number(value.toPrecision(SIGNIFICANT_DIGITS)) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(roundNumbers);
+    }
+    if (isPlainObject(value)) {
+      const out = {};
+      Object.keys(value).forEach((key) => {
+        out[key] = roundNumbers(value[key]);
+      });
+      return out;
+    }
+    return value;
+  }
+
+  // A symmetric unit-diagonal matrix travels as its strict upper triangle, row by row.
+  function packCorr(corr) {
+    const upper = [];
+    corr.forEach((row, i) => row.forEach((v, j) => {
+      if (j > i) {
+        upper.push(v);
+      }
+    }));
+    return upper;
+  }
+
+  function unpackCorr(upper) {
+    const n = Math.round((1 + Math.sqrt(1 + 8 * upper.length)) / 2);
+    if (n * (n - 1) / 2 !== upper.length) {
+      throw new Error('Shared link has a malformed correlation matrix.');
+    }
+    const corr = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+    let k = 0;
+    for (let i = 0; i < n; i += 1) {
+      for (let j = i + 1; j < n; j += 1) {
+        corr[i][j] = upper[k];
+        corr[j][i] = upper[k];
+        k += 1;
+      }
+    }
+    return corr;
+  }
+
+  function bytesToBinary(bytes) {
+    let binary = '';
+    for (let k = 0; k < bytes.length; k += BASE64_CHUNK) {
+      binary += String.fromCharCode(...bytes.subarray(k, k + BASE64_CHUNK));
+    }
+    return binary;
+  }
+
+  function toBase64Url(text) {
+    const base64 = typeof Buffer !== 'undefined'
+      ? Buffer.from(text, 'utf8').toString('base64')
+      : btoa(bytesToBinary(new TextEncoder().encode(text)));
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(base64, 'base64').toString('utf8');
+    }
+    const binary = atob(base64);
+    return new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)));
+  }
+
+  /** URL hash (without '#') carrying `inputs`, e.g. 's=eyJ2IjoxLC...'. */
+  function encodeScenarioHash(kind, inputs) {
+    const packed = roundNumbers({ ...inputs });
+    if (Array.isArray(packed.corr)) {
+      packed.corr = packCorr(packed.corr);
+    }
+    return `${HASH_KEY}=${toBase64Url(JSON.stringify({ v: SCENARIO_VERSION, k: kind, i: packed }))}`;
+  }
+
+  /**
+   * Inputs from a URL hash made by encodeScenarioHash, or null when the hash holds no
+   * scenario. Throws when it holds one that cannot be read.
+   */
+  function decodeScenarioHash(hash, expectedKind) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(encoded));
+    } catch (err) {
+      throw new Error('Shared link is damaged or incomplete.');
+    }
+    if (!isPlainObject(payload) || !isPlainObject(payload.i) || !Number.isInteger(payload.v)) {
+      throw new Error('Shared link is damaged or incomplete.');
+    }
+    if (payload.v > SCENARIO_VERSION) {
+      throw new Error(`Shared link version ${payload.v} is newer than this app supports (${SCENARIO_VERSION}).`);
+    }
+    if (expectedKind && payload.k !== expectedKind) {
+      throw new Error(`This link holds a ${payload.k} scenario; this page opens ${expectedKind} scenarios.`);
+    }
+
+    const inputs = { ...payload.i };
+    if (Array.isArray(inputs.corr)) {
+      inputs.corr = unpackCorr(inputs.corr);
+    }
+    return inputs;
+  }
+
+  return {
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    SCENARIO_KINDS,
+    createScenarioFile,
+    parseScenarioFile,
+    encodeScenarioHash,
+    decodeScenarioHash,
+  };
+}));
@@ -0,0 +1,123 @@
+/**
+ * Input sensitivity for the Markowitz optimizer: bumps each expected return, volatility
+ * and pairwise correlation down and up, re-solves, and reports how the optimal weights
+ * and Sharpe ratio move.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.sensitivity`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.sensitivity = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const { InputError, buildCov, isPositiveSemidefinite, optimizePortfolio } = optimizer;
+
+  const DEFAULT_BUMPS = { mu: 0.02, vol: 0.02, corr: 0.1 };
+  const BUMP_LABELS = { mu: 'Return', vol: 'Volatility', corr: 'Correlation' };
+  const MIN_VOL = 1e-4;
+
+  /**
+   * Every input of `mu`, `vol` and the upper triangle of `corr` as
+   * `{ kind, i, j?, value }`, in that order.
+   */
+  function listInputs(mu, vol, corr) {
+    const inputs = [];
+    mu.forEach((value, i) => inputs.push({ kind: 'mu', i, value }));
+    vol.forEach((value, i) => inputs.push({ kind: 'vol', i, value }));
+    for (let i = 0; i < corr.length; i += 1) {
+      for (let j = i + 1; j < corr.length; j += 1) {
+        inputs.push({ kind: 'corr', i, j, value: corr[i][j] });
+      }
+    }
+    return inputs;
+  }
+
+  // Copies of the inputs with one of them set to `value`.
+  function withInput(mu, vol, corr, input, value) {
+    const next = { mu: mu.slice(), vol: vol.slice(), corr: corr.map((row) => row.slice()) };
+    if (input.kind === 'corr') {
+      next.corr[input.i][input.j] = value;
+      next.corr[input.j][input.i] = value;
+    } else {
+      next[input.kind][input.i] = value;
+    }
+    return next;
+  }
+
+  /**
+   * Re-solves with each input bumped by -`bumps[kind]` and +`bumps[kind]` (absolute,
+   * annualized decimals for mu and vol). Volatilities stay above zero and correlations
+   * within [-1, 1]; a bumped correlation matrix that is no longer positive semidefinite,
+   * or a bump the optimizer rejects, leaves that side null with a `note`.
+   *
+   * `options` are passed to optimizePortfolio, except `options.onProgress(done, total)`,
+   * which when given is called after each input. Sharpe ratios are those of each
+   * re-solved portfolio under its own bumped inputs.
+   *
+   * @returns {{ base: { w: number[], sharpe: number }, rows: { kind: string, i: number,
+   *   j?: number, value: number, down: object|null, up: object|null, notes: string[] }[] }}
+   *   `down` and `up` are `{ value, w, sharpe }`; rows follow listInputs order.
+   */
+  function sensitivityAnalysis(mu, vol, corr, rf, options, bumps) {
+    const size = { ...DEFAULT_BUMPS, ...bumps };
+    Object.keys(BUMP_LABELS).forEach((kind) => {
+      if (!(size[kind] > 0) || !Number.isFinite(size[kind])) {
+        const message = `${BUMP_LABELS[kind]} bump must be a number > 0.`;
+        throw new InputError(message, [{ field: `bumps.${kind}`, message }]);
+      }
+    });
+
+    const { onProgress, ...solveOptions } = options || {};
+    const solve = (inputs) => optimizePortfolio(inputs.mu, buildCov(inputs.vol, inputs.corr), rf, solveOptions);
+    const base = solve({ mu, vol, corr });
+
+    const allInputs = listInputs(mu, vol, corr);
+    const rows = allInputs.map((input, k) => {
+      const notes = [];
+      const side = (direction) => {
+        let value = input.value + direction * size[input.kind];
+        if (input.kind === 'vol') {
+          value = Math.max(value, MIN_VOL);
+        } else if (input.kind === 'corr') {
+          value = Math.min(1, Math.max(-1, value));
+        }
+        if (value === input.value) {
+          return null;
+        }
+
+        const next = withInput(mu, vol, corr, input, value);
+        if (input.kind === 'corr' && !isPositiveSemidefinite(next.corr)) {
+          notes.push(`${direction < 0 ? 'Lower' : 'Higher'} correlation makes the matrix invalid.`);
+          return null;
+        }
+        try {
+          const result = solve(next);
+          return { value, w: result.w, sharpe: result.sharpe };
+        } catch (err) {
+          if (!(err instanceof InputError)) {
+            throw err;
+          }
+          notes.push(err.message);
+          return null;
+        }
+      };
+      const row = { ...input, down: side(-1), up: side(1), notes };
+      if (onProgress) {
+        onProgress(k + 1, allInputs.length);
+      }
+      return row;
+    });
+
+    return { base: { w: base.w, sharpe: base.sharpe }, rows };
+  }
+
+  return {
+    DEFAULT_BUMPS,
+    listInputs,
+    sensitivityAnalysis,
+  };
+}));
@@ -0,0 +1,255 @@
+/**
+ * Monte Carlo simulation of a fixed-weight portfolio: correlated daily asset returns
+ * drawn through a Cholesky factor of the covariance, normal or Student-t, compounded
+ * over a holding horizon to give a distribution of portfolio outcomes.
+ *
+ * Loaded with require() in Node, or with a <script> tag after the optimizer core in the
+ * browser, where it is exposed as `FxOpti.simulation`. Inputs are annualized decimals;
+ * outcomes are cumulative simple returns over the horizon.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./optimizer'));
+  } else {
+    root.FxOpti = root.FxOpti || {};
+    root.FxOpti.simulation = factory(root.FxOpti.optimizer);
+  }
+}(typeof self !== 'undefined' ? self : this, (optimizer) => {
+  const { InputError, cholesky, symmetricEigen } = optimizer;
+
+  const DISTRIBUTIONS = ['normal', 'student_t'];
+  const FAN_PERCENTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+  const TRADING_DAYS = 252;
+  const MAX_PATHS = 50000;
+  const MAX_HORIZON = 1260;
+  // Every path is kept for every day (8 bytes each) to read off the daily percentiles.
+  const MAX_PATH_DAYS = 5000000;
+  const DEFAULTS = {
+    horizon: 21,
+    paths: 5000,
+    distribution: 'normal',
+    dof: 5,
+    seed: 42,
+    lossThreshold: 0.1,
+    confidences: [0.95, 0.99],
+    periodsPerYear: TRADING_DAYS,
+  };
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  /** Uniform generator on (0, 1) from a 32-bit seed (mulberry32), for repeatable runs. */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function next() {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (((t ^ (t >>> 14)) >>> 0) + 0.5) / 4294967296;
+    };
+  }
+
+  /** Standard normal draws by the Box-Muller transform, two per pair of uniforms. */
+  function createNormal(rng) {
+    let spare = null;
+    return function next() {
+      if (spare !== null) {
+        const z = spare;
+        spare = null;
+        return z;
+      }
+      const r = Math.sqrt(-2 * Math.log(rng()));
+      const theta = 2 * Math.PI * rng();
+      spare = r * Math.sin(theta);
+      return r * Math.cos(theta);
+    };
+  }
+
+  // Gamma(shape, 1) by Marsaglia and Tsang; shapes below 1 are boosted by U^(1/shape).
+  function gammaDraw(shape, rng, normal) {
+    if (shape < 1) {
+      return gammaDraw(shape + 1, rng, normal) * rng() ** (1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = normal();
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = rng();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+
+  /**
+   * Factor L with L * L' = cov: the Cholesky factor, or a factor from the
+   * eigen-decomposition when the covariance is only semidefinite (perfect correlations).
+   */
+  function covarianceFactor(cov) {
+    try {
+      return cholesky(cov);
+    } catch (err) {
+      const { values, vectors } = symmetricEigen(cov);
+      const roots = values.map((v) => Math.sqrt(Math.max(v, 0)));
+      return cov.map((_, i) => vectors.map((vec, k) => vec[i] * roots[k]));
+    }
+  }
+
+  function quantileSorted(sorted, p) {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /** Field errors for simulation options; empty when they are valid. */
+  function validateOptions(options) {
+    const errors = [];
+    const opts = { ...DEFAULTS, ...options };
+
+    if (!Number.isInteger(opts.horizon) || opts.horizon < 1 || opts.horizon > MAX_HORIZON) {
+      errors.push({ field: 'horizon', message: `Horizon must be a whole number of days from 1 to ${MAX_HORIZON}.` });
+    }
+    if (!Number.isInteger(opts.paths) || opts.paths < 100 || opts.paths > MAX_PATHS) {
+      errors.push({ field: 'paths', message: `Paths must be a whole number from 100 to ${MAX_PATHS}.` });
+    } else if (Number.isInteger(opts.horizon) && opts.paths * opts.horizon > MAX_PATH_DAYS) {
+      errors.push({
+        field: 'paths',
+        message: `Paths times horizon days must be at most ${MAX_PATH_DAYS.toLocaleString('en-US')}; use at most ${Math.floor(MAX_PATH_DAYS / opts.horizon)} paths over ${opts.horizon} days.`,
+      });
+    }
+    if (!DISTRIBUTIONS.includes(opts.distribution)) {
+      errors.push({ field: 'distribution', message: `distribution must be one of: ${DISTRIBUTIONS.join(', ')}.` });
+    }
+    if (opts.distribution === 'student_t' && (!isNumber(opts.dof) || opts.dof <= 2)) {
+      errors.push({ field: 'dof', message: 'Degrees of freedom must be a number > 2.' });
+    }
+    if (!Number.isInteger(opts.seed)) {
+      errors.push({ field: 'seed', message: 'Seed must be a whole number.' });
+    }
+    if (!isNumber(opts.lossThreshold) || opts.lossThreshold < 0 || opts.lossThreshold >= 1) {
+      errors.push({ field: 'lossThreshold', message: 'Loss threshold must be between 0% and 100%.' });
+    }
+    if (!Array.isArray(opts.confidences) || opts.confidences.some((c) => !(c > 0 && c < 1))) {
+      errors.push({ field: 'confidences', message: 'Confidence levels must be between 0 and 1 (e.g. 0.99).' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Simulates `paths` paths of the portfolio with weights `w` over `horizon` trading days,
+   * rebalanced to `w` every day. Daily asset returns are mu / periodsPerYear plus a
+   * shock L * z / sqrt(periodsPerYear), where z is standard normal or, for 'student_t',
+   * multivariate Student-t with `dof` degrees of freedom scaled to unit variance.
+   *
+   * @returns {{ horizon: number, paths: number, distribution: string, seed: number,
+   *   percentiles: number[], fan: { day: number, values: number[] }[], mean: number,
+   *   vol: number, lossThreshold: number, probLoss: number,
+   *   tail: { confidence: number, var: number, cvar: number }[] }}
+   *   `fan[k].values` holds the cumulative return at each of `percentiles` on that day.
+   */
+  function simulatePortfolio(w, mu, cov, options) {
+    const errors = validateOptions(options);
+    if (errors.length > 0) {
+      throw new InputError(errors[0].message, errors);
+    }
+
+    const opts = { ...DEFAULTS, ...options };
+    const n = w.length;
+    const dt = 1 / opts.periodsPerYear;
+    const sqrtDt = Math.sqrt(dt);
+    const L = covarianceFactor(cov);
+    const drift = w.reduce((acc, wi, i) => acc + wi * mu[i] * dt, 0);
+    const rng = createRng(opts.seed);
+    const normal = createNormal(rng);
+    const tScale = opts.distribution === 'student_t' ? Math.sqrt((opts.dof - 2) / opts.dof) : 1;
+
+    // w . (L z) = (L' w) . z, so each step needs n multiplications rather than n^2.
+    const loadings = new Array(n).fill(0);
+    L.forEach((row, i) => row.forEach((x, k) => {
+      loadings[k] += w[i] * x;
+    }));
+
+    const byDay = Array.from({ length: opts.horizon }, () => new Float64Array(opts.paths));
+    for (let p = 0; p < opts.paths; p += 1) {
+      let value = 1;
+      for (let day = 0; day < opts.horizon; day += 1) {
+        let mix = 1;
+        if (opts.distribution === 'student_t') {
+          mix = Math.sqrt(opts.dof / (2 * gammaDraw(opts.dof / 2, rng, normal))) * tScale;
+        }
+        let shock = 0;
+        for (let k = 0; k < n; k += 1) {
+          shock += loadings[k] * normal();
+        }
+        value *= 1 + drift + shock * mix * sqrtDt;
+        byDay[day][p] = value - 1;
+      }
+    }
+
+    const fan = byDay.map((values, day) => {
+      values.sort();
+      return { day: day + 1, values: FAN_PERCENTILES.map((q) => quantileSorted(values, q)) };
+    });
+
+    const final = byDay[opts.horizon - 1];
+    let sum = 0;
+    let sumSq = 0;
+    let losses = 0;
+    final.forEach((r) => {
+      sum += r;
+      sumSq += r * r;
+      if (r < -opts.lossThreshold) {
+        losses += 1;
+      }
+    });
+    const mean = sum / opts.paths;
+
+    const tail = opts.confidences.map((confidence) => {
+      const cutoff = quantileSorted(final, 1 - confidence);
+      let tailSum = 0;
+      let tailCount = 0;
+      for (let p = 0; p < final.length && final[p] <= cutoff; p += 1) {
+        tailSum += final[p];
+        tailCount += 1;
+      }
+      return {
+        confidence,
+        var: -cutoff,
+        cvar: tailCount > 0 ? -tailSum / tailCount : -cutoff,
+      };
+    });
+
+    return {
+      horizon: opts.horizon,
+      paths: opts.paths,
+      distribution: opts.distribution,
+      seed: opts.seed,
+      percentiles: FAN_PERCENTILES.slice(),
+      fan,
+      mean,
+      vol: Math.sqrt(Math.max(sumSq / opts.paths - mean * mean, 0)),
+      lossThreshold: opts.lossThreshold,
+      probLoss: losses / opts.paths,
+      tail,
+    };
+  }
+
+  return {
+    DISTRIBUTIONS,
+    FAN_PERCENTILES,
+    createRng,
+    createNormal,
+    validateOptions,
+    simulatePortfolio,
+  };
+}));
@@ -1,9 +1,23 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const optimizer = require('./core/optimizer');
+const fx = require('./core/fx');
+const risk = require('./core/risk');
+const { SCENARIO_KINDS } = require('./core/scenario');
+const { createScenarioStore } = require('./scenario-store');
+const { validationError, readScenario, solveScenario, solveBasket } = require('./solve');
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const CORE_DIR = path.join(__dirname, 'core');
+const MARKOWITZ_DIR = path.join(__dirname, '..');
+const MARKOWITZ_FILES = new Set(['/index.html', '/app.js', '/worker.js', '/styles.css']);
+const SCENARIO_DIR = process.env.SCENARIO_DIR || path.join(__dirname, '..', 'data', 'scenarios');
+const MAX_NAME_LENGTH = 80;
+const MAX_NOTE_LENGTH = 500;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const MAX_FRONTIER_POINTS = 500;
 
 const MIME_TYPES = {
   '.html': 'text/html; charset=utf-8',
@@ -32,12 +46,498 @@ function sendFile(res, filePath) {
   });
 }
 
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, err) {
+  if (err instanceof optimizer.InputError) {
+    sendJson(res, err.status || 422, { error: err.message, fields: err.fields });
+    return;
+  }
+
+  console.error(err);
+  sendJson(res, 500, { error: 'Internal server error' });
+}
+
+function readJsonBody(req, callback) {
+  const chunks = [];
+  let size = 0;
+  let aborted = false;
+
+  req.on('data', (chunk) => {
+    if (aborted) {
+      return;
+    }
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      aborted = true;
+      callback(Object.assign(new optimizer.InputError('Request body is too large.'), { status: 413 }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (aborted) {
+      return;
+    }
+    try {
+      callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (err) {
+      callback(Object.assign(new optimizer.InputError('Request body must be valid JSON.'), { status: 400 }));
+    }
+  });
+}
+
+function serializeResult(scenario, result) {
+  return {
+    mode: scenario.mode,
+    objective: scenario.objective,
+    names: scenario.names,
+    weights: result.w,
+    ret: result.ret,
+    vol: result.vol,
+    sharpe: Number.isFinite(result.sharpe) ? result.sharpe : null,
+    binding: result.binding || [],
+    riskContributions: serializeRisk(risk.riskContributions(result.w, scenario.cov)),
+    ...(result.diversificationRatio === undefined ? {} : { diversificationRatio: result.diversificationRatio }),
+    ...(result.convergence ? { convergence: serializeConvergence(result.convergence) } : {}),
+    ...(scenario.blackLitterman ? { blackLitterman: serializeBlackLitterman(scenario.blackLitterman) } : {}),
+    ...(result.trades ? { rebalance: serializeRebalance(result) } : {}),
+    ...(result.band ? { resampling: serializeResampling(result) } : {}),
+    ...(result.segment ? { allocation: serializeAllocation(result) } : {}),
+  };
+}
+
+function serializeAllocation(result) {
+  return {
+    cash: result.cash,
+    exposure: result.exposure,
+    segment: result.segment,
+    capped: result.capped,
+    lendingRate: result.lendingRate,
+    borrowingRate: result.borrowingRate,
+    lend: serializePoint(result.lend),
+    borrow: serializePoint(result.borrow),
+    warnings: result.warnings,
+  };
+}
+
+// The per-iteration trace stays out of responses; it is only drawn by the browser pages.
+function serializeConvergence(convergence) {
+  return {
+    method: convergence.method,
+    iterations: convergence.iterations,
+    stopReason: convergence.stopReason,
+    finalStep: convergence.finalStep,
+    kktResidual: convergence.kktResidual,
+    converged: convergence.converged,
+  };
+}
+
+function serializeRebalance(result) {
+  return {
+    netRet: result.netRet,
+    netSharpe: result.netSharpe,
+    turnover: result.turnover,
+    cost: result.cost,
+    current: { weights: result.current.w, ret: result.current.ret, vol: result.current.vol },
+    trades: result.trades,
+  };
+}
+
+function serializeRisk(contributions) {
+  return {
+    marginal: contributions.marginal,
+    component: contributions.component,
+    percent: contributions.percent,
+  };
+}
+
+function serializeResampling(result) {
+  return {
+    band: result.band,
+    lower: result.lower,
+    upper: result.upper,
+    draws: result.draws,
+    failed: result.failed,
+  };
+}
+
+function serializeCarry(result) {
+  const { minVariance, maxSharpe } = result;
+  const sharpe = (stats) => (Number.isFinite(stats.sharpe) ? stats.sharpe : null);
+  return {
+    carry: result.carry,
+    expected: result.expected,
+    minVariance: { ret: minVariance.ret, vol: minVariance.vol, sharpe: sharpe(minVariance) },
+    maxSharpe: {
+      weights: maxSharpe.weights,
+      ret: maxSharpe.ret,
+      vol: maxSharpe.vol,
+      sharpe: sharpe(maxSharpe),
+      riskContributions: serializeRisk(risk.riskContributions(maxSharpe.weights, result.cov)),
+    },
+  };
+}
+
+function serializeBlackLitterman(bl) {
+  return {
+    prior: bl.prior,
+    posterior: bl.posterior,
+    impliedExcess: bl.impliedExcess,
+    marketWeights: bl.weights,
+    posteriorVol: bl.posteriorCov.map((row, i) => Math.sqrt(row[i])),
+    riskAversion: bl.riskAversion,
+    tau: bl.tau,
+  };
+}
+
+function serializePoint(stats) {
+  return {
+    weights: stats.w,
+    ret: stats.ret,
+    vol: stats.vol,
+    sharpe: Number.isFinite(stats.sharpe) ? stats.sharpe : null,
+  };
+}
+
+const LEGACY_FX_FIELDS = { 'vols[0]': 'volEurUsd', 'vols[1]': 'volUsdJpy', 'corr[0][1]': 'corr', 'corr[1][0]': 'corr' };
+
+// The original two-pair request shape: EUR/USD and USD/JPY vols plus their correlation, in USD.
+function legacyFxMinVariance(body) {
+  const fields = ['volEurUsd', 'volUsdJpy', 'corr']
+    .filter((key) => typeof body[key] !== 'number' || !Number.isFinite(body[key]))
+    .map((key) => ({ field: key, message: `${key} must be a finite number.` }));
+  if (body.longOnly !== undefined && typeof body.longOnly !== 'boolean') {
+    fields.push({ field: 'longOnly', message: 'longOnly must be a boolean.' });
+  }
+  if (fields.length > 0) {
+    throw validationError(fields);
+  }
+
+  const longOnly = body.longOnly === undefined ? true : body.longOnly;
+  let result;
+  try {
+    result = fx.minVarianceBasket({
+      pairs: ['EUR/USD', 'USD/JPY'],
+      vols: [body.volEurUsd, body.volUsdJpy],
+      corr: [[1, body.corr], [body.corr, 1]],
+      base: 'USD',
+      longOnly,
+    });
+  } catch (err) {
+    if (err instanceof optimizer.InputError && err.fields) {
+      err.fields = err.fields.map((f) => ({ ...f, field: LEGACY_FX_FIELDS[f.field] || f.field }));
+    }
+    throw err;
+  }
+
+  return {
+    wEur: result.weights[0],
+    wJpy: result.weights[1],
+    wUsd: 0,
+    pVol: result.pVol,
+    longOnly,
+  };
+}
+
+const API_ROUTES = {
+  '/api/optimize': (body) => {
+    const scenario = readScenario(body);
+    return serializeResult(scenario, solveScenario(scenario));
+  },
+
+  '/api/frontier': (body) => {
+    const scenario = readScenario(body);
+    const points = body.points === undefined ? 60 : body.points;
+    if (!Number.isInteger(points) || points < 2 || points > MAX_FRONTIER_POINTS) {
+      throw validationError([
+        { field: 'points', message: `points must be an integer between 2 and ${MAX_FRONTIER_POINTS}.` },
+      ]);
+    }
+
+    const { mu, cov, rf, mode } = scenario;
+    const optimum = solveScenario(scenario);
+    let tangency = optimum.lend || optimum;
+    if (scenario.objective !== 'max_sharpe') {
+      tangency = optimizer.optimize({ ...scenario, objective: 'max_sharpe' });
+    }
+    const frontier = optimizer.efficientFrontier(mu, cov, rf, {
+      mode,
+      points,
+      limits: scenario.limits || undefined,
+      minReturn: Math.min(...mu, optimum.ret, tangency.ret),
+      maxReturn: Math.max(...mu, optimum.ret, tangency.ret),
+    });
+
+    return {
+      names: scenario.names,
+      optimum: serializeResult(scenario, optimum),
+      gmv: serializePoint(frontier.gmv),
+      curve: frontier.curve.map(serializePoint),
+      tangency: serializePoint(tangency),
+      cml: {
+        rf,
+        slope: Number.isFinite(tangency.sharpe) ? tangency.sharpe : null,
+        ...(optimum.borrow ? { borrowingRate: optimum.borrowingRate, borrowSlope: optimum.borrow.sharpe } : {}),
+      },
+      assets: optimizer.assetPoints(mu, cov, rf).map(serializePoint),
+    };
+  },
+
+  '/api/fx/min-variance': (body) => {
+    if (body.pairs === undefined) {
+      return legacyFxMinVariance(body);
+    }
+
+    const result = solveBasket(body);
+    return {
+      base: result.base,
+      longOnly: body.longOnly === undefined ? true : body.longOnly,
+      currencies: result.currencies,
+      weights: result.weights,
+      pVol: result.pVol,
+      currencyVols: result.currencyVols,
+      riskContributions: serializeRisk(risk.riskContributions(result.weights, result.cov)),
+      warnings: result.warnings,
+      ...(result.maxSharpe ? { carry: serializeCarry(result) } : {}),
+      ...(result.allocation ? { allocation: result.allocation } : {}),
+    };
+  },
+
+  '/api/fx/hedge': (body) => {
+    const result = fx.hedgeExposure(body);
+    return {
+      base: result.base,
+      currency: result.currency,
+      currencyVol: result.currencyVol,
+      carry: result.carry,
+      forwardPremium: result.forwardPremium,
+      hedgeRatio: result.hedgeRatio,
+      positions: result.positions,
+      warnings: result.warnings,
+    };
+  },
+};
+
+// Reads a JSON object body and passes it to `next`; answers 400/413 itself.
+function withJsonObject(req, res, next) {
+  readJsonBody(req, (err, body) => {
+    if (err) {
+      sendError(res, err);
+      return;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendError(res, Object.assign(new optimizer.InputError('Request body must be a JSON object.'), { status: 400 }));
+      return;
+    }
+    next(body);
+  });
+}
+
+function methodNotAllowed(res, allowed) {
+  res.setHeader('Allow', allowed.join(', '));
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+const scenarioStore = createScenarioStore(SCENARIO_DIR);
+
+// The route each scenario kind's inputs are sent to; its response is stored as the result.
+const SCENARIO_RESULT_ROUTES = {
+  markowitz: '/api/optimize',
+  fx: '/api/fx/min-variance',
+};
+
+// Top-level input keys each kind's route reads; anything else is rejected rather than
+// stored, since version history lists changed keys back to every client.
+const SCENARIO_INPUT_KEYS = {
+  markowitz: [
+    'names', 'mu', 'vol', 'corr', 'rf', 'mode', 'objective', 'target', 'iterations', 'lower', 'upper', 'groups',
+    'blackLitterman', 'rebalance', 'resampling', 'allocation',
+  ],
+  fx: ['pairs', 'vols', 'corr', 'base', 'longOnly', 'rates', 'views', 'allocation', 'volEurUsd', 'volUsdJpy'],
+};
+
+function readScenarioEntry(body, isUpdate) {
+  const fields = [];
+  if (body.name !== undefined || !isUpdate) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      fields.push({ field: 'name', message: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.` });
+    }
+  }
+  if (!isUpdate && !SCENARIO_KINDS.includes(body.kind)) {
+    fields.push({ field: 'kind', message: `kind must be one of: ${SCENARIO_KINDS.join(', ')}.` });
+  }
+  if (body.inputs !== undefined || !isUpdate) {
+    if (!body.inputs || typeof body.inputs !== 'object' || Array.isArray(body.inputs)) {
+      fields.push({ field: 'inputs', message: 'inputs must be an object.' });
+    }
+  }
+  if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+    fields.push({ field: 'note', message: `note must be a string of at most ${MAX_NOTE_LENGTH} characters.` });
+  }
+  if (isUpdate && body.name === undefined && body.inputs === undefined) {
+    fields.push({ field: 'inputs', message: 'Send a new name, new inputs, or both.' });
+  }
+  if (fields.length > 0) {
+    throw validationError(fields);
+  }
+
+  return {
+    name: body.name === undefined ? undefined : body.name.trim(),
+    kind: body.kind,
+    inputs: body.inputs,
+    note: body.note,
+  };
+}
+
+// Runs the inputs through the kind's API route so only valid inputs are stored.
+function evaluateScenario(kind, inputs) {
+  const unknown = Object.keys(inputs).filter((key) => !SCENARIO_INPUT_KEYS[kind].includes(key));
+  if (unknown.length > 0) {
+    throw validationError(unknown.map((key) => ({ field: `inputs.${key}`, message: `${key} is not a ${kind} scenario input.` })));
+  }
+  try {
+    return API_ROUTES[SCENARIO_RESULT_ROUTES[kind]](inputs);
+  } catch (err) {
+    if (err instanceof optimizer.InputError && err.fields) {
+      err.fields = err.fields.map((f) => ({ ...f, field: `inputs.${f.field}` }));
+    }
+    throw err;
+  }
+}
+
+function replyWith(res, status) {
+  return (err, value) => {
+    if (err) {
+      sendError(res, err);
+      return;
+    }
+    sendJson(res, status, value);
+  };
+}
+
+function handleScenarios(req, res, id) {
+  if (id === undefined) {
+    if (req.method === 'GET') {
+      scenarioStore.list(replyWith(res, 200));
+    } else if (req.method === 'POST') {
+      withJsonObject(req, res, (body) => {
+        try {
+          const entry = readScenarioEntry(body, false);
+          entry.result = evaluateScenario(entry.kind, entry.inputs);
+          scenarioStore.create(entry, replyWith(res, 201));
+        } catch (err) {
+          sendError(res, err);
+        }
+      });
+    } else {
+      methodNotAllowed(res, ['GET', 'POST']);
+    }
+    return;
+  }
+
+  if (req.method === 'GET') {
+    scenarioStore.get(id, replyWith(res, 200));
+  } else if (req.method === 'PUT') {
+    withJsonObject(req, res, (body) => {
+      let change;
+      try {
+        change = readScenarioEntry(body, true);
+      } catch (err) {
+        sendError(res, err);
+        return;
+      }
+      scenarioStore.get(id, (err, record) => {
+        if (err) {
+          sendError(res, err);
+          return;
+        }
+        try {
+          if (change.inputs !== undefined) {
+            change.result = evaluateScenario(record.kind, change.inputs);
+          }
+        } catch (evalErr) {
+          sendError(res, evalErr);
+          return;
+        }
+        scenarioStore.update(id, change, replyWith(res, 200));
+      });
+    });
+  } else if (req.method === 'DELETE') {
+    scenarioStore.remove(id, replyWith(res, 200));
+  } else {
+    methodNotAllowed(res, ['GET', 'PUT', 'DELETE']);
+  }
+}
+
+function handleApi(req, res) {
+  const pathname = req.url.split('?')[0];
+  const scenarioMatch = /^\/api\/scenarios(?:\/([^/]+))?\/?$/.exec(pathname);
+  if (scenarioMatch) {
+    handleScenarios(req, res, scenarioMatch[1]);
+    return;
+  }
+
+  const handler = API_ROUTES[pathname];
+  if (!handler) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    methodNotAllowed(res, ['POST']);
+    return;
+  }
+
+  withJsonObject(req, res, (body) => {
+    try {
+      sendJson(res, 200, handler(body));
+    } catch (handlerErr) {
+      sendError(res, handlerErr);
+    }
+  });
+}
+
 const server = http.createServer((req, res) => {
-  const rawPath = req.url === '/' ? '/index.html' : req.url;
-  const safePath = path.normalize(rawPath).replace(/^([.][.][/\\])+/, '');
-  const filePath = path.join(PUBLIC_DIR, safePath);
+  if (req.url.startsWith('/api/')) {
+    handleApi(req, res);
+    return;
+  }
+
+  let rawPath = req.url === '/' ? '/index.html' : req.url.split('?')[0];
+  if (rawPath === '/markowitz') {
+    res.writeHead(301, { Location: '/markowitz/' });
+    res.end();
+    return;
+  }
+
+  // The Markowitz page lives at the repository root and loads the core from src/core.
+  if (rawPath.startsWith('/markowitz/')) {
+    const page = rawPath.slice('/markowitz'.length);
+    if (page.startsWith('/src/core/')) {
+      rawPath = page.slice('/src'.length);
+    } else {
+      const file = page === '/' ? '/index.html' : page;
+      if (!MARKOWITZ_FILES.has(file)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      sendFile(res, path.join(MARKOWITZ_DIR, file));
+      return;
+    }
+  }
+
+  const isCore = rawPath.startsWith('/core/');
+  const rootDir = isCore ? CORE_DIR : PUBLIC_DIR;
+  const safePath = path.normalize(isCore ? rawPath.slice('/core'.length) : rawPath).replace(/^([.][.][/\\])+/, '');
+  const filePath = path.join(rootDir, safePath);
 
-  if (!filePath.startsWith(PUBLIC_DIR)) {
+  if (!filePath.startsWith(rootDir)) {
     res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
     res.end('Forbidden');
     return;
@@ -56,4 +556,5 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, () => {
   console.log(`FX optimizer UI running at http://localhost:${PORT}`);
+  console.log(`Markowitz optimizer UI running at http://localhost:${PORT}/markowitz/`);
 });
@@ -1,97 +1,730 @@
 const form = document.getElementById('optimizer-form');
 const errorEl = document.getElementById('error');
-const wEurEl = document.getElementById('w-eur');
-const wJpyEl = document.getElementById('w-jpy');
-const wUsdEl = document.getElementById('w-usd');
+const baseEl = document.getElementById('base-ccy');
+const pairRowsEl = document.getElementById('pair-rows');
+const addPairBtn = document.getElementById('add-pair-btn');
+const corrMatrixEl = document.getElementById('corr-matrix');
 const pVolEl = document.getElementById('p-vol');
+const baseOutEl = document.getElementById('base-out');
+const weightRowsEl = document.getElementById('weight-rows');
+const ccyVolHeadEl = document.getElementById('ccy-vol-head');
+const warningsEl = document.getElementById('fx-warnings');
+const varConfidencesEl = document.getElementById('var-confidences');
+const varHorizonsEl = document.getElementById('var-horizons');
+const varRowsEl = document.getElementById('var-rows');
+const sweepPairAEl = document.getElementById('sweep-pair-a');
+const sweepPairBEl = document.getElementById('sweep-pair-b');
+const corrSweepEl = document.getElementById('corr-sweep');
+const ratioSweepEl = document.getElementById('ratio-sweep');
 const longOnlyEl = document.getElementById('long-only');
+const carryEnabledEl = document.getElementById('carry-enabled');
+const carryRowsEl = document.getElementById('carry-rows');
+const carryResultsEl = document.getElementById('carry-results');
+const carryBasketRowsEl = document.getElementById('carry-basket-rows');
+const cashEnabledEl = document.getElementById('cash-enabled');
+const cashTargetVolEl = document.getElementById('cash-target-vol');
+const cashMaxLeverageEl = document.getElementById('cash-max-leverage');
+const cashLendRateEl = document.getElementById('cash-lend-rate');
+const cashBorrowRateEl = document.getElementById('cash-borrow-rate');
+const allocationNoteEl = document.getElementById('allocation-note');
 const constraintNoteEl = document.getElementById('constraint-note');
+const hedgeCcyEl = document.getElementById('hedge-ccy');
+const hedgeAssetVolEl = document.getElementById('hedge-asset-vol');
+const hedgeAssetCorrEl = document.getElementById('hedge-asset-corr');
+const hedgeAssetRetEl = document.getElementById('hedge-asset-ret');
+const hedgeBaseRateEl = document.getElementById('hedge-base-rate');
+const hedgeForeignRateEl = document.getElementById('hedge-foreign-rate');
+const hedgeTenorEl = document.getElementById('hedge-tenor');
+const hedgeBtn = document.getElementById('hedge-btn');
+const hedgeRowsEl = document.getElementById('hedge-rows');
+const hedgeNoteEl = document.getElementById('hedge-note');
 const resetBtn = document.getElementById('reset-btn');
+const exportBtn = document.getElementById('export-btn');
+const shareBtn = document.getElementById('share-btn');
+const importBtn = document.getElementById('import-btn');
+const scenarioFileEl = document.getElementById('scenario-file');
+const scenarioStatusEl = document.getElementById('scenario-status');
+const {
+  parsePair,
+  minVarianceBasket,
+  validateBasketInput,
+  validateCarryInput,
+  carryBasket,
+  sweepCorrelation,
+  sweepVolRatio,
+  hedgeExposure,
+} = window.FxOpti.fx;
+const {
+  createScenarioFile,
+  parseScenarioFile,
+  encodeScenarioHash,
+  decodeScenarioHash,
+} = window.FxOpti.scenario;
+const { riskContributions, parametricVaR } = window.FxOpti.risk;
+const { allocateRisky, validateOptions: validateAllocation } = window.FxOpti.allocation;
+
+const MIN_PAIRS = 2;
+const MAX_PAIRS = 15;
+const DEFAULT_PAIRS = ['EUR/USD', 'USD/JPY'];
+const HEDGE_LABELS = { unhedged: 'Unhedged', min_variance: 'Minimum variance', fully_hedged: 'Fully hedged' };
+const SWEEP_COLORS = ['#0f766e', '#b45309', '#1d4ed8', '#9f1239', '#6d28d9', '#4d7c0f', '#0e7490', '#a16207'];
+
+// Raw input strings, so re-rendering after adding or removing a pair keeps what was typed.
+const state = {
+  pairs: [],
+  corr: [],
+  carry: {},
+  lastResult: null,
+  lastInput: null,
+};
 
 function formatPct(value) {
   return `${(value * 100).toFixed(2)}%`;
 }
 
-function optimize(volEurUsd, volUsdJpy, corrInput, longOnly) {
-  if (volEurUsd < 0 || volUsdJpy < 0) {
-    throw new Error('Volatilities must be non-negative.');
+// A decimal rate as the text of a percent input, without float noise such as 5.000000000000001.
+function toPctInput(value) {
+  return String(Number((value * 100).toPrecision(12)));
+}
+
+function resetState() {
+  state.pairs = DEFAULT_PAIRS.map((pair) => ({ pair, vol: '' }));
+  state.corr = DEFAULT_PAIRS.map((_, i) => DEFAULT_PAIRS.map((__, j) => (i === j ? '1' : '0')));
+  state.carry = {};
+}
+
+// The non-base currencies of `pairs` in order of appearance, skipping pairs that do not parse.
+function pairCurrencies(pairs, base) {
+  const currencies = [];
+  pairs.forEach((text) => {
+    let pair;
+    try {
+      pair = parsePair(text);
+    } catch (err) {
+      return;
+    }
+    [pair.base, pair.quote].forEach((ccy) => {
+      if (ccy !== base && !currencies.includes(ccy)) {
+        currencies.push(ccy);
+      }
+    });
+  });
+  return currencies;
+}
+
+function pairLabel(i) {
+  return state.pairs[i].pair.trim().toUpperCase() || `Pair ${i + 1}`;
+}
+
+function renderPairRows() {
+  pairRowsEl.innerHTML = '';
+  state.pairs.forEach((row, i) => {
+    const tr = document.createElement('tr');
+
+    const pairTd = document.createElement('td');
+    const pairInput = document.createElement('input');
+    pairInput.type = 'text';
+    pairInput.value = row.pair;
+    pairInput.placeholder = 'e.g. GBP/USD';
+    pairInput.autocomplete = 'off';
+    pairInput.dataset.index = String(i);
+    pairInput.dataset.field = 'pair';
+    pairTd.appendChild(pairInput);
+
+    const volTd = document.createElement('td');
+    const volInput = document.createElement('input');
+    volInput.type = 'number';
+    volInput.min = '0';
+    volInput.step = '0.0001';
+    volInput.value = row.vol;
+    volInput.placeholder = 'e.g. 0.10';
+    volInput.dataset.index = String(i);
+    volInput.dataset.field = 'vol';
+    volTd.appendChild(volInput);
+
+    const removeTd = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary remove-pair';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove pair';
+    removeBtn.dataset.index = String(i);
+    removeBtn.disabled = state.pairs.length <= MIN_PAIRS;
+    removeTd.appendChild(removeBtn);
+
+    tr.append(pairTd, volTd, removeTd);
+    pairRowsEl.appendChild(tr);
+  });
+  addPairBtn.disabled = state.pairs.length >= MAX_PAIRS;
+}
+
+function renderCorrMatrix() {
+  const n = state.pairs.length;
+  corrMatrixEl.innerHTML = '';
+
+  const head = document.createElement('tr');
+  head.appendChild(document.createElement('th'));
+  for (let j = 0; j < n; j += 1) {
+    const th = document.createElement('th');
+    th.textContent = pairLabel(j);
+    head.appendChild(th);
   }
-  if (corrInput < -1 || corrInput > 1) {
-    throw new Error('Correlation must be between -1 and 1.');
+  corrMatrixEl.appendChild(head);
+
+  for (let i = 0; i < n; i += 1) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = pairLabel(i);
+    tr.appendChild(th);
+
+    for (let j = 0; j < n; j += 1) {
+      const td = document.createElement('td');
+      if (i === j) {
+        td.textContent = '1';
+      } else if (j < i) {
+        td.textContent = state.corr[j][i];
+        td.className = 'mirror';
+      } else {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '-1';
+        input.max = '1';
+        input.step = '0.01';
+        input.value = state.corr[i][j];
+        input.dataset.i = String(i);
+        input.dataset.j = String(j);
+        td.appendChild(input);
+      }
+      tr.appendChild(td);
+    }
+    corrMatrixEl.appendChild(tr);
   }
+}
 
-  if (volEurUsd === 0 && volUsdJpy === 0) {
-    throw new Error('Both volatilities are zero. Weights are not unique.');
+// One row per currency in the pairs, base first; typed values are kept by currency code.
+function renderCarryRows() {
+  const base = baseEl.value.trim().toUpperCase();
+  const codes = [base, ...pairCurrencies(state.pairs.map((row) => row.pair), base)].filter(Boolean);
+  carryRowsEl.innerHTML = '';
+  codes.forEach((ccy) => {
+    const entry = state.carry[ccy] || { rate: '', view: '' };
+    state.carry[ccy] = entry;
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = ccy === base ? `${ccy} (base)` : ccy;
+    tr.appendChild(th);
+
+    ['rate', 'view'].forEach((field) => {
+      const td = document.createElement('td');
+      if (field === 'view' && ccy === base) {
+        td.textContent = '-';
+      } else {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.1';
+        input.value = entry[field];
+        input.placeholder = field === 'rate' ? 'e.g. 4.5' : '0';
+        input.dataset.ccy = ccy;
+        input.dataset.field = field;
+        td.appendChild(input);
+      }
+      tr.appendChild(td);
+    });
+    carryRowsEl.appendChild(tr);
+  });
+}
+
+function renderCarry(result) {
+  carryBasketRowsEl.innerHTML = '';
+  carryResultsEl.hidden = !(result && result.maxSharpe);
+  if (carryResultsEl.hidden) {
+    return;
   }
 
-  if (volEurUsd === 0) {
-    return {
-      wEur: 1,
-      wJpy: 0,
-      pVol: 0,
-    };
+  const { minVariance, maxSharpe } = result;
+  const ratio = (value) => (Number.isFinite(value) ? value.toFixed(3) : '-');
+  const rows = result.currencies.map((ccy, i) => [
+    ccy,
+    formatPct(result.expected[i]),
+    formatPct(minVariance.weights[i]),
+    formatPct(maxSharpe.weights[i]),
+  ]);
+  rows.push(
+    ['Carry', '-', formatPct(minVariance.ret), formatPct(maxSharpe.ret)],
+    ['Volatility', '-', formatPct(minVariance.vol), formatPct(maxSharpe.vol)],
+    ['Sharpe', '-', ratio(minVariance.sharpe), ratio(maxSharpe.sharpe)],
+  );
+  rows.forEach((cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    carryBasketRowsEl.appendChild(tr);
+  });
+}
+
+function renderWeights(result) {
+  weightRowsEl.innerHTML = '';
+  ccyVolHeadEl.textContent = `Vol vs ${result ? result.base : baseEl.value.trim().toUpperCase() || 'base'}`;
+  if (!result) {
+    return;
   }
 
-  if (volUsdJpy === 0) {
-    return {
-      wEur: 0,
-      wJpy: 1,
-      pVol: 0,
-    };
+  // With cash, weights are shares of the whole portfolio and the base row is the cash.
+  const weights = result.allocation ? result.allocation.w : result.weights;
+  const risk = riskContributions(weights, result.cov);
+  const rows = result.currencies.map((ccy, i) => [
+    ccy,
+    formatPct(weights[i]),
+    formatPct(result.currencyVols[i]),
+    formatPct(risk.marginal[i]),
+    formatPct(risk.component[i]),
+    formatPct(risk.percent[i]),
+  ]);
+  rows.push([result.base, formatPct(result.allocation ? result.allocation.cash : 0), '-', '-', '-', '-']);
+  rows.forEach((cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    weightRowsEl.appendChild(tr);
+  });
+}
+
+function parseList(text, label) {
+  const values = text.split(/[,;\s]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some((v) => !Number.isFinite(v))) {
+    throw new Error(`${label} must be a comma-separated list of numbers.`);
   }
+  return values;
+}
 
-  const sigmaE = volEurUsd;
-  const sigmaJ = volUsdJpy;
-  const corrEurJpy = -corrInput;
+// The basket has no return forecast, so VaR is taken around a zero mean.
+function renderVar(result) {
+  varRowsEl.innerHTML = '';
+  if (!result) {
+    return;
+  }
 
-  const a = sigmaE * sigmaE;
-  const d = sigmaJ * sigmaJ;
-  const b = corrEurJpy * sigmaE * sigmaJ;
+  let rows;
+  try {
+    const confidences = parseList(varConfidencesEl.value, 'Confidence levels').map((c) => c / 100);
+    const horizons = parseList(varHorizonsEl.value, 'Horizons');
+    rows = parametricVaR(0, result.allocation ? result.allocation.vol : result.pVol, { confidences, horizons });
+  } catch (err) {
+    errorEl.textContent = err.message;
+    return;
+  }
 
-  const denom = a + d - 2 * b;
-  let wEur;
-  if (Math.abs(denom) <= 1e-14) {
-    wEur = 0.5;
-  } else {
-    wEur = (d - b) / denom;
+  rows.forEach((r) => {
+    const tr = document.createElement('tr');
+    [
+      `${r.horizon} day${r.horizon === 1 ? '' : 's'}`,
+      `${(r.confidence * 100).toFixed(1)}%`,
+      formatPct(r.var),
+      formatPct(r.cvar),
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    varRowsEl.appendChild(tr);
+  });
+}
+
+// Keeps the chosen sweep pairs when they still exist, otherwise falls back to the first two.
+function renderSweepPairs(input) {
+  const previous = [Number(sweepPairAEl.value), Number(sweepPairBEl.value)];
+  const keep = previous.every((i) => Number.isInteger(i) && i < input.pairs.length) && previous[0] !== previous[1];
+  const selected = keep ? previous : [0, 1];
+  [sweepPairAEl, sweepPairBEl].forEach((el, k) => {
+    el.innerHTML = '';
+    input.pairs.forEach((pair, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = pair;
+      el.appendChild(option);
+    });
+    el.value = String(selected[k]);
+  });
+}
+
+// Weights on the left axis and basket volatility on the right, against `points[k].x`.
+function drawSweep(canvas, points, { currencies, current, logX, xLabel, formatX }) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width;
+  const H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+  if (!points) {
+    return;
+  }
+
+  const valid = points.filter((p) => p.weights);
+  const tx = (x) => (logX ? Math.log(x) : x);
+  const x0 = tx(points[0].x);
+  const x1 = tx(points[points.length - 1].x);
+  const weightValues = valid.flatMap((p) => p.weights);
+  const wMin = Math.min(0, ...weightValues);
+  const wMax = Math.max(1, ...weightValues);
+  const volMax = Math.max(...valid.map((p) => p.pVol), 1e-6) * 1.1;
+
+  const left = 44;
+  const right = 52;
+  const top = 16;
+  const bottom = 40;
+  const xScale = (x) => left + ((tx(x) - x0) / (x1 - x0)) * (W - left - right);
+  const wScale = (w) => H - bottom - ((w - wMin) / (wMax - wMin)) * (H - top - bottom);
+  const vScale = (v) => H - bottom - (v / volMax) * (H - top - bottom);
+
+  ctx.strokeStyle = 'rgba(30, 31, 28, 0.35)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, H - bottom);
+  ctx.lineTo(W - right, H - bottom);
+  ctx.lineTo(W - right, top);
+  ctx.stroke();
+
+  // Breaks the line wherever a point has no solution.
+  const line = (value, scale) => {
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach((p) => {
+      if (!p.weights) {
+        drawing = false;
+        return;
+      }
+      const x = xScale(p.x);
+      const y = scale(value(p));
+      if (drawing) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+  };
+
+  ctx.lineWidth = 2;
+  currencies.forEach((_, i) => {
+    ctx.strokeStyle = SWEEP_COLORS[i % SWEEP_COLORS.length];
+    line((p) => p.weights[i], wScale);
+  });
+  ctx.strokeStyle = '#1e1f1c';
+  ctx.setLineDash([5, 4]);
+  line((p) => p.pVol, vScale);
+
+  if (Number.isFinite(current) && tx(current) >= x0 && tx(current) <= x1) {
+    ctx.setLineDash([2, 3]);
+    ctx.strokeStyle = '#9f1239';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(xScale(current), top);
+    ctx.lineTo(xScale(current), H - bottom);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = '#1e1f1c';
+  ctx.font = '11px "IBM Plex Mono", monospace';
+  ctx.textAlign = 'right';
+  ctx.fillText(formatPct(wMax), left - 4, top + 4);
+  ctx.fillText(formatPct(wMin), left - 4, H - bottom + 4);
+  ctx.textAlign = 'left';
+  ctx.fillText(formatPct(volMax), W - right + 4, top + 4);
+  ctx.fillText('0.00%', W - right + 4, H - bottom + 4);
+  ctx.textAlign = 'center';
+  ctx.fillText(formatX(points[0].x), left, H - bottom + 14);
+  ctx.fillText(formatX(points[points.length - 1].x), W - right, H - bottom + 14);
+  ctx.fillText(xLabel, (left + W - right) / 2, H - bottom + 14);
+
+  ctx.textAlign = 'left';
+  let x = left;
+  [...currencies, 'Vol'].forEach((label, i) => {
+    const isVol = i === currencies.length;
+    ctx.strokeStyle = isVol ? '#1e1f1c' : SWEEP_COLORS[i % SWEEP_COLORS.length];
+    ctx.lineWidth = 2;
+    ctx.setLineDash(isVol ? [5, 4] : []);
+    ctx.beginPath();
+    ctx.moveTo(x, H - 12);
+    ctx.lineTo(x + 14, H - 12);
+    ctx.stroke();
+    ctx.fillText(label, x + 18, H - 8);
+    x += 26 + ctx.measureText(label).width;
+  });
+  ctx.setLineDash([]);
+}
+
+function renderSweeps() {
+  const input = state.lastInput;
+  const result = state.lastResult;
+  if (!input || !result) {
+    drawSweep(corrSweepEl, null, {});
+    drawSweep(ratioSweepEl, null, {});
+    return;
+  }
+
+  const a = Number(sweepPairAEl.value);
+  const b = Number(sweepPairBEl.value);
+  if (a === b) {
+    errorEl.textContent = 'Choose two different pairs for the sensitivity charts.';
+    drawSweep(corrSweepEl, null, {});
+    drawSweep(ratioSweepEl, null, {});
+    return;
+  }
+
+  const currencies = result.currencies;
+  drawSweep(corrSweepEl, sweepCorrelation(input, a, b), {
+    currencies,
+    current: input.corr[a][b],
+    logX: false,
+    xLabel: `Correlation ${input.pairs[a]} / ${input.pairs[b]}`,
+    formatX: (x) => x.toFixed(1),
+  });
+  drawSweep(ratioSweepEl, sweepVolRatio(input, a, b), {
+    currencies,
+    current: input.vols[a] > 0 ? input.vols[b] / input.vols[a] : NaN,
+    logX: true,
+    xLabel: `Vol ratio ${input.pairs[b]} / ${input.pairs[a]}`,
+    formatX: (x) => `${x.toFixed(2)}x`,
+  });
+}
+
+function renderHedge(hedge) {
+  hedgeRowsEl.innerHTML = '';
+  hedgeNoteEl.textContent = '';
+  if (!hedge) {
+    return;
   }
 
-  if (longOnly) {
-    wEur = Math.max(0, Math.min(1, wEur));
+  hedge.positions.forEach((p) => {
+    const tr = document.createElement('tr');
+    [HEDGE_LABELS[p.label], formatPct(p.ratio), formatPct(p.ret), formatPct(p.vol)].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    hedgeRowsEl.appendChild(tr);
+  });
+  const carry = `Forward carry ${formatPct(hedge.carry)} a year for each unit hedged; ${hedge.currency} volatility vs ${hedge.base} is ${formatPct(hedge.currencyVol)}.`;
+  hedgeNoteEl.textContent = [carry, ...hedge.warnings].join(' ');
+}
+
+// Rates and vols are entered in percent; the tenor in months.
+function computeHedge() {
+  errorEl.textContent = '';
+  const percent = (el) => (el.value.trim() === '' ? NaN : Number(el.value) / 100);
+  try {
+    const input = readInputs();
+    renderHedge(hedgeExposure({
+      pairs: input.pairs,
+      vols: input.vols,
+      corr: input.corr,
+      base: input.base,
+      currency: hedgeCcyEl.value.trim().toUpperCase(),
+      assetVol: percent(hedgeAssetVolEl),
+      assetCorr: hedgeAssetCorrEl.value.trim() === '' ? NaN : Number(hedgeAssetCorrEl.value),
+      assetReturn: percent(hedgeAssetRetEl),
+      baseRate: percent(hedgeBaseRateEl),
+      foreignRate: percent(hedgeForeignRateEl),
+      tenor: Number(hedgeTenorEl.value) / 12,
+    }));
+  } catch (err) {
+    renderHedge(null);
+    errorEl.textContent = `Hedge: ${err.message}`;
   }
+}
+
+function clearResults() {
+  pVolEl.textContent = '-';
+  baseOutEl.textContent = baseEl.value.trim().toUpperCase() || '-';
+  warningsEl.textContent = '';
+  allocationNoteEl.textContent = '';
+  renderWeights(null);
+  renderCarry(null);
+  renderVar(null);
+  drawSweep(corrSweepEl, null, {});
+  drawSweep(ratioSweepEl, null, {});
+  renderHedge(null);
+}
+
+function readInputs() {
+  const pairs = state.pairs.map((row) => row.pair.trim().toUpperCase());
+  const vols = state.pairs.map((row) => (row.vol.trim() === '' ? NaN : Number(row.vol)));
+  const corr = state.corr.map((row, i) => row.map((_, j) => {
+    const raw = i <= j ? state.corr[i][j] : state.corr[j][i];
+    return i === j ? 1 : (String(raw).trim() === '' ? NaN : Number(raw));
+  }));
 
-  const wJpy = 1 - wEur;
-  const pVar =
-    wEur * wEur * a + 2 * wEur * wJpy * b + wJpy * wJpy * d;
+  if (pairs.some((p) => p === '') || vols.some((v) => Number.isNaN(v)) || corr.some((row) => row.some((v) => Number.isNaN(v)))) {
+    throw new Error('Please fill every pair, volatility and correlation.');
+  }
 
+  const base = baseEl.value.trim().toUpperCase();
+  const carry = readCarry(pairs, base);
+  const allocation = readAllocation();
   return {
-    wEur,
-    wJpy,
-    pVol: Math.sqrt(Math.max(pVar, 0)),
+    pairs,
+    vols,
+    corr,
+    base,
+    longOnly: longOnlyEl.checked,
+    ...carry,
+    ...(allocation ? { allocation } : {}),
   };
 }
 
-form.addEventListener('submit', (event) => {
-  event.preventDefault();
-  errorEl.textContent = '';
+// `{ rates, views? }` as decimals keyed by currency, or {} when carry is off.
+function readCarry(pairs, base) {
+  if (!carryEnabledEl.checked) {
+    return {};
+  }
+  const rates = {};
+  const views = {};
+  [base, ...pairCurrencies(pairs, base)].forEach((ccy) => {
+    const entry = state.carry[ccy] || { rate: '', view: '' };
+    if (entry.rate.trim() === '') {
+      throw new Error(`Carry: please fill the ${ccy} deposit rate.`);
+    }
+    rates[ccy] = Number(entry.rate) / 100;
+    if (ccy !== base && entry.view.trim() !== '') {
+      views[ccy] = Number(entry.view) / 100;
+    }
+  });
+  return Object.keys(views).length > 0 ? { rates, views } : { rates };
+}
+
+// Cash options as decimals, or undefined when the basket stays fully invested.
+function readAllocation() {
+  if (!cashEnabledEl.checked) {
+    return undefined;
+  }
+  const targetText = cashTargetVolEl.value.trim();
+  const borrowText = cashBorrowRateEl.value.trim();
+  const lendingRate = Number(cashLendRateEl.value) / 100;
+  const options = {
+    targetVol: targetText === '' ? null : Number(targetText) / 100,
+    maxLeverage: Number(cashMaxLeverageEl.value),
+    lendingRate,
+    borrowingRate: borrowText === '' ? lendingRate : Number(borrowText) / 100,
+  };
+  const errors = validateAllocation(options);
+  if (errors.length > 0) {
+    throw new Error(`Cash and leverage: ${errors[0].message}`);
+  }
+  return options;
+}
+
+// The basket has no return forecast, so the expected return is the cash leg alone.
+function describeAllocation(mix, base) {
+  const cash = mix.cash < 0
+    ? `${formatPct(-mix.cash)} ${base} borrowed at ${formatPct(mix.borrowingRate)}`
+    : `${formatPct(mix.cash)} ${base} cash at ${formatPct(mix.lendingRate)}`;
+  return [
+    `${formatPct(mix.exposure)} in the basket, ${cash}: volatility ${formatPct(mix.vol)}, expected return ${formatPct(mix.ret)} from the cash leg.`,
+    ...mix.warnings,
+  ].join(' ');
+}
+
+pairRowsEl.addEventListener('input', (event) => {
+  const { index, field } = event.target.dataset;
+  if (index === undefined) {
+    return;
+  }
+  state.pairs[Number(index)][field] = event.target.value;
+  if (field === 'pair') {
+    renderCorrMatrix();
+    renderCarryRows();
+  }
+});
+
+baseEl.addEventListener('input', renderCarryRows);
+
+carryRowsEl.addEventListener('input', (event) => {
+  const { ccy, field } = event.target.dataset;
+  if (ccy === undefined) {
+    return;
+  }
+  state.carry[ccy][field] = event.target.value;
+});
 
-  const volEurUsd = Number(document.getElementById('vol-eurusd').value);
-  const volUsdJpy = Number(document.getElementById('vol-usdjpy').value);
-  const corrInput = Number(document.getElementById('corr').value);
-  const longOnly = longOnlyEl.checked;
+pairRowsEl.addEventListener('click', (event) => {
+  if (!event.target.classList.contains('remove-pair')) {
+    return;
+  }
+  const index = Number(event.target.dataset.index);
+  state.pairs.splice(index, 1);
+  state.corr.splice(index, 1);
+  state.corr.forEach((row) => row.splice(index, 1));
+  renderPairRows();
+  renderCorrMatrix();
+  renderCarryRows();
+});
+
+addPairBtn.addEventListener('click', () => {
+  if (state.pairs.length >= MAX_PAIRS) {
+    return;
+  }
+  state.pairs.push({ pair: '', vol: '' });
+  state.corr.forEach((row) => row.push('0'));
+  state.corr.push(state.pairs.map((_, j) => (j === state.pairs.length - 1 ? '1' : '0')));
+  renderPairRows();
+  renderCorrMatrix();
+  renderCarryRows();
+});
+
+[varConfidencesEl, varHorizonsEl].forEach((el) => {
+  el.addEventListener('change', () => {
+    errorEl.textContent = '';
+    renderVar(state.lastResult);
+  });
+});
+
+[sweepPairAEl, sweepPairBEl].forEach((el) => {
+  el.addEventListener('change', () => {
+    errorEl.textContent = '';
+    renderSweeps();
+  });
+});
 
-  if ([volEurUsd, volUsdJpy, corrInput].some((v) => Number.isNaN(v))) {
-    errorEl.textContent = 'Please fill all fields with numeric values.';
+corrMatrixEl.addEventListener('input', (event) => {
+  const { i, j } = event.target.dataset;
+  if (i === undefined) {
     return;
   }
+  state.corr[Number(i)][Number(j)] = event.target.value;
+  const mirror = corrMatrixEl.rows[Number(j) + 1].cells[Number(i) + 1];
+  mirror.textContent = event.target.value;
+});
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  errorEl.textContent = '';
 
   try {
-    const result = optimize(volEurUsd, volUsdJpy, corrInput, longOnly);
-    wEurEl.textContent = formatPct(result.wEur);
-    wJpyEl.textContent = formatPct(result.wJpy);
-    wUsdEl.textContent = '0.00%';
+    const input = readInputs();
+    const basket = input.rates ? carryBasket(input) : minVarianceBasket(input);
+    const mix = input.allocation
+      ? allocateRisky({ w: basket.weights, ret: 0, vol: basket.pVol }, input.allocation)
+      : null;
+    const result = mix ? { ...basket, allocation: mix } : basket;
+    state.lastResult = result;
+    state.lastInput = input;
     pVolEl.textContent = formatPct(result.pVol);
-    constraintNoteEl.textContent = longOnly
+    baseOutEl.textContent = result.base;
+    renderWeights(result);
+    renderCarry(result);
+    renderVar(result);
+    renderSweepPairs(input);
+    renderSweeps();
+    warningsEl.textContent = result.warnings.join(' ');
+    allocationNoteEl.textContent = mix ? describeAllocation(mix, result.base) : '';
+    constraintNoteEl.textContent = input.longOnly
       ? 'Constraint: Long only'
       : 'Constraint: None (shorting allowed)';
   } catch (err) {
@@ -99,13 +732,180 @@ form.addEventListener('submit', (event) => {
   }
 });
 
+function setScenarioStatus(message, isError) {
+  scenarioStatusEl.textContent = message;
+  scenarioStatusEl.classList.toggle('error', Boolean(isError));
+}
+
+// Validates `input` like the API would, then replaces the form with it.
+function applyScenarioInputs(input) {
+  const errors = validateBasketInput(input);
+  if (input.longOnly !== undefined && typeof input.longOnly !== 'boolean') {
+    errors.push({ field: 'longOnly', message: 'longOnly must be a boolean.' });
+  }
+  const cash = input.allocation;
+  if (cash !== undefined) {
+    if (!cash || typeof cash !== 'object' || Array.isArray(cash)) {
+      errors.push({ field: 'allocation', message: 'allocation must be an object.' });
+    } else {
+      const lendingRate = cash.lendingRate === undefined ? 0 : cash.lendingRate;
+      validateAllocation({ borrowingRate: lendingRate, ...cash, lendingRate })
+        .forEach((e) => errors.push({ ...e, field: `allocation.${e.field}` }));
+    }
+  }
+  const base = input.base === undefined ? 'USD' : String(input.base).trim().toUpperCase();
+  const currencies = errors.length === 0 ? pairCurrencies(input.pairs, base) : [];
+  if (input.rates !== undefined) {
+    if (errors.length === 0) {
+      errors.push(...validateCarryInput(input, base, currencies));
+    }
+  } else if (input.views !== undefined) {
+    errors.push({ field: 'views', message: 'views need deposit rates.' });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Scenario inputs are invalid. ${errors[0].field}: ${errors[0].message}`);
+  }
+  if (input.pairs.length > MAX_PAIRS) {
+    throw new Error(`Scenario has ${input.pairs.length} pairs; at most ${MAX_PAIRS} are supported.`);
+  }
+
+  state.pairs = input.pairs.map((pair, i) => ({ pair: String(pair).toUpperCase(), vol: String(input.vols[i]) }));
+  state.corr = input.corr.map((row) => row.map((v) => String(v)));
+  state.lastResult = null;
+  state.lastInput = null;
+  baseEl.value = base;
+  state.carry = {};
+  carryEnabledEl.checked = input.rates !== undefined;
+  if (input.rates) {
+    const fromTable = (table, ccy) => {
+      const key = Object.keys(table || {}).find((k) => k.trim().toUpperCase() === ccy);
+      return key === undefined ? '' : toPctInput(table[key]);
+    };
+    [base, ...currencies].forEach((ccy) => {
+      state.carry[ccy] = { rate: fromTable(input.rates, ccy), view: fromTable(input.views, ccy) };
+    });
+  }
+  longOnlyEl.checked = input.longOnly === undefined ? true : input.longOnly;
+  cashEnabledEl.checked = cash !== undefined;
+  if (cash) {
+    const lendingRate = cash.lendingRate === undefined ? 0 : cash.lendingRate;
+    cashTargetVolEl.value = cash.targetVol === undefined || cash.targetVol === null ? '' : toPctInput(cash.targetVol);
+    cashMaxLeverageEl.value = String(cash.maxLeverage === undefined ? 1 : cash.maxLeverage);
+    cashLendRateEl.value = toPctInput(lendingRate);
+    cashBorrowRateEl.value = cash.borrowingRate === undefined ? '' : toPctInput(cash.borrowingRate);
+  }
+  errorEl.textContent = '';
+  renderPairRows();
+  renderCorrMatrix();
+  renderCarryRows();
+  clearResults();
+  form.requestSubmit();
+}
+
+function exportScenario() {
+  let input;
+  try {
+    input = readInputs();
+  } catch (err) {
+    setScenarioStatus(err.message, true);
+    return;
+  }
+
+  const last = state.lastResult;
+  const result = last
+    ? { base: last.base, currencies: last.currencies, weights: last.weights, pVol: last.pVol }
+    : null;
+  const file = createScenarioFile('fx', input, result);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fx-scenario-${file.savedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  setScenarioStatus(`Exported ${link.download}.`, false);
+}
+
+function importScenario() {
+  const file = scenarioFileEl.files[0];
+  if (!file) {
+    setScenarioStatus('Choose a scenario JSON file first.', true);
+    return;
+  }
+
+  file.text()
+    .then((text) => {
+      const loaded = parseScenarioFile(text, 'fx');
+      applyScenarioInputs(loaded.inputs);
+      const saved = loaded.savedAt ? ` (saved ${loaded.savedAt.slice(0, 16).replace('T', ' ')})` : '';
+      setScenarioStatus(`Loaded ${file.name}${saved}.`, false);
+    })
+    .catch((err) => {
+      setScenarioStatus(err.message || 'Could not import scenario.', true);
+    });
+}
+
+function shareScenarioLink() {
+  let input;
+  try {
+    input = readInputs();
+  } catch (err) {
+    setScenarioStatus(err.message, true);
+    return;
+  }
+
+  history.replaceState(null, '', `#${encodeScenarioHash('fx', input)}`);
+  const url = window.location.href;
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url)
+      .then(() => setScenarioStatus('Share link copied to the clipboard.', false))
+      .catch(() => setScenarioStatus('Share link is in the address bar.', false));
+  } else {
+    setScenarioStatus('Share link is in the address bar.', false);
+  }
+}
+
+function loadScenarioFromHash() {
+  try {
+    const input = decodeScenarioHash(window.location.hash, 'fx');
+    if (!input) {
+      return false;
+    }
+    applyScenarioInputs(input);
+    setScenarioStatus('Loaded scenario from the shared link.', false);
+    return true;
+  } catch (err) {
+    setScenarioStatus(err.message, true);
+    return false;
+  }
+}
+
+hedgeBtn.addEventListener('click', computeHedge);
+exportBtn.addEventListener('click', exportScenario);
+importBtn.addEventListener('click', importScenario);
+shareBtn.addEventListener('click', shareScenarioLink);
+window.addEventListener('hashchange', loadScenarioFromHash);
+
 resetBtn.addEventListener('click', () => {
   form.reset();
   longOnlyEl.checked = true;
   errorEl.textContent = '';
-  wEurEl.textContent = '-';
-  wJpyEl.textContent = '-';
-  wUsdEl.textContent = '0.00%';
-  pVolEl.textContent = '-';
+  resetState();
+  state.lastResult = null;
+  state.lastInput = null;
+  renderPairRows();
+  renderCorrMatrix();
+  renderCarryRows();
+  clearResults();
   constraintNoteEl.textContent = 'Constraint: Long only';
 });
+
+if (!loadScenarioFromHash()) {
+  resetState();
+  renderPairRows();
+  renderCorrMatrix();
+  renderCarryRows();
+  clearResults();
+}
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { InputError } = require('./core/optimizer');
+
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+function notFound(id) {
+  return Object.assign(new InputError(`Scenario ${id} not found.`), { status: 404 });
+}
+
+// Top-level input keys whose values differ between two versions.
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter((key) => JSON.stringify(before && before[key]) !== JSON.stringify(after && after[key])).sort();
+}
+
+function summarize(record) {
+  const latest = record.versions[record.versions.length - 1];
+  return {
+    id: record.id,
+    name: record.name,
+    kind: record.kind,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    versionCount: record.versions.length,
+    latest: { version: latest.version, savedAt: latest.savedAt, note: latest.note, result: latest.result },
+  };
+}
+
+/**
+ * Named scenarios stored as one JSON file per scenario in `dir`, each holding every
+ * saved version of its inputs and the result computed when that version was saved.
+ * Methods take Node-style callbacks; writes to the same scenario run one at a time and
+ * replace the file atomically.
+ */
+function createScenarioStore(dir) {
+  const pending = new Map();
+
+  function filePath(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  // Runs task(done) after earlier tasks for the same id have finished.
+  function serialize(id, task, callback) {
+    const queue = pending.get(id) || [];
+    const run = () => task((...args) => {
+      queue.shift();
+      if (queue.length > 0) {
+        queue[0]();
+      } else {
+        pending.delete(id);
+      }
+      callback(...args);
+    });
+    queue.push(run);
+    pending.set(id, queue);
+    if (queue.length === 1) {
+      run();
+    }
+  }
+
+  function readRecord(id, callback) {
+    if (!ID_PATTERN.test(id)) {
+      callback(notFound(id));
+      return;
+    }
+    fs.readFile(filePath(id), 'utf8', (err, text) => {
+      if (err) {
+        callback(err.code === 'ENOENT' ? notFound(id) : err);
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (parseErr) {
+        callback(parseErr);
+        return;
+      }
+      callback(null, record);
+    });
+  }
+
+  function writeRecord(record, callback) {
+    const target = filePath(record.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.mkdir(dir, { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) {
+        callback(mkdirErr);
+        return;
+      }
+      fs.writeFile(temp, JSON.stringify(record, null, 2), (writeErr) => {
+        if (writeErr) {
+          callback(writeErr);
+          return;
+        }
+        fs.rename(temp, target, (renameErr) => callback(renameErr || null, record));
+      });
+    });
+  }
+
+  function list(callback) {
+    fs.readdir(dir, (err, entries) => {
+      if (err && err.code === 'ENOENT') {
+        callback(null, []);
+        return;
+      }
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      const ids = entries.filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5)).filter((id) => ID_PATTERN.test(id));
+      const summaries = [];
+      let remaining = ids.length;
+      let failed = false;
+      if (remaining === 0) {
+        callback(null, []);
+        return;
+      }
+
+      ids.forEach((id) => {
+        readRecord(id, (readErr, record) => {
+          if (failed) {
+            return;
+          }
+          if (readErr && readErr.status !== 404) {
+            failed = true;
+            callback(readErr);
+            return;
+          }
+          if (record) {
+            summaries.push(summarize(record));
+          }
+          remaining -= 1;
+          if (remaining === 0) {
+            callback(null, summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+          }
+        });
+      });
+    });
+  }
+
+  function get(id, callback) {
+    readRecord(id, callback);
+  }
+
+  /** `entry`: `{ name, kind, inputs, result, note? }`. */
+  function create(entry, callback) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: entry.name,
+      kind: entry.kind,
+      createdAt: now,
+      updatedAt: now,
+      versions: [{
+        version: 1,
+        savedAt: now,
+        note: entry.note || '',
+        changed: Object.keys(entry.inputs).sort(),
+        inputs: entry.inputs,
+        result: entry.result,
+      }],
+    };
+    serialize(record.id, (done) => writeRecord(record, done), callback);
+  }
+
+  /**
+   * Renames the scenario and/or appends a version. `change`: `{ name?, inputs?, result?,
+   * note? }`; a version is added only when `inputs` is given.
+   */
+  function update(id, change, callback) {
+    serialize(id, (done) => {
+      readRecord(id, (err, record) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        const now = new Date().toISOString();
+        if (change.name !== undefined) {
+          record.name = change.name;
+        }
+        if (change.inputs !== undefined) {
+          const previous = record.versions[record.versions.length - 1];
+          record.versions.push({
+            version: previous.version + 1,
+            savedAt: now,
+            note: change.note || '',
+            changed: changedKeys(previous.inputs, change.inputs),
+            inputs: change.inputs,
+            result: change.result,
+          });
+        }
+        record.updatedAt = now;
+        writeRecord(record, done);
+      });
+    }, callback);
+  }
+
+  function remove(id, callback) {
+    if (!ID_PATTERN.test(id)) {
+      callback(notFound(id));
+      return;
+    }
+    serialize(id, (done) => {
+      fs.unlink(filePath(id), (err) => {
+        if (err) {
+          done(err.code === 'ENOENT' ? notFound(id) : err);
+          return;
+        }
+        done(null, { id, deleted: true });
+      });
+    }, callback);
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    summarize,
+  };
+}
+
+module.exports = { createScenarioStore };
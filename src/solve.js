@@ -0,0 +1,95 @@
+/**
+ * Validation and solving shared by the HTTP API and the command-line tool: request
+ * bodies (or scenario file inputs) in, core results out. Field errors are thrown as
+ * InputError with `fields`, for the caller to report.
+ */
+const optimizer = require('./core/optimizer');
+const fx = require('./core/fx');
+const blackLitterman = require('./core/black-litterman');
+const rebalance = require('./core/rebalance');
+const resampling = require('./core/resampling');
+const allocation = require('./core/allocation');
+const scenarioOptions = require('./core/scenario-options');
+
+function validationError(fields) {
+  return new optimizer.InputError('Invalid input.', fields);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Reads the scenario and its blocks (see scenarioOptions.readScenario) and applies the
+// Black-Litterman posterior in place of `mu` when that block is present.
+function readScenario(body) {
+  const scenario = scenarioOptions.readScenario(body);
+  return body.blackLitterman === undefined ? scenario : blackLitterman.applyToScenario(scenario, body.blackLitterman);
+}
+
+function solveScenario(scenario) {
+  const { mu, cov, rf, mode, limits, iterations } = scenario;
+  if (scenario.rebalance) {
+    return rebalance.rebalancePortfolio(mu, cov, rf, { ...scenario.rebalance, mode, limits: limits || undefined });
+  }
+  if (scenario.resampling) {
+    return resampling.resampledPortfolio(mu, cov, rf, { ...scenario.resampling, mode, iterations, limits: limits || undefined });
+  }
+  if (scenario.allocation) {
+    return allocation.capitalAllocation(mu, cov, { ...scenario.allocation, mode, iterations, limits: limits || undefined });
+  }
+  return optimizer.optimize(scenario);
+}
+
+// The basket has no return forecast, so its allocation earns only the cash leg. Rates
+// default to 0, and the borrowing rate to the lending rate.
+function allocateBasket(basket, options) {
+  const lendingRate = options.lendingRate === undefined ? 0 : options.lendingRate;
+  let mix;
+  try {
+    mix = allocation.allocateRisky(
+      { w: basket.weights, ret: 0, vol: basket.pVol },
+      { borrowingRate: lendingRate, ...options, lendingRate },
+    );
+  } catch (err) {
+    if (err instanceof optimizer.InputError && err.fields) {
+      err.fields = err.fields.map((f) => ({ ...f, field: `allocation.${f.field}` }));
+    }
+    throw err;
+  }
+  return {
+    weights: mix.w,
+    cash: mix.cash,
+    exposure: mix.exposure,
+    ret: mix.ret,
+    vol: mix.vol,
+    capped: mix.capped,
+    lendingRate: mix.lendingRate,
+    borrowingRate: mix.borrowingRate,
+    warnings: mix.warnings,
+  };
+}
+
+// Min-variance basket, or with `rates` the carry baskets too; `allocation` mixes the
+// min-variance basket with cash.
+function solveBasket(body) {
+  if (body.longOnly !== undefined && typeof body.longOnly !== 'boolean') {
+    throw validationError([{ field: 'longOnly', message: 'longOnly must be a boolean.' }]);
+  }
+  if (body.allocation !== undefined && !isPlainObject(body.allocation)) {
+    throw validationError([{ field: 'allocation', message: 'allocation must be an object.' }]);
+  }
+  if (body.views !== undefined && body.rates === undefined) {
+    throw validationError([{ field: 'views', message: 'views need deposit rates.' }]);
+  }
+
+  const result = body.rates === undefined ? fx.minVarianceBasket(body) : fx.carryBasket(body);
+  return body.allocation ? { ...result, allocation: allocateBasket(result, body.allocation) } : result;
+}
+
+module.exports = {
+  validationError,
+  isPlainObject,
+  readScenario,
+  solveScenario,
+  solveBasket,
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov, optimizePortfolio } = require('../src/core/optimizer');
+const { validateOptions, exposureFor, mixWithCash, allocateRisky, capitalAllocation } = require('../src/core/allocation');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const mu = [0.06, 0.04, 0.08];
+const cov = buildCov([0.1, 0.12, 0.18], [
+  [1, 0.2, 0.1],
+  [0.2, 1, 0.3],
+  [0.1, 0.3, 1],
+]);
+const options = { mode: 'unconstrained', lendingRate: 0.01, borrowingRate: 0.01 };
+
+test('mixing with cash moves along the capital market line', () => {
+  const risky = { w: [0.5, 0.5], ret: 0.08, vol: 0.2 };
+  const lent = mixWithCash(risky, 0.5, 0.02, 0.05);
+  assert.deepEqual(lent.w, [0.25, 0.25]);
+  assertClose(lent.ret, 0.05, 1e-12, 'lent return');
+  assertClose(lent.sharpe, 0.3, 1e-12, 'lent sharpe');
+
+  const borrowed = mixWithCash(risky, 1.5, 0.02, 0.05);
+  assertClose(borrowed.cash, -0.5, 1e-12, 'cash');
+  assertClose(borrowed.ret, 1.5 * 0.08 - 0.5 * 0.05, 1e-12, 'borrowed return');
+
+  assert.deepEqual(exposureFor(0.2, 0.1, 2), { exposure: 0.5, capped: false });
+  assert.deepEqual(exposureFor(0.2, 0.5, 2), { exposure: 2, capped: true });
+  assert.deepEqual(exposureFor(0.2, null, 1.5), { exposure: 1.5, capped: false });
+});
+
+test('a target volatility is reached with the tangency portfolio and cash', () => {
+  const tangency = optimizePortfolio(mu, cov, 0.01, { mode: 'unconstrained' });
+  const low = capitalAllocation(mu, cov, { ...options, targetVol: tangency.vol / 2 });
+  assert.equal(low.segment, 'lend');
+  assertClose(low.exposure, 0.5, 1e-9, 'exposure');
+  assertClose(low.vol, tangency.vol / 2, 1e-9, 'vol');
+  assertClose(low.sharpe, tangency.sharpe, 1e-9, 'sharpe');
+
+  const high = capitalAllocation(mu, cov, { ...options, targetVol: tangency.vol * 1.5, maxLeverage: 2 });
+  assert.equal(high.segment, 'borrow');
+  assertClose(high.cash, -0.5, 1e-9, 'borrowed');
+  assert.equal(high.capped, false);
+});
+
+test('a higher borrowing rate puts middle targets on the fully invested frontier', () => {
+  const opts = { ...options, borrowingRate: 0.05, maxLeverage: 3 };
+  const probe = capitalAllocation(mu, cov, opts);
+  assert.ok(probe.borrow.vol > probe.lend.vol);
+
+  const middle = capitalAllocation(mu, cov, { ...opts, targetVol: (probe.lend.vol + probe.borrow.vol) / 2 });
+  assert.equal(middle.segment, 'frontier');
+  assertClose(middle.exposure, 1, 1e-9, 'fully invested');
+  assertClose(middle.vol, (probe.lend.vol + probe.borrow.vol) / 2, 1e-6, 'vol');
+});
+
+test('the leverage cap limits the exposure and warns', () => {
+  const result = capitalAllocation(mu, cov, { ...options, mode: 'long_only', targetVol: 1, maxLeverage: 1.5 });
+  assert.equal(result.capped, true);
+  assert.ok(result.exposure <= 1.5 + 1e-9);
+  assert.match(result.warnings[0], /leverage cap/);
+
+  const basket = allocateRisky({ w: [0.6, 0.4], ret: 0, vol: 0.05 }, { lendingRate: 0.02, borrowingRate: 0.03, targetVol: 0.1, maxLeverage: 1.5 });
+  assert.equal(basket.segment, 'borrow');
+  assert.equal(basket.capped, true);
+  assertClose(basket.ret, -0.5 * 0.03, 1e-12, 'basket return');
+});
+
+test('invalid allocation options are reported by field', () => {
+  const errors = validateOptions({ lendingRate: 0.03, borrowingRate: 0.02, targetVol: -0.1, maxLeverage: 0 });
+  assert.deepEqual(errors.map((e) => e.field), ['borrowingRate', 'targetVol', 'maxLeverage']);
+  assert.throws(() => capitalAllocation(mu, cov, { lendingRate: 'x', borrowingRate: 0 }), (err) => err.fields[0].field === 'lendingRate');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rebalanceIndices, runBacktest } = require('../src/core/backtest');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+// Business-day-like dates from 2023-01-02, one per row.
+function dailyDates(count) {
+  const start = Date.UTC(2023, 0, 2);
+  return Array.from({ length: count }, (_, i) => new Date(start + i * 86400000).toISOString().slice(0, 10));
+}
+
+// Two assets with alternating returns: A earns more on average and both are volatile.
+function returnHistory(count) {
+  return {
+    names: ['A', 'B'],
+    dates: dailyDates(count),
+    rows: Array.from({ length: count }, (_, t) => (t % 2 === 0 ? [0.012, -0.006] : [-0.008, 0.008])),
+  };
+}
+
+test('rebalance dates fall on the first period of each month or quarter after the window', () => {
+  const dates = dailyDates(120);
+  const monthly = rebalanceIndices(dates, 10, 'monthly');
+  assert.equal(monthly[0], 10);
+  assert.deepEqual(monthly.slice(1).map((t) => dates[t]), ['2023-02-01', '2023-03-01', '2023-04-01', '2023-05-01']);
+  assert.deepEqual(rebalanceIndices(dates, 10, 'quarterly').map((t) => dates[t]), ['2023-01-12', '2023-04-01']);
+  assert.throws(() => rebalanceIndices(['not a date', 'x'], 0, 'monthly'), /dates the browser can read/);
+});
+
+test('the backtest compounds both portfolios from the first rebalance', () => {
+  const history = returnHistory(200);
+  const result = runBacktest(history, { kind: 'returns', window: 40, rebalance: 'monthly' });
+  assert.equal(result.dates.length, result.strategy.equity.length);
+  assert.equal(result.strategy.equity[0], 1);
+  assert.equal(result.benchmark.equity[0], 1);
+  assert.ok(result.rebalances.length >= 5);
+  result.rebalances.forEach(({ weights }) => assertClose(weights[0] + weights[1], 1, 1e-9, 'fully invested'));
+
+  // The equal-weight book's equity is the product of its daily returns with drifting weights.
+  let value = 1;
+  let w = [0.5, 0.5];
+  const starts = new Set(rebalanceIndices(history.dates, 40, 'monthly'));
+  for (let t = 40; t < 200; t += 1) {
+    if (starts.has(t)) {
+      w = [0.5, 0.5];
+    }
+    const r = history.rows[t];
+    const ret = w[0] * r[0] + w[1] * r[1];
+    value *= 1 + ret;
+    w = w.map((x, i) => (x * (1 + r[i])) / (1 + ret));
+  }
+  assertClose(result.benchmark.equity[result.benchmark.equity.length - 1], value, 1e-12, 'benchmark equity');
+  assertClose(result.benchmark.stats.totalReturn, value - 1, 1e-12, 'total return');
+  assert.ok(result.strategy.stats.maxDrawdown >= 0);
+});
+
+test('prices are converted to returns and missing returns count as zero', () => {
+  const history = returnHistory(120);
+  const prices = [[100, 50]];
+  history.rows.forEach((r) => {
+    const last = prices[prices.length - 1];
+    prices.push([last[0] * (1 + r[0]), last[1] * (1 + r[1])]);
+  });
+  prices[100][1] = null;
+  const priceHistory = { names: history.names, dates: dailyDates(121), rows: prices };
+  const result = runBacktest(priceHistory, { window: 30 });
+  assert.ok(result.warnings.some((w) => /1 missing returns/.test(w)));
+});
+
+test('invalid options and short histories are rejected', () => {
+  const history = returnHistory(50);
+  assert.throws(() => runBacktest(history, { kind: 'returns', rebalance: 'weekly' }), /Rebalance frequency/);
+  assert.throws(() => runBacktest(history, { kind: 'returns', window: 2 }), /at least 3/);
+  assert.throws(() => runBacktest(history, { kind: 'returns', window: 50 }), /leaves none to test/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InputError, buildCov, invertSpd, matVec } = require('../src/core/optimizer');
+const { impliedReturns, blackLitterman, applyToScenario } = require('../src/core/black-litterman');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+const cov = buildCov([0.15, 0.1, 0.2], [
+  [1, 0.3, 0.5],
+  [0.3, 1, 0.2],
+  [0.5, 0.2, 1],
+]);
+const rf = 0.02;
+const caps = [300, 500, 200];
+
+test('impliedReturns is risk aversion times cov times the market weights', () => {
+  const weights = [0.3, 0.5, 0.2];
+  const pi = impliedReturns(cov, weights, 2.5);
+  matVec(cov, weights).forEach((v, i) => assertClose(pi[i], 2.5 * v, 1e-15, `pi[${i}]`));
+});
+
+test('without views the posterior is the equilibrium prior', () => {
+  const result = blackLitterman(cov, rf, { weights: caps });
+  assert.deepEqual(result.weights, [0.3, 0.5, 0.2]);
+  assert.equal(result.riskAversion, 2.5);
+  assert.equal(result.tau, 0.05);
+  result.prior.forEach((p, i) => assertClose(p, rf + result.impliedExcess[i], 1e-15, `prior[${i}]`));
+  assert.deepEqual(result.posterior, result.prior);
+  assertClose(result.posteriorCov[1][2], cov[1][2] * 1.05, 1e-15, 'posterior covariance');
+});
+
+test('the posterior matches the Theil mixed estimate', () => {
+  const tau = 0.05;
+  const views = [
+    { type: 'absolute', asset: 0, value: 0.1, confidence: 0.6 },
+    { type: 'relative', asset: 2, versus: 1, value: 0.03, confidence: 0.3 },
+  ];
+  const result = blackLitterman(cov, rf, { weights: caps, tau, views });
+
+  // E[r] - rf = [(tau cov)^-1 + P' omega^-1 P]^-1 [(tau cov)^-1 pi + P' omega^-1 q].
+  const P = [[1, 0, 0], [0, -1, 1]];
+  const q = [0.1 - rf, 0.03];
+  const tauCov = cov.map((row) => row.map((v) => tau * v));
+  const omega = P.map((p, k) => (1 / views[k].confidence - 1) * p.reduce((acc, x, i) => acc + x * matVec(tauCov, p)[i], 0));
+  const precision = invertSpd(tauCov);
+  const A = precision.map((row, i) => row.map((v, j) => v + P.reduce((acc, p, k) => acc + (p[i] * p[j]) / omega[k], 0)));
+  const b = matVec(precision, result.impliedExcess).map((v, i) => v + P.reduce((acc, p, k) => acc + (p[i] * q[k]) / omega[k], 0));
+  const expected = matVec(invertSpd(A), b);
+  expected.forEach((x, i) => assertClose(result.posterior[i], rf + x, 1e-10, `posterior[${i}]`));
+});
+
+test('a view at full confidence is held exactly', () => {
+  const result = blackLitterman(cov, rf, {
+    weights: caps,
+    views: [{ type: 'relative', asset: 0, versus: 1, value: 0.05, confidence: 1 }],
+  });
+  assertClose(result.posterior[0] - result.posterior[1], 0.05, 1e-12, 'view spread');
+});
+
+test('blackLitterman reports invalid views on their fields', () => {
+  assert.throws(
+    () => blackLitterman(cov, rf, { weights: caps, views: [{ type: 'relative', asset: 1, versus: 1, value: 0, confidence: 0.5 }] }),
+    (err) => err instanceof InputError && err.fields[0].field === 'views[0].versus',
+  );
+});
+
+test('applyToScenario replaces the inputs and prefixes field errors', () => {
+  const scenario = { mu: [0.1, 0.1, 0.1], cov, rf };
+  const applied = applyToScenario(scenario, { weights: caps });
+  assert.deepEqual(applied.mu, applied.blackLitterman.posterior);
+  assert.deepEqual(applied.cov, applied.blackLitterman.posteriorCov);
+
+  assert.throws(
+    () => applyToScenario(scenario, { weights: [1, 2] }),
+    (err) => err instanceof InputError && err.fields[0].field === 'blackLitterman.weights',
+  );
+});
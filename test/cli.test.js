@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const CLI = path.join(__dirname, '../src/cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-opti-cli-'));
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function run(...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function write(name, contents) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+const scenario = {
+  names: ['EUR', 'JPY', 'Gold'],
+  mu: [0.06, 0.04, 0.08],
+  vol: [0.1, 0.12, 0.18],
+  corr: [
+    [1, 0.2, 0.1],
+    [0.2, 1, 0.3],
+    [0.1, 0.3, 1],
+  ],
+  rf: 0.01,
+};
+
+test('optimize prints the weights of a JSON scenario as JSON', () => {
+  const file = write('base.json', scenario);
+  const { status, stdout } = run('optimize', file, '--format', 'json');
+  assert.equal(status, 0);
+  const [report] = JSON.parse(stdout);
+  assert.equal(report.scenario, file);
+  assert.deepEqual(report.rows.map((r) => r.name), scenario.names);
+  assert.ok(Math.abs(report.rows.reduce((acc, r) => acc + r.weight, 0) - 1) < 1e-9);
+  assert.ok(report.stats.sharpe > 0);
+});
+
+test('command-line options override the scenario', () => {
+  const file = write('override.json', scenario);
+  const [minVar] = JSON.parse(run('optimize', file, '--format=json', '--objective', 'min_variance').stdout);
+  const [maxSharpe] = JSON.parse(run('optimize', file, '--format=json').stdout);
+  assert.ok(minVar.stats.vol < maxSharpe.stats.vol);
+});
+
+test('optimize warns when the solver stops before converging', () => {
+  // No portfolio beats a 20% rate, so the iterative solver runs instead of the exact one.
+  const file = write('short.json', { ...scenario, rf: 0.2, iterations: 2 });
+  const [report] = JSON.parse(run('optimize', file, '--format', 'json').stdout);
+  assert.match(report.warnings[0], /^Not converged after 2 iterations \(KKT residual .*\); raise iterations\.$/);
+});
+
+test('a directory runs every scenario, reports invalid ones and exits 1', () => {
+  const batch = path.join(dir, 'batch');
+  fs.mkdirSync(batch);
+  fs.writeFileSync(path.join(batch, 'a.json'), JSON.stringify(scenario));
+  fs.writeFileSync(path.join(batch, 'b.json'), JSON.stringify({ ...scenario, vol: [0.1, -1, 0.2] }));
+  fs.writeFileSync(path.join(batch, 'notes.txt'), 'ignored');
+  const { status, stdout, stderr } = run('optimize', batch, '--format', 'csv');
+  assert.equal(status, 1);
+  assert.match(stderr, /b\.json: invalid scenario\.\n {2}vol\[1\]:/);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'scenario,asset,weight,portfolio_ret,portfolio_vol,portfolio_sharpe');
+  assert.equal(lines.length, 4);
+});
+
+test('fx-minvar estimates pair inputs from a CSV history', () => {
+  const rows = ['date,EUR/USD,USD/JPY'];
+  let eur = 1.1;
+  let jpy = 150;
+  for (let t = 0; t < 40; t += 1) {
+    eur *= 1 + (t % 2 === 0 ? 0.004 : -0.003);
+    jpy *= 1 + (t % 3 === 0 ? -0.005 : 0.002);
+    rows.push(`${new Date(Date.UTC(2024, 0, 1 + t)).toISOString().slice(0, 10)},${eur},${jpy}`);
+  }
+  const file = write('pairs.csv', `${rows.join('\n')}\n`);
+  const { status, stdout } = run('fx-minvar', file, '--format', 'json', '--base', 'EUR');
+  assert.equal(status, 0);
+  const [report] = JSON.parse(stdout);
+  assert.deepEqual(report.rows.map((r) => r.name), ['USD', 'JPY', 'EUR']);
+  assert.ok(report.stats.vol > 0);
+});
+
+test('the table format lists the weights and portfolio statistics', () => {
+  const file = write('table.json', scenario);
+  const { status, stdout } = run('optimize', file);
+  assert.equal(status, 0);
+  assert.match(stdout, /^== .*table\.json\n\s+weight\nEUR\s+\d+\.\d\d%/);
+  assert.match(stdout, /ret \d+\.\d\d%  vol \d+\.\d\d%  sharpe \d\.\d{4}/);
+});
+
+test('usage errors exit 2', () => {
+  assert.equal(run('solve', 'x').status, 2);
+  assert.match(run('optimize').stderr, /Give one scenario file or directory/);
+  assert.match(run('fx-minvar', dir, '--rf', '0.02').stderr, /--rf does not apply to fx-minvar/);
+  assert.match(run('optimize', dir, '--rf', 'abc').stderr, /--rf must be a number/);
+  assert.equal(run('optimize', path.join(dir, 'missing.json')).status, 2);
+});
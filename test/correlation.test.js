@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { minEigenvalue } = require('../src/core/optimizer');
+const {
+  checkCorrelation,
+  nearestCorrelation,
+  shrinkToConstantCorrelation,
+  ledoitWolfIntensity,
+  diffCorrelation,
+} = require('../src/core/correlation');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// Pairwise plausible but jointly impossible: A and B move together, A and C together,
+// yet B and C against each other.
+const invalid = [
+  [1, 0.9, 0.9],
+  [0.9, 1, -0.9],
+  [0.9, -0.9, 1],
+];
+
+test('checkCorrelation reports the eigenvalues of valid and invalid matrices', () => {
+  const valid = checkCorrelation([[1, 0.5], [0.5, 1]]);
+  assert.ok(valid.isPsd && valid.isPositiveDefinite);
+  assertClose(valid.eigenvalues[0], 0.5, 1e-12);
+  assertClose(valid.eigenvalues[1], 1.5, 1e-12);
+
+  const singular = checkCorrelation([[1, 1], [1, 1]]);
+  assert.ok(singular.isPsd);
+  assert.ok(!singular.isPositiveDefinite);
+
+  const bad = checkCorrelation(invalid);
+  assert.ok(!bad.isPsd);
+  assert.ok(bad.minEigenvalue < 0);
+});
+
+test('nearestCorrelation returns a positive definite unit-diagonal matrix close to the input', () => {
+  const { corr } = nearestCorrelation(invalid);
+  corr.forEach((row, i) => {
+    assert.equal(row[i], 1);
+    row.forEach((v, j) => assertClose(v, corr[j][i], 1e-12, `symmetry [${i}][${j}]`));
+  });
+  assert.ok(minEigenvalue(corr) > 0);
+
+  // The repair moves less than simply zeroing every correlation.
+  const distance = (a, b) => Math.sqrt(a.reduce((acc, row, i) => acc + row.reduce((s, v, j) => s + (v - b[i][j]) ** 2, 0), 0));
+  const identity = invalid.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  assert.ok(distance(corr, invalid) < distance(identity, invalid));
+});
+
+test('nearestCorrelation leaves a valid matrix unchanged', () => {
+  const valid = [[1, 0.3, 0.1], [0.3, 1, 0.2], [0.1, 0.2, 1]];
+  const { corr } = nearestCorrelation(valid);
+  corr.forEach((row, i) => row.forEach((v, j) => assertClose(v, valid[i][j], 1e-7, `[${i}][${j}]`)));
+});
+
+test('shrinkToConstantCorrelation blends toward the average correlation', () => {
+  const shrunk = shrinkToConstantCorrelation(invalid, 0.5);
+  const average = (0.9 + 0.9 - 0.9) / 3;
+  assertClose(shrunk[0][1], 0.5 * 0.9 + 0.5 * average, 1e-12);
+  assertClose(shrunk[1][2], 0.5 * -0.9 + 0.5 * average, 1e-12);
+  assert.equal(shrunk[2][2], 1);
+  assert.deepEqual(shrinkToConstantCorrelation(invalid, 0), invalid);
+  assert.ok(minEigenvalue(shrinkToConstantCorrelation(invalid, 1)) > 0);
+});
+
+test('ledoitWolfIntensity stays in [0, 1] and needs three complete periods', () => {
+  let seed = 11;
+  const next = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  const returns = Array.from({ length: 40 }, () => {
+    const common = next();
+    return [common + next(), common + next(), next()];
+  });
+  const intensity = ledoitWolfIntensity(returns);
+  assert.ok(intensity >= 0 && intensity <= 1);
+  assert.throws(() => ledoitWolfIntensity([[0.1, 0.2], [null, 0.1], [0.2, 0.1]]), /at least 3 complete/);
+});
+
+test('diffCorrelation lists changed cells, largest first', () => {
+  const before = [[1, 0.2, 0.3], [0.2, 1, 0.4], [0.3, 0.4, 1]];
+  const after = [[1, 0.25, 0.1], [0.25, 1, 0.402], [0.1, 0.402, 1]];
+  const changes = diffCorrelation(before, after);
+  assert.deepEqual(changes.map((c) => [c.i, c.j]), [[0, 2], [0, 1]]);
+  assertClose(changes[0].delta, -0.2, 1e-12);
+});
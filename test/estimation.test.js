@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHistoryCsv, pricesToReturns, estimateInputs } = require('../src/core/estimation');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('parseHistoryCsv sorts rows by date and reads blanks as missing', () => {
+  const history = parseHistoryCsv('\uFEFFDate;EURUSD;"USD, JPY"\r\n2024-01-03;1.1;\r\n2024-01-01;1.0;150\r\n2024-01-02;NA;151\r\n');
+  assert.deepEqual(history.names, ['EURUSD', 'USD, JPY']);
+  assert.deepEqual(history.dates, ['2024-01-01', '2024-01-02', '2024-01-03']);
+  assert.deepEqual(history.rows, [[1, 150], [null, 151], [1.1, null]]);
+});
+
+test('parseHistoryCsv rejects duplicate dates', () => {
+  assert.throws(() => parseHistoryCsv('Date,A\n2024-01-01,1\n2024-01-01,2\n'), /duplicate date/);
+});
+
+test('pricesToReturns books the move across a gap per period where prices resume', () => {
+  const prices = [[100, null], [null, 50], [110, null], [121, 55]];
+  const returns = pricesToReturns(prices);
+  assert.equal(returns.length, 3);
+  assert.deepEqual(returns[0], [null, null]);
+  assertClose(returns[1][0], Math.sqrt(1.1) - 1, 1e-12);
+  assert.equal(returns[1][1], null);
+  assertClose(returns[2][0], 0.1, 1e-12);
+  assertClose(returns[2][1], Math.sqrt(1.1) - 1, 1e-12);
+
+  const total = pricesToReturns(prices, { gaps: 'total' });
+  assertClose(total[1][0], 0.1, 1e-12);
+  assertClose(total[2][1], 0.1, 1e-12);
+  assert.throws(() => pricesToReturns([[100], [0], [10]]), /must be positive/);
+  assert.throws(() => pricesToReturns(prices, { gaps: 'drop' }), /Gap handling/);
+});
+
+test('estimateInputs warns about returns scaled across missing prices', () => {
+  const rows = [[100, 50], [101, 51], [null, 50], [null, 52], [104, 51], [103, 53], [105, 52], [106, 54], [104, 53]];
+  const history = { names: ['A', 'B'], dates: rows.map((_, t) => `d${t}`), rows };
+  const est = estimateInputs(history, { kind: 'prices', annualization: 12 });
+  assert.equal(est.observations[0], 6);
+  assertClose(est.returns[3][0], Math.pow(104 / 101, 1 / 3) - 1, 1e-12);
+  assert.ok(est.warnings.some((w) => /per-period returns for A \(1\)/.test(w)));
+
+  const recent = estimateInputs(history, { kind: 'prices', annualization: 12, lookback: 3 });
+  assert.ok(!recent.warnings.some((w) => /per-period/.test(w)));
+});
+
+test('estimateInputs annualizes sample moments of returns', () => {
+  const a = [0.01, -0.02, 0.03, 0.00, 0.02];
+  const b = [0.02, -0.01, 0.01, 0.01, -0.01];
+  const history = {
+    names: ['A', 'B'],
+    dates: ['d1', 'd2', 'd3', 'd4', 'd5'],
+    rows: a.map((x, t) => [x, b[t]]),
+  };
+  const est = estimateInputs(history, { kind: 'returns', annualization: 12 });
+
+  const mean = (xs) => xs.reduce((acc, x) => acc + x, 0) / xs.length;
+  const cov = (xs, ys) => xs.reduce((acc, x, t) => acc + (x - mean(xs)) * (ys[t] - mean(ys)), 0) / (xs.length - 1);
+  assertClose(est.mu[0], mean(a) * 12, 1e-12, 'mu A');
+  assertClose(est.vol[1], Math.sqrt(cov(b, b) * 12), 1e-12, 'vol B');
+  assertClose(est.corr[0][1], cov(a, b) / Math.sqrt(cov(a, a) * cov(b, b)), 1e-12, 'corr');
+  assert.equal(est.corr[1][0], est.corr[0][1]);
+  assert.deepEqual(est.observations, [5, 5]);
+  assert.equal(est.start, 'd1');
+  assert.equal(est.end, 'd5');
+});
+
+test('estimateInputs applies the lookback and EWMA weights', () => {
+  const history = {
+    names: ['A'],
+    dates: ['d1', 'd2', 'd3', 'd4', 'd5', 'd6'],
+    rows: [[0.05], [0.01], [-0.02], [0.03], [0.0], [0.02]],
+  };
+  const recent = estimateInputs(history, { kind: 'returns', lookback: 4, annualization: 1 });
+  assertClose(recent.mu[0], (-0.02 + 0.03 + 0.0 + 0.02) / 4, 1e-12, 'lookback mean');
+  assert.equal(recent.start, 'd3');
+
+  // With a one-period half-life each return weighs twice the one before it.
+  const ewma = estimateInputs(history, { kind: 'returns', estimator: 'ewma', halfLife: 1, annualization: 1 });
+  const weights = [1, 2, 4, 8, 16, 32];
+  const expected = history.rows.reduce((acc, [x], t) => acc + weights[t] * x, 0) / 63;
+  assertClose(ewma.mu[0], expected, 1e-12, 'EWMA mean');
+});
+
+test('estimateInputs sets a thinly overlapping correlation to 0 with a warning', () => {
+  const history = {
+    names: ['A', 'B'],
+    dates: ['d1', 'd2', 'd3', 'd4', 'd5', 'd6'],
+    rows: [[null, 0.02], [0.02, null], [null, 0.01], [0.03, null], [0.0, 0.02], [0.01, null]],
+  };
+  const est = estimateInputs(history, { kind: 'returns' });
+  assert.equal(est.corr[0][1], 0);
+  assert.match(est.warnings[0], /A and B overlap on 1 periods/);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InputError, buildCov, portfolioStats } = require('../src/core/optimizer');
+const {
+  currencyCovariance,
+  minVarianceBasket,
+  carryBasket,
+  hedgeExposure,
+  sweepCorrelation,
+  sweepVolRatio,
+} = require('../src/core/fx');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+const pairs = ['EUR/USD', 'USD/JPY', 'GBP/USD'];
+const vols = [0.08, 0.1, 0.09];
+const corr = [
+  [1, -0.3, 0.6],
+  [-0.3, 1, -0.2],
+  [0.6, -0.2, 1],
+];
+
+test('currencyCovariance reproduces the pair covariance through the exposures', () => {
+  const fx = currencyCovariance(pairs, vols, corr, 'USD');
+  assert.deepEqual(fx.currencies, ['EUR', 'JPY', 'GBP']);
+  assert.deepEqual(fx.exposures, [[1, 0, 0], [0, -1, 0], [0, 0, 1]]);
+  assert.deepEqual(fx.warnings, []);
+
+  const pairCov = buildCov(vols, corr);
+  const { cov, exposures } = fx;
+  pairCov.forEach((row, a) => row.forEach((expected, b) => {
+    let actual = 0;
+    cov.forEach((covRow, i) => covRow.forEach((v, j) => {
+      actual += exposures[a][i] * v * exposures[b][j];
+    }));
+    assertClose(actual, expected, 1e-12, `pair covariance [${a}][${b}]`);
+  }));
+  fx.vols.forEach((v, i) => assertClose(v, vols[i], 1e-12, `currency vol ${i}`));
+});
+
+test('currencyCovariance prices a cross from the currencies it links', () => {
+  // EUR/GBP = EUR/USD - GBP/USD in USD terms.
+  const fx = currencyCovariance(['EUR/USD', 'EUR/GBP'], [0.08, 0.05], [[1, 0.4], [0.4, 1]], 'USD');
+  assert.deepEqual(fx.currencies, ['EUR', 'GBP']);
+  const [[eur, eurGbp], [, gbp]] = fx.cov;
+  assertClose(eur, 0.0064, 1e-12, 'EUR variance');
+  assertClose(eur + gbp - 2 * eurGbp, 0.0025, 1e-12, 'EUR/GBP variance');
+});
+
+test('currencyCovariance rejects a base currency outside the pairs', () => {
+  assert.throws(
+    () => currencyCovariance(pairs, vols, corr, 'CHF'),
+    (err) => err instanceof InputError && err.fields[0].field === 'base',
+  );
+});
+
+test('minVarianceBasket matches the two-currency closed form', () => {
+  const rho = 0.5;
+  const basket = minVarianceBasket({ pairs: ['EUR/USD', 'GBP/USD'], vols: [0.08, 0.09], corr: [[1, rho], [rho, 1]] });
+  const [s1, s2] = [0.08, 0.09];
+  const c = rho * s1 * s2;
+  const w1 = (s2 * s2 - c) / (s1 * s1 + s2 * s2 - 2 * c);
+
+  assert.equal(basket.base, 'USD');
+  assertClose(basket.weights[0], w1, 1e-9, 'EUR weight');
+  assertClose(basket.weights[1], 1 - w1, 1e-9, 'GBP weight');
+  const variance = w1 * w1 * s1 * s1 + (1 - w1) * (1 - w1) * s2 * s2 + 2 * w1 * (1 - w1) * c;
+  assertClose(basket.pVol, Math.sqrt(variance), 1e-9, 'basket volatility');
+});
+
+test('minVarianceBasket has no lower-variance fully invested neighbour', () => {
+  const basket = minVarianceBasket({ pairs, vols, corr, longOnly: false });
+  assertClose(basket.weights.reduce((acc, w) => acc + w, 0), 1, 1e-9, 'budget');
+
+  const zeros = basket.weights.map(() => 0);
+  for (let i = 0; i < basket.weights.length; i += 1) {
+    for (let j = 0; j < basket.weights.length; j += 1) {
+      if (i === j) {
+        continue;
+      }
+      const w = basket.weights.slice();
+      w[i] += 1e-3;
+      w[j] -= 1e-3;
+      assert.ok(portfolioStats(w, zeros, basket.cov, 0).vol >= basket.pVol - 1e-12, `shifting from ${j} to ${i} lowers the volatility`);
+    }
+  }
+});
+
+test('minVarianceBasket rejects a correlation matrix that is not positive semidefinite', () => {
+  const bad = [[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]];
+  assert.throws(
+    () => minVarianceBasket({ pairs, vols, corr: bad }),
+    (err) => err instanceof InputError && err.fields.some((f) => f.field === 'corr'),
+  );
+});
+
+test('sweepCorrelation re-solves the basket at each correlation and flags invalid matrices', () => {
+  const points = sweepCorrelation({ pairs, vols, corr }, 0, 2);
+  assert.equal(points.length, 41);
+  assert.equal(points[0].x, -1);
+  assert.equal(points[40].x, 1);
+
+  const at = points.find((p) => p.x === 0.6);
+  assert.deepEqual(at.weights, minVarianceBasket({ pairs, vols, corr }).weights);
+  // A correlation of -1 between EUR/USD and GBP/USD contradicts their links to USD/JPY.
+  assert.equal(points[0].weights, null);
+  assert.ok(points[0].note);
+
+  assert.throws(() => sweepCorrelation({ pairs, vols, corr }, 1, 1), (err) => err.fields[0].field === 'pairs');
+});
+
+test('sweepVolRatio scales one pair volatility against another', () => {
+  const points = sweepVolRatio({ pairs, vols, corr }, 0, 1, [0.5, 1, 2]);
+  assert.deepEqual(points.map((p) => p.x), [0.5, 1, 2]);
+  const basket = minVarianceBasket({ pairs, vols: [0.08, 0.16, 0.09], corr });
+  assertClose(points[2].pVol, basket.pVol, 1e-12, 'volatility at ratio 2');
+  // The default grid runs from 1/4 to 4 and passes through 1.
+  const grid = sweepVolRatio({ pairs, vols, corr }, 0, 1).map((p) => p.x);
+  assertClose(grid[0], 0.25, 1e-12);
+  assertClose(grid[20], 1, 1e-12);
+  assertClose(grid[40], 4, 1e-12);
+});
+
+test('hedgeExposure finds the minimum-variance forward hedge', () => {
+  const input = {
+    pairs, vols, corr,
+    currency: 'EUR', assetVol: 0.15, assetCorr: -0.2, assetReturn: 0.06,
+    baseRate: 0.05, foreignRate: 0.03, tenor: 0.5,
+  };
+  const result = hedgeExposure(input);
+  assert.equal(result.base, 'USD');
+  assertClose(result.currencyVol, 0.08, 1e-12, 'EUR/USD volatility');
+  assertClose(result.hedgeRatio, 1 - (0.2 * 0.15) / 0.08, 1e-12, 'hedge ratio');
+  assertClose(result.forwardPremium, 1.025 / 1.015 - 1, 1e-12, 'forward premium');
+  assertClose(result.carry, (1.025 / 1.015 - 1) / 0.5, 1e-12, 'carry');
+
+  const [unhedged, minVar, full] = result.positions;
+  assert.deepEqual([unhedged.ratio, full.ratio], [0, 1]);
+  assertClose(full.vol, 0.15, 1e-12, 'fully hedged volatility');
+  assertClose(full.ret, 0.06 + result.carry, 1e-12, 'fully hedged return');
+  assert.ok(minVar.vol <= unhedged.vol && minVar.vol <= full.vol);
+  // Hedging slightly more or less than the minimum-variance ratio adds risk.
+  const volAt = (h) => Math.sqrt(0.15 ** 2 + (1 - h) ** 2 * 0.08 ** 2 + 2 * (1 - h) * -0.2 * 0.15 * 0.08);
+  assertClose(volAt(result.hedgeRatio), minVar.vol, 1e-12, 'minimum volatility');
+  assert.ok(volAt(result.hedgeRatio - 0.01) > minVar.vol && volAt(result.hedgeRatio + 0.01) > minVar.vol);
+});
+
+test('hedgeExposure warns when the ratio leaves [0, 1] and rejects the base currency', () => {
+  const result = hedgeExposure({
+    pairs, vols, corr, currency: 'JPY', assetVol: 0.3, assetCorr: 0.5, baseRate: 0.05, foreignRate: 0,
+  });
+  assert.ok(result.hedgeRatio > 1);
+  assert.ok(result.warnings.some((w) => /over-hedges/.test(w)));
+
+  assert.throws(
+    () => hedgeExposure({ pairs, vols, corr, currency: 'USD', assetVol: 0.1, assetCorr: 0, baseRate: 0, foreignRate: 0 }),
+    (err) => err.fields[0].field === 'currency' && /base currency/.test(err.message),
+  );
+  assert.throws(
+    () => hedgeExposure({ pairs, vols, corr, currency: 'EURO', assetVol: -1, assetCorr: 2, baseRate: -1, foreignRate: 0, tenor: 0 }),
+    (err) => err.fields.map((f) => f.field).join() === 'currency,assetVol,assetCorr,baseRate,tenor',
+  );
+});
+
+test('carryBasket takes expected returns from rate differentials and views', () => {
+  const rates = { usd: 0.05, EUR: 0.03, JPY: 0.001, GBP: 0.045 };
+  const result = carryBasket({ pairs, vols, corr, rates, views: { jpy: 0.02 } });
+  assert.deepEqual(result.currencies, ['EUR', 'JPY', 'GBP']);
+  assertClose(result.carry[0], -0.02, 1e-12, 'EUR carry');
+  assertClose(result.expected[1], 0.001 - 0.05 + 0.02, 1e-12, 'JPY with view');
+  assert.deepEqual(result.weights, minVarianceBasket({ pairs, vols, corr }).weights);
+
+  assertClose(result.maxSharpe.weights.reduce((acc, w) => acc + w, 0), 1, 1e-9, 'budget');
+  assert.ok(result.maxSharpe.weights.every((w) => w >= 0));
+  // Every currency carries negatively against USD here, so no basket beats USD deposits.
+  assert.ok(result.warnings.some((w) => /non-positive expected return/.test(w)));
+
+  const unconstrained = carryBasket({ pairs, vols, corr, rates: { USD: 0.01, EUR: 0.03, JPY: 0, GBP: 0.04 }, longOnly: false });
+  assert.ok(unconstrained.maxSharpe.sharpe >= unconstrained.minVariance.sharpe - 1e-12);
+});
+
+test('carryBasket reports missing rates and views for unknown currencies by field', () => {
+  assert.throws(
+    () => carryBasket({ pairs, vols, corr, rates: { USD: 0.05, EUR: 0.03, GBP: -2 }, views: { CHF: 0.01 } }),
+    (err) => err.fields.map((f) => f.field).join() === 'rates.JPY,rates.GBP,views.CHF',
+  );
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov, optimizePortfolio } = require('../src/core/optimizer');
+const { FRONTIER_POINTS, validateCorrelation, runOptimizationJob, runJob } = require('../src/core/optimization-job');
+const { simulatePortfolio } = require('../src/core/simulation');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const job = {
+  mu: [0.06, 0.04, 0.08],
+  vol: [0.1, 0.12, 0.18],
+  corr: [
+    [1, 0.2, 0.1],
+    [0.2, 1, 0.3],
+    [0.1, 0.3, 1],
+  ],
+  rf: 0.01,
+  mode: 'long_only',
+  objective: 'max_sharpe',
+  iterations: 1600,
+  target: null,
+  limits: null,
+  blackLitterman: null,
+  rebalance: null,
+  resampling: null,
+  allocation: null,
+};
+
+test('a plain job returns the optimum, its risk and the sampled frontier', () => {
+  const stages = [];
+  const output = runOptimizationJob(job, (progress) => stages.push(progress));
+  const expected = optimizePortfolio(job.mu, buildCov(job.vol, job.corr), job.rf, { mode: 'long_only' });
+  assert.deepEqual(output.result.w, expected.w);
+  assert.equal(output.tangency, output.result);
+  assert.equal(output.bl, null);
+  assertClose(output.risk.vol, output.result.vol, 1e-12, 'risk vol');
+  assert.ok(output.frontier.curve.length > 0 && output.frontier.curve.length <= FRONTIER_POINTS);
+
+  assert.deepEqual(stages[0], { stage: 'Optimizing', done: 0, total: 0 });
+  assert.deepEqual(stages[stages.length - 1], { stage: 'Sampling frontier', done: FRONTIER_POINTS, total: FRONTIER_POINTS });
+});
+
+test('other objectives and modifiers still report the max-Sharpe tangency', () => {
+  const minVar = runOptimizationJob({ ...job, objective: 'min_variance' });
+  assert.ok(minVar.tangency.sharpe > minVar.result.sharpe);
+
+  const stages = [];
+  const resampled = runOptimizationJob({ ...job, resampling: { draws: 20 } }, (p) => stages.push(p.stage));
+  assert.equal(resampled.result.draws + resampled.result.failed, 20);
+  assert.equal(stages.filter((s) => s === 'Resampling').length, 20);
+
+  const allocated = runOptimizationJob({ ...job, allocation: { lendingRate: 0.01, borrowingRate: 0.01, targetVol: 0.05 } });
+  assert.deepEqual(allocated.tangency.w, allocated.result.lend.w);
+});
+
+test('Black-Litterman jobs optimize the posterior returns', () => {
+  const output = runOptimizationJob({
+    ...job,
+    blackLitterman: { weights: [0.5, 0.3, 0.2], views: [{ type: 'absolute', asset: 1, value: 0.1, confidence: 1 }] },
+  });
+  assertClose(output.mu[1], 0.1, 1e-9, 'posterior');
+  assert.equal(output.mu, output.bl.posterior);
+});
+
+test('an invalid correlation matrix is reported on the corr field', () => {
+  const bad = [[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]];
+  assert.match(validateCorrelation(bad)[0].message, /not positive semidefinite \(smallest eigenvalue -0\.\d{4}\)/);
+  assert.deepEqual(validateCorrelation(job.corr), []);
+  assert.throws(() => runOptimizationJob({ ...job, corr: bad }), (err) => err.fields[0].field === 'corr');
+});
+
+test('runJob dispatches optimization and simulation tasks by name', () => {
+  const optimized = runJob('optimize', job);
+  const simulation = { w: optimized.result.w, mu: optimized.mu, cov: optimized.cov, options: { horizon: 10, paths: 200 } };
+  assert.deepEqual(runJob('simulate', simulation), simulatePortfolio(simulation.w, simulation.mu, simulation.cov, simulation.options));
+  assert.equal(runJob('correlation', { corr: job.corr }).isPsd, true);
+
+  const steps = [];
+  const sensitivity = runJob('sensitivity', { mu: job.mu, vol: job.vol, corr: job.corr, rf: job.rf, options: { mode: 'long_only' } }, (p) => steps.push(p));
+  assert.equal(sensitivity.rows.length, 9);
+  assert.deepEqual(steps.map((p) => p.done), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.ok(steps.every((p) => p.stage === 'Re-solving inputs' && p.total === 9));
+  const bad = [[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]];
+  assert.throws(() => runJob('sensitivity', { mu: job.mu, vol: job.vol, corr: bad, rf: job.rf }), (err) => err.fields[0].field === 'corr');
+  assert.throws(() => runJob('backtest', job), /Unknown job task: backtest/);
+});
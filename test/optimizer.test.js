@@ -0,0 +1,410 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const optimizer = require('../src/core/optimizer');
+
+const {
+  InputError,
+  buildCov,
+  matVec,
+  solveLinearSystem,
+  projectToSimplex,
+  optimizeUnconstrained,
+  solveQuadraticProgram,
+  optimizeLongOnly,
+  minVariancePortfolio,
+  efficientFrontier,
+  optimizePortfolio,
+  portfolioStats,
+  parseScenario,
+} = optimizer;
+
+const mu = [0.08, 0.06, 0.1, 0.04];
+const vol = [0.15, 0.1, 0.2, 0.05];
+const corr = [
+  [1, 0.3, 0.5, 0.1],
+  [0.3, 1, 0.2, 0.2],
+  [0.5, 0.2, 1, 0],
+  [0.1, 0.2, 0, 1],
+];
+const cov = buildCov(vol, corr);
+const rf = 0.02;
+
+const sum = (xs) => xs.reduce((acc, x) => acc + x, 0);
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('the core loads as a browser script under FxOpti.optimizer', () => {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/core/optimizer.js'), 'utf8'), sandbox);
+  assert.deepEqual(Object.keys(sandbox.FxOpti.optimizer), Object.keys(optimizer));
+  const browser = sandbox.FxOpti.optimizer.optimizeUnconstrained(mu, cov, rf);
+  assert.deepEqual([...browser.w], optimizeUnconstrained(mu, cov, rf).w);
+});
+
+test('solveLinearSystem and projectToSimplex', () => {
+  const x = solveLinearSystem([[4, 1], [1, 3]], [1, 2]);
+  assertClose(x[0], 1 / 11, 1e-12);
+  assertClose(x[1], 7 / 11, 1e-12);
+
+  const w = projectToSimplex([0.8, 0.6, -0.2]);
+  assert.deepEqual(w.map((v) => Number(v.toFixed(12))), [0.6, 0.4, 0]);
+});
+
+test('solveQuadraticProgram meets the KKT conditions', () => {
+  const Q = [[2, 0.5, 0], [0.5, 1, 0.2], [0, 0.2, 1.5]];
+  const c = [-1, -0.5, 0.2];
+  const constraints = [
+    { a: [1, 1, 1], b: 1, type: 'eq' },
+    { a: [1, 0, 0], b: 0.5, type: 'le' },
+    { a: [0, 0, 1], b: 0.1, type: 'ge' },
+  ];
+  const { x, multipliers, active } = solveQuadraticProgram(Q, c, constraints);
+
+  // Stationarity: Q x + c equals the multiplier-weighted constraint normals, with 'le'
+  // constraints entering as their negated 'ge' form.
+  const gradient = matVec(Q, x).map((v, i) => v + c[i]);
+  gradient.forEach((g, i) => {
+    const pull = constraints.reduce((acc, k, j) => acc + multipliers[j] * (k.type === 'le' ? -k.a[i] : k.a[i]), 0);
+    assertClose(g, pull, 1e-9, `stationarity of x[${i}]`);
+  });
+
+  constraints.forEach((k, j) => {
+    const slack = k.a.reduce((acc, a, i) => acc + a * x[i], 0) - k.b;
+    if (k.type === 'eq') {
+      assertClose(slack, 0, 1e-9, `equality ${j}`);
+      return;
+    }
+    const signed = k.type === 'le' ? -slack : slack;
+    assert.ok(signed >= -1e-9, `constraint ${j} is violated`);
+    assert.ok(multipliers[j] >= 0, `multiplier ${j} is negative`);
+    assertClose(multipliers[j] * signed, 0, 1e-9, `complementary slackness of ${j}`);
+  });
+  assert.deepEqual(active, [0, 2]);
+});
+
+test('solveQuadraticProgram reports infeasible constraints on the constraints field', () => {
+  const constraints = [
+    { a: [1, 1], b: 1, type: 'eq' },
+    { a: [1, 0], b: 0.8, type: 'ge' },
+    { a: [0, 1], b: 0.8, type: 'ge' },
+  ];
+  assert.throws(
+    () => solveQuadraticProgram([[1, 0], [0, 1]], [0, 0], constraints),
+    (err) => err instanceof InputError && err.fields.some((f) => f.field === 'constraints'),
+  );
+});
+
+test('solveQuadraticProgram running out of iterations is a solver error, not an input error', () => {
+  const Q = [[2, 0.5, 0], [0.5, 1, 0.2], [0, 0.2, 1.5]];
+  const constraints = [
+    { a: [1, 1, 1], b: 1, type: 'eq' },
+    { a: [0, 0, 1], b: 0.1, type: 'ge' },
+  ];
+  assert.throws(
+    () => solveQuadraticProgram(Q, [-1, -0.5, 0.2], constraints, 1),
+    (err) => !(err instanceof InputError) && err.code === 'QP_NOT_CONVERGED',
+  );
+  assert.equal(solveQuadraticProgram(Q, [-1, -0.5, 0.2], constraints, 2).iterations, 2);
+});
+
+test('unconstrained tangency weights are proportional to cov^-1 (mu - rf)', () => {
+  const result = optimizeUnconstrained(mu, cov, rf);
+  assertClose(sum(result.w), 1, 1e-12, 'budget');
+
+  // cov w = vol^2 / (ret - rf) * (mu - rf) at the tangency portfolio.
+  const scale = (result.vol * result.vol) / (result.ret - rf);
+  matVec(cov, result.w).forEach((v, i) => assertClose(v, scale * (mu[i] - rf), 1e-12, `first-order condition ${i}`));
+
+  // No other fully invested portfolio has a higher Sharpe ratio.
+  [[0.25, 0.25, 0.25, 0.25], [0.5, 0, 0.5, 0], [0.2, 0.3, 0.1, 0.4]].forEach((w) => {
+    assert.ok(portfolioStats(w, mu, cov, rf).sharpe <= result.sharpe + 1e-12);
+  });
+});
+
+test('long-only max Sharpe matches the unconstrained tangency when it holds no shorts', () => {
+  const free = optimizeUnconstrained(mu, cov, rf);
+  assert.ok(free.w.every((w) => w > 0));
+  const longOnly = optimizeLongOnly(mu, cov, rf, 1600);
+  longOnly.w.forEach((w, i) => assertClose(w, free.w[i], 1e-4, `weight ${i}`));
+});
+
+test('long-only max Sharpe holds no shorts when the tangency would', () => {
+  const shorted = [0.08, 0.06, 0.1, 0.0];
+  assert.ok(optimizeUnconstrained(shorted, cov, rf).w.some((w) => w < 0));
+  const result = optimizeLongOnly(shorted, cov, rf, 1600);
+  assertClose(sum(result.w), 1, 1e-9, 'budget');
+  assert.ok(result.w.every((w) => w >= 0));
+  assert.ok(result.sharpe >= portfolioStats([0.25, 0.25, 0.25, 0.25], shorted, cov, rf).sharpe);
+});
+
+test('parseScenario fills defaults and reports every invalid field', () => {
+  const scenario = parseScenario({ mu, vol, corr });
+  assert.deepEqual(scenario.names, ['Asset 1', 'Asset 2', 'Asset 3', 'Asset 4']);
+  assert.equal(scenario.mode, 'long_only');
+  assert.equal(scenario.rf, 0);
+  assert.deepEqual(scenario.cov, cov);
+
+  const asymmetric = corr.map((row) => row.slice());
+  asymmetric[0][1] = 0.4;
+  assert.throws(
+    () => parseScenario({ mu, vol: [0.15, 0, 0.2, 0.05], corr: asymmetric, rf: 'x' }),
+    (err) => err instanceof InputError && err.fields.map((f) => f.field).join() === 'vol[1],corr[0][1],rf',
+  );
+});
+
+test('parseScenario rejects a correlation matrix that is not positive semidefinite', () => {
+  const invalid = [[1, 0.9, 0.9], [0.9, 1, -0.9], [0.9, -0.9, 1]];
+  assert.throws(
+    () => parseScenario({ mu: [0.1, 0.1, 0.1], vol: [0.1, 0.1, 0.1], corr: invalid }),
+    (err) => err instanceof InputError && err.fields[0].field === 'corr' && /not positive semidefinite/.test(err.fields[0].message),
+  );
+});
+
+test('parseScenario accepts singular correlation matrices at the PSD tolerance', () => {
+  const ones = [[1, 1, 1], [1, 1, 1], [1, 1, 1]];
+  assert.deepEqual(parseScenario({ mu: [0.1, 0.1, 0.1], vol: [0.1, 0.1, 0.1], corr: ones }).corr, ones);
+
+  const n = 300;
+  const corr = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : -1 / (n - 1))));
+  assert.equal(parseScenario({ mu: new Array(n).fill(0.05), vol: new Array(n).fill(0.1), corr }).corr.length, n);
+  corr[0][1] = -0.2;
+  corr[1][0] = -0.2;
+  assert.throws(() => parseScenario({ mu: new Array(n).fill(0.05), vol: new Array(n).fill(0.1), corr }), (err) => err.fields[0].field === 'corr');
+});
+
+test('the unconstrained frontier follows the analytic minimum-variance hyperbola', () => {
+  const { gmv, curve } = efficientFrontier(mu, cov, rf, { mode: 'unconstrained', points: 9 });
+  assert.equal(curve.length, 9);
+  curve.forEach((point) => {
+    assertClose(sum(point.w), 1, 1e-9, 'budget');
+    assert.ok(point.vol >= gmv.vol - 1e-12);
+    // Each point is the minimum-variance portfolio at its return.
+    const check = minVariancePortfolio(mu, cov, rf, { targetReturn: point.ret });
+    assertClose(point.vol, check.vol, 1e-9, `volatility at ${point.ret}`);
+  });
+  assert.ok(curve.every((point, k) => k === 0 || point.ret > curve[k - 1].ret));
+});
+
+test('the long-only frontier holds no shorts and spans the asset returns', () => {
+  const { gmv, curve } = efficientFrontier(mu, cov, rf, { mode: 'long_only', points: 5 });
+  assert.ok(gmv.w.every((w) => w >= 0));
+  curve.forEach((point) => {
+    assert.ok(point.w.every((w) => w >= 0));
+    assertClose(sum(point.w), 1, 1e-9, 'budget');
+  });
+  assertClose(curve[0].ret, Math.min(...mu), 1e-9, 'lowest return');
+  assertClose(curve[curve.length - 1].ret, Math.max(...mu), 1e-9, 'highest return');
+});
+
+test('long-only limits that cannot be met are reported field by field', () => {
+  const fieldsOf = (limits) => {
+    try {
+      optimizeLongOnly(mu, cov, rf, 100, limits);
+    } catch (err) {
+      assert.ok(err instanceof InputError);
+      return err.fields.map((e) => e.field);
+    }
+    return [];
+  };
+  assert.deepEqual(fieldsOf({ upper: [0.5, 0.5, 0.5, 0.5] }), []);
+  assert.deepEqual(fieldsOf({ upper: [0.2, 0.2, 0.2, 0.2] }), ['upper']);
+  assert.deepEqual(fieldsOf({ lower: [0.5, 0, 0, 0], upper: [0.4, 1, 1, 1] }), ['lower[0]']);
+  assert.deepEqual(
+    fieldsOf({ groups: [{ name: '', members: [0, 9], min: 0.6, max: 0.5 }] }),
+    ['groups[0].name', 'groups[0].members', 'groups[0]'],
+  );
+});
+
+test('long-only max Sharpe honours asset bounds and group limits and lists the binding ones', () => {
+  const limits = {
+    lower: [0, 0.1, 0, 0],
+    upper: [0.35, 1, 0.3, 0.4],
+    groups: [{ name: 'Risky', members: [0, 2], max: 0.15 }],
+  };
+  const result = optimizeLongOnly(mu, cov, rf, 4000, limits);
+  assertClose(sum(result.w), 1, 1e-9, 'budget');
+  result.w.forEach((w, i) => {
+    assert.ok(w >= limits.lower[i] - 1e-9 && w <= limits.upper[i] + 1e-9, `weight ${i} is outside its bounds`);
+  });
+  assert.ok(result.w[0] + result.w[2] <= 0.15 + 1e-9);
+  assert.ok(result.binding.some((b) => b.kind === 'group_max' && b.group === 'Risky'));
+  assert.ok(result.binding.some((b) => b.kind === 'upper' && b.index === 3));
+});
+
+test('parseScenario gathers weight limits for the long-only optimizer', () => {
+  const scenario = parseScenario({ mu, vol, corr, upper: [0.4, 0.4, 0.4, 0.4], groups: [{ name: 'G', members: [0, 1], min: 0.2 }] });
+  assert.deepEqual(scenario.limits.upper, [0.4, 0.4, 0.4, 0.4]);
+  assert.equal(scenario.limits.groups[0].name, 'G');
+  assert.equal(parseScenario({ mu, vol, corr }).limits, null);
+  assert.throws(
+    () => parseScenario({ mu, vol, corr, upper: [0.1, 0.1, 0.1, 0.1] }),
+    (err) => err instanceof InputError && err.fields[0].field === 'upper',
+  );
+});
+
+test('min_variance and target_return minimize variance at their return', () => {
+  const gmv = optimizePortfolio(mu, cov, rf, { objective: 'min_variance', mode: 'unconstrained' });
+  assert.equal(gmv.objective, 'min_variance');
+  const { gmv: analytic } = efficientFrontier(mu, cov, rf, { mode: 'unconstrained' });
+  assertClose(gmv.vol, analytic.vol, 1e-9, 'GMV volatility');
+
+  const target = optimizePortfolio(mu, cov, rf, { objective: 'target_return', mode: 'long_only', target: 0.07 });
+  assertClose(target.ret, 0.07, 1e-9, 'target return');
+  assert.ok(target.w.every((w) => w >= -1e-12));
+
+  assert.throws(
+    () => optimizePortfolio(mu, cov, rf, { objective: 'target_return', mode: 'long_only', target: 0.2 }),
+    (err) => err instanceof InputError && err.fields[0].field === 'target',
+  );
+});
+
+test('target_vol returns the highest-return portfolio within the volatility', () => {
+  const result = optimizePortfolio(mu, cov, rf, { objective: 'target_vol', mode: 'long_only', target: 0.1 });
+  assert.ok(result.vol <= 0.1 + 1e-9);
+  assertClose(result.vol, 0.1, 1e-6, 'volatility');
+  const free = optimizePortfolio(mu, cov, rf, { objective: 'target_vol', mode: 'unconstrained', target: 0.1 });
+  assertClose(free.vol, 0.1, 1e-9, 'unconstrained volatility');
+  assert.ok(free.ret >= result.ret - 1e-12);
+
+  assert.throws(
+    () => optimizePortfolio(mu, cov, rf, { objective: 'target_vol', target: 0.01 }),
+    (err) => err instanceof InputError && /below the minimum achievable/.test(err.message),
+  );
+});
+
+test('risk_parity equalizes the risk contributions', () => {
+  const result = optimizePortfolio(mu, cov, rf, { objective: 'risk_parity' });
+  const covW = matVec(cov, result.w);
+  const variance = result.vol * result.vol;
+  result.w.forEach((w, i) => assertClose((w * covW[i]) / variance, 1 / mu.length, 1e-9, `risk share ${i}`));
+});
+
+test('max_diversification has the highest diversification ratio', () => {
+  const result = optimizePortfolio(mu, cov, rf, { objective: 'max_diversification' });
+  const ratio = (w) => w.reduce((acc, x, i) => acc + x * vol[i], 0) / portfolioStats(w, mu, cov, rf).vol;
+  assertClose(result.diversificationRatio, ratio(result.w), 1e-12, 'reported ratio');
+  [[0.25, 0.25, 0.25, 0.25], [0.4, 0.2, 0.2, 0.2], [0.1, 0.3, 0.3, 0.3]].forEach((w) => {
+    assert.ok(ratio(w) <= result.diversificationRatio + 1e-9);
+  });
+});
+
+test('optimizePortfolio rejects an unknown objective on the objective field', () => {
+  assert.throws(
+    () => optimizePortfolio(mu, cov, rf, { objective: 'max_return' }),
+    (err) => err instanceof InputError && err.fields[0].field === 'objective',
+  );
+});
+
+test('every bounded objective keeps the weights within the limits', () => {
+  const limits = {
+    lower: [0.05, 0.05, 0.05, 0.05],
+    upper: [0.4, 0.4, 0.4, 0.4],
+    groups: [{ name: 'Risky', members: [0, 2], max: 0.5 }],
+  };
+  const objectives = [
+    { objective: 'max_sharpe' },
+    { objective: 'min_variance' },
+    { objective: 'target_return', target: 0.07 },
+    { objective: 'target_vol', target: 0.1 },
+    { objective: 'max_diversification' },
+  ];
+  objectives.forEach((options) => {
+    const { w } = optimizePortfolio(mu, cov, rf, { ...options, iterations: 5000, limits });
+    assertClose(sum(w), 1, 1e-9, `${options.objective} budget`);
+    w.forEach((x, i) => assert.ok(x >= limits.lower[i] - 1e-9 && x <= limits.upper[i] + 1e-9, `${options.objective} w[${i}] = ${x}`));
+    assert.ok(w[0] + w[2] <= 0.5 + 1e-9, `${options.objective} group`);
+  });
+});
+
+test('risk_parity rejects limits that restrict a weight on the limits field', () => {
+  assert.throws(
+    () => optimizePortfolio(mu, cov, rf, { objective: 'risk_parity', limits: { upper: [0.4, 0.4, 0.4, 0.4] } }),
+    (err) => err instanceof InputError && err.fields[0].field === 'limits',
+  );
+  assert.throws(
+    () => optimizePortfolio(mu, cov, rf, { objective: 'risk_parity', limits: { groups: [{ name: 'A', members: [0], max: 1 }] } }),
+    (err) => err instanceof InputError && err.fields[0].field === 'limits',
+  );
+
+  const open = optimizePortfolio(mu, cov, rf, { objective: 'risk_parity', limits: { lower: [0, 0, 0, 0], upper: [1, 1, 1, 1], groups: [] } });
+  assert.deepEqual(open.w, optimizePortfolio(mu, cov, rf, { objective: 'risk_parity' }).w);
+  const shorting = optimizePortfolio(mu, cov, rf, { objective: 'risk_parity', mode: 'unconstrained', limits: { upper: [0.4, 0.4, 0.4, 0.4] } });
+  assert.deepEqual(shorting.w, open.w);
+});
+
+test('long-only max Sharpe converges to a KKT point within the bounds', () => {
+  const upper = [0.4, 0.4, 0.4, 0.4];
+  const solved = optimizeLongOnly(mu, cov, rf, 5000, { upper });
+  assert.equal(solved.convergence.method, 'active_set');
+  assert.ok(solved.convergence.converged);
+  assert.ok(solved.convergence.kktResidual <= 1e-4);
+  solved.w.forEach((x) => assert.ok(x >= -1e-12 && x <= 0.4 + 1e-12));
+
+  // No feasible shift of weight between two assets improves the Sharpe ratio.
+  const eps = 1e-4;
+  for (let i = 0; i < mu.length; i += 1) {
+    for (let j = 0; j < mu.length; j += 1) {
+      if (i !== j && solved.w[i] >= eps && solved.w[j] <= upper[j] - eps) {
+        const w = solved.w.slice();
+        w[i] -= eps;
+        w[j] += eps;
+        assert.ok(portfolioStats(w, mu, cov, rf).sharpe <= solved.sharpe + 1e-9, `shift ${i} -> ${j}`);
+      }
+    }
+  }
+});
+
+test('the long-only tangency is solved exactly and reports a zero KKT residual', () => {
+  const solved = optimizeLongOnly(mu, cov, rf, 5000);
+  assert.equal(solved.convergence.method, 'active_set');
+  assert.equal(solved.convergence.stopReason, 'optimal');
+  assert.ok(solved.convergence.converged);
+  assert.ok(solved.convergence.kktResidual < 1e-8);
+  assert.deepEqual(solved.convergence.trace, []);
+});
+
+test('without a portfolio beating rf the solver falls back to projected gradient', () => {
+  const solved = optimizeLongOnly(mu, cov, 0.2, 5000);
+  assert.equal(solved.convergence.method, 'projected_gradient');
+  assert.equal(solved.convergence.stopReason, 'step_size');
+  assert.equal(solved.convergence.trace.length, solved.convergence.iterations);
+  solved.convergence.trace.forEach((s, i) => assert.ok(i === 0 || s >= solved.convergence.trace[i - 1]));
+
+  const cut = optimizeLongOnly(mu, cov, 0.2, 3);
+  assert.equal(cut.convergence.stopReason, 'max_iterations');
+  assert.equal(cut.convergence.iterations, 3);
+});
+
+test('the exact solver handles 300 assets with bounds', () => {
+  let seed = 11;
+  const next = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const n = 300;
+  const muN = Array.from({ length: n }, () => 0.02 + next() * 0.1);
+  const volN = Array.from({ length: n }, () => 0.05 + next() * 0.3);
+  const corrN = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0.2)));
+  const limits = { upper: new Array(n).fill(0.05) };
+  const solved = optimizeLongOnly(muN, buildCov(volN, corrN), 0.01, 100, limits);
+  assert.equal(solved.convergence.method, 'active_set');
+  assert.ok(solved.convergence.converged);
+  assertClose(sum(solved.w), 1, 1e-9, 'budget');
+  assert.ok(solved.w.every((w) => w >= 0 && w <= 0.05 + 1e-9));
+});
+
+test('isPositiveSemidefinite agrees with the smallest eigenvalue', () => {
+  assert.equal(optimizer.isPositiveSemidefinite(corr), true);
+  assert.equal(optimizer.isPositiveSemidefinite([[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]]), false);
+  // Singular matrices pass within the tolerance.
+  assert.equal(optimizer.isPositiveSemidefinite([[1, 1], [1, 1]]), true);
+  assert.equal(optimizer.isPositiveSemidefinite([[1, 1.001], [1.001, 1]]), false);
+  assert.equal(optimizer.isPositiveSemidefinite([[1, 1.001], [1.001, 1]], 0.01), true);
+});
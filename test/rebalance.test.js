@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov, optimizeLongOnly } = require('../src/core/optimizer');
+const { MAX_ASSETS, validateOptions, tradeList, rebalancePortfolio } = require('../src/core/rebalance');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const mu = [0.06, 0.04, 0.08];
+const cov = buildCov([0.1, 0.12, 0.18], [
+  [1, 0.2, 0.1],
+  [0.2, 1, 0.3],
+  [0.1, 0.3, 1],
+]);
+const rf = 0.01;
+const current = [0.2, 0.6, 0.2];
+
+test('without costs the target is the max-Sharpe portfolio', () => {
+  const result = rebalancePortfolio(mu, cov, rf, { current, costs: [0, 0, 0] });
+  const tangency = optimizeLongOnly(mu, cov, rf, 5000);
+  assertClose(result.sharpe, tangency.sharpe, 1e-5, 'sharpe');
+  assertClose(result.netSharpe, result.sharpe, 1e-12, 'net sharpe');
+  assert.equal(result.cost, 0);
+  assert.deepEqual(result.current.w, current);
+});
+
+test('costs reduce trading and the net Sharpe accounts for them', () => {
+  const free = rebalancePortfolio(mu, cov, rf, { current, costs: [0, 0, 0] });
+  const costly = rebalancePortfolio(mu, cov, rf, { current, costs: [0.01, 0.01, 0.01] });
+  assert.ok(costly.turnover < free.turnover);
+  assertClose(costly.cost, costly.trades.reduce((acc, t) => acc + Math.abs(t.change) * 0.01, 0), 1e-12, 'cost');
+  assertClose(costly.netRet, costly.ret - costly.cost, 1e-12, 'net return');
+
+  // Prohibitive costs leave the holdings where they are.
+  const frozen = rebalancePortfolio(mu, cov, rf, { current, costs: [0.5, 0.5, 0.5] });
+  assert.ok(frozen.trades.every((t) => t.side === 'hold'));
+  assert.ok(frozen.turnover < 1e-6);
+});
+
+test('the turnover cap and weight limits hold', () => {
+  const capped = rebalancePortfolio(mu, cov, rf, { current, costs: [0.001, 0.001, 0.001], maxTurnover: 0.1 });
+  assert.ok(capped.turnover <= 0.1 + 1e-6);
+  assertClose(capped.w.reduce((a, b) => a + b, 0), 1, 1e-9, 'budget');
+
+  const limited = rebalancePortfolio(mu, cov, rf, { current, costs: [0, 0, 0], limits: { upper: [1, 1, 0.25] } });
+  assert.ok(limited.w[2] <= 0.25 + 1e-6);
+  assert.ok(limited.binding.some((b) => b.kind === 'upper' && b.index === 2));
+
+  assert.throws(
+    () => rebalancePortfolio(mu, cov, rf, { current, costs: [0, 0, 0], maxTurnover: 0.05, limits: { upper: [0.5, 0.3, 1] } }),
+    (err) => err.fields[0].field === 'maxTurnover',
+  );
+});
+
+test('trade lists report sides and notional amounts', () => {
+  const trades = tradeList([0.5, 0.5, 0], [0.3, 0.5, 0.2], [0.01, 0.01, 0.02], 1000);
+  assert.deepEqual(trades.map((t) => t.side), ['sell', 'hold', 'buy']);
+  assertClose(trades[0].amount, -200, 1e-9);
+  assertClose(trades[2].costAmount, 4, 1e-9);
+  assert.equal(tradeList([1], [0.5], [0])[0].amount, null);
+});
+
+test('invalid rebalance options are reported by field', () => {
+  const errors = validateOptions({ current: [0.5, 0.4, 0.2], costs: [0, -1, 0], maxTurnover: -1, costHorizon: 0 }, 3);
+  assert.deepEqual(errors.map((e) => e.field), ['current', 'costs[1]', 'maxTurnover', 'costHorizon']);
+  assert.deepEqual(validateOptions({}, 2).map((e) => e.field), ['current', 'costs']);
+});
+
+test('holdings outside the limits are traded back within a turnover cap', () => {
+  const result = rebalancePortfolio(mu, cov, rf, {
+    current: [0.6, 0.2, 0.2],
+    costs: [0.002, 0.002, 0.002],
+    maxTurnover: 0.15,
+    limits: { upper: [0.5, 1, 1] },
+  });
+  assert.ok(result.w[0] <= 0.5 + 1e-9);
+  assert.ok(result.turnover <= 0.15 + 1e-9);
+  assert.equal(result.trades[0].side, 'sell');
+});
+
+test('rebalancing scales to many assets and refuses more than MAX_ASSETS', () => {
+  const n = 100;
+  let seed = 3;
+  const next = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const bigMu = Array.from({ length: n }, () => 0.02 + 0.1 * next());
+  const bigCov = buildCov(
+    Array.from({ length: n }, () => 0.1 + 0.2 * next()),
+    Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0.3))),
+  );
+  const holdings = new Array(n).fill(1 / n);
+  const result = rebalancePortfolio(bigMu, bigCov, rf, {
+    current: holdings,
+    costs: new Array(n).fill(0.002),
+    maxTurnover: 0.2,
+    limits: { upper: new Array(n).fill(0.1) },
+  });
+  assert.ok(result.turnover <= 0.2 + 1e-9);
+  assert.ok(result.w.every((x) => x >= -1e-12 && x <= 0.1 + 1e-9));
+  assert.ok(result.netSharpe > result.current.sharpe);
+
+  const errors = validateOptions({ current: new Array(MAX_ASSETS + 1).fill(0), costs: [] }, MAX_ASSETS + 1);
+  assert.deepEqual(errors.map((e) => e.field), ['current']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov } = require('../src/core/optimizer');
+const { validateOptions, resampledPortfolio } = require('../src/core/resampling');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const mu = [0.06, 0.04, 0.08];
+const cov = buildCov([0.1, 0.12, 0.18], [
+  [1, 0.2, 0.1],
+  [0.2, 1, 0.3],
+  [0.1, 0.3, 1],
+]);
+const rf = 0.01;
+
+test('resampled weights are fully invested and lie inside their percentile bands', () => {
+  const result = resampledPortfolio(mu, cov, rf, { draws: 50, seed: 5 });
+  assert.equal(result.draws + result.failed, 50);
+  assertClose(result.w.reduce((a, b) => a + b, 0), 1, 1e-9, 'budget');
+  assert.deepEqual(result.band, [0.05, 0.95]);
+  result.w.forEach((w, i) => {
+    assert.ok(w >= 0);
+    assert.ok(result.lower[i] <= w + 1e-12 && w <= result.upper[i] + 1e-12, `asset ${i}`);
+  });
+  assert.deepEqual(resampledPortfolio(mu, cov, rf, { draws: 50, seed: 5 }).w, result.w);
+});
+
+test('longer samples narrow the weight bands', () => {
+  const short = resampledPortfolio(mu, cov, rf, { draws: 40, sampleSize: 24 });
+  const long = resampledPortfolio(mu, cov, rf, { draws: 40, sampleSize: 2400 });
+  const width = (r) => r.upper.reduce((acc, u, i) => acc + u - r.lower[i], 0);
+  assert.ok(width(long) < width(short));
+});
+
+test('resampling honours weight limits', () => {
+  const result = resampledPortfolio(mu, cov, rf, { draws: 20, limits: { upper: [0.5, 0.5, 0.3] } });
+  assert.ok(result.upper[2] <= 0.3 + 1e-6);
+  assert.ok(Array.isArray(result.binding));
+});
+
+test('invalid resampling options are reported by field', () => {
+  const errors = validateOptions({ draws: 5, sampleSize: 4, periodsPerYear: 0, seed: 0.5 }, 3);
+  assert.deepEqual(errors.map((e) => e.field), ['draws', 'sampleSize', 'periodsPerYear', 'seed']);
+  assert.throws(() => resampledPortfolio(mu, cov, rf, { draws: 5 }), (err) => err.fields[0].field === 'draws');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov } = require('../src/core/optimizer');
+const { riskContributions, normalQuantile, parametricVaR } = require('../src/core/risk');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const cov = buildCov([0.1, 0.2, 0.15], [
+  [1, 0.3, -0.2],
+  [0.3, 1, 0.4],
+  [-0.2, 0.4, 1],
+]);
+
+test('risk contributions add up to the portfolio volatility', () => {
+  const w = [0.5, 0.2, 0.3];
+  const { vol, marginal, component, percent } = riskContributions(w, cov);
+  const variance = w.reduce((acc, wi, i) => acc + w.reduce((s, wj, j) => s + wi * wj * cov[i][j], 0), 0);
+  assertClose(vol, Math.sqrt(variance), 1e-12, 'vol');
+  assertClose(component.reduce((a, b) => a + b, 0), vol, 1e-12, 'components');
+  assertClose(percent.reduce((a, b) => a + b, 0), 1, 1e-12, 'percent');
+
+  // The marginal contribution is the derivative of volatility with respect to the weight.
+  const h = 1e-6;
+  const bumped = riskContributions([w[0] + h, w[1], w[2]], cov).vol;
+  assertClose(marginal[0], (bumped - vol) / h, 1e-5, 'marginal');
+});
+
+test('a zero portfolio has no risk contributions', () => {
+  assert.deepEqual(riskContributions([0, 0, 0], cov), {
+    vol: 0, marginal: [0, 0, 0], component: [0, 0, 0], percent: [0, 0, 0],
+  });
+});
+
+test('normalQuantile matches known quantiles and is symmetric', () => {
+  assertClose(normalQuantile(0.5), 0, 1e-9);
+  assertClose(normalQuantile(0.95), 1.6448536269514722, 1e-8);
+  assertClose(normalQuantile(0.99), 2.3263478740408408, 1e-8);
+  assertClose(normalQuantile(0.001), -3.090232306167813, 1e-8);
+  assert.throws(() => normalQuantile(1), /strictly between 0 and 1/);
+});
+
+test('parametric VaR and CVaR scale with the horizon', () => {
+  const rows = parametricVaR(0.0504, 0.16, { confidences: [0.99], horizons: [1, 252] });
+  assert.equal(rows.length, 2);
+  const [daily, annual] = rows;
+  assertClose(daily.vol, 0.16 / Math.sqrt(252), 1e-12, 'daily vol');
+  assertClose(daily.var, 2.3263478740408408 * daily.vol - 0.0002, 1e-9, 'daily VaR');
+  assertClose(annual.var, 2.3263478740408408 * 0.16 - 0.0504, 1e-9, 'annual VaR');
+  assert.ok(annual.cvar > annual.var);
+  // Expected shortfall of a normal: sd * pdf(z) / (1 - c) - mean.
+  const z = 2.3263478740408408;
+  assertClose(annual.cvar, (0.16 * Math.exp(-z * z / 2)) / Math.sqrt(2 * Math.PI) / 0.01 - 0.0504, 1e-8, 'annual CVaR');
+
+  assert.equal(parametricVaR(0.05, 0.1).length, 4);
+  assert.throws(() => parametricVaR(0.05, 0.1, { confidences: [99] }), /between 0 and 1/);
+  assert.throws(() => parametricVaR(0.05, 0.1, { horizons: [0] }), /positive/);
+});
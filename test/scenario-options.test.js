@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { InputError } = require('../src/core/optimizer');
+const { readScenario } = require('../src/core/scenario-options');
+
+const scenario = {
+  mu: [0.06, 0.04, 0.08],
+  vol: [0.1, 0.12, 0.18],
+  corr: [
+    [1, 0.2, 0.1],
+    [0.2, 1, 0.3],
+    [0.1, 0.3, 1],
+  ],
+  rf: 0.02,
+};
+
+function fieldsOf(body) {
+  try {
+    readScenario(body);
+  } catch (err) {
+    assert.ok(err instanceof InputError);
+    return err.fields.map((f) => f.field);
+  }
+  return [];
+}
+
+test('the blocks are checked with their fields prefixed and reported together', () => {
+  assert.deepEqual(fieldsOf({
+    ...scenario,
+    blackLitterman: { weights: [1, 1] },
+    rebalance: { current: [1, 0, 0], costs: [0, 0, -1] },
+  }), ['blackLitterman.weights', 'rebalance.costs[2]']);
+  assert.deepEqual(fieldsOf({ ...scenario, resampling: {}, objective: 'min_variance' }), ['objective']);
+  assert.deepEqual(fieldsOf({ ...scenario, resampling: {}, allocation: {} }), ['allocation']);
+  assert.deepEqual(fieldsOf({ ...scenario, allocation: [] }), ['allocation']);
+});
+
+test('the allocation lends at rf and borrows at rf unless a rate is given', () => {
+  const read = readScenario({ ...scenario, allocation: { maxLeverage: 2 } });
+  assert.equal(read.allocation.lendingRate, 0.02);
+  assert.equal(read.allocation.borrowingRate, 0.02);
+  assert.equal(readScenario({ ...scenario, allocation: { borrowingRate: 0.05, lendingRate: 0.01 } }).allocation.lendingRate, 0.02);
+  assert.equal(read.rebalance, undefined);
+});
+
+test('mu may be left out when Black-Litterman replaces it', () => {
+  const { mu, ...withoutMu } = scenario;
+  const read = readScenario({ ...withoutMu, blackLitterman: { weights: [1, 1, 1] } });
+  assert.deepEqual(read.mu, [0, 0, 0]);
+  assert.equal(fieldsOf(withoutMu)[0], 'mu');
+});
+
+test('the module loads as a browser script under FxOpti.scenarioOptions', () => {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  ['optimizer', 'black-litterman', 'rebalance', 'simulation', 'resampling', 'allocation', 'scenario-options'].forEach((name) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, `../src/core/${name}.js`), 'utf8'), sandbox);
+  });
+  const read = sandbox.FxOpti.scenarioOptions.readScenario({ ...scenario, rebalance: { current: [0.2, 0.3, 0.5], costs: [0, 0, 0] } });
+  assert.deepEqual([...read.rebalance.current], [0.2, 0.3, 0.5]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+const { createScenarioStore } = require('../src/scenario-store');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-opti-store-'));
+const store = createScenarioStore(dir);
+const create = promisify(store.create);
+const update = promisify(store.update);
+const get = promisify(store.get);
+const list = promisify(store.list);
+const remove = promisify(store.remove);
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const inputs = { names: ['A', 'B'], mu: [0.05, 0.07], vol: [0.1, 0.2], corr: [[1, 0], [0, 1]] };
+
+test('a scenario keeps every saved version and the keys it changed', async () => {
+  const created = await create({ name: 'Base', kind: 'markowitz', inputs, result: { sharpe: 0.4 }, note: 'first' });
+  assert.match(created.id, /^[a-f0-9]{12}$/);
+  assert.equal(created.versions[0].version, 1);
+  assert.deepEqual(created.versions[0].changed, ['corr', 'mu', 'names', 'vol']);
+
+  const updated = await update(created.id, { inputs: { ...inputs, mu: [0.05, 0.09] }, result: { sharpe: 0.5 } });
+  assert.equal(updated.versions.length, 2);
+  assert.equal(updated.versions[1].version, 2);
+  assert.deepEqual(updated.versions[1].changed, ['mu']);
+
+  const renamed = await update(created.id, { name: 'Renamed' });
+  assert.equal(renamed.name, 'Renamed');
+  assert.equal(renamed.versions.length, 2);
+
+  const stored = await get(created.id);
+  assert.deepEqual(stored.versions[1].inputs.mu, [0.05, 0.09]);
+  assert.deepEqual(stored.versions[1].result, { sharpe: 0.5 });
+});
+
+test('concurrent updates to one scenario are applied one after another', async () => {
+  const created = await create({ name: 'Busy', kind: 'markowitz', inputs, result: null });
+  const mus = [0.01, 0.02, 0.03, 0.04, 0.05];
+  await Promise.all(mus.map((m) => update(created.id, { inputs: { ...inputs, mu: [m, m] } })));
+  const stored = await get(created.id);
+  assert.deepEqual(stored.versions.map((v) => v.version), [1, 2, 3, 4, 5, 6]);
+});
+
+test('list summarizes scenarios and unknown or malformed ids are not found', async () => {
+  const summaries = await list();
+  assert.ok(summaries.length >= 2);
+  assert.ok(summaries.every((s) => s.latest && typeof s.versionCount === 'number'));
+  assert.ok(summaries.every((s, i) => i === 0 || summaries[i - 1].updatedAt >= s.updatedAt));
+
+  await assert.rejects(get('../../etc/passwd'), (err) => err.status === 404);
+  await assert.rejects(get('0123456789ab'), (err) => err.status === 404);
+
+  const { id } = summaries[0];
+  assert.deepEqual(await remove(id), { id, deleted: true });
+  await assert.rejects(remove(id), (err) => err.status === 404);
+});
+
+test('list is empty when the directory does not exist yet', async () => {
+  const missing = createScenarioStore(path.join(dir, 'missing'));
+  assert.deepEqual(await promisify(missing.list)(), []);
+});
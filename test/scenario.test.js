@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const {
+  createScenarioFile,
+  parseScenarioFile,
+  encodeScenarioHash,
+  decodeScenarioHash,
+} = require('../src/core/scenario');
+
+const inputs = {
+  names: ['EUR/USD', 'Yen ¥', 'Gold <Au>'],
+  mu: [0.08, 0.0612345678912, -0.01],
+  vol: [0.15, 0.1, 0.2],
+  corr: [
+    [1, 0.3, -0.5],
+    [0.3, 1, 0.25],
+    [-0.5, 0.25, 1],
+  ],
+  rf: 0.02,
+  mode: 'long_only',
+};
+
+function randomInputs(n) {
+  let seed = 7;
+  const next = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return {
+    names: Array.from({ length: n }, (_, i) => `Asset ${i + 1}`),
+    mu: Array.from({ length: n }, () => next() * 0.2),
+    vol: Array.from({ length: n }, () => 0.05 + next() * 0.3),
+    corr: Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0))),
+  };
+}
+
+test('a share link round-trips the inputs', () => {
+  const hash = encodeScenarioHash('markowitz', inputs);
+  assert.match(hash, /^s=[A-Za-z0-9_-]+$/);
+  const decoded = decodeScenarioHash(`#${hash}`, 'markowitz');
+  assert.deepEqual(decoded, { ...inputs, mu: [0.08, 0.06123456789, -0.01] });
+});
+
+test('decodeScenarioHash returns null without a scenario and rejects damaged or foreign links', () => {
+  assert.equal(decodeScenarioHash('', 'markowitz'), null);
+  assert.equal(decodeScenarioHash('#other=1', 'markowitz'), null);
+  assert.throws(() => decodeScenarioHash('#s=not-a-scenario', 'markowitz'), /damaged or incomplete/);
+  assert.throws(() => decodeScenarioHash(encodeScenarioHash('fx', { pairs: ['EUR/USD'] }), 'markowitz'), /holds a fx scenario/);
+});
+
+test('a large share link round-trips with the browser encoder', () => {
+  // Without Buffer the module base64-encodes through btoa, as it does in the browser.
+  const sandbox = { TextEncoder, TextDecoder, URLSearchParams, btoa, atob };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/core/scenario.js'), 'utf8'), sandbox);
+  const browser = sandbox.FxOpti.scenario;
+
+  const large = randomInputs(300);
+  const hash = browser.encodeScenarioHash('markowitz', large);
+  assert.equal(hash, encodeScenarioHash('markowitz', large));
+  const decoded = browser.decodeScenarioHash(hash, 'markowitz');
+  assert.equal(decoded.corr.length, 300);
+  assert.deepEqual([...decoded.names], large.names);
+  decoded.mu.forEach((m, i) => assert.ok(Math.abs(m - large.mu[i]) < 1e-9));
+});
+
+test('a scenario file round-trips through JSON', () => {
+  const file = createScenarioFile('markowitz', inputs, { sharpe: 0.5 });
+  const parsed = parseScenarioFile(JSON.stringify(file), 'markowitz');
+  assert.deepEqual(parsed.inputs, inputs);
+  assert.deepEqual(parsed.result, { sharpe: 0.5 });
+  assert.equal(parsed.savedAt, file.savedAt);
+  assert.throws(() => parseScenarioFile(JSON.stringify(file), 'fx'), /markowitz scenario/);
+});
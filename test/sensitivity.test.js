@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov, optimizePortfolio } = require('../src/core/optimizer');
+const { listInputs, sensitivityAnalysis } = require('../src/core/sensitivity');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const mu = [0.06, 0.04, 0.08];
+const vol = [0.1, 0.12, 0.18];
+const corr = [
+  [1, 0.2, 0.1],
+  [0.2, 1, 0.3],
+  [0.1, 0.3, 1],
+];
+const rf = 0.01;
+const options = { mode: 'unconstrained' };
+
+test('listInputs covers returns, volatilities and the upper correlation triangle', () => {
+  const inputs = listInputs(mu, vol, corr);
+  assert.equal(inputs.length, 9);
+  assert.deepEqual(inputs.slice(6), [
+    { kind: 'corr', i: 0, j: 1, value: 0.2 },
+    { kind: 'corr', i: 0, j: 2, value: 0.1 },
+    { kind: 'corr', i: 1, j: 2, value: 0.3 },
+  ]);
+});
+
+test('each bump re-solves the portfolio under the bumped inputs', () => {
+  const { base, rows } = sensitivityAnalysis(mu, vol, corr, rf, options);
+  assertClose(base.sharpe, optimizePortfolio(mu, buildCov(vol, corr), rf, options).sharpe, 1e-12, 'base');
+
+  const muUp = rows[0].up;
+  assertClose(muUp.value, 0.08, 1e-12, 'bumped return');
+  const expected = optimizePortfolio([0.08, 0.04, 0.08], buildCov(vol, corr), rf, options);
+  assert.deepEqual(muUp.w, expected.w);
+  assert.ok(muUp.w[0] > base.w[0]);
+  assert.ok(rows[0].down.w[0] < base.w[0]);
+});
+
+test('bumps stop at the edges of valid inputs and note invalid correlation matrices', () => {
+  const nearOne = [
+    [1, 0.95, 0.9],
+    [0.95, 1, 0.95],
+    [0.9, 0.95, 1],
+  ];
+  const { rows } = sensitivityAnalysis(mu, [0.1, 0.01, 0.18], nearOne, rf, options, { vol: 0.05, corr: 0.2 });
+  const volRow = rows.find((r) => r.kind === 'vol' && r.i === 1);
+  assert.equal(volRow.down.value, 1e-4);
+
+  const corrRow = rows.find((r) => r.kind === 'corr' && r.i === 0 && r.j === 2);
+  assert.equal(corrRow.down, null);
+  assert.match(corrRow.notes[0], /Lower correlation makes the matrix invalid/);
+  const capped = rows.find((r) => r.kind === 'corr' && r.i === 0 && r.j === 1);
+  assert.equal(capped.up, null);
+  assert.match(capped.notes[0], /Higher correlation/);
+
+  assert.throws(() => sensitivityAnalysis(mu, vol, corr, rf, options, { corr: 0 }), (err) => err.fields[0].field === 'bumps.corr');
+});
@@ -0,0 +1,307 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const PORT = 40000 + (process.pid % 10000);
+const BASE_URL = `http://localhost:${PORT}`;
+const SCENARIO_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-opti-scenarios-'));
+
+let server;
+
+test.before(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(__dirname, '../src/index.js')], {
+    env: { ...process.env, PORT: String(PORT), SCENARIO_DIR },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  server.once('error', reject);
+  server.stdout.on('data', (chunk) => {
+    if (String(chunk).includes('running at')) {
+      resolve();
+    }
+  });
+}));
+
+test.after(() => {
+  server.kill();
+  fs.rmSync(SCENARIO_DIR, { recursive: true, force: true });
+});
+
+async function request(method, route, body) {
+  const res = await fetch(`${BASE_URL}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function post(route, body) {
+  return request('POST', route, body);
+}
+
+const scenario = {
+  names: ['EUR', 'JPY', 'Gold'],
+  mu: [0.06, 0.04, 0.08],
+  vol: [0.1, 0.12, 0.18],
+  corr: [
+    [1, 0.2, 0.1],
+    [0.2, 1, 0.3],
+    [0.1, 0.3, 1],
+  ],
+  rf: 0.01,
+};
+
+test('POST /api/optimize returns fully invested long-only weights', async () => {
+  const { status, body } = await post('/api/optimize', scenario);
+  assert.equal(status, 200);
+  assert.equal(body.mode, 'long_only');
+  assert.deepEqual(body.names, scenario.names);
+  assert.ok(Math.abs(body.weights.reduce((acc, w) => acc + w, 0) - 1) < 1e-9);
+  assert.ok(body.weights.every((w) => w >= 0));
+  assert.ok(body.sharpe > 0);
+  assert.equal(body.convergence.converged, true);
+  assert.equal(body.convergence.trace, undefined);
+  const { component, percent } = body.riskContributions;
+  assert.ok(Math.abs(component.reduce((acc, c) => acc + c, 0) - body.vol) < 1e-9);
+  assert.ok(Math.abs(percent.reduce((acc, p) => acc + p, 0) - 1) < 1e-9);
+});
+
+test('POST /api/optimize reports invalid inputs field by field with a 422', async () => {
+  const { status, body } = await post('/api/optimize', { ...scenario, vol: [0.1, -0.12, 0.18], mode: 'levered' });
+  assert.equal(status, 422);
+  assert.deepEqual(body.fields.map((f) => f.field), ['vol[1]', 'mode']);
+});
+
+test('POST /api/optimize applies weight bounds and reports the binding ones', async () => {
+  const { status, body } = await post('/api/optimize', { ...scenario, upper: [0.4, 0.4, 0.4] });
+  assert.equal(status, 200);
+  assert.ok(body.weights.every((w) => w <= 0.4 + 1e-9));
+  assert.ok(body.binding.length > 0);
+  assert.ok(body.binding.every((b) => b.kind === 'upper' && b.bound === 0.4));
+});
+
+test('POST /api/optimize solves the requested objective', async () => {
+  const { status, body } = await post('/api/optimize', { ...scenario, objective: 'max_diversification' });
+  assert.equal(status, 200);
+  assert.equal(body.objective, 'max_diversification');
+  assert.ok(body.diversificationRatio > 1);
+
+  const invalid = await post('/api/optimize', { ...scenario, objective: 'target_return' });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'target');
+
+  const bounded = await post('/api/optimize', { ...scenario, objective: 'risk_parity', upper: [0.5, 0.5, 0.5] });
+  assert.equal(bounded.status, 422);
+  assert.equal(bounded.body.fields[0].field, 'limits');
+});
+
+test('POST /api/optimize replaces mu with the Black-Litterman posterior', async () => {
+  const { mu, ...withoutMu } = scenario;
+  const { status, body } = await post('/api/optimize', {
+    ...withoutMu,
+    blackLitterman: {
+      weights: [0.5, 0.3, 0.2],
+      views: [{ type: 'absolute', asset: 2, value: 0.12, confidence: 1 }],
+    },
+  });
+  assert.equal(status, 200);
+  assert.ok(Math.abs(body.blackLitterman.posterior[2] - 0.12) < 1e-9);
+  assert.deepEqual(body.blackLitterman.marketWeights, [0.5, 0.3, 0.2]);
+
+  const invalid = await post('/api/optimize', { ...scenario, blackLitterman: { weights: [1, 2] } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'blackLitterman.weights');
+});
+
+test('POST /api/optimize rebalances from current holdings with a trade list', async () => {
+  const { status, body } = await post('/api/optimize', {
+    ...scenario,
+    rebalance: { current: [0.2, 0.6, 0.2], costs: [0.001, 0.001, 0.002], maxTurnover: 0.2, portfolioValue: 1e6 },
+  });
+  assert.equal(status, 200);
+  assert.ok(body.rebalance.turnover <= 0.2 + 1e-6);
+  assert.equal(body.rebalance.trades.length, 3);
+  assert.deepEqual(body.rebalance.current.weights, [0.2, 0.6, 0.2]);
+  assert.ok(Math.abs(body.rebalance.netRet - (body.ret - body.rebalance.cost)) < 1e-12);
+
+  const invalid = await post('/api/optimize', { ...scenario, objective: 'min_variance', rebalance: { current: [1, 0, 0], costs: [0, 0] } });
+  assert.equal(invalid.status, 422);
+  assert.deepEqual(invalid.body.fields.map((f) => f.field), ['rebalance.costs', 'objective']);
+});
+
+test('POST /api/optimize returns resampled weights with percentile bands', async () => {
+  const { status, body } = await post('/api/optimize', { ...scenario, resampling: { draws: 30 } });
+  assert.equal(status, 200);
+  assert.equal(body.resampling.draws + body.resampling.failed, 30);
+  assert.equal(body.resampling.lower.length, 3);
+
+  const invalid = await post('/api/optimize', {
+    ...scenario,
+    resampling: { draws: 30 },
+    rebalance: { current: [1, 0, 0], costs: [0, 0, 0] },
+  });
+  assert.equal(invalid.status, 422);
+  assert.deepEqual(invalid.body.fields.map((f) => f.field), ['resampling']);
+});
+
+test('POST /api/optimize allocates between the tangency portfolio and cash', async () => {
+  const { status, body } = await post('/api/optimize', { ...scenario, allocation: { targetVol: 0.05, borrowingRate: 0.03 } });
+  assert.equal(status, 200);
+  assert.equal(body.allocation.segment, 'lend');
+  assert.equal(body.allocation.lendingRate, scenario.rf);
+  assert.ok(Math.abs(body.vol - 0.05) < 1e-6);
+  assert.ok(Math.abs(body.allocation.cash + body.allocation.exposure - 1) < 1e-12);
+
+  const invalid = await post('/api/optimize', { ...scenario, allocation: { borrowingRate: 0 } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'allocation.borrowingRate');
+
+  const frontier = await post('/api/frontier', { ...scenario, allocation: { borrowingRate: 0.04, maxLeverage: 2 } });
+  assert.equal(frontier.status, 200);
+  assert.equal(frontier.body.cml.borrowingRate, 0.04);
+  assert.ok(frontier.body.cml.borrowSlope < frontier.body.cml.slope);
+});
+
+test('POST /api/frontier returns the exact curve, GMV point and capital market line', async () => {
+  const { status, body } = await post('/api/frontier', { ...scenario, points: 20 });
+  assert.equal(status, 200);
+  assert.equal(body.curve.length, 20);
+  assert.equal(body.assets.length, 3);
+  assert.ok(body.curve.every((point) => point.vol >= body.gmv.vol - 1e-12));
+  assert.equal(body.cml.rf, scenario.rf);
+  assert.ok(Math.abs(body.cml.slope - body.optimum.sharpe) < 1e-12);
+
+  // For other objectives the capital market line still runs through the tangency.
+  const minVar = await post('/api/frontier', { ...scenario, objective: 'min_variance' });
+  assert.ok(Math.abs(minVar.body.optimum.vol - minVar.body.gmv.vol) < 1e-9);
+  assert.ok(Math.abs(minVar.body.cml.slope - body.optimum.sharpe) < 1e-9);
+
+  const invalid = await post('/api/frontier', { ...scenario, points: 1 });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'points');
+});
+
+test('POST /api/fx/min-variance splits the basket between EUR and JPY', async () => {
+  const { status, body } = await post('/api/fx/min-variance', { volEurUsd: 0.08, volUsdJpy: 0.1, corr: 0 });
+  assert.equal(status, 200);
+  assert.equal(body.wUsd, 0);
+  assert.ok(Math.abs(body.wEur + body.wJpy - 1) < 1e-12);
+  assert.ok(Math.abs(body.wEur - 0.01 / 0.0164) < 1e-12);
+});
+
+test('POST /api/fx/min-variance takes N pairs and a base currency', async () => {
+  const { status, body } = await post('/api/fx/min-variance', {
+    pairs: ['EUR/USD', 'USD/JPY', 'GBP/USD'],
+    vols: [0.08, 0.1, 0.09],
+    corr: [[1, -0.3, 0.6], [-0.3, 1, -0.2], [0.6, -0.2, 1]],
+    base: 'EUR',
+  });
+  assert.equal(status, 200);
+  assert.equal(body.base, 'EUR');
+  assert.deepEqual(body.currencies, ['USD', 'JPY', 'GBP']);
+  assert.ok(Math.abs(body.weights.reduce((acc, w) => acc + w, 0) - 1) < 1e-9);
+  // At the minimum-variance basket every currency contributes the same marginal risk.
+  body.riskContributions.marginal.forEach((m) => assert.ok(Math.abs(m - body.pVol) < 1e-6));
+
+  const levered = await post('/api/fx/min-variance', {
+    pairs: ['EUR/USD', 'USD/JPY', 'GBP/USD'],
+    vols: [0.08, 0.1, 0.09],
+    corr: [[1, -0.3, 0.6], [-0.3, 1, -0.2], [0.6, -0.2, 1]],
+    base: 'EUR',
+    allocation: { targetVol: body.pVol * 2, maxLeverage: 3 },
+  });
+  assert.equal(levered.status, 200);
+  assert.ok(Math.abs(levered.body.allocation.exposure - 2) < 1e-9);
+
+  const invalid = await post('/api/fx/min-variance', { pairs: ['EUR/USD', 'EURUSD'], vols: [0.08, 0.1], corr: [[1, 0], [0, 1]] });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'pairs[1]');
+});
+
+test('the scenario store saves versions with their results through the API', async () => {
+  const created = await post('/api/scenarios', { name: '  Base case ', kind: 'markowitz', inputs: scenario, note: 'first' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.name, 'Base case');
+  assert.ok(created.body.versions[0].result.sharpe > 0);
+  const { id } = created.body;
+
+  const updated = await request('PUT', `/api/scenarios/${id}`, { inputs: { ...scenario, rf: 0.02 } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(updated.body.versions[1].changed, ['rf']);
+
+  const listed = await request('GET', '/api/scenarios');
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.some((s) => s.id === id && s.versionCount === 2));
+
+  const invalid = await request('PUT', `/api/scenarios/${id}`, { inputs: { ...scenario, vol: [0.1, -1, 0.2] } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'inputs.vol[1]');
+
+  const unknownKeys = await post('/api/scenarios', { name: 'Extra', kind: 'markowitz', inputs: { ...scenario, '<img>': 1 } });
+  assert.equal(unknownKeys.status, 422);
+  assert.deepEqual(unknownKeys.body.fields.map((f) => f.field), ['inputs.<img>']);
+
+  const missingFields = await post('/api/scenarios', { kind: 'bonds', inputs: scenario });
+  assert.equal(missingFields.status, 422);
+  assert.deepEqual(missingFields.body.fields.map((f) => f.field), ['name', 'kind']);
+
+  assert.equal((await request('DELETE', `/api/scenarios/${id}`)).status, 200);
+  assert.equal((await request('GET', `/api/scenarios/${id}`)).status, 404);
+  assert.equal((await request('PATCH', '/api/scenarios')).status, 405);
+});
+
+test('POST /api/fx/min-variance adds the carry basket when rates are given', async () => {
+  const basket = {
+    pairs: ['EUR/USD', 'USD/JPY', 'GBP/USD'],
+    vols: [0.08, 0.1, 0.09],
+    corr: [[1, -0.3, 0.6], [-0.3, 1, -0.2], [0.6, -0.2, 1]],
+  };
+  const { status, body } = await post('/api/fx/min-variance', { ...basket, rates: { USD: 0.01, EUR: 0.03, JPY: 0, GBP: 0.04 } });
+  assert.equal(status, 200);
+  assert.ok(Math.abs(body.carry.carry[2] - 0.03) < 1e-12);
+  assert.ok(body.carry.maxSharpe.sharpe > body.carry.minVariance.sharpe);
+  assert.equal(body.carry.maxSharpe.riskContributions.percent.length, 3);
+
+  const invalid = await post('/api/fx/min-variance', { ...basket, views: { EUR: 0.01 } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'views');
+});
+
+test('POST /api/fx/hedge sizes a forward hedge of a foreign asset', async () => {
+  const { status, body } = await post('/api/fx/hedge', {
+    pairs: ['EUR/USD', 'USD/JPY'],
+    vols: [0.08, 0.1],
+    corr: [[1, -0.3], [-0.3, 1]],
+    currency: 'EUR',
+    assetVol: 0.15,
+    assetCorr: 0,
+    baseRate: 0.05,
+    foreignRate: 0.03,
+  });
+  assert.equal(status, 200);
+  assert.equal(body.hedgeRatio, 1);
+  assert.deepEqual(body.positions.map((p) => p.label), ['unhedged', 'min_variance', 'fully_hedged']);
+
+  const invalid = await post('/api/fx/hedge', { pairs: ['EUR/USD', 'USD/JPY'], vols: [0.08, 0.1], corr: [[1, 0], [0, 1]], currency: 'GBP', assetVol: 0.1, assetCorr: 0, baseRate: 0, foreignRate: 0 });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.fields[0].field, 'currency');
+});
+
+test('the Markowitz page serves its worker and the core scripts', async () => {
+  const worker = await fetch(`${BASE_URL}/markowitz/worker.js`);
+  assert.equal(worker.status, 200);
+  assert.match(await worker.text(), /runJob\(task, job/);
+  assert.equal((await fetch(`${BASE_URL}/markowitz/src/core/optimization-job.js`)).status, 200);
+  assert.equal((await fetch(`${BASE_URL}/markowitz/package.json`)).status, 404);
+});
+
+test('API errors: unknown route, wrong method and malformed JSON', async () => {
+  assert.equal((await post('/api/unknown', {})).status, 404);
+  assert.equal((await fetch(`${BASE_URL}/api/optimize`)).status, 405);
+  const malformed = await post('/api/optimize', '{"mu": [');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'Request body must be valid JSON.');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCov } = require('../src/core/optimizer');
+const { createRng, createNormal, validateOptions, simulatePortfolio } = require('../src/core/simulation');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const w = [0.6, 0.4];
+const mu = [0.08, 0.04];
+const cov = buildCov([0.2, 0.1], [[1, 0.3], [0.3, 1]]);
+const annualVol = Math.sqrt(0.36 * 0.04 + 0.16 * 0.01 + 2 * 0.24 * 0.3 * 0.02);
+
+test('the seeded generator is repeatable and draws standard normals', () => {
+  const a = createRng(7);
+  const b = createRng(7);
+  const draws = Array.from({ length: 5 }, () => a());
+  assert.deepEqual(draws, Array.from({ length: 5 }, () => b()));
+  assert.ok(draws.every((u) => u > 0 && u < 1));
+
+  const normal = createNormal(createRng(1));
+  const z = Array.from({ length: 20000 }, () => normal());
+  const mean = z.reduce((acc, x) => acc + x, 0) / z.length;
+  const variance = z.reduce((acc, x) => acc + (x - mean) ** 2, 0) / z.length;
+  assertClose(mean, 0, 0.03, 'mean');
+  assertClose(variance, 1, 0.03, 'variance');
+});
+
+test('simulated outcomes match the portfolio mean and volatility', () => {
+  const result = simulatePortfolio(w, mu, cov, { horizon: 252, paths: 4000, seed: 3 });
+  assert.equal(result.fan.length, 252);
+  assert.equal(result.fan[251].day, 252);
+  // Daily compounding of the drift gives slightly more than the annual mean.
+  assertClose(result.mean, 0.064, 0.015, 'mean');
+  assertClose(result.vol, annualVol, 0.015, 'vol');
+  result.fan.forEach(({ values }) => values.forEach((v, i) => assert.ok(i === 0 || v >= values[i - 1])));
+  result.tail.forEach((t) => assert.ok(t.cvar >= t.var));
+  assert.ok(result.probLoss > 0 && result.probLoss < 0.5);
+
+  assert.deepEqual(simulatePortfolio(w, mu, cov, { horizon: 252, paths: 4000, seed: 3 }), result);
+});
+
+test('Student-t shocks keep the volatility but fatten the tail', () => {
+  const options = { horizon: 1, paths: 50000, seed: 11, confidences: [0.999] };
+  const normal = simulatePortfolio(w, mu, cov, options);
+  const fat = simulatePortfolio(w, mu, cov, { ...options, distribution: 'student_t', dof: 3 });
+  assertClose(fat.vol, normal.vol, normal.vol * 0.1, 'vol');
+  assert.ok(fat.tail[0].var > normal.tail[0].var);
+});
+
+test('perfectly correlated assets are simulated through the eigen factor', () => {
+  const singular = buildCov([0.1, 0.1], [[1, 1], [1, 1]]);
+  const result = simulatePortfolio([0.5, 0.5], [0, 0], singular, { horizon: 252, paths: 2000 });
+  assertClose(result.vol, 0.1, 0.01, 'vol');
+});
+
+test('invalid options are reported by field', () => {
+  const errors = validateOptions({ horizon: 0, paths: 10, distribution: 'cauchy', seed: 1.5, lossThreshold: 1 });
+  assert.deepEqual(errors.map((e) => e.field), ['horizon', 'paths', 'distribution', 'seed', 'lossThreshold']);
+  assert.deepEqual(validateOptions({ distribution: 'student_t', dof: 2 }).map((e) => e.field), ['dof']);
+  assert.throws(() => simulatePortfolio(w, mu, cov, { paths: 10 }), (err) => err.fields[0].field === 'paths');
+  // Every path is kept for every day, so long horizons allow fewer paths.
+  const [tooMany] = validateOptions({ horizon: 1260, paths: 50000 });
+  assert.equal(tooMany.field, 'paths');
+  assert.match(tooMany.message, /use at most 3968 paths over 1260 days/);
+});
@@ -0,0 +1,27 @@
+// Runs jobs for app.js off the page's main thread. Messages in are { id, task, job },
+// with a task name from optimization-job.js; replies carry the same id with type
+// "progress", "done" or "error".
+importScripts(
+  "src/core/optimizer.js",
+  "src/core/correlation.js",
+  "src/core/black-litterman.js",
+  "src/core/risk.js",
+  "src/core/rebalance.js",
+  "src/core/simulation.js",
+  "src/core/resampling.js",
+  "src/core/sensitivity.js",
+  "src/core/allocation.js",
+  "src/core/optimization-job.js"
+);
+
+const { runJob } = self.FxOpti.optimizationJob;
+
+self.onmessage = (evt) => {
+  const { id, task, job } = evt.data;
+  try {
+    const output = runJob(task, job, (progress) => self.postMessage({ id, type: "progress", ...progress }));
+    self.postMessage({ id, type: "done", output });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message || "Job failed.", fields: err.fields || [] });
+  }
+};